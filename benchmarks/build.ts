@@ -141,6 +141,7 @@ function discoverSuites(): string[] {
 async function build(): Promise<void> {
   const start = performance.now();
   const entrypoint = join(BENCHMARKS_DIR, "script.js");
+  const headlessEntrypoint = join(BENCHMARKS_DIR, "headless.js");
   const runnerPath = join(BENCHMARKS_DIR, "runner.js");
   const outdir = OUT_DIR;
 
@@ -168,8 +169,8 @@ async function build(): Promise<void> {
     }
     console.log("✅ Runner built");
 
-    // Build main script
-    console.log("Building main script.js...");
+    // Build main script (and the headless entry for benchmarks/cli.ts)
+    console.log("Building main script.js + headless.js...");
 
     // Define Vue feature flags for production builds
     const define: Record<string, string> = {
@@ -181,7 +182,7 @@ async function build(): Promise<void> {
     let result;
     try {
       result = await Bun.build({
-        entrypoints: [entrypoint],
+        entrypoints: [entrypoint, headlessEntrypoint],
         outdir,
         ...buildOptions(),
         plugins: [frameworkDedupePlugin],
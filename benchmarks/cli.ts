@@ -0,0 +1,632 @@
+// benchmarks/cli.ts — Headless benchmark runner
+//
+// Runs the built suites (dist/benchmarks/headless.js) in headless Chrome,
+// prints a results table, optionally writes JSON and POSTs each result to
+// /api/benchmarks. Exits non-zero when a suite fails, so a release can be
+// gated on a local run.
+//
+// Usage:
+//   bun run bench -- --suite render,scroll --items 10k,100k
+//   bun run bench -- --suite react-window --stress heavy --json out.json
+//   bun run bench -- --suite render --variant vanilla --post
+//   bun run bench -- --suite render --api https://staging.vlist.dev
+//   bun run bench -- --list
+//
+// Chrome is driven over the DevTools protocol directly — set CHROME_PATH
+// (or --chrome) if it isn't installed in a standard location. Build first
+// with `bun run build:bench`.
+
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join, resolve, sep } from "path";
+import { parseArgs } from "util";
+import { STRESS_LEVELS } from "./runner.js";
+import { SCROLL_SPEEDS } from "./suites/scroll/constants.js";
+
+const DIST_DIR = resolve("./dist/benchmarks");
+const DEFAULT_API = `http://localhost:${process.env.PORT || "3338"}`;
+const DEFAULT_ITEM_COUNTS = [10_000];
+
+/** Where Chrome usually lives, checked in order after CHROME_PATH */
+const CHROME_CANDIDATES = [
+  "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+  "/Applications/Chromium.app/Contents/MacOS/Chromium",
+  "/usr/bin/google-chrome",
+  "/usr/bin/google-chrome-stable",
+  "/usr/bin/chromium",
+  "/usr/bin/chromium-browser",
+  "C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe",
+];
+
+/** How long to wait for Chrome to start and the page to load */
+const STARTUP_TIMEOUT_MS = 30_000;
+
+// =============================================================================
+// Types
+// =============================================================================
+
+interface Metric {
+  label: string;
+  value: number;
+  unit: string;
+  better: string;
+  rating?: string;
+}
+
+interface Result {
+  suiteId: string;
+  itemCount: number;
+  metrics: Metric[];
+  duration: number;
+  success: boolean;
+  error?: string;
+}
+
+interface Environment {
+  userAgent: string;
+  hardwareConcurrency: number | null;
+  deviceMemory: number | null;
+  screenWidth: number;
+  screenHeight: number;
+}
+
+export interface CliOptions {
+  suites: string[];
+  variants: string[];
+  itemCounts: number[];
+  stressMs: number;
+  scrollSpeed: number;
+  json?: string;
+  post?: string;
+  chrome?: string;
+  version?: string;
+  list: boolean;
+}
+
+// =============================================================================
+// Arguments
+// =============================================================================
+
+const USAGE = `Usage: bun run bench -- [options]
+
+  --suite <ids>         Suites to run, comma-separated. A benchmark name
+                        selects all its variants (render → render-vanilla, …)
+  --variant <names>     Keep only these variants (vanilla, react, vue, …)
+  --items <counts>      Item counts, e.g. 10k,100k,1m (default 10k)
+  --stress <level|ms>   CPU burn per frame: ${STRESS_LEVELS.map((l) => l.id).join(", ")} or ms
+  --scroll-speed <s>    ${SCROLL_SPEEDS.map((s) => s.id).join(", ")} or px/s (default ${SCROLL_SPEEDS[0].id})
+  --json <file>         Write results as JSON
+  --post                POST each result to /api/benchmarks
+  --api <url>           API base for --post (default ${DEFAULT_API}); implies --post
+  --version <version>   Version to report (default: the bundled vlist)
+  --chrome <path>       Chrome binary (default: $CHROME_PATH or a standard path)
+  --list                List suites and exit
+`;
+
+/** Split comma-separated values, dropping blanks */
+const list = (values: string[] = []): string[] =>
+  values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/** Parse "10000", "10k" or "1m" */
+export function parseCount(value: string): number {
+  const match = /^(\d+(?:\.\d+)?)([km]?)$/i.exec(value.replace(/_/g, ""));
+  if (!match) throw new Error(`Invalid item count "${value}"`);
+  const scale = { "": 1, k: 1_000, m: 1_000_000 }[
+    match[2].toLowerCase() as "" | "k" | "m"
+  ];
+  return Math.round(parseFloat(match[1]) * scale);
+}
+
+/** A named level (`STRESS_LEVELS` / `SCROLL_SPEEDS`) or a plain number */
+const levelOrNumber = (
+  value: string,
+  levels: { id: string; value: number }[],
+  name: string,
+): number => {
+  const level = levels.find((l) => l.id === value);
+  if (level) return level.value;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(
+      `Invalid ${name} "${value}" — use ${levels.map((l) => l.id).join(", ")} or a number`,
+    );
+  }
+  return number;
+};
+
+export function parseCliArgs(argv: string[]): CliOptions {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      suite: { type: "string", multiple: true },
+      variant: { type: "string", multiple: true },
+      items: { type: "string", multiple: true },
+      stress: { type: "string" },
+      "scroll-speed": { type: "string" },
+      json: { type: "string" },
+      post: { type: "boolean" },
+      api: { type: "string" },
+      version: { type: "string" },
+      chrome: { type: "string" },
+      list: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+    allowPositionals: true,
+    strict: true,
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const items = list(values.items);
+  return {
+    suites: list(values.suite),
+    variants: list(values.variant),
+    itemCounts: items.length > 0 ? items.map(parseCount) : DEFAULT_ITEM_COUNTS,
+    stressMs: values.stress
+      ? levelOrNumber(
+          values.stress,
+          STRESS_LEVELS.map((l) => ({ id: l.id, value: l.ms })),
+          "stress",
+        )
+      : 0,
+    scrollSpeed: values["scroll-speed"]
+      ? levelOrNumber(
+          values["scroll-speed"],
+          SCROLL_SPEEDS.map((s) => ({ id: s.id, value: s.pxPerSec })),
+          "scroll speed",
+        )
+      : SCROLL_SPEEDS[0].pxPerSec,
+    json: values.json,
+    post: values.post || values.api ? (values.api ?? DEFAULT_API) : undefined,
+    chrome: values.chrome,
+    version: values.version,
+    list: values.list ?? false,
+  };
+}
+
+/**
+ * Resolve suite patterns against the registered suite IDs. A pattern
+ * matches its exact ID or every `<pattern>-…` ID; variants then keep only
+ * IDs ending in `-<variant>`. Throws when a pattern matches nothing.
+ */
+export function selectSuites(
+  available: string[],
+  patterns: string[],
+  variants: string[] = [],
+): string[] {
+  const matches = (id: string, pattern: string) =>
+    id === pattern || id.startsWith(`${pattern}-`);
+
+  for (const pattern of patterns) {
+    if (!available.some((id) => matches(id, pattern))) {
+      throw new Error(`No suite matches "${pattern}"`);
+    }
+  }
+  return available.filter(
+    (id) =>
+      (patterns.length === 0 || patterns.some((p) => matches(id, p))) &&
+      (variants.length === 0 || variants.some((v) => id.endsWith(`-${v}`))),
+  );
+}
+
+// =============================================================================
+// Output
+// =============================================================================
+
+/** Plain-text results table, one row per metric */
+export function formatTable(results: Result[]): string {
+  const rows: string[][] = [["Suite", "Items", "Metric", "Value", "Rating"]];
+  for (const result of results) {
+    const items = result.itemCount.toLocaleString("en-US");
+    if (!result.success) {
+      rows.push([result.suiteId, items, "✗ failed", result.error ?? "", ""]);
+      continue;
+    }
+    for (const metric of result.metrics) {
+      rows.push([
+        result.suiteId,
+        items,
+        metric.label,
+        `${metric.value} ${metric.unit}`,
+        metric.rating ?? "",
+      ]);
+    }
+  }
+
+  const widths = rows[0].map((_, col) =>
+    Math.max(...rows.map((row) => row[col].length)),
+  );
+  const line = (row: string[]) =>
+    row
+      .map((cell, col) => cell.padEnd(widths[col]))
+      .join("  ")
+      .trimEnd();
+  const rule = widths.map((w) => "─".repeat(w)).join("  ");
+  return [line(rows[0]), rule, ...rows.slice(1).map(line)].join("\n");
+}
+
+/** POST body for /api/benchmarks — the same shape the dashboard sends */
+export function toPayload(
+  result: Result,
+  context: {
+    version: string;
+    environment: Environment;
+    stressMs: number;
+    scrollSpeed: number;
+  },
+) {
+  return {
+    version: context.version,
+    suiteId: result.suiteId,
+    itemCount: result.itemCount,
+    metrics: result.metrics.map((m) => ({
+      label: m.label,
+      value: m.value,
+      unit: m.unit,
+      better: m.better,
+      rating: m.rating ?? null,
+    })),
+    duration: result.duration,
+    success: result.success,
+    error: result.error ?? undefined,
+    stressMs: context.stressMs,
+    scrollSpeed: context.scrollSpeed,
+    ...context.environment,
+  };
+}
+
+// =============================================================================
+// Chrome — DevTools protocol
+// =============================================================================
+
+interface Cdp {
+  send<T = Record<string, unknown>>(
+    method: string,
+    params?: Record<string, unknown>,
+  ): Promise<T>;
+  on(method: string, handler: (params: any) => void): void;
+  close(): void;
+}
+
+function findChrome(explicit?: string): string {
+  const candidates = [explicit, process.env.CHROME_PATH, ...CHROME_CANDIDATES];
+  const found = candidates.find((path) => path && existsSync(path));
+  if (!found) {
+    throw new Error(
+      "Chrome not found — install it or set CHROME_PATH (or pass --chrome)",
+    );
+  }
+  return found;
+}
+
+/** Start headless Chrome and resolve with its DevTools port */
+async function launchChrome(
+  binary: string,
+  profileDir: string,
+): Promise<{ process: Bun.Subprocess; port: number }> {
+  const chrome = Bun.spawn(
+    [
+      binary,
+      "--headless=new",
+      "--remote-debugging-port=0",
+      `--user-data-dir=${profileDir}`,
+      "--no-first-run",
+      "--no-default-browser-check",
+      "--window-size=1280,900",
+      // gc() and unbucketed performance.memory for the memory suites
+      "--js-flags=--expose-gc",
+      "--enable-precise-memory-info",
+      // Keep rAF and timers at full rate without a visible window
+      "--disable-background-timer-throttling",
+      "--disable-renderer-backgrounding",
+      "--disable-backgrounding-occluded-windows",
+      "about:blank",
+    ],
+    { stdout: "ignore", stderr: "pipe" },
+  );
+
+  // Chrome announces "DevTools listening on ws://127.0.0.1:<port>/…"
+  const reader = chrome.stderr.getReader();
+  const decoder = new TextDecoder();
+  let output = "";
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    output += decoder.decode(value);
+    const match = /DevTools listening on ws:\/\/[^:]+:(\d+)\//.exec(output);
+    if (match) {
+      reader.releaseLock();
+      return { process: chrome, port: parseInt(match[1], 10) };
+    }
+  }
+  chrome.kill();
+  throw new Error(`Chrome didn't start:\n${output.trim()}`);
+}
+
+async function connect(wsUrl: string): Promise<Cdp> {
+  const ws = new WebSocket(wsUrl);
+  await new Promise<void>((resolve, reject) => {
+    ws.onopen = () => resolve();
+    ws.onerror = () => reject(new Error(`Can't connect to ${wsUrl}`));
+  });
+
+  let nextId = 0;
+  const pending = new Map<
+    number,
+    { resolve: (value: any) => void; reject: (err: Error) => void }
+  >();
+  const handlers = new Map<string, ((params: any) => void)[]>();
+
+  ws.onmessage = (event) => {
+    const message = JSON.parse(String(event.data));
+    if (message.id !== undefined) {
+      const call = pending.get(message.id);
+      pending.delete(message.id);
+      if (message.error) call?.reject(new Error(message.error.message));
+      else call?.resolve(message.result);
+    } else {
+      for (const handler of handlers.get(message.method) ?? []) {
+        handler(message.params);
+      }
+    }
+  };
+  ws.onclose = () => {
+    for (const call of pending.values()) {
+      call.reject(new Error("Chrome closed the connection"));
+    }
+    pending.clear();
+  };
+
+  return {
+    send: (method, params = {}) =>
+      new Promise((resolve, reject) => {
+        const id = ++nextId;
+        pending.set(id, { resolve, reject });
+        ws.send(JSON.stringify({ id, method, params }));
+      }),
+    on: (method, handler) => {
+      handlers.set(method, [...(handlers.get(method) ?? []), handler]);
+    },
+    close: () => ws.close(),
+  };
+}
+
+/** Evaluate an expression in the page, awaiting promises, by value */
+async function evaluate<T>(cdp: Cdp, expression: string): Promise<T> {
+  const { result, exceptionDetails } = await cdp.send<{
+    result: { value: T };
+    exceptionDetails?: { text: string; exception?: { description?: string } };
+  }>("Runtime.evaluate", {
+    expression,
+    awaitPromise: true,
+    returnByValue: true,
+  });
+  if (exceptionDetails) {
+    throw new Error(
+      exceptionDetails.exception?.description ?? exceptionDetails.text,
+    );
+  }
+  return result.value;
+}
+
+// =============================================================================
+// Harness — the page Chrome loads
+// =============================================================================
+
+const HARNESS_HTML = `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>vlist benchmarks (headless)</title>
+    <link rel="stylesheet" href="/styles.css" />
+  </head>
+  <body>
+    <script type="module" src="/headless.js"></script>
+  </body>
+</html>`;
+
+/** Serve the harness page and the built benchmark bundle on a free port */
+function serveHarness(): ReturnType<typeof Bun.serve> {
+  return Bun.serve({
+    port: 0,
+    hostname: "127.0.0.1",
+    fetch(req) {
+      const { pathname } = new URL(req.url);
+      if (pathname === "/") {
+        return new Response(HARNESS_HTML, {
+          headers: { "Content-Type": "text/html; charset=utf-8" },
+        });
+      }
+      const path = resolve(DIST_DIR, `.${decodeURIComponent(pathname)}`);
+      if (!path.startsWith(DIST_DIR + sep) || !existsSync(path)) {
+        return new Response("Not Found", { status: 404 });
+      }
+      return new Response(Bun.file(path));
+    },
+  });
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function postResults(
+  results: Result[],
+  api: string,
+  context: Parameters<typeof toPayload>[1],
+): Promise<boolean> {
+  let ok = true;
+  for (const result of results) {
+    // Like the dashboard, failed runs aren't stored
+    if (!result.success) continue;
+    const label = `${result.suiteId} @ ${result.itemCount.toLocaleString("en-US")}`;
+    try {
+      const res = await fetch(`${api}/api/benchmarks`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(toPayload(result, context)),
+      });
+      const body = (await res.json()) as {
+        runId?: number;
+        permalink?: string;
+        quality?: { score: number; flags: string[] };
+        error?: string;
+      };
+      if (!res.ok) throw new Error(body.error ?? `HTTP ${res.status}`);
+      const flags = body.quality?.flags.length
+        ? ` (${body.quality.flags.join(", ")})`
+        : "";
+      console.log(
+        `📮 ${label} → run ${body.runId}, quality ${body.quality?.score}${flags}`,
+      );
+      if (body.permalink) console.log(`   ${api}${body.permalink}`);
+    } catch (err) {
+      ok = false;
+      console.error(
+        `❌ ${label}: ${err instanceof Error ? err.message : String(err)}`,
+      );
+    }
+  }
+  return ok;
+}
+
+async function main(): Promise<number> {
+  const options = parseCliArgs(process.argv.slice(2));
+
+  if (!existsSync(join(DIST_DIR, "headless.js"))) {
+    console.error("❌ dist/benchmarks/headless.js not found");
+    console.error("   Run `bun run build:bench` first");
+    return 1;
+  }
+
+  const server = serveHarness();
+  const profileDir = mkdtempSync(join(tmpdir(), "vlist-bench-"));
+  let chrome: Bun.Subprocess | undefined;
+  let cdp: Cdp | undefined;
+
+  try {
+    const launched = await launchChrome(findChrome(options.chrome), profileDir);
+    chrome = launched.process;
+
+    const targets = (await (
+      await fetch(`http://127.0.0.1:${launched.port}/json/list`)
+    ).json()) as { type: string; webSocketDebuggerUrl: string }[];
+    const page = targets.find((target) => target.type === "page");
+    if (!page) throw new Error("Chrome has no page to drive");
+
+    cdp = await connect(page.webSocketDebuggerUrl);
+    cdp.on("Runtime.consoleAPICalled", ({ type, args }) => {
+      const text = args.map((arg: { value?: unknown }) => arg.value).join(" ");
+      if (type === "error") console.error(`   ${text}`);
+      else if (text.startsWith("[bench] ")) console.log(`   ${text.slice(8)}`);
+    });
+    cdp.on("Runtime.exceptionThrown", ({ exceptionDetails }) => {
+      console.error(
+        `   ${exceptionDetails.exception?.description ?? exceptionDetails.text}`,
+      );
+    });
+    await cdp.send("Runtime.enable");
+    await cdp.send("Page.navigate", {
+      url: `http://127.0.0.1:${server.port}/`,
+    });
+
+    // Wait for headless.js to register the suites
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (
+      !(await evaluate<boolean>(cdp, "window.vlistBench?.ready === true"))
+    ) {
+      if (Date.now() > deadline) throw new Error("Benchmark page didn't load");
+      await Bun.sleep(100);
+    }
+
+    const suites = await evaluate<{ id: string; name: string }[]>(
+      cdp,
+      "window.vlistBench.suites()",
+    );
+    if (options.list) {
+      for (const suite of suites)
+        console.log(`${suite.id.padEnd(24)} ${suite.name}`);
+      return 0;
+    }
+
+    const suiteIds = selectSuites(
+      suites.map((suite) => suite.id),
+      options.suites,
+      options.variants,
+    );
+    if (suiteIds.length === 0) throw new Error("No suites selected");
+
+    const version =
+      options.version ??
+      (await evaluate<string>(cdp, "window.vlistBench.version"));
+    const environment = await evaluate<Environment>(
+      cdp,
+      "window.vlistBench.environment()",
+    );
+
+    console.log(
+      `🏁 vlist ${version} — ${suiteIds.length} suite(s) × ${options.itemCounts.length} item count(s)\n`,
+    );
+    const start = performance.now();
+    const results = await evaluate<Result[]>(
+      cdp,
+      `window.vlistBench.run(${JSON.stringify({
+        suiteIds,
+        itemCounts: options.itemCounts,
+        stressMs: options.stressMs,
+        scrollSpeed: options.scrollSpeed,
+      })})`,
+    );
+    const elapsed = ((performance.now() - start) / 1000).toFixed(1);
+
+    console.log(`\n${formatTable(results)}\n`);
+    console.log(`⏱  ${elapsed}s`);
+
+    const context = {
+      version,
+      environment,
+      stressMs: options.stressMs,
+      scrollSpeed: options.scrollSpeed,
+    };
+
+    if (options.json) {
+      writeFileSync(
+        options.json,
+        JSON.stringify(
+          { createdAt: new Date().toISOString(), ...context, results },
+          null,
+          2,
+        ),
+      );
+      console.log(`💾 ${options.json}`);
+    }
+
+    let ok = results.every((result) => result.success);
+    if (options.post) {
+      ok = (await postResults(results, options.post, context)) && ok;
+    }
+    return ok ? 0 : 1;
+  } finally {
+    cdp?.close();
+    chrome?.kill();
+    await chrome?.exited;
+    server.stop(true);
+    rmSync(profileDir, { recursive: true, force: true });
+  }
+}
+
+if (import.meta.main) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error("❌", err instanceof Error ? err.message : String(err));
+      process.exit(1);
+    });
+}
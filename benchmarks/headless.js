@@ -0,0 +1,82 @@
+// benchmarks/headless.js — Headless entry point
+//
+// Bundled next to script.js and loaded by the CLI runner (benchmarks/cli.ts)
+// in a headless browser. There's no dashboard here: the page only exposes
+// `window.vlistBench` for the CLI to drive over the DevTools protocol.
+
+import "./suites.js";
+import { getSuites, runBenchmarks, formatItemCount } from "./runner.js";
+import { SCROLL_SPEEDS } from "./suites/scroll/constants.js";
+import vlistPackage from "@floor/vlist/package.json";
+
+/**
+ * On-screen container for the run — sized like the dashboard's viewport so
+ * results are comparable, and visible so Chrome doesn't throttle rAF.
+ * @returns {HTMLElement}
+ */
+const createViewport = () => {
+  const viewport = document.createElement("div");
+  viewport.className = "bench-viewport bench-viewport--active";
+  viewport.style.cssText = "width:1200px;";
+  const inner = document.createElement("div");
+  inner.className = "bench-viewport__inner";
+  viewport.appendChild(inner);
+  document.body.appendChild(viewport);
+  return inner;
+};
+
+/**
+ * @typedef {Object} HeadlessRunOptions
+ * @property {string[]} suiteIds
+ * @property {number[]} itemCounts
+ * @property {number} [stressMs=0]
+ * @property {number} [scrollSpeed] - px/s, defaults to the dashboard's 1×
+ */
+
+window.vlistBench = {
+  version: vlistPackage.version,
+
+  /** @returns {{ id: string, name: string }[]} */
+  suites: () => getSuites().map(({ id, name }) => ({ id, name })),
+
+  /** Same environment fields the dashboard sends with each result */
+  environment: () => ({
+    userAgent: navigator.userAgent,
+    hardwareConcurrency: navigator.hardwareConcurrency || null,
+    deviceMemory: navigator.deviceMemory || null,
+    screenWidth: screen.width,
+    screenHeight: screen.height,
+  }),
+
+  /**
+   * Run suites and resolve with their results. Progress is logged to the
+   * console with a "[bench]" prefix, which the CLI echoes.
+   * @param {HeadlessRunOptions} options
+   */
+  run: async ({
+    suiteIds,
+    itemCounts,
+    stressMs = 0,
+    scrollSpeed = SCROLL_SPEEDS[0].pxPerSec,
+  }) => {
+    const container = createViewport();
+    try {
+      return await runBenchmarks({
+        suiteIds,
+        itemCounts,
+        stressMs,
+        scrollSpeed,
+        container,
+        onStatus: (suiteId, itemCount, message) => {
+          console.log(
+            `[bench] ${suiteId} @ ${formatItemCount(itemCount)}: ${message}`,
+          );
+        },
+      });
+    } finally {
+      container.parentElement?.remove();
+    }
+  },
+
+  ready: true,
+};
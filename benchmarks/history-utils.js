@@ -94,6 +94,38 @@ export function confidenceLabel(sampleCount) {
   return { text: "Low confidence", cls: "low" };
 }
 
+/**
+ * Return a label and CSS class for a /compare verdict.
+ * @param {string} verdict
+ * @returns {{ text: string, cls: string }}
+ */
+export function verdictLabel(verdict) {
+  switch (verdict) {
+    case "regression":
+      return { text: "Regression", cls: "regression" };
+    case "improvement":
+      return { text: "Improvement", cls: "improvement" };
+    case "changed":
+      return { text: "Changed", cls: "changed" };
+    case "unchanged":
+      return { text: "No significant change", cls: "unchanged" };
+    default:
+      return { text: "Not enough data", cls: "insufficient" };
+  }
+}
+
+/**
+ * Format a percent change with an explicit sign, e.g. "+12.3%".
+ * @param {number|null} change
+ * @returns {string}
+ */
+export function formatChange(change) {
+  if (change == null) return "—";
+  if (change === 0) return "0%";
+  const sign = change > 0 ? "+" : "−";
+  return `${sign}${Math.abs(change).toLocaleString(undefined, { maximumFractionDigits: 1 })}%`;
+}
+
 // =============================================================================
 // Value Formatting
 // =============================================================================
@@ -201,3 +233,140 @@ export function formatTickValue(v) {
   if (Number.isInteger(v)) return String(v);
   return v.toFixed(2).replace(/\.?0+$/, "");
 }
+
+// =============================================================================
+// Side-by-side Comparison
+// =============================================================================
+
+/**
+ * Order dotted version strings numerically ("1.10.0" after "1.9.2"). A
+ * prerelease ("1.4.0-beta.1") sorts before its release.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareVersionStrings(a, b) {
+  const [coreA, preA] = a.split("-", 2);
+  const [coreB, preB] = b.split("-", 2);
+  const partsA = coreA.split(".").map((n) => parseInt(n, 10) || 0);
+  const partsB = coreB.split(".").map((n) => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  if (preA === preB) return 0;
+  if (preA === undefined) return 1;
+  if (preB === undefined) return -1;
+  return preA.localeCompare(preB, undefined, { numeric: true });
+}
+
+/**
+ * Measurements a comparison suite reports for both sides — "Render Time"
+ * from "vlist Render Time", and so on.
+ * @param {{ label: string }[]} metrics
+ * @returns {string[]}
+ */
+export function comparisonMeasurements(metrics) {
+  const measurements = [];
+  for (const m of metrics) {
+    if (!m.label.startsWith("vlist ")) continue;
+    const measurement = m.label.slice("vlist ".length);
+    if (!measurements.includes(measurement)) measurements.push(measurement);
+  }
+  return measurements;
+}
+
+/** One bar (or box) of a side-by-side chart */
+const toBar = (label, series, metric) => ({
+  label,
+  series,
+  median: metric.median,
+  ciLow: metric.ciLow ?? metric.median,
+  ciHigh: metric.ciHigh ?? metric.median,
+  p5: metric.p5,
+  p95: metric.p95,
+  sampleCount: metric.sampleCount,
+  unit: metric.unit,
+  better: metric.better,
+});
+
+/**
+ * Side-by-side groups for several versions of one metric — a group per
+ * version, oldest first, so the chart reads as progress. Versions without
+ * the metric are left out.
+ * @param {object[]} statsItems - /api/benchmarks/stats items
+ * @param {string[]} versions
+ * @param {string} metricLabel
+ */
+export function versionGroups(statsItems, versions, metricLabel) {
+  return [...versions]
+    .sort(compareVersionStrings)
+    .map((version, i) => {
+      const metric = statsItems
+        .find((s) => s.version === version)
+        ?.metrics.find((m) => m.label === metricLabel);
+      return metric
+        ? { label: version, bars: [toBar(version, i, metric)] }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Side-by-side groups for several comparison libraries — a group per suite
+ * with vlist's bar next to the library's, for one measurement.
+ * @param {object[]} statsItems - /api/benchmarks/stats items of one version
+ * @param {string[]} suiteIds
+ * @param {string} measurement - e.g. "Render Time"
+ */
+export function libraryGroups(statsItems, suiteIds, measurement) {
+  const groups = [];
+  for (const suiteId of suiteIds) {
+    const metrics = statsItems.find((s) => s.suiteId === suiteId)?.metrics;
+    if (!metrics) continue;
+    const name = SUITE_DISPLAY_NAMES[suiteId] || suiteId;
+    const vlist = metrics.find((m) => m.label === `vlist ${measurement}`);
+    const library = metrics.find(
+      (m) =>
+        m.label !== `vlist ${measurement}` &&
+        m.label.endsWith(` ${measurement}`),
+    );
+    const bars = [];
+    if (vlist) bars.push(toBar("vlist", 0, vlist));
+    if (library) bars.push(toBar(name, 1, library));
+    if (bars.length > 0) groups.push({ label: name, bars });
+  }
+  return groups;
+}
+
+/**
+ * Relative change of the median from the first group's first bar to the
+ * last group's, in percent — null with fewer than two groups.
+ * @param {{ bars: { median: number }[] }[]} groups
+ * @returns {number | null}
+ */
+export function overallChange(groups) {
+  if (groups.length < 2) return null;
+  const first = groups[0].bars[0].median;
+  const last = groups[groups.length - 1].bars[0].median;
+  if (first === 0) return null;
+  return round(((last - first) / first) * 100, 1);
+}
+
+/**
+ * Y-axis range covering every bar's interval — from zero, since bars are
+ * read by their length.
+ * @param {{ bars: object[] }[]} groups
+ * @param {"bars" | "box"} style
+ * @returns {[number, number]}
+ */
+export function groupBounds(groups, style) {
+  let max = 0;
+  for (const group of groups) {
+    for (const bar of group.bars) {
+      const top = style === "box" ? Math.max(bar.p95, bar.ciHigh) : bar.ciHigh;
+      max = Math.max(max, top, bar.median);
+    }
+  }
+  return [0, max > 0 ? max * 1.1 : 1];
+}
@@ -2,7 +2,9 @@
 //
 // Focused on comparison suite results (react-window, virtua, etc.)
 // Fetches crowdsourced data from /api/benchmarks/* endpoints and renders
-// stats tables, SVG trend charts, browser/version breakdowns.
+// stats tables, SVG trend charts, browser/version breakdowns, regression
+// verdicts between two versions and side-by-side charts of several versions
+// or libraries.
 
 import { buildHistoryPageHTML } from "./templates.js";
 import { formatItemCount } from "./runner.js";
@@ -11,11 +13,18 @@ import {
   deriveRating,
   deriveMeta,
   confidenceLabel,
+  verdictLabel,
+  formatChange,
   formatMetricValue,
   niceScale,
   niceDateTicks,
   formatTickValue,
   round,
+  comparisonMeasurements,
+  versionGroups,
+  libraryGroups,
+  overallChange,
+  groupBounds,
 } from "./history-utils.js";
 
 // =============================================================================
@@ -37,6 +46,21 @@ const COLORS = {
   axis: "var(--text-muted, #6b7280)",
 };
 
+/** One color per version or library in the side-by-side chart */
+const SERIES_COLORS = [
+  "#3b82f6",
+  "#f59e0b",
+  "#10b981",
+  "#ef4444",
+  "#8b5cf6",
+  "#ec4899",
+  "#14b8a6",
+  "#84cc16",
+];
+
+/** Versions or libraries picked when the page loads */
+const SIDE_BY_SIDE_PICKS = 4;
+
 // =============================================================================
 // State
 // =============================================================================
@@ -46,6 +70,14 @@ let currentItemCount = 10_000;
 let currentVersion = "";
 let currentDays = 30;
 let currentMetric = "";
+let compareBase = "";
+let compareHead = "";
+
+/** Side-by-side chart: what's compared, how it's drawn, and the picks */
+let sbsMode = "versions"; // "versions" | "libraries"
+let sbsStyle = "bars"; // "bars" | "box"
+let sbsMetric = ""; // metric label (versions) or measurement (libraries)
+const sbsPicks = { versions: [], libraries: [] };
 
 /** Cached data from API */
 let summaryData = null;
@@ -76,6 +108,8 @@ export function buildHistoryPage(root) {
       renderSummary(summary);
       populateSuiteSelect(suitesData);
       populateVersionSelect(versionsData);
+      populateCompareSelects(versionsData);
+      initSideBySidePicks(versionsData, suitesData);
       renderBrowsers(browsersData);
       renderVersions(versionsData);
       renderCTALinks(suitesData);
@@ -89,7 +123,9 @@ export function buildHistoryPage(root) {
         const suiteSelect = document.getElementById("history-suite");
         if (suiteSelect) suiteSelect.value = currentSuiteId;
         refreshStats();
+        refreshComparison();
       }
+      refreshSideBySide();
     })
     .catch((err) => {
       console.error("[history] Failed to load initial data:", err);
@@ -131,6 +167,8 @@ function wireFilters() {
       currentSuiteId = suiteSelect.value;
       currentMetric = ""; // reset metric when suite changes
       refreshStats();
+      refreshComparison();
+      if (sbsMode === "versions") refreshSideBySide();
     });
   }
 
@@ -148,6 +186,8 @@ function wireFilters() {
           ),
         );
         refreshStats();
+        refreshComparison();
+        refreshSideBySide();
       });
     });
   }
@@ -158,6 +198,7 @@ function wireFilters() {
     versionSelect.addEventListener("change", () => {
       currentVersion = versionSelect.value;
       refreshStats();
+      if (sbsMode === "libraries") refreshSideBySide();
     });
   }
 
@@ -178,6 +219,68 @@ function wireFilters() {
       refreshChart();
     });
   }
+
+  // Comparison version selects
+  const baseSelect = document.getElementById("history-compare-base");
+  const headSelect = document.getElementById("history-compare-head");
+  if (baseSelect && headSelect) {
+    baseSelect.addEventListener("change", () => {
+      compareBase = baseSelect.value;
+      refreshComparison();
+    });
+    headSelect.addEventListener("change", () => {
+      compareHead = headSelect.value;
+      refreshComparison();
+    });
+  }
+
+  wireSideBySide();
+}
+
+function wireSideBySide() {
+  /** Segmented control — sets the active button and reports its value */
+  const segmented = (id, key, onChange) => {
+    const container = document.getElementById(id);
+    if (!container) return;
+    const btns = container.querySelectorAll(".ui-segmented__btn");
+    btns.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        btns.forEach((b) =>
+          b.classList.toggle("ui-segmented__btn--active", b === btn),
+        );
+        onChange(btn.dataset[key]);
+      });
+    });
+  };
+
+  segmented("history-sbs-mode", "mode", (mode) => {
+    if (mode === sbsMode) return;
+    sbsMode = mode;
+    sbsMetric = "";
+    refreshSideBySide();
+  });
+  segmented("history-sbs-style", "style", (style) => {
+    sbsStyle = style;
+    refreshSideBySide();
+  });
+
+  const metricSelect = document.getElementById("history-sbs-metric");
+  metricSelect?.addEventListener("change", () => {
+    sbsMetric = metricSelect.value;
+    refreshSideBySide();
+  });
+
+  const picks = document.getElementById("history-sbs-picks");
+  picks?.addEventListener("change", () => {
+    sbsPicks[sbsMode] = [...picks.querySelectorAll("input:checked")].map(
+      (input) => input.value,
+    );
+    refreshSideBySide();
+  });
+
+  document
+    .getElementById("history-sbs-download")
+    ?.addEventListener("click", downloadSideBySide);
 }
 
 // =============================================================================
@@ -240,6 +343,87 @@ async function refreshChart() {
   }
 }
 
+async function refreshComparison() {
+  if (!currentSuiteId || !compareBase || !compareHead) {
+    renderEmpty(
+      "history-compare-content",
+      "Benchmark data from at least two versions is needed to compare.",
+    );
+    return;
+  }
+
+  const params = new URLSearchParams({
+    base: compareBase,
+    head: compareHead,
+    suiteId: currentSuiteId,
+    itemCount: String(currentItemCount),
+  });
+
+  const data = await fetchJSON(`${API_BASE}/compare?${params}`);
+
+  if (data?.items?.length > 0) {
+    renderComparison(data);
+  } else {
+    renderEmpty(
+      "history-compare-content",
+      "Neither version has results for this suite and item count.",
+    );
+  }
+}
+
+async function refreshSideBySide() {
+  renderSideBySidePicks();
+  const picks = sbsPicks[sbsMode];
+  const version =
+    sbsMode === "libraries" ? currentVersion || versionsData?.[0]?.version : "";
+
+  if (sbsMode === "versions" && !currentSuiteId) {
+    renderSideBySideEmpty("Select a library to compare its versions.");
+    return;
+  }
+  if (picks.length === 0) {
+    renderSideBySideEmpty(
+      `Pick at least one ${sbsMode === "versions" ? "version" : "library"}.`,
+    );
+    return;
+  }
+
+  const params = new URLSearchParams({
+    itemCount: String(currentItemCount),
+    limit: "500",
+  });
+  if (sbsMode === "versions") params.set("suiteId", currentSuiteId);
+  if (version) params.set("version", version);
+
+  const data = await fetchJSON(`${API_BASE}/stats?${params}`);
+  const items = data?.items ?? [];
+  const metrics = items.flatMap((item) => item.metrics);
+  const choices =
+    sbsMode === "versions"
+      ? [...new Set(metrics.map((m) => m.label))]
+      : comparisonMeasurements(metrics);
+
+  if (!choices.includes(sbsMetric)) {
+    sbsMetric = choices.includes(currentMetric)
+      ? currentMetric
+      : (choices[0] ?? "");
+  }
+  populateSideBySideMetric(choices);
+
+  const groups =
+    sbsMode === "versions"
+      ? versionGroups(items, picks, sbsMetric)
+      : libraryGroups(items, picks, sbsMetric);
+
+  if (groups.length === 0) {
+    renderSideBySideEmpty("No data for this selection yet.");
+    return;
+  }
+
+  renderSideBySide(groups);
+  renderSideBySideSummary(groups, version);
+}
+
 // =============================================================================
 // Renderers
 // =============================================================================
@@ -617,6 +801,233 @@ function renderVersions(versions) {
   `;
 }
 
+function renderComparison(data) {
+  const el = document.getElementById("history-compare-content");
+  if (!el) return;
+
+  const { summary } = data;
+  const flagged = summary.regression + summary.improvement + summary.changed;
+  const headline =
+    flagged === 0
+      ? `No significant differences between ${escapeHtml(data.base)} and ${escapeHtml(data.head)}.`
+      : `${summary.regression} regression${summary.regression === 1 ? "" : "s"}, ` +
+        `${summary.improvement} improvement${summary.improvement === 1 ? "" : "s"}` +
+        (summary.changed > 0 ? `, ${summary.changed} changed` : "") +
+        ` in ${escapeHtml(data.head)} vs ${escapeHtml(data.base)}.`;
+
+  const rows = data.items.map((item) => {
+    const verdict = verdictLabel(item.verdict);
+    const pValue =
+      item.pAdjusted == null
+        ? "—"
+        : item.pAdjusted < 0.001
+          ? "<0.001"
+          : item.pAdjusted.toFixed(3);
+    return `
+    <tr>
+      <td>${escapeHtml(item.metric)}</td>
+      <td class="bench-history__value-cell">${formatMetricValue(item.base.median, item.unit)} ${escapeHtml(item.unit)}</td>
+      <td class="bench-history__value-cell">${formatMetricValue(item.head.median, item.unit)} ${escapeHtml(item.unit)}</td>
+      <td>${formatChange(item.change)}</td>
+      <td class="bench-history__count-cell">${item.base.sampleCount} / ${item.head.sampleCount}</td>
+      <td class="bench-history__count-cell">${pValue}</td>
+      <td><span class="bench-history__verdict bench-history__verdict--${verdict.cls}">${verdict.text}</span></td>
+    </tr>
+  `;
+  });
+
+  el.innerHTML = `
+    <p class="bench-history__compare-summary">${headline}</p>
+    <div class="bench-history__table-wrapper">
+      <table class="bench-history__table bench-history__table--compact">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Base</th>
+            <th>Head</th>
+            <th>Change</th>
+            <th>Runs</th>
+            <th>p (adj.)</th>
+            <th>Verdict</th>
+          </tr>
+        </thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Grouped bars (median with a 95% CI whisker) or box plots (95% CI box,
+ * p5–p95 whiskers) — a group per version or library.
+ */
+function renderSideBySide(groups) {
+  const el = document.getElementById("history-sbs-chart");
+  if (!el) return;
+
+  const [yMin, yMax] = groupBounds(groups, sbsStyle);
+  const plotW = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+  const plotH = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  const yScale = (v) =>
+    CHART_PAD.top + plotH - ((v - yMin) / (yMax - yMin)) * plotH;
+  const groupWidth = plotW / groups.length;
+  const unit = groups[0].bars[0].unit;
+
+  const parts = [];
+  parts.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="bench-history__svg">`,
+  );
+
+  // Y-axis grid lines + labels
+  for (const tick of niceScale(yMin, yMax, 5)) {
+    if (tick > yMax) continue;
+    const y = yScale(tick);
+    parts.push(
+      `<line x1="${CHART_PAD.left}" y1="${y}" x2="${CHART_WIDTH - CHART_PAD.right}" y2="${y}" stroke="${COLORS.grid}" stroke-width="1" stroke-dasharray="4,3" />`,
+    );
+    parts.push(
+      `<text x="${CHART_PAD.left - 8}" y="${y + 4}" text-anchor="end" fill="${COLORS.text}" font-size="11">${formatTickValue(tick)}</text>`,
+    );
+  }
+
+  groups.forEach((group, gi) => {
+    const groupX = CHART_PAD.left + gi * groupWidth;
+    const slot = Math.min(56, (groupWidth * 0.8) / group.bars.length);
+    const start = groupX + (groupWidth - slot * group.bars.length) / 2;
+
+    group.bars.forEach((bar, bi) => {
+      const cx = start + slot * (bi + 0.5);
+      const half = slot * 0.35;
+      const color = SERIES_COLORS[bar.series % SERIES_COLORS.length];
+      const title = `${bar.label}\nMedian: ${bar.median}\n95% CI: ${bar.ciLow} – ${bar.ciHigh}\nP5: ${bar.p5} / P95: ${bar.p95}\nSamples: ${bar.sampleCount}`;
+      const whisker = (from, to) => {
+        const y1 = yScale(from);
+        const y2 = yScale(to);
+        const cap = half / 2;
+        return (
+          `<line x1="${cx}" y1="${y1}" x2="${cx}" y2="${y2}" stroke="${COLORS.axis}" stroke-width="1.5" />` +
+          `<line x1="${cx - cap}" y1="${y1}" x2="${cx + cap}" y2="${y1}" stroke="${COLORS.axis}" stroke-width="1.5" />` +
+          `<line x1="${cx - cap}" y1="${y2}" x2="${cx + cap}" y2="${y2}" stroke="${COLORS.axis}" stroke-width="1.5" />`
+        );
+      };
+
+      parts.push(`<g><title>${escapeHtml(title)}</title>`);
+      if (sbsStyle === "box") {
+        const top = yScale(bar.ciHigh);
+        parts.push(whisker(bar.p5, bar.p95));
+        parts.push(
+          `<rect x="${cx - half}" y="${top}" width="${half * 2}" height="${Math.max(1, yScale(bar.ciLow) - top)}" fill="${color}" fill-opacity="0.3" stroke="${color}" stroke-width="1.5" rx="2" />`,
+        );
+        parts.push(
+          `<line x1="${cx - half}" y1="${yScale(bar.median)}" x2="${cx + half}" y2="${yScale(bar.median)}" stroke="${color}" stroke-width="3" />`,
+        );
+      } else {
+        const top = yScale(bar.median);
+        parts.push(
+          `<rect x="${cx - half}" y="${top}" width="${half * 2}" height="${yScale(0) - top}" fill="${color}" fill-opacity="0.85" rx="2" />`,
+        );
+        parts.push(whisker(bar.ciLow, bar.ciHigh));
+      }
+      parts.push(`</g>`);
+    });
+
+    parts.push(
+      `<text x="${groupX + groupWidth / 2}" y="${CHART_HEIGHT - 14}" text-anchor="middle" fill="${COLORS.text}" font-size="11">${escapeHtml(group.label)}</text>`,
+    );
+  });
+
+  // Axis lines
+  parts.push(
+    `<line x1="${CHART_PAD.left}" y1="${CHART_PAD.top}" x2="${CHART_PAD.left}" y2="${CHART_HEIGHT - CHART_PAD.bottom}" stroke="${COLORS.axis}" stroke-width="1" />`,
+  );
+  parts.push(
+    `<line x1="${CHART_PAD.left}" y1="${CHART_HEIGHT - CHART_PAD.bottom}" x2="${CHART_WIDTH - CHART_PAD.right}" y2="${CHART_HEIGHT - CHART_PAD.bottom}" stroke="${COLORS.axis}" stroke-width="1" />`,
+  );
+
+  // Legend — what the marks mean, and vlist vs library colors
+  const legendY = CHART_PAD.top - 4;
+  const legend =
+    sbsStyle === "box"
+      ? "Box: 95% CI of the median · whiskers: p5–p95"
+      : "Bar: median · whisker: 95% CI";
+  parts.push(
+    `<text x="${CHART_PAD.left}" y="${legendY}" fill="${COLORS.text}" font-size="11">${escapeHtml(`${sbsMetric} (${unit}) — ${legend}`)}</text>`,
+  );
+  if (sbsMode === "libraries") {
+    const x = CHART_WIDTH - CHART_PAD.right - 150;
+    parts.push(
+      `<rect x="${x}" y="${legendY - 9}" width="10" height="10" fill="${SERIES_COLORS[0]}" rx="1" />`,
+    );
+    parts.push(
+      `<text x="${x + 14}" y="${legendY}" fill="${COLORS.text}" font-size="11">vlist</text>`,
+    );
+    parts.push(
+      `<rect x="${x + 56}" y="${legendY - 9}" width="10" height="10" fill="${SERIES_COLORS[1]}" rx="1" />`,
+    );
+    parts.push(
+      `<text x="${x + 70}" y="${legendY}" fill="${COLORS.text}" font-size="11">library</text>`,
+    );
+  }
+
+  parts.push(`</svg>`);
+  el.innerHTML = parts.join("\n");
+
+  const download = document.getElementById("history-sbs-download");
+  if (download) download.hidden = false;
+}
+
+/** One-line reading of the chart — the change across versions, or the setup */
+function renderSideBySideSummary(groups, version) {
+  const el = document.getElementById("history-sbs-summary");
+  if (!el) return;
+
+  if (sbsMode === "libraries") {
+    el.textContent = `vlist ${version} · ${formatItemCount(currentItemCount)} items · ${groups.length} ${groups.length === 1 ? "library" : "libraries"}`;
+    return;
+  }
+
+  const change = overallChange(groups);
+  const first = groups[0].label;
+  const last = groups[groups.length - 1].label;
+  const better = groups[0].bars[0].better;
+  const hint =
+    better === "lower"
+      ? " (lower is better)"
+      : better === "higher"
+        ? " (higher is better)"
+        : "";
+  el.textContent =
+    change === null
+      ? `${first} only — pick more versions to see the trend.`
+      : `${first} → ${last}: ${formatChange(change)} median${hint}`;
+}
+
+function renderSideBySideEmpty(message) {
+  renderEmpty("history-sbs-chart", message);
+  const summary = document.getElementById("history-sbs-summary");
+  if (summary) summary.textContent = "";
+  const download = document.getElementById("history-sbs-download");
+  if (download) download.hidden = true;
+}
+
+/** Save the current chart as a standalone SVG — e.g. for release notes */
+function downloadSideBySide() {
+  const svg = document.querySelector("#history-sbs-chart svg");
+  if (!svg) return;
+  const subject = sbsMode === "versions" ? currentSuiteId : "libraries";
+  const name = `vlist-${subject}-${sbsMetric}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-");
+  const url = URL.createObjectURL(
+    new Blob([svg.outerHTML], { type: "image/svg+xml" }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${name}.svg`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 // =============================================================================
 // Populate Selects
 // =============================================================================
@@ -664,6 +1075,83 @@ function populateVersionSelect(versions) {
   el.innerHTML = html;
 }
 
+/** Default to the two most recently seen versions — previous vs latest */
+function populateCompareSelects(versions) {
+  const baseSelect = document.getElementById("history-compare-base");
+  const headSelect = document.getElementById("history-compare-head");
+  if (!baseSelect || !headSelect) return;
+
+  if (versions.length < 2) {
+    const html = `<option value="">Not enough versions</option>`;
+    baseSelect.innerHTML = html;
+    headSelect.innerHTML = html;
+    return;
+  }
+
+  compareHead = versions[0].version;
+  compareBase = versions[1].version;
+
+  const options = (selected) =>
+    versions
+      .map((v) => {
+        const attr = v.version === selected ? " selected" : "";
+        return `<option value="${escapeHtml(v.version)}"${attr}>${escapeHtml(v.version)}</option>`;
+      })
+      .join("");
+  baseSelect.innerHTML = options(compareBase);
+  headSelect.innerHTML = options(compareHead);
+}
+
+/** Most recently seen versions, and the first comparison libraries */
+function initSideBySidePicks(versions, suites) {
+  sbsPicks.versions = versions
+    .slice(0, SIDE_BY_SIDE_PICKS)
+    .map((v) => v.version);
+  sbsPicks.libraries = suites
+    .slice(0, SIDE_BY_SIDE_PICKS)
+    .map((s) => s.suiteId);
+}
+
+function renderSideBySidePicks() {
+  const el = document.getElementById("history-sbs-picks");
+  if (!el) return;
+
+  const options =
+    sbsMode === "versions"
+      ? (versionsData ?? []).map((v) => ({
+          value: v.version,
+          label: v.version,
+        }))
+      : (suitesData ?? []).map((s) => ({
+          value: s.suiteId,
+          label: SUITE_DISPLAY_NAMES[s.suiteId] || s.suiteId,
+        }));
+  const picked = sbsPicks[sbsMode];
+
+  el.innerHTML = options
+    .map((option) => {
+      const checked = picked.includes(option.value) ? " checked" : "";
+      return `<label class="bench-history__sbs-pick"><input type="checkbox" value="${escapeHtml(option.value)}"${checked} /> ${escapeHtml(option.label)}</label>`;
+    })
+    .join("");
+}
+
+function populateSideBySideMetric(choices) {
+  const el = document.getElementById("history-sbs-metric");
+  if (!el) return;
+
+  if (choices.length === 0) {
+    el.innerHTML = `<option value="">No metrics</option>`;
+    return;
+  }
+  el.innerHTML = choices
+    .map((choice) => {
+      const selected = choice === sbsMetric ? " selected" : "";
+      return `<option value="${escapeHtml(choice)}"${selected}>${escapeHtml(choice)}</option>`;
+    })
+    .join("");
+}
+
 function populateMetricSelect(metrics) {
   const el = document.getElementById("history-metric");
   if (!el) return;
@@ -27,13 +27,14 @@ import vlistPackage from "@floor/vlist/package.json";
 
 /**
  * POST a benchmark result to /api/benchmarks for long-term storage.
- * Fire-and-forget: failures are logged but never block the UI.
+ * Best-effort: failures never block the UI, they just leave no permalink.
  *
  * @param {import('./runner.js').BenchmarkResult} result
  * @param {object} [extra] - Additional config (stressMs, scrollSpeed)
+ * @returns {Promise<string | null>} Path of the stored run's page
  */
-const persistResult = (result, extra = {}) => {
-  if (!result.success) return; // don't store failures
+const persistResult = async (result, extra = {}) => {
+  if (!result.success) return null; // don't store failures
 
   const payload = {
     version: vlistPackage.version,
@@ -60,50 +61,22 @@ const persistResult = (result, extra = {}) => {
     screenHeight: screen.height,
   };
 
-  fetch("/api/benchmarks", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  }).catch(() => {
-    // Silent — persistence is best-effort
-  });
+  try {
+    const response = await fetch("/api/benchmarks", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    if (!response.ok) return null;
+    const { permalink } = await response.json();
+    return permalink ?? null;
+  } catch {
+    return null; // Silent — persistence is best-effort
+  }
 };
 
 // Import suites (side-effect: each calls defineSuite())
-// All benchmark suites - variants imported statically
-import "./suites/render/vanilla/suite.js";
-import "./suites/render/react/suite.js";
-import "./suites/render/solidjs/suite.js";
-import "./suites/render/vue/suite.js";
-import "./suites/render/svelte/suite.js";
-
-import "./suites/scroll/vanilla/suite.js";
-import "./suites/scroll/react/suite.js";
-import "./suites/scroll/solidjs/suite.js";
-import "./suites/scroll/vue/suite.js";
-import "./suites/scroll/svelte/suite.js";
-
-import "./suites/memory/vanilla/suite.js";
-import "./suites/memory/react/suite.js";
-import "./suites/memory/solidjs/suite.js";
-import "./suites/memory/vue/suite.js";
-import "./suites/memory/svelte/suite.js";
-
-import "./suites/scrollto/vanilla/suite.js";
-import "./suites/scrollto/react/suite.js";
-import "./suites/scrollto/solidjs/suite.js";
-import "./suites/scrollto/vue/suite.js";
-import "./suites/scrollto/svelte/suite.js";
-
-// Comparison suites
-import "./comparison/react-window.js";
-import "./comparison/react-virtuoso.js";
-import "./comparison/tanstack-virtual.js";
-import "./comparison/virtua.js";
-import "./comparison/vue-virtual-scroller.js";
-import "./comparison/solidjs.js";
-import "./comparison/legend-list.js";
-import "./comparison/clusterize.js";
+import "./suites.js";
 
 import { SCROLL_SPEEDS } from "./suites/scroll/constants.js";
 
@@ -687,9 +660,25 @@ const storeResult = (result) => {
   persistResult(result, {
     stressMs: selectedStressMs,
     scrollSpeed: selectedScrollSpeed,
+  }).then((permalink) => {
+    // Only if the card still shows this result
+    if (permalink && results[result.suiteId] === result) {
+      showPermalink(result.suiteId, permalink);
+    }
   });
 };
 
+/** Link to the stored run under the suite's metrics — for sharing */
+const showPermalink = (suiteId, permalink) => {
+  const ref = dom.suiteCards.get(suiteId);
+  if (!ref) return;
+  const link = document.createElement("a");
+  link.className = "bench-suite__permalink";
+  link.href = permalink;
+  link.textContent = "🔗 Permalink to this run";
+  ref.metricsContainer.appendChild(link);
+};
+
 const setRunningState = (running) => {
   if (dom.runBtn) {
     dom.runBtn.textContent = running ? "■ Stop" : "▶ Run";
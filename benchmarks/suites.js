@@ -0,0 +1,40 @@
+// benchmarks/suites.js — Suite registry
+//
+// Importing this module registers every benchmark suite via `defineSuite()`.
+// Shared by the dashboard (script.js) and the headless runner (headless.js)
+// so both always see the same suites.
+
+// Variant suites — imported statically
+import "./suites/render/vanilla/suite.js";
+import "./suites/render/react/suite.js";
+import "./suites/render/solidjs/suite.js";
+import "./suites/render/vue/suite.js";
+import "./suites/render/svelte/suite.js";
+
+import "./suites/scroll/vanilla/suite.js";
+import "./suites/scroll/react/suite.js";
+import "./suites/scroll/solidjs/suite.js";
+import "./suites/scroll/vue/suite.js";
+import "./suites/scroll/svelte/suite.js";
+
+import "./suites/memory/vanilla/suite.js";
+import "./suites/memory/react/suite.js";
+import "./suites/memory/solidjs/suite.js";
+import "./suites/memory/vue/suite.js";
+import "./suites/memory/svelte/suite.js";
+
+import "./suites/scrollto/vanilla/suite.js";
+import "./suites/scrollto/react/suite.js";
+import "./suites/scrollto/solidjs/suite.js";
+import "./suites/scrollto/vue/suite.js";
+import "./suites/scrollto/svelte/suite.js";
+
+// Comparison suites
+import "./comparison/react-window.js";
+import "./comparison/react-virtuoso.js";
+import "./comparison/tanstack-virtual.js";
+import "./comparison/virtua.js";
+import "./comparison/vue-virtual-scroller.js";
+import "./comparison/solidjs.js";
+import "./comparison/legend-list.js";
+import "./comparison/clusterize.js";
@@ -387,6 +387,53 @@ export function buildHistoryPageHTML() {
         </div>
       </div>
 
+      <!-- Version Comparison Card -->
+      <div class="ui-card ui-card--xl bench-history__compare-card" id="history-compare">
+        <h2 class="bench-history__section-title">Version Comparison</h2>
+        <p class="bench-history__section-desc">Mann-Whitney test per metric, comparing runs only within the same browser and hardware bucket. Flagged when significant after false-discovery correction and the effect is not negligible.</p>
+        <div class="bench-history__metric-select-row bench-history__compare-row">
+          <label class="bench-history__filter-label">Base</label>
+          <select class="bench-history__select" id="history-compare-base">
+            <option value="">Loading…</option>
+          </select>
+          <label class="bench-history__filter-label">Head</label>
+          <select class="bench-history__select" id="history-compare-head">
+            <option value="">Loading…</option>
+          </select>
+        </div>
+        <div id="history-compare-content">
+          <div class="bench-history__loading">Select two versions to compare…</div>
+        </div>
+      </div>
+
+      <!-- Side-by-side Card -->
+      <div class="ui-card ui-card--xl bench-history__sbs-card" id="history-sbs">
+        <h2 class="bench-history__section-title">Side by Side</h2>
+        <p class="bench-history__section-desc" id="history-sbs-desc">Medians with 95% confidence intervals — several vlist versions of the selected library, or several libraries in one version.</p>
+        <div class="bench-history__metric-select-row bench-history__sbs-row">
+          <div class="ui-segmented" id="history-sbs-mode">
+            <button class="ui-segmented__btn ui-segmented__btn--active" data-mode="versions">Versions</button>
+            <button class="ui-segmented__btn" data-mode="libraries">Libraries</button>
+          </div>
+          <div class="ui-segmented" id="history-sbs-style">
+            <button class="ui-segmented__btn ui-segmented__btn--active" data-style="bars">Bars</button>
+            <button class="ui-segmented__btn" data-style="box">Box plot</button>
+          </div>
+          <label class="bench-history__filter-label">Metric</label>
+          <select class="bench-history__select" id="history-sbs-metric">
+            <option value="">Select suite first</option>
+          </select>
+        </div>
+        <div class="bench-history__sbs-picks" id="history-sbs-picks"></div>
+        <div class="bench-history__chart-container" id="history-sbs-chart">
+          <div class="bench-history__loading">Loading…</div>
+        </div>
+        <div class="bench-history__sbs-footer">
+          <span class="bench-history__compare-summary" id="history-sbs-summary"></span>
+          <button class="ui-btn bench-history__sbs-download" id="history-sbs-download" hidden>Download SVG</button>
+        </div>
+      </div>
+
       <!-- Browsers Card -->
       <div class="ui-card ui-card--xl bench-history__browsers-card" id="history-browsers">
         <h2 class="bench-history__section-title">Browser Breakdown</h2>
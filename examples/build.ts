@@ -9,16 +9,21 @@ import {
   statSync,
   watch,
 } from "fs";
-import { join, resolve, dirname } from "path";
+import { join, resolve } from "path";
 import { preCompress, formatKB, gzipSize } from "../scripts/build-utils";
+import {
+  FRAMEWORKS,
+  SCRIPT_EXTENSIONS,
+  frameworkBuildOptions,
+  minifyCss,
+  type Framework,
+} from "../scripts/example-plugins";
 import { createHash } from "crypto";
-import { transformSync } from "@babel/core";
 
 const isWatch = process.argv.includes("--watch");
 const isForce = process.argv.includes("--force");
 
 const EXAMPLES_DIR = "./examples";
-const PROJECT_ROOT = resolve(".");
 const MANIFEST_PATH = join("dist", EXAMPLES_DIR, ".manifest.json");
 
 const BUILD_OPTIONS = {
@@ -28,157 +33,6 @@ const BUILD_OPTIONS = {
   sourcemap: isWatch ? ("inline" as const) : ("none" as const),
 };
 
-// =============================================================================
-// Framework dedupe plugin
-// =============================================================================
-// When vlist is linked (symlink), its node_modules/{react,vue} are separate
-// copies from vlist.dev/node_modules/. Framework hooks/reactivity crash if two
-// copies coexist. This plugin forces all framework imports to resolve from
-// vlist.dev's node_modules, guaranteeing a single instance in the bundle.
-//
-// Vue: resolves to the compiler-included build (vue.esm-bundler.js) so that
-// string `template` options work at runtime without .vue SFC compilation.
-//
-// vlist: resolves bare "vlist" imports to "@floor/vlist" via the package.json
-// "imports" field mapping (which Bun's bundler doesn't natively support).
-
-// =============================================================================
-// SolidJS Babel plugin
-// =============================================================================
-// SolidJS requires babel-preset-solid to compile JSX into createComponent()
-// calls — it does NOT use the standard React-style jsx/jsxs runtime.
-// This plugin intercepts .jsx/.tsx files inside solidjs/ variant directories
-// and transforms them through Babel before Bun processes the output.
-
-// SolidJS needs two plugins:
-// 1. Babel transform — compiles JSX into createComponent() / template() calls
-//    (SolidJS does NOT use the standard React-style jsx/jsxs runtime)
-// 2. Browser resolver — solid-js exports have "browser" and "node" conditions;
-//    require.resolve picks "node" → server.js which throws "Client-only API
-//    called on the server side". We resolve to browser entry points explicitly.
-
-const solidJsxPlugin: import("bun").BunPlugin = {
-  name: "solid-jsx",
-  setup(build) {
-    build.onLoad({ filter: /solidjs\/.*\.[jt]sx$/ }, async (args) => {
-      const code = readFileSync(args.path, "utf-8");
-      const result = transformSync(code, {
-        filename: args.path,
-        presets: [["babel-preset-solid"]],
-        // Preserve ES modules for Bun to bundle
-        parserOpts: {
-          plugins: args.path.endsWith(".tsx") ? ["typescript", "jsx"] : ["jsx"],
-        },
-      });
-      return {
-        contents: result?.code ?? code,
-        loader: args.path.endsWith(".tsx") ? "ts" : "js",
-      };
-    });
-  },
-};
-
-const solidBrowserPlugin: import("bun").BunPlugin = {
-  name: "solid-browser",
-  setup(build) {
-    build.onResolve({ filter: /^solid-js$/ }, () => ({
-      path: resolve(join(PROJECT_ROOT, "node_modules/solid-js/dist/solid.js")),
-    }));
-    build.onResolve({ filter: /^solid-js\/web$/ }, () => ({
-      path: resolve(
-        join(PROJECT_ROOT, "node_modules/solid-js/web/dist/web.js"),
-      ),
-    }));
-  },
-};
-
-const frameworkDedupePlugin: import("bun").BunPlugin = {
-  name: "dedupe-frameworks",
-  setup(build) {
-    // Resolve vlist dist directory once — used for all "vlist" and "vlist/*" imports
-    const vlistDist = dirname(
-      require.resolve("@floor/vlist", { paths: [PROJECT_ROOT] }),
-    );
-
-    // vlist — resolve bare "vlist" and JS subpaths like "vlist/internals"
-    // "vlist"           → dist/index.js
-    // "vlist/internals" → dist/internals.js
-    // Other subpaths (e.g. "vlist/styles") fall through to default resolution.
-    const VLIST_JS_ENTRIES: Record<string, string> = {
-      vlist: "index.js",
-      "vlist/internals": "internals.js",
-    };
-    build.onResolve({ filter: /^vlist(\/.*)?$/ }, (args) => {
-      const entry = VLIST_JS_ENTRIES[args.path];
-      if (entry) return { path: join(vlistDist, entry) };
-    });
-
-    // vlist adapters — resolve to separate packages
-    // "vlist-react" → "vlist-react"
-    // "vlist-vue" → "vlist-vue"
-    // "vlist-svelte" → "vlist-svelte"
-    // "vlist-solidjs" → "vlist-solidjs"
-    build.onResolve(
-      { filter: /^vlist-(react|vue|svelte|solidjs)$/ },
-      (args) => {
-        try {
-          const resolved = require.resolve(args.path, {
-            paths: [PROJECT_ROOT],
-          });
-          return { path: resolved };
-        } catch {
-          return undefined;
-        }
-      },
-    );
-
-    // React + ReactDOM
-    build.onResolve({ filter: /^react(-dom)?(\/.*)?$/ }, (args) => {
-      try {
-        const resolved = require.resolve(args.path, {
-          paths: [PROJECT_ROOT],
-        });
-        return { path: resolved };
-      } catch {
-        return undefined;
-      }
-    });
-
-    // Vue — resolve to compiler-included build for template string support
-    build.onResolve({ filter: /^vue$/ }, () => {
-      try {
-        const resolved = require.resolve("vue/dist/vue.esm-bundler.js", {
-          paths: [PROJECT_ROOT],
-        });
-        return { path: resolved };
-      } catch {
-        return undefined;
-      }
-    });
-
-    // Vue sub-paths (@vue/runtime-core, @vue/reactivity, etc.)
-    build.onResolve({ filter: /^@vue\// }, (args) => {
-      try {
-        const resolved = require.resolve(args.path, {
-          paths: [PROJECT_ROOT],
-        });
-        return { path: resolved };
-      } catch {
-        return undefined;
-      }
-    });
-  },
-};
-
-function minifyCss(css: string): string {
-  return css
-    .replace(/\/\*[\s\S]*?\*\//g, "") // strip comments
-    .replace(/\s*([{}:;,>~+])\s*/g, "$1") // collapse around symbols
-    .replace(/;\}/g, "}") // drop trailing semicolons
-    .replace(/\s+/g, " ") // collapse whitespace
-    .trim();
-}
-
 interface SizeInfo {
   jsMin: number;
   jsGzip: number;
@@ -367,8 +221,14 @@ function saveManifest(manifest: Manifest): void {
   writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
 }
 
-/** Supported script entry point extensions, in priority order */
-const SCRIPT_EXTENSIONS = ["script.tsx", "script.jsx", "script.js"] as const;
+/** Framework of an example, from its variant directory name */
+function exampleFramework(name: string): Framework {
+  return (
+    FRAMEWORKS.find(
+      (f) => name.includes(`/${f}`) || name.startsWith(`${f}/`),
+    ) ?? "vanilla"
+  );
+}
 
 /** Find the script entry point for an example directory */
 function findEntrypoint(dir: string): string | null {
@@ -474,20 +334,7 @@ async function buildExample(
         writeFileSync(join(parentOutdir, "styles.css"), minified);
       }
     }
-    // Always use dedupe plugin (needed for vlist imports + frameworks)
-    // Add SolidJS Babel transform for solidjs variant directories
-    const plugins: import("bun").BunPlugin[] = [frameworkDedupePlugin];
-    if (name.includes("/solidjs") || name.startsWith("solidjs/")) {
-      plugins.push(solidJsxPlugin, solidBrowserPlugin);
-    }
-
-    // Define Vue feature flags for production builds
-    const define: Record<string, string> = {};
-    if (name.includes("/vue") || name.startsWith("vue/")) {
-      define["__VUE_OPTIONS_API__"] = "true";
-      define["__VUE_PROD_DEVTOOLS__"] = "false";
-      define["__VUE_PROD_HYDRATION_MISMATCH_DETAILS__"] = "false";
-    }
+    const { plugins, define } = frameworkBuildOptions(exampleFramework(name));
 
     let result;
     try {
@@ -496,7 +343,7 @@ async function buildExample(
         outdir,
         ...BUILD_OPTIONS,
         plugins,
-        define: Object.keys(define).length > 0 ? define : undefined,
+        define,
       });
     } catch (err) {
       const errorMsg = err instanceof Error ? err.message : String(err);
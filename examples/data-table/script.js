@@ -30,6 +30,7 @@ export let currentBorderMode = "both";
 export let sortKey = "population";
 export let sortDirection = "desc";
 export let searchQuery = "";
+export let rankByRelevance = false;
 export let filterContinent = "";
 export let loadRequests = 0;
 export let loadedCount = 0;
@@ -44,6 +45,8 @@ export function setCurrentBorderMode(v) {
   currentBorderMode = v;
 }
 export function setSearchQuery(v) {
+  // Starting a search ranks results by relevance until a header is clicked
+  if (v && !searchQuery) rankByRelevance = true;
   searchQuery = v;
 }
 export function setFilterContinent(v) {
@@ -67,7 +70,10 @@ function buildParams(offset, limit) {
     direction: sortDirection || "desc",
   });
 
-  if (searchQuery) params.set("search", searchQuery);
+  if (searchQuery) {
+    params.set("search", searchQuery);
+    if (rankByRelevance) params.set("sort", "relevance");
+  }
   if (filterContinent) params.set("continent", filterContinent);
 
   return params;
@@ -130,10 +136,10 @@ const continentCell = (item) => {
   return `<span class="ui-badge ui-badge--pill" style="background:${color};color:#fff">${name}</span>`;
 };
 
-/** City name cell with country code badge */
+/** City name cell with country code badge — search matches are highlighted */
 const nameCell = (item) => {
   const cc = item.country_code || "";
-  const name = item.name || "";
+  const name = item.highlight?.name || item.name || "";
   return `
     <div class="table-name">
       <span class="table-cc">${cc}</span>
@@ -278,6 +284,7 @@ export function getColumns() {
 // =============================================================================
 
 export async function applySort(key, direction) {
+  rankByRelevance = false;
   sortKey = key;
   sortDirection = direction || "asc";
 
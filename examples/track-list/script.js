@@ -48,10 +48,9 @@ let currentFilters = {
 // Adapter - fetches tracks from SQLite API in chunks
 // =============================================================================
 
-function buildParams(offset, limit) {
+// Sort + filters — shared by page requests and the live event stream
+function buildViewParams() {
   const params = new URLSearchParams({
-    offset: String(offset),
-    limit: String(limit),
     sort: "id",
     direction: "desc",
   });
@@ -63,6 +62,13 @@ function buildParams(offset, limit) {
   return params;
 }
 
+function buildParams(offset, limit) {
+  const params = buildViewParams();
+  params.set("offset", String(offset));
+  params.set("limit", String(limit));
+  return params;
+}
+
 const tracksAdapter = {
   read: async ({ offset, limit }) => {
     loadRequests++;
@@ -371,9 +377,8 @@ btnAddTrack.addEventListener("click", async () => {
 
     if (!response.ok) throw new Error("Failed to create track");
 
+    // The list reloads when the "created" event arrives on the live stream
     alert("Track created successfully!");
-    loadedCount = 0;
-    await list.reload();
   } catch (error) {
     alert("Failed to create track: " + error.message);
   }
@@ -385,12 +390,20 @@ async function deleteSelected() {
 
   const items = list.getSelectedItems();
 
-  // Delete from server
-  const promises = items.map((track) =>
-    fetch(`${API_BASE}/${track.id}`, { method: "DELETE" }),
-  );
+  // Delete from server — one atomic batch instead of a request per row
+  const response = await fetch(`${API_BASE}/batch`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      operations: items.map((track) => ({ op: "delete", id: track.id })),
+    }),
+  });
 
-  await Promise.all(promises);
+  if (!response.ok) {
+    const { error } = await response.json();
+    alert("Failed to delete tracks: " + error);
+    return;
+  }
 
   // Remove each item from the list, tracking the lowest index for auto-select.
   // We delete from highest index to lowest so earlier deletions don't shift
@@ -451,6 +464,47 @@ document.addEventListener("keydown", (e) => {
   }
 });
 
+// =============================================================================
+// Live Updates — Server-Sent Events from /api/tracks/events
+// =============================================================================
+// Every create/update/delete (from this tab or any other client, whichever
+// server instance handled it) arrives with the row's index under our
+// sort/filter, so the list can be patched in place. A "reset" means more rows
+// changed at once than the server lists — reload.
+
+let trackEvents = null;
+
+function connectTrackEvents() {
+  trackEvents?.close();
+  trackEvents = new EventSource(`${API_BASE}/events?${buildViewParams()}`);
+
+  // Inserting at an arbitrary index isn't possible with lazily loaded
+  // chunks, so a new row inside our view triggers a reload
+  trackEvents.addEventListener("created", (e) => {
+    const { index } = JSON.parse(e.data);
+    if (index === null) return;
+    loadedCount = 0;
+    list.reload();
+  });
+
+  trackEvents.addEventListener("updated", (e) => {
+    const { track, index } = JSON.parse(e.data);
+    if (index === null) list.removeItem(track.id);
+    else list.updateItem(track.id, track);
+  });
+
+  // Rows deleted from this tab are already gone — removeItem is a no-op then
+  trackEvents.addEventListener("deleted", (e) => {
+    const { track } = JSON.parse(e.data);
+    list.removeItem(track.id);
+  });
+
+  trackEvents.addEventListener("reset", () => {
+    loadedCount = 0;
+    list.reload();
+  });
+}
+
 // =============================================================================
 // Event Bindings
 // =============================================================================
@@ -481,6 +535,7 @@ function bindListEvents() {
 
 async function init() {
   createList(currentSelectionMode);
+  connectTrackEvents();
 }
 
 init();
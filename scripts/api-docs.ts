@@ -0,0 +1,85 @@
+// scripts/api-docs.ts
+// Regenerates the API sections of docs/api/reference.md, types.md and
+// events.md from the installed @floor/vlist type declarations
+// (see src/server/api-reference.ts).
+//
+// Usage:
+//   bun run scripts/api-docs.ts           # rewrite the generated sections
+//   bun run scripts/api-docs.ts --check   # fail on missing, stale or undocumented API docs
+
+import { existsSync, readdirSync } from "fs";
+import { join } from "path";
+import { ROOT, VLIST_ROOT } from "../src/server/config";
+import {
+  extractApi,
+  renderApiPages,
+  resolveTypesEntry,
+  writeApiDocs,
+  checkApiDocs,
+  findUndocumented,
+} from "../src/server/api-reference";
+
+// =============================================================================
+// Config
+// =============================================================================
+
+const CHECK = process.argv.includes("--check");
+const DOCS_DIR = join(ROOT, "docs");
+const FEATURES_DIR = join(DOCS_DIR, "features");
+
+if (!VLIST_ROOT) {
+  console.error("\n  ❌ @floor/vlist is not installed — run bun install\n");
+  process.exit(1);
+}
+
+// =============================================================================
+// Run
+// =============================================================================
+
+console.log(
+  `\n  📚 ${CHECK ? "Checking" : "Generating"} API docs from ${VLIST_ROOT}\n`,
+);
+
+try {
+  const model = extractApi(resolveTypesEntry(VLIST_ROOT));
+  const pages = existsSync(FEATURES_DIR)
+    ? readdirSync(FEATURES_DIR)
+        .filter((file) => file.endsWith(".md"))
+        .map((file) => `features/${file.slice(0, -3)}`)
+    : [];
+  const sections = renderApiPages(model, { pages });
+
+  console.log(
+    `  ${model.functions.length} functions, ${model.features.length} features, ${model.types.length} types, ${model.options.length} options, ${model.events.length} events`,
+  );
+
+  if (CHECK) {
+    const problems = [
+      ...checkApiDocs(DOCS_DIR, sections),
+      ...findUndocumented(model),
+    ];
+    if (problems.length > 0) {
+      console.error("");
+      for (const { kind, message } of problems) {
+        console.error(`  ❌ ${kind.padEnd(12)} ${message}`);
+      }
+      console.error(
+        `\n  ${problems.length} problem${problems.length === 1 ? "" : "s"} — run bun run docs:api, and document the exports in vlist\n`,
+      );
+      process.exit(1);
+    }
+    console.log(`\n  ✅ API docs are up to date\n`);
+  } else {
+    const changed = writeApiDocs(DOCS_DIR, sections);
+    for (const page of changed) console.log(`  ✏️  docs/${page}`);
+    for (const { message } of findUndocumented(model)) {
+      console.warn(`  ⚠️  ${message}`);
+    }
+    console.log(
+      changed.length > 0 ? `\n  Done! 🎉\n` : `\n  Already up to date.\n`,
+    );
+  }
+} catch (err) {
+  console.error(`\n  ❌ ${err instanceof Error ? err.message : err}\n`);
+  process.exit(1);
+}
@@ -0,0 +1,186 @@
+// scripts/example-plugins.ts
+// Bun bundler plugins and options shared by examples/build.ts and the
+// POST /api/bundle endpoint, so playground bundles resolve exactly like the
+// prebuilt examples.
+
+import { readFileSync } from "fs";
+import { join, resolve, dirname } from "path";
+
+const PROJECT_ROOT = resolve(import.meta.dir, "..");
+
+/** Supported script entry point names, in priority order */
+export const SCRIPT_EXTENSIONS = [
+  "script.tsx",
+  "script.jsx",
+  "script.js",
+] as const;
+
+export const FRAMEWORKS = [
+  "vanilla",
+  "react",
+  "vue",
+  "svelte",
+  "solidjs",
+] as const;
+
+export type Framework = (typeof FRAMEWORKS)[number];
+
+// =============================================================================
+// Framework dedupe plugin
+// =============================================================================
+// When vlist is linked (symlink), its node_modules/{react,vue} are separate
+// copies from vlist.dev/node_modules/. Framework hooks/reactivity crash if two
+// copies coexist. This plugin forces all framework imports to resolve from
+// vlist.dev's node_modules, guaranteeing a single instance in the bundle.
+//
+// Vue: resolves to the compiler-included build (vue.esm-bundler.js) so that
+// string `template` options work at runtime without .vue SFC compilation.
+//
+// vlist: resolves bare "vlist" imports to "@floor/vlist" via the package.json
+// "imports" field mapping (which Bun's bundler doesn't natively support).
+
+/** Resolve a package from vlist.dev's node_modules, or undefined if absent */
+function resolveFromRoot(specifier: string): { path: string } | undefined {
+  try {
+    return { path: require.resolve(specifier, { paths: [PROJECT_ROOT] }) };
+  } catch {
+    return undefined;
+  }
+}
+
+export const frameworkDedupePlugin: import("bun").BunPlugin = {
+  name: "dedupe-frameworks",
+  setup(build) {
+    // vlist — resolve bare "vlist" and JS subpaths like "vlist/internals"
+    // "vlist"           → dist/index.js
+    // "vlist/internals" → dist/internals.js
+    // Other subpaths (e.g. "vlist/styles") fall through to default resolution.
+    // The dist directory is resolved on first use, so builds that never
+    // import vlist work without it installed.
+    const VLIST_JS_ENTRIES: Record<string, string> = {
+      vlist: "index.js",
+      "vlist/internals": "internals.js",
+    };
+    let vlistDist: string | undefined;
+    build.onResolve({ filter: /^vlist(\/.*)?$/ }, (args) => {
+      const entry = VLIST_JS_ENTRIES[args.path];
+      if (!entry) return undefined;
+      vlistDist ??= dirname(
+        require.resolve("@floor/vlist", { paths: [PROJECT_ROOT] }),
+      );
+      return { path: join(vlistDist, entry) };
+    });
+
+    // vlist adapters — resolve to separate packages
+    // "vlist-react" → "vlist-react"
+    // "vlist-vue" → "vlist-vue"
+    // "vlist-svelte" → "vlist-svelte"
+    // "vlist-solidjs" → "vlist-solidjs"
+    build.onResolve({ filter: /^vlist-(react|vue|svelte|solidjs)$/ }, (args) =>
+      resolveFromRoot(args.path),
+    );
+
+    // React + ReactDOM
+    build.onResolve({ filter: /^react(-dom)?(\/.*)?$/ }, (args) =>
+      resolveFromRoot(args.path),
+    );
+
+    // Vue — resolve to compiler-included build for template string support
+    build.onResolve({ filter: /^vue$/ }, () =>
+      resolveFromRoot("vue/dist/vue.esm-bundler.js"),
+    );
+
+    // Vue sub-paths (@vue/runtime-core, @vue/reactivity, etc.)
+    build.onResolve({ filter: /^@vue\// }, (args) =>
+      resolveFromRoot(args.path),
+    );
+  },
+};
+
+// =============================================================================
+// SolidJS plugins
+// =============================================================================
+// SolidJS needs two plugins:
+// 1. Babel transform — compiles JSX into createComponent() / template() calls
+//    (SolidJS does NOT use the standard React-style jsx/jsxs runtime). Only
+//    .jsx/.tsx files inside a solidjs/ directory are transformed.
+// 2. Browser resolver — solid-js exports have "browser" and "node" conditions;
+//    require.resolve picks "node" → server.js which throws "Client-only API
+//    called on the server side". We resolve to browser entry points explicitly.
+
+export const solidJsxPlugin: import("bun").BunPlugin = {
+  name: "solid-jsx",
+  setup(build) {
+    build.onLoad({ filter: /solidjs\/.*\.[jt]sx$/ }, async (args) => {
+      // Loaded on demand — the server only pays for Babel once a Solid
+      // project is bundled
+      const { transformSync } = require("@babel/core");
+      const code = readFileSync(args.path, "utf-8");
+      const result = transformSync(code, {
+        filename: args.path,
+        cwd: PROJECT_ROOT,
+        presets: [["babel-preset-solid"]],
+        // Preserve ES modules for Bun to bundle
+        parserOpts: {
+          plugins: args.path.endsWith(".tsx") ? ["typescript", "jsx"] : ["jsx"],
+        },
+      });
+      return {
+        contents: result?.code ?? code,
+        loader: args.path.endsWith(".tsx") ? "ts" : "js",
+      };
+    });
+  },
+};
+
+export const solidBrowserPlugin: import("bun").BunPlugin = {
+  name: "solid-browser",
+  setup(build) {
+    build.onResolve({ filter: /^solid-js$/ }, () => ({
+      path: join(PROJECT_ROOT, "node_modules/solid-js/dist/solid.js"),
+    }));
+    build.onResolve({ filter: /^solid-js\/web$/ }, () => ({
+      path: join(PROJECT_ROOT, "node_modules/solid-js/web/dist/web.js"),
+    }));
+  },
+};
+
+// =============================================================================
+// Build Options
+// =============================================================================
+
+/**
+ * Plugins and defines for one framework. The dedupe plugin is always
+ * included (needed for vlist imports + frameworks); Solid adds its Babel
+ * transform, Vue its production feature flags.
+ */
+export function frameworkBuildOptions(framework: Framework): {
+  plugins: import("bun").BunPlugin[];
+  define: Record<string, string> | undefined;
+} {
+  const plugins: import("bun").BunPlugin[] = [frameworkDedupePlugin];
+  if (framework === "solidjs") {
+    plugins.push(solidJsxPlugin, solidBrowserPlugin);
+  }
+
+  if (framework === "vue") {
+    return {
+      plugins,
+      define: {
+        __VUE_OPTIONS_API__: "true",
+        __VUE_PROD_DEVTOOLS__: "false",
+        __VUE_PROD_HYDRATION_MISMATCH_DETAILS__: "false",
+      },
+    };
+  }
+  return { plugins, define: undefined };
+}
+
+export function minifyCss(css: string): string {
+  return css
+    .replace(/\/\*[\s\S]*?\*\//g, "") // strip comments
+    .replace(/\s*([{}:;,>~+])\s*/g, "$1") // collapse around symbols
+    .replace(/;\}/g, "}") // drop trailing semicolons
+    .replace(/\s+/g, " ") // collapse whitespace
+    .trim();
+}
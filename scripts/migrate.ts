@@ -0,0 +1,70 @@
+// scripts/migrate.ts
+// Applies pending schema migrations (src/api/migrations) to the SQLite
+// databases in data/. The server does the same at start; this is for
+// checking a deploy beforehand or migrating without a restart.
+//
+// Usage:
+//   bun run scripts/migrate.ts                  # every database
+//   bun run scripts/migrate.ts tracks cities    # only these
+//   bun run scripts/migrate.ts --dry-run        # run and roll back, report only
+
+import {
+  DATABASES,
+  latestVersion,
+  migrateAll,
+  type DatabaseName,
+} from "../src/api/migrations";
+
+// =============================================================================
+// Config
+// =============================================================================
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const names = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+
+for (const name of names) {
+  if (!(name in DATABASES)) {
+    console.error(
+      `\n  ❌ Unknown database "${name}" (expected ${Object.keys(DATABASES).join(", ")})\n`,
+    );
+    process.exit(1);
+  }
+}
+
+// =============================================================================
+// Run
+// =============================================================================
+
+console.log(`\n  🗄️  ${DRY_RUN ? "Checking" : "Applying"} migrations\n`);
+
+try {
+  const results = migrateAll({
+    dryRun: DRY_RUN,
+    only: names.length > 0 ? (names as DatabaseName[]) : undefined,
+  });
+
+  for (const { name, path, result } of results) {
+    const latest = latestVersion(DATABASES[name].migrations);
+    if (!result) {
+      const reason = path ? `${path} not found` : "in-memory storage";
+      console.log(`  ⏭️  ${name} — ${reason}, skipped`);
+      continue;
+    }
+    if (result.applied.length === 0) {
+      console.log(`  ✅ ${name} — up to date (version ${result.from})`);
+      continue;
+    }
+    const verb = DRY_RUN ? "would apply" : "applied";
+    console.log(
+      `  ${DRY_RUN ? "🔍" : "✅"} ${name} — version ${result.from} → ${latest}, ${verb}:`,
+    );
+    for (const { version, name: migration } of result.applied) {
+      console.log(`     ${String(version).padStart(3)}. ${migration}`);
+    }
+  }
+} catch (err) {
+  console.error(`\n  ❌ ${err instanceof Error ? err.message : err}\n`);
+  process.exit(1);
+}
+
+console.log(DRY_RUN ? `\n  Dry run — nothing changed.\n` : `\n  Done! 🎉\n`);
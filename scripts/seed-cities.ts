@@ -6,10 +6,13 @@
 //
 // Output:
 //   data/cities.db — SQLite database with a `cities` table + indexes
+//
+// Schema changes belong in src/api/migrations/cities.ts, not here.
 
 import { Database } from "bun:sqlite";
 import { existsSync, mkdirSync } from "fs";
 import { resolve, dirname } from "path";
+import { migrateDatabase } from "../src/api/migrations";
 
 // =============================================================================
 // Import source data (the heavy JS file — Bun handles it fine at import time)
@@ -71,17 +74,9 @@ db.run("PRAGMA synchronous = NORMAL");
 // Schema
 // =============================================================================
 
-db.run(`
-  CREATE TABLE IF NOT EXISTS cities (
-    id            INTEGER PRIMARY KEY AUTOINCREMENT,
-    name          TEXT    NOT NULL,
-    country_code  TEXT    NOT NULL,
-    population    INTEGER NOT NULL,
-    lat           REAL    NOT NULL,
-    lng           REAL    NOT NULL,
-    continent     TEXT    NOT NULL
-  )
-`);
+// Table, indexes and the (still empty) full-text index — the same
+// migrations the server applies (src/api/migrations/cities.ts)
+migrateDatabase("cities", db);
 
 // =============================================================================
 // Insert
@@ -122,20 +117,18 @@ const insertTime = performance.now() - start;
 console.log(`\n  ✅ Inserted ${inserted.toLocaleString()} cities in ${insertTime.toFixed(0)}ms\n`);
 
 // =============================================================================
-// Indexes
+// Full-text search
 // =============================================================================
 
-console.log("  📇 Creating indexes...");
-const indexStart = performance.now();
+console.log("  🔎 Building full-text index...");
+const ftsStart = performance.now();
 
-db.run("CREATE INDEX idx_cities_name         ON cities (name COLLATE NOCASE)");
-db.run("CREATE INDEX idx_cities_country_code ON cities (country_code)");
-db.run("CREATE INDEX idx_cities_continent    ON cities (continent)");
-db.run("CREATE INDEX idx_cities_population   ON cities (population DESC)");
-db.run("CREATE INDEX idx_cities_lat_lng      ON cities (lat, lng)");
+// cities_fts is an external-content index with no sync triggers — the table
+// is read-only at runtime — so it's rebuilt once the rows are in
+db.run("INSERT INTO cities_fts (cities_fts) VALUES ('rebuild')");
 
-const indexTime = performance.now() - indexStart;
-console.log(`  ✅ Indexes created in ${indexTime.toFixed(0)}ms\n`);
+const ftsTime = performance.now() - ftsStart;
+console.log(`  ✅ Full-text index built in ${ftsTime.toFixed(0)}ms\n`);
 
 // =============================================================================
 // Verify
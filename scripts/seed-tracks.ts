@@ -6,11 +6,15 @@
 //
 // Output:
 //   data/tracks.db — SQLite database with a `tracks` table + indexes
+//
+// Starts from scratch — tracks created through the API are lost. Schema
+// changes belong in src/api/migrations/tracks.ts, not here.
 
 import { Database } from "bun:sqlite";
 import { MongoClient } from "mongodb";
 import { existsSync, mkdirSync } from "fs";
 import { resolve, dirname } from "path";
+import { migrateDatabase } from "../src/api/migrations";
 
 // =============================================================================
 // MongoDB Configuration
@@ -123,22 +127,10 @@ db.run("PRAGMA synchronous = NORMAL");
 // Schema
 // =============================================================================
 
-db.run(`
-  CREATE TABLE IF NOT EXISTS tracks (
-    id            INTEGER PRIMARY KEY AUTOINCREMENT,
-    mongo_id      TEXT    UNIQUE NOT NULL,
-    title         TEXT    NOT NULL,
-    artist        TEXT    NOT NULL,
-    country       TEXT,
-    year          INTEGER,
-    decade        INTEGER,
-    category      TEXT,
-    duration      INTEGER,
-    cover_url     TEXT,
-    cover_color   TEXT,
-    created_at    TEXT    DEFAULT CURRENT_TIMESTAMP
-  )
-`);
+// Table, indexes, full-text index and its sync triggers — the same
+// migrations the server applies (src/api/migrations/tracks.ts), so the
+// full-text index fills as the rows go in
+migrateDatabase("tracks", db);
 
 // =============================================================================
 // Insert
@@ -196,23 +188,6 @@ console.log(
   `\n  ✅ Inserted ${inserted.toLocaleString()} tracks in ${insertTime.toFixed(0)}ms\n`,
 );
 
-// =============================================================================
-// Indexes
-// =============================================================================
-
-console.log("  📇 Creating indexes...");
-const indexStart = performance.now();
-
-db.run("CREATE INDEX idx_tracks_title    ON tracks (title COLLATE NOCASE)");
-db.run("CREATE INDEX idx_tracks_artist   ON tracks (artist COLLATE NOCASE)");
-db.run("CREATE INDEX idx_tracks_country  ON tracks (country)");
-db.run("CREATE INDEX idx_tracks_year     ON tracks (year DESC)");
-db.run("CREATE INDEX idx_tracks_decade   ON tracks (decade)");
-db.run("CREATE INDEX idx_tracks_category ON tracks (category)");
-
-const indexTime = performance.now() - indexStart;
-console.log(`  ✅ Indexes created in ${indexTime.toFixed(0)}ms\n`);
-
 // =============================================================================
 // Verify
 // =============================================================================
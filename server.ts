@@ -14,6 +14,44 @@
 
 import { PORT, VLIST_ROOT } from "./src/server/config";
 import { handleRequest } from "./src/server/router";
+import { migrateAll } from "./src/api/migrations";
+import { getSearchIndex } from "./src/api/search";
+
+// =============================================================================
+// Migrations
+// =============================================================================
+//
+// Every PM2 instance runs this; the first to start applies pending migrations
+// and the rest find nothing to do. A database the server can't migrate — or
+// one migrated by a newer release — stops it before it serves anything.
+
+try {
+  for (const { name, result } of migrateAll()) {
+    for (const { version, name: migration } of result?.applied ?? []) {
+      console.log(
+        `  🗄️  ${name}: applied migration ${version} (${migration})`,
+      );
+    }
+  }
+} catch (err) {
+  console.error(
+    "  ❌ Migration failed:",
+    err instanceof Error ? err.message : err,
+  );
+  process.exit(1);
+}
+
+// =============================================================================
+// Search Index
+// =============================================================================
+//
+// Built here rather than on the first search, so no visitor waits for it.
+
+const searchStart = performance.now();
+const { size: searchSections } = getSearchIndex();
+console.log(
+  `  🔎 search: indexed ${searchSections} sections in ${Math.round(performance.now() - searchStart)}ms`,
+);
 
 // =============================================================================
 // Start
@@ -1,6 +1,7 @@
 // src/api/benchmarks.ts
 // Benchmarks API — crowdsourced benchmark result storage and aggregation.
-// Backed by SQLite (data/benchmarks.db), created by scripts/seed-benchmarks.ts.
+// Backed by SQLite through a pluggable storage backend (see ./storage): the
+// data/benchmarks.db file by default, created on first use.
 //
 // Two separate table pairs:
 //   - benchmark_runs + benchmark_metrics    → vlist suite results (render, scroll, memory, scrollto)
@@ -8,41 +9,107 @@
 //
 // The POST endpoint auto-routes to the correct tables based on suite ID.
 // GET endpoints accept a `type=comparison|suite` param (defaults to "comparison" for history page).
+// Routes are declared in BENCHMARK_ROUTES, which also feeds the OpenAPI document.
+// stats, history and summary also take cohort filters (browser, os, device,
+// cores, memory — see ./cohorts) for apples-to-apples numbers.
+// Every stored run is scored for quality (see ./quality); aggregations skip
+// or down-weight low-quality runs according to the `quality` param.
 //
 // Endpoints:
 //   POST /api/benchmarks                — store a result (auto-routed by suite ID)
 //   GET  /api/benchmarks/stats          — aggregated stats
 //   GET  /api/benchmarks/history        — time-series data for charts
+//   GET  /api/benchmarks/compare        — significance test between two versions
 //   GET  /api/benchmarks/versions       — list all known versions
 //   GET  /api/benchmarks/suites         — list all known suite IDs
 //   GET  /api/benchmarks/browsers       — browser breakdown
 //   GET  /api/benchmarks/summary        — high-level overview
+//   GET  /api/benchmarks/runs/:id       — one run with its cohort percentiles
+//   GET  /api/benchmarks/export         — every run as an archive (NDJSON or zip)
+//   POST /api/benchmarks/import         — load an archive (admin token required)
 
 import { Database } from "bun:sqlite";
-import { resolve } from "path";
-import { existsSync } from "fs";
+import { timingSafeEqual } from "crypto";
+import { ref, arrayOf, object, type SchemaObject } from "./openapi";
+import type { ParamSchemas } from "./params";
+import {
+  createRouteTable,
+  validateParams,
+  describeParamErrors,
+} from "./routes";
+import {
+  exportResponse,
+  type CustomFormat,
+  type ExportRow,
+  type RowScan,
+} from "./export";
+import { createZipWriter, readZip } from "./zip";
+import { createStorageFromEnv, type BenchmarkStorage } from "./storage";
+import {
+  createRateLimiter,
+  createSqliteRateLimitStore,
+  clientIp,
+  rateLimitHeaders,
+  RATE_LIMIT_HEADER_NAMES,
+  RATE_LIMIT_RESPONSE_HEADERS,
+} from "./ratelimit";
+import { hashETag } from "../server/etag";
+import { stratifiedRankTest, adjustPValues, type Sample } from "./significance";
+import {
+  COHORT_PARAMS,
+  browserName,
+  cohortFilter,
+  cohortFromUrl,
+  browserOf,
+  osOf,
+  deviceOf,
+  coresBucket,
+  memoryBucket,
+  type Cohort,
+} from "./cohorts";
+import {
+  QUALITY_PARAM,
+  MIN_QUALITY,
+  DUPLICATE_WINDOW,
+  fingerprint,
+  scoreSubmission,
+  rejectOutliers,
+  weightedPercentile,
+  type QualityFlag,
+  type QualityMode,
+  type QualityScore,
+  type ScoredSubmission,
+} from "./quality";
 
 // =============================================================================
-// Database Connection (singleton)
+// Storage (see ./storage)
 // =============================================================================
 
-const DB_PATH = resolve(import.meta.dir, "../../data/benchmarks.db");
+let storage: BenchmarkStorage | null = null;
 
-let db: Database | null = null;
+/**
+ * Swap the storage backend — tests install an in-memory one. The previous
+ * backend is closed. Pass null to fall back to BENCHMARK_STORAGE on next use.
+ */
+export function setBenchmarkStorage(next: BenchmarkStorage | null): void {
+  if (storage && storage !== next) storage.close();
+  storage = next;
+}
 
-function getDb(): Database {
-  if (!db) {
-    if (!existsSync(DB_PATH)) {
-      throw new Error(
-        "benchmarks.db not found. Run: bun run scripts/seed-benchmarks.ts",
-      );
+function getStorage(): BenchmarkStorage {
+  if (!storage) {
+    try {
+      storage = createStorageFromEnv();
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      throw new Error(`Benchmark storage unavailable: ${message}`);
     }
-    db = new Database(DB_PATH);
-    db.run("PRAGMA journal_mode = WAL");
-    db.run("PRAGMA cache_size = -4000"); // 4 MB cache
-    db.run("PRAGMA foreign_keys = ON");
   }
-  return db;
+  return storage;
+}
+
+function getDb(): Database {
+  return getStorage().db;
 }
 
 // =============================================================================
@@ -125,6 +192,9 @@ interface AggregatedMetric {
   p95: number;
   stddev: number;
   sampleCount: number;
+  /** 95% confidence interval of the median */
+  ciLow: number;
+  ciHigh: number;
 }
 
 interface StatsResult {
@@ -145,6 +215,53 @@ interface HistoryPoint {
   sampleCount: number;
 }
 
+/**
+ * Outcome of comparing head against base for one metric:
+ *   regression / improvement — significant and not negligible, in the
+ *                              metric's `better` direction
+ *   changed                  — significant, but the metric has no direction
+ *   unchanged                — no significant, non-negligible difference
+ *   insufficient             — too few comparable samples to tell
+ */
+type Verdict =
+  "regression" | "improvement" | "changed" | "unchanged" | "insufficient";
+
+interface VersionSide {
+  median: number;
+  sampleCount: number;
+}
+
+interface MetricComparison {
+  suiteId: string;
+  itemCount: number;
+  metric: string;
+  unit: string;
+  better: string;
+  base: VersionSide;
+  head: VersionSide;
+  /** Median change from base to head, in percent (null if base median is 0) */
+  change: number | null;
+  /** Browser/hardware buckets with samples from both versions */
+  strata: number;
+  /** Samples left out because their bucket has no counterpart */
+  unmatched: number;
+  /** Cliff's delta — positive when head values are larger */
+  effectSize: number | null;
+  p: number | null;
+  /** Benjamini-Hochberg adjusted p-value across all compared metrics */
+  pAdjusted: number | null;
+  verdict: Verdict;
+}
+
+interface VersionComparison {
+  base: string;
+  head: string;
+  alpha: number;
+  items: MetricComparison[];
+  total: number;
+  summary: Record<Verdict, number>;
+}
+
 interface VersionInfo {
   version: string;
   firstSeen: string;
@@ -158,6 +275,50 @@ interface BrowserInfo {
   lastSeen: string;
 }
 
+/** Where a run's value sits among its cohort's */
+interface CohortPosition {
+  median: number;
+  p5: number;
+  p95: number;
+  sampleCount: number;
+  /** Share of cohort values below this run's, 0-100 (ties count half) */
+  percentile: number;
+}
+
+interface RunMetric extends MetricInput {
+  /** null when no cohort run reported this metric */
+  cohort: CohortPosition | null;
+}
+
+/** One stored run with its environment — the permalink page */
+export interface RunDetail {
+  id: number;
+  table: TableType;
+  createdAt: string;
+  version: string;
+  suiteId: string;
+  itemCount: number;
+  duration: number | null;
+  success: boolean;
+  error: string | null;
+  stressMs: number;
+  scrollSpeed: number;
+  environment: {
+    userAgent: string | null;
+    browser: string;
+    os: string;
+    device: "mobile" | "desktop";
+    hardwareConcurrency: number | null;
+    deviceMemory: number | null;
+    screenWidth: number | null;
+    screenHeight: number | null;
+  };
+  quality: QualityScore;
+  /** Runs compared against — same version, suite config, browser, OS and device */
+  cohort: { browser: string; os: string; device: string; runs: number };
+  metrics: RunMetric[];
+}
+
 // =============================================================================
 // Validation
 // =============================================================================
@@ -172,32 +333,6 @@ const MAX_METRICS_PER_RESULT = 50;
 const VALID_ITEM_COUNTS = [1_000, 10_000, 100_000, 1_000_000];
 const VALID_BETTER = ["lower", "higher", "none"];
 
-/** Rate limiting: max submissions per IP per minute */
-const RATE_LIMIT_WINDOW_MS = 60_000;
-const RATE_LIMIT_MAX = 30;
-const rateLimitMap = new Map<string, { count: number; resetAt: number }>();
-
-function isRateLimited(ip: string): boolean {
-  const now = Date.now();
-  const entry = rateLimitMap.get(ip);
-
-  if (!entry || now > entry.resetAt) {
-    rateLimitMap.set(ip, { count: 1, resetAt: now + RATE_LIMIT_WINDOW_MS });
-    return false;
-  }
-
-  entry.count++;
-  return entry.count > RATE_LIMIT_MAX;
-}
-
-// Periodically clean up expired rate limit entries
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, entry] of rateLimitMap) {
-    if (now > entry.resetAt) rateLimitMap.delete(ip);
-  }
-}, 5 * 60_000);
-
 function validateResult(data: unknown): {
   valid: boolean;
   error?: string;
@@ -358,21 +493,56 @@ function validateResult(data: unknown): {
 // Storage
 // =============================================================================
 
-function storeResult(result: BenchmarkResultInput): {
+/** Bearer token for admin endpoints (import) — unset disables them */
+const ADMIN_TOKEN = () => process.env.BENCHMARK_ADMIN_TOKEN;
+
+/**
+ * Salted hash of a client IP — anomalies are tracked without storing IPs.
+ * The salt lives in the database (migration 4), so every process sharing
+ * it hashes a client the same way.
+ */
+function hashClient(ip: string): string {
+  const { value: salt } = getDb()
+    .query("SELECT value FROM settings WHERE key = 'client_salt'")
+    .get() as { value: string };
+  return new Bun.CryptoHasher("sha256")
+    .update(`${salt}:${ip}`)
+    .digest("hex")
+    .slice(0, 32);
+}
+
+function storeResult(
+  result: BenchmarkResultInput,
+  clientHash: string,
+): {
   runId: number;
   type: TableType;
+  quality: QualityScore;
 } {
   const database = getDb();
   const type = tableType(result.suiteId);
   const t = tables(type);
+  const print = fingerprint(result);
 
   const insertRun = database.prepare(`
     INSERT INTO ${t.runs} (
       version, suite_id, item_count,
       user_agent, hardware_concurrency, device_memory, screen_width, screen_height,
       duration_ms, success, error,
-      stress_ms, scroll_speed
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      stress_ms, scroll_speed,
+      quality, quality_flags, fingerprint, client_hash
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const findDuplicate = database.prepare(`
+    SELECT 1 FROM ${t.runs}
+    WHERE fingerprint = ? AND created_at >= datetime('now', ?)
+    LIMIT 1
+  `);
+
+  const countRecent = database.prepare(`
+    SELECT COUNT(*) as count FROM ${t.runs}
+    WHERE client_hash = ? AND suite_id = ? AND created_at >= datetime('now', '-1 hour')
   `);
 
   const insertMetric = database.prepare(`
@@ -380,7 +550,15 @@ function storeResult(result: BenchmarkResultInput): {
     VALUES (?, ?, ?, ?, ?, ?)
   `);
 
+  // Scored inside the transaction so concurrent duplicates see each other
   const runInsert = database.transaction(() => {
+    const quality = scoreSubmission(result, {
+      duplicate: findDuplicate.get(print, DUPLICATE_WINDOW) !== null,
+      recentFromClient: (
+        countRecent.get(clientHash, result.suiteId) as { count: number }
+      ).count,
+    });
+
     const info = insertRun.run(
       result.version,
       result.suiteId,
@@ -395,6 +573,10 @@ function storeResult(result: BenchmarkResultInput): {
       result.error ?? null,
       result.stressMs ?? 0,
       result.scrollSpeed ?? 0,
+      quality.score,
+      quality.flags.join(",") || null,
+      print,
+      clientHash,
     );
 
     const runId = Number(info.lastInsertRowid);
@@ -410,10 +592,416 @@ function storeResult(result: BenchmarkResultInput): {
       );
     }
 
-    return runId;
+    return { runId, quality };
   });
 
-  return { runId: runInsert(), type };
+  return { ...runInsert(), type };
+}
+
+// =============================================================================
+// Archive — export / import
+// =============================================================================
+//
+// A portable copy of stored runs, for moving data between deployments and
+// for offline backups. One record per run, metrics inlined, no row IDs —
+// imports route records by suite ID like POST does. As NDJSON the first
+// line is the manifest; as a zip the manifest is manifest.json and the
+// records are runs.ndjson. Client hashes stay behind (their salt is per
+// deployment).
+
+const ARCHIVE_FORMAT = "vlist-benchmarks";
+
+/** Bump when the record shape changes — imports read every version up to it */
+const ARCHIVE_SCHEMA_VERSION = 1;
+
+/** Problems listed in an import report — the rest are only counted */
+const MAX_IMPORT_ERRORS = 50;
+
+const CREATED_AT = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const QUALITY_FLAGS: readonly QualityFlag[] = [
+  "impossible-value",
+  "throttled",
+  "duplicate",
+  "client-burst",
+];
+
+type ArchiveType = TableType | "all";
+
+interface ArchiveManifest {
+  format: typeof ARCHIVE_FORMAT;
+  schemaVersion: number;
+  exportedAt: string;
+  type: ArchiveType;
+  since: string | null;
+}
+
+interface ImportReport {
+  schemaVersion: number;
+  dryRun: boolean;
+  imported: Record<TableType, number>;
+  duplicates: number;
+  invalid: number;
+  /** The first MAX_IMPORT_ERRORS problems, by record number */
+  errors: string[];
+}
+
+/** Every run of the archived tables, oldest first within each table */
+function scanArchive(type: ArchiveType, since?: string): RowScan {
+  const types: TableType[] = type === "all" ? ["comparison", "suite"] : [type];
+  const select = (t: TableNames) => `
+    SELECT
+      r.created_at, r.version, r.suite_id, r.item_count,
+      r.user_agent, r.hardware_concurrency, r.device_memory,
+      r.screen_width, r.screen_height,
+      r.duration_ms, r.success, r.error, r.stress_ms, r.scroll_speed,
+      r.quality, r.quality_flags,
+      (
+        SELECT json_group_array(json_object(
+          'label', label, 'value', value, 'unit', unit,
+          'better', better, 'rating', rating
+        ))
+        FROM (SELECT * FROM ${t.metrics} WHERE run_id = r.id ORDER BY id)
+      ) AS metrics
+    FROM ${t.runs} r
+    ${since ? "WHERE r.created_at >= ?" : ""}
+  `;
+
+  const sql = types.map((t) => select(tables(t))).join(" UNION ALL ");
+  const params = since ? types.map(() => since) : [];
+
+  // The sqlite backend streams from its own read-only connection, so the
+  // export reads one snapshot while requests keep writing through the shared
+  // one. A memory database can't be opened twice — it uses the shared one.
+  const { kind, location, db } = getStorage();
+  if (kind !== "sqlite") {
+    const statement = db.prepare(sql);
+    return { statement, params, close: () => statement.finalize() };
+  }
+
+  const reader = new Database(location, { readonly: true });
+  try {
+    const statement = reader.prepare(sql);
+    return {
+      statement,
+      params,
+      close: () => {
+        statement.finalize();
+        reader.close();
+      },
+    };
+  } catch (err) {
+    reader.close();
+    throw err;
+  }
+}
+
+/** One archive record — the POST body plus what the server added */
+function toArchiveRecord(row: ExportRow): Record<string, unknown> {
+  const record: Record<string, unknown> = {
+    createdAt: row.created_at,
+    version: row.version,
+    suiteId: row.suite_id,
+    itemCount: row.item_count,
+    duration: row.duration_ms ?? 0,
+    success: row.success === 1,
+    error: row.error,
+    stressMs: row.stress_ms,
+    scrollSpeed: row.scroll_speed,
+    userAgent: row.user_agent,
+    hardwareConcurrency: row.hardware_concurrency,
+    deviceMemory: row.device_memory,
+    screenWidth: row.screen_width,
+    screenHeight: row.screen_height,
+    quality: {
+      score: row.quality,
+      flags: row.quality_flags ? String(row.quality_flags).split(",") : [],
+    },
+    metrics: JSON.parse(String(row.metrics)),
+  };
+  // Absent rather than null, as a client would have sent it
+  for (const key of Object.keys(record)) {
+    if (record[key] === null) delete record[key];
+  }
+  return record;
+}
+
+/** NDJSON or zip encoder for exportResponse() */
+function archiveFormat(
+  format: "ndjson" | "zip",
+  manifest: ArchiveManifest,
+): CustomFormat {
+  const text = new TextEncoder();
+  const lines = (rows: ExportRow[]) =>
+    text.encode(
+      rows.map((row) => JSON.stringify(toArchiveRecord(row)) + "\n").join(""),
+    );
+
+  if (format === "ndjson") {
+    return {
+      extension: "ndjson",
+      contentType: "application/x-ndjson; charset=utf-8",
+      encoder: {
+        begin: () => text.encode(JSON.stringify(manifest) + "\n"),
+        rows: lines,
+        end: () => new Uint8Array(0),
+      },
+    };
+  }
+
+  const zip = createZipWriter();
+  return {
+    extension: "zip",
+    contentType: "application/zip",
+    encoder: {
+      begin: () =>
+        Buffer.concat([
+          zip.open("manifest.json"),
+          zip.write(text.encode(JSON.stringify(manifest, null, 2))),
+          zip.close(),
+          zip.open("runs.ndjson"),
+        ]),
+      rows: (rows) => zip.write(lines(rows)),
+      end: () => Buffer.concat([zip.close(), zip.finish()]),
+    },
+  };
+}
+
+/** Split an archive into its manifest and record lines */
+function readArchive(data: Uint8Array): {
+  manifest: ArchiveManifest;
+  lines: string[];
+} {
+  const decoder = new TextDecoder();
+  let manifestText: string;
+  let lines: string[];
+
+  // Zip archives start with a local file header ("PK\x03\x04")
+  if (data[0] === 0x50 && data[1] === 0x4b) {
+    let files: Map<string, Uint8Array>;
+    try {
+      files = readZip(data);
+    } catch (err) {
+      throw new Error(`Invalid archive: ${(err as Error).message}`);
+    }
+    const manifest = files.get("manifest.json");
+    const runs = files.get("runs.ndjson");
+    if (!manifest || !runs) {
+      throw new Error("Invalid archive: missing manifest.json or runs.ndjson");
+    }
+    manifestText = decoder.decode(manifest);
+    lines = decoder.decode(runs).split("\n");
+  } else {
+    [manifestText, ...lines] = decoder.decode(data).split("\n");
+  }
+
+  let manifest: ArchiveManifest;
+  try {
+    manifest = JSON.parse(manifestText);
+  } catch {
+    throw new Error("Invalid archive: the manifest isn't JSON");
+  }
+  if (manifest?.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Invalid archive: not a ${ARCHIVE_FORMAT} archive`);
+  }
+  const version = manifest.schemaVersion;
+  if (
+    !Number.isInteger(version) ||
+    version < 1 ||
+    version > ARCHIVE_SCHEMA_VERSION
+  ) {
+    throw new Error(
+      `Invalid archive: schema version ${version} isn't supported (this server reads 1-${ARCHIVE_SCHEMA_VERSION})`,
+    );
+  }
+  return { manifest, lines };
+}
+
+/** Validate one record line — the POST checks plus createdAt and quality */
+function parseArchiveRecord(
+  line: string,
+):
+  | { result: BenchmarkResultInput; createdAt: string; quality?: QualityScore }
+  | { error: string } {
+  let data: Record<string, unknown>;
+  try {
+    data = JSON.parse(line);
+  } catch {
+    return { error: "not valid JSON" };
+  }
+
+  const validation = validateResult(data);
+  if (!validation.valid) return { error: validation.error! };
+
+  const createdAt = data.createdAt;
+  if (typeof createdAt !== "string" || !CREATED_AT.test(createdAt)) {
+    return { error: 'createdAt must be "YYYY-MM-DD HH:MM:SS"' };
+  }
+
+  // Records without a score are scored on import
+  if (data.quality === undefined) {
+    return { result: validation.result!, createdAt };
+  }
+  const quality = data.quality as QualityScore;
+  if (
+    typeof quality?.score !== "number" ||
+    quality.score < 0 ||
+    quality.score > 1 ||
+    !Array.isArray(quality.flags) ||
+    !quality.flags.every((flag) => QUALITY_FLAGS.includes(flag))
+  ) {
+    return { error: "quality must be { score: 0-1, flags: QualityFlag[] }" };
+  }
+  return { result: validation.result!, createdAt, quality };
+}
+
+/** Fingerprint runs stored before fingerprints existed, so they dedupe too */
+function backfillFingerprints(database: Database, t: TableNames): void {
+  const missing = database
+    .prepare(
+      `SELECT id, version, suite_id, item_count, user_agent FROM ${t.runs} WHERE fingerprint IS NULL`,
+    )
+    .all() as {
+    id: number;
+    version: string;
+    suite_id: string;
+    item_count: number;
+    user_agent: string | null;
+  }[];
+  if (missing.length === 0) return;
+
+  const metricsOf = database.prepare(
+    `SELECT label, value, unit FROM ${t.metrics} WHERE run_id = ?`,
+  );
+  const update = database.prepare(
+    `UPDATE ${t.runs} SET fingerprint = ? WHERE id = ?`,
+  );
+  for (const run of missing) {
+    const print = fingerprint({
+      version: run.version,
+      suiteId: run.suite_id,
+      itemCount: run.item_count,
+      userAgent: run.user_agent ?? undefined,
+      metrics: metricsOf.all(run.id) as ScoredSubmission["metrics"],
+    });
+    update.run(print, run.id);
+  }
+}
+
+/**
+ * Import an archive (NDJSON or zip). Invalid records are skipped and
+ * reported; a run already stored — same content, same createdAt — counts
+ * as a duplicate. Everything happens in one transaction, rolled back at
+ * the end of a dry run.
+ */
+export function importArchive(
+  data: Uint8Array,
+  options: { dryRun?: boolean } = {},
+): ImportReport {
+  const { manifest, lines } = readArchive(data);
+  const database = getDb();
+  const report: ImportReport = {
+    schemaVersion: manifest.schemaVersion,
+    dryRun: options.dryRun ?? false,
+    imported: { comparison: 0, suite: 0 },
+    duplicates: 0,
+    invalid: 0,
+    errors: [],
+  };
+
+  const statements = (type: TableType) => {
+    const t = tables(type);
+    return {
+      exists: database.prepare(
+        `SELECT 1 FROM ${t.runs} WHERE fingerprint = ? AND created_at = ? LIMIT 1`,
+      ),
+      insertRun: database.prepare(`
+        INSERT INTO ${t.runs} (
+          created_at, version, suite_id, item_count,
+          user_agent, hardware_concurrency, device_memory, screen_width, screen_height,
+          duration_ms, success, error,
+          stress_ms, scroll_speed,
+          quality, quality_flags, fingerprint
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      insertMetric: database.prepare(`
+        INSERT INTO ${t.metrics} (run_id, label, value, unit, better, rating)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+    };
+  };
+
+  database.run("BEGIN IMMEDIATE");
+  try {
+    backfillFingerprints(database, tables("comparison"));
+    backfillFingerprints(database, tables("suite"));
+    const byType = {
+      comparison: statements("comparison"),
+      suite: statements("suite"),
+    };
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      const parsed = parseArchiveRecord(line);
+      if ("error" in parsed) {
+        report.invalid++;
+        if (report.errors.length < MAX_IMPORT_ERRORS) {
+          report.errors.push(`record ${i + 1}: ${parsed.error}`);
+        }
+        return;
+      }
+
+      const { result, createdAt } = parsed;
+      const type = tableType(result.suiteId);
+      const s = byType[type];
+      const print = fingerprint(result);
+      if (s.exists.get(print, createdAt) !== null) {
+        report.duplicates++;
+        return;
+      }
+
+      const quality =
+        parsed.quality ??
+        scoreSubmission(result, { duplicate: false, recentFromClient: 0 });
+      const info = s.insertRun.run(
+        createdAt,
+        result.version,
+        result.suiteId,
+        result.itemCount,
+        result.userAgent ?? null,
+        result.hardwareConcurrency ?? null,
+        result.deviceMemory ?? null,
+        result.screenWidth ?? null,
+        result.screenHeight ?? null,
+        result.duration,
+        result.success ? 1 : 0,
+        result.error ?? null,
+        result.stressMs ?? 0,
+        result.scrollSpeed ?? 0,
+        quality.score,
+        quality.flags.join(",") || null,
+        print,
+      );
+      const runId = Number(info.lastInsertRowid);
+      for (const metric of result.metrics) {
+        s.insertMetric.run(
+          runId,
+          metric.label,
+          metric.value,
+          metric.unit,
+          metric.better,
+          metric.rating ?? null,
+        );
+      }
+      report.imported[type]++;
+    });
+
+    database.run(report.dryRun ? "ROLLBACK" : "COMMIT");
+  } catch (err) {
+    database.run("ROLLBACK");
+    throw err;
+  }
+  return report;
 }
 
 // =============================================================================
@@ -436,6 +1024,8 @@ function getStats(
     itemCount?: number;
     stressMs?: number;
     scrollSpeed?: number;
+    cohort?: Cohort;
+    quality?: QualityMode;
     limit?: number;
   },
 ): StatsResult[] {
@@ -466,6 +1056,10 @@ function getStats(
     conditions.push("r.scroll_speed = ?");
     params.push(options.scrollSpeed);
   }
+  const mode = options.quality ?? "filter";
+  const runFilter = qualityFilter(cohortFilter(options.cohort ?? {}), mode);
+  conditions.push(...runFilter.conditions);
+  params.push(...runFilter.params);
 
   const where =
     conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
@@ -498,12 +1092,14 @@ function getStats(
       m.label,
       m.unit,
       m.better,
-      m.value
+      m.value,
+      r.quality
     FROM ${t.metrics} m
     JOIN ${t.runs} r ON r.id = m.run_id
     WHERE r.version = ? AND r.suite_id = ? AND r.item_count = ? AND r.success = 1
       ${options.stressMs !== undefined ? "AND r.stress_ms = ?" : ""}
       ${options.scrollSpeed !== undefined ? "AND r.scroll_speed = ?" : ""}
+      ${runFilter.conditions.map((condition) => `AND ${condition}`).join(" ")}
     ORDER BY m.label, m.value ASC
   `);
 
@@ -516,50 +1112,41 @@ function getStats(
     if (options.stressMs !== undefined) metricParams.push(options.stressMs);
     if (options.scrollSpeed !== undefined)
       metricParams.push(options.scrollSpeed);
+    metricParams.push(...runFilter.params);
 
     const rows = metricQuery.all(...metricParams) as {
       label: string;
       unit: string;
       better: string;
       value: number;
+      quality: number;
     }[];
 
     // Group by label and aggregate
     const byLabel = new Map<
       string,
-      { unit: string; better: string; values: number[] }
+      { unit: string; better: string; values: number[]; weights: number[] }
     >();
     for (const row of rows) {
       let entry = byLabel.get(row.label);
       if (!entry) {
-        entry = { unit: row.unit, better: row.better, values: [] };
+        entry = { unit: row.unit, better: row.better, values: [], weights: [] };
         byLabel.set(row.label, entry);
       }
       entry.values.push(row.value);
+      entry.weights.push(row.quality);
     }
 
     const metrics: AggregatedMetric[] = [];
     for (const [label, entry] of byLabel) {
-      const values = entry.values; // already sorted ASC from SQL
-      const n = values.length;
-      if (n === 0) continue;
-
-      const sum = values.reduce((a, b) => a + b, 0);
-      const mean = sum / n;
-      const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / n;
-
+      // values already sorted ASC from SQL
+      const summary = summarize(entry.values, entry.weights, mode);
+      if (!summary) continue;
       metrics.push({
         label,
         unit: entry.unit,
         better: entry.better,
-        median: percentile(values, 50),
-        mean: round(mean, 2),
-        min: values[0],
-        max: values[n - 1],
-        p5: percentile(values, 5),
-        p95: percentile(values, 95),
-        stddev: round(Math.sqrt(variance), 2),
-        sampleCount: n,
+        ...summary,
       });
     }
 
@@ -586,6 +1173,8 @@ function getHistory(
     days?: number;
     stressMs?: number;
     scrollSpeed?: number;
+    cohort?: Cohort;
+    quality?: QualityMode;
   },
 ): HistoryPoint[] {
   const database = getDb();
@@ -618,6 +1207,10 @@ function getHistory(
     conditions.push("r.scroll_speed = ?");
     params.push(options.scrollSpeed);
   }
+  const mode = options.quality ?? "filter";
+  const runFilter = qualityFilter(cohortFilter(options.cohort ?? {}), mode);
+  conditions.push(...runFilter.conditions);
+  params.push(...runFilter.params);
 
   const where = conditions.join(" AND ");
 
@@ -628,48 +1221,290 @@ function getHistory(
     SELECT
       date(r.created_at) as date,
       r.version,
-      m.value
+      m.value,
+      r.quality
     FROM ${t.metrics} m
     JOIN ${t.runs} r ON r.id = m.run_id
     WHERE ${where}
-    ORDER BY date ASC, r.version ASC
+    ORDER BY date ASC, r.version ASC, m.value ASC
   `,
     )
-    .all(...params) as { date: string; version: string; value: number }[];
+    .all(...params) as {
+    date: string;
+    version: string;
+    value: number;
+    quality: number;
+  }[];
 
-  // Group by date + version
-  const groups = new Map<string, { version: string; values: number[] }>();
+  // Group by date + version (values stay sorted within each group)
+  const groups = new Map<
+    string,
+    { version: string; values: number[]; weights: number[] }
+  >();
   for (const row of rows) {
     const key = `${row.date}::${row.version}`;
     let entry = groups.get(key);
     if (!entry) {
-      entry = { version: row.version, values: [] };
+      entry = { version: row.version, values: [], weights: [] };
       groups.set(key, entry);
     }
     entry.values.push(row.value);
+    entry.weights.push(row.quality);
   }
 
   const points: HistoryPoint[] = [];
   for (const [key, entry] of groups) {
-    const date = key.split("::")[0];
-    const sorted = entry.values.sort((a, b) => a - b);
-    const n = sorted.length;
-    const sum = sorted.reduce((a, b) => a + b, 0);
+    const summary = summarize(entry.values, entry.weights, mode);
+    if (!summary) continue;
 
     points.push({
-      date,
+      date: key.split("::")[0],
       version: entry.version,
-      median: percentile(sorted, 50),
-      mean: round(sum / n, 2),
-      p5: percentile(sorted, 5),
-      p95: percentile(sorted, 95),
-      sampleCount: n,
+      median: summary.median,
+      mean: summary.mean,
+      p5: summary.p5,
+      p95: summary.p95,
+      sampleCount: summary.sampleCount,
     });
   }
 
   return points;
 }
 
+/** Significance level for compare verdicts (after FDR adjustment) */
+const COMPARE_ALPHA = 0.05;
+
+/** Cliff's delta below this is negligible (Romano et al., 2006) */
+const NEGLIGIBLE_EFFECT = 0.147;
+
+/** Comparable samples each version needs before a verdict is given */
+const MIN_COMPARE_SAMPLES = 5;
+
+/** Most severe first — the order compare results are listed in */
+const VERDICT_ORDER: Verdict[] = [
+  "regression",
+  "improvement",
+  "changed",
+  "unchanged",
+  "insufficient",
+];
+
+/**
+ * Environment bucket a run is compared within — same browser, similar
+ * hardware and the same stress settings, so a version is never "slower"
+ * just because its runs came from weaker machines.
+ */
+function environmentBucket(run: {
+  user_agent: string | null;
+  hardware_concurrency: number | null;
+  device_memory: number | null;
+  stress_ms: number;
+  scroll_speed: number;
+}): string {
+  return [
+    browserName(run.user_agent),
+    `cores:${coresBucket(run.hardware_concurrency) ?? "?"}`,
+    `memory:${memoryBucket(run.device_memory) ?? "?"}`,
+    `stress:${run.stress_ms}`,
+    `speed:${run.scroll_speed}`,
+  ].join("|");
+}
+
+/**
+ * Compare two versions metric by metric (per suite and item count) with a
+ * stratified Mann-Whitney test — samples are only ranked against runs from
+ * the same environment bucket. p-values are FDR-adjusted across all metrics
+ * before verdicts are drawn.
+ */
+function compareVersions(
+  type: TableType,
+  options: {
+    base: string;
+    head: string;
+    suiteId?: string;
+    itemCount?: number;
+    metricLabel?: string;
+    quality?: QualityMode;
+  },
+): VersionComparison {
+  const database = getDb();
+  const t = tables(type);
+
+  const conditions = ["r.success = 1", "r.version IN (?, ?)"];
+  const params: (string | number)[] = [options.base, options.head];
+  if (options.suiteId) {
+    conditions.push("r.suite_id = ?");
+    params.push(options.suiteId);
+  }
+  if (options.itemCount) {
+    conditions.push("r.item_count = ?");
+    params.push(options.itemCount);
+  }
+  if (options.metricLabel) {
+    conditions.push("m.label = ?");
+    params.push(options.metricLabel);
+  }
+  // Rank tests can't take weights — "weight" skips low-quality runs too
+  if (options.quality !== "off") {
+    conditions.push(`r.quality >= ${MIN_QUALITY}`);
+  }
+
+  const rows = database
+    .prepare(
+      `
+    SELECT
+      r.version, r.suite_id, r.item_count,
+      r.user_agent, r.hardware_concurrency, r.device_memory,
+      r.stress_ms, r.scroll_speed,
+      m.label, m.unit, m.better, m.value
+    FROM ${t.metrics} m
+    JOIN ${t.runs} r ON r.id = m.run_id
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY r.suite_id ASC, r.item_count ASC, m.label ASC
+  `,
+    )
+    .all(...params) as {
+    version: string;
+    suite_id: string;
+    item_count: number;
+    user_agent: string | null;
+    hardware_concurrency: number | null;
+    device_memory: number | null;
+    stress_ms: number;
+    scroll_speed: number;
+    label: string;
+    unit: string;
+    better: string;
+    value: number;
+  }[];
+
+  // Group by suite + item count + metric, split by version
+  const groups = new Map<
+    string,
+    {
+      suiteId: string;
+      itemCount: number;
+      label: string;
+      unit: string;
+      better: string;
+      base: Sample[];
+      head: Sample[];
+    }
+  >();
+  for (const row of rows) {
+    const key = `${row.suite_id}::${row.item_count}::${row.label}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        suiteId: row.suite_id,
+        itemCount: row.item_count,
+        label: row.label,
+        unit: row.unit,
+        better: row.better,
+        base: [],
+        head: [],
+      };
+      groups.set(key, group);
+    }
+    const sample = { value: row.value, stratum: environmentBucket(row) };
+    // base === head compares a version with itself — every run on both sides
+    if (row.version === options.base) group.base.push(sample);
+    if (row.version === options.head) group.head.push(sample);
+  }
+
+  const tested = [...groups.values()].map((group) => ({
+    group,
+    test: stratifiedRankTest(group.base, group.head),
+  }));
+
+  // Only metrics with enough samples count towards the FDR adjustment
+  const sufficient = tested.filter(
+    ({ test }) =>
+      test !== null &&
+      test.baseCount >= MIN_COMPARE_SAMPLES &&
+      test.headCount >= MIN_COMPARE_SAMPLES,
+  );
+  const adjusted = adjustPValues(sufficient.map(({ test }) => test!.p));
+  const pAdjusted = new Map(sufficient.map((entry, i) => [entry, adjusted[i]]));
+
+  const items: MetricComparison[] = tested.map((entry) => {
+    const { group, test } = entry;
+    const matched = (samples: Sample[], other: Sample[]) => {
+      const strata = new Set(other.map((s) => s.stratum));
+      return samples
+        .filter((s) => strata.has(s.stratum))
+        .map((s) => s.value)
+        .sort((a, b) => a - b);
+    };
+    const baseValues = matched(group.base, group.head);
+    const headValues = matched(group.head, group.base);
+    const baseMedian = percentile(baseValues, 50);
+    const headMedian = percentile(headValues, 50);
+    const q = pAdjusted.get(entry) ?? null;
+
+    let verdict: Verdict = "insufficient";
+    if (q !== null && test) {
+      const significant =
+        q < COMPARE_ALPHA && Math.abs(test.effectSize) >= NEGLIGIBLE_EFFECT;
+      if (!significant) verdict = "unchanged";
+      else if (group.better === "none") verdict = "changed";
+      else {
+        const headLarger = test.effectSize > 0;
+        const worse = group.better === "lower" ? headLarger : !headLarger;
+        verdict = worse ? "regression" : "improvement";
+      }
+    }
+
+    return {
+      suiteId: group.suiteId,
+      itemCount: group.itemCount,
+      metric: group.label,
+      unit: group.unit,
+      better: group.better,
+      base: { median: baseMedian, sampleCount: baseValues.length },
+      head: { median: headMedian, sampleCount: headValues.length },
+      change:
+        baseValues.length > 0 && headValues.length > 0 && baseMedian !== 0
+          ? round(((headMedian - baseMedian) / Math.abs(baseMedian)) * 100, 1)
+          : null,
+      strata: test?.strata ?? 0,
+      unmatched:
+        group.base.length +
+        group.head.length -
+        baseValues.length -
+        headValues.length,
+      effectSize: test ? round(test.effectSize, 3) : null,
+      p: test ? round(test.p, 4) : null,
+      pAdjusted: q === null ? null : round(q, 4),
+      verdict,
+    };
+  });
+
+  items.sort(
+    (a, b) =>
+      VERDICT_ORDER.indexOf(a.verdict) - VERDICT_ORDER.indexOf(b.verdict) ||
+      a.suiteId.localeCompare(b.suiteId) ||
+      a.itemCount - b.itemCount ||
+      a.metric.localeCompare(b.metric),
+  );
+
+  const summary = Object.fromEntries(
+    VERDICT_ORDER.map((verdict) => [
+      verdict,
+      items.filter((item) => item.verdict === verdict).length,
+    ]),
+  ) as Record<Verdict, number>;
+
+  return {
+    base: options.base,
+    head: options.head,
+    alpha: COMPARE_ALPHA,
+    items,
+    total: items.length,
+    summary,
+  };
+}
+
 /** List all known versions with run counts */
 function getVersions(type: TableType): VersionInfo[] {
   const database = getDb();
@@ -728,7 +1563,7 @@ function getBrowsers(type: TableType): BrowserInfo[] {
   const browsers = new Map<string, { totalRuns: number; lastSeen: string }>();
 
   for (const row of rows) {
-    const browser = parseBrowserName(row.user_agent);
+    const browser = browserName(row.user_agent);
     const existing = browsers.get(browser);
     if (existing) {
       existing.totalRuns += row.count;
@@ -743,9 +1578,156 @@ function getBrowsers(type: TableType): BrowserInfo[] {
     .sort((a, b) => b.totalRuns - a.totalRuns);
 }
 
-/** High-level summary */
-function getSummary(type: TableType): {
+/** Page path of a stored run — run IDs are per table, so the type goes along */
+export function runPermalink(id: number, type: TableType): string {
+  return `/benchmarks/runs/${id}?type=${type}`;
+}
+
+/**
+ * A single run with its metrics, each placed among the cohort of comparable
+ * runs: same version and suite config, same browser family, OS and device
+ * class. The cohort is quality-filtered like the stats endpoint's default.
+ */
+export function getRun(type: TableType, id: number): RunDetail | null {
+  const database = getDb();
+  const t = tables(type);
+
+  const run = database
+    .prepare(`SELECT * FROM ${t.runs} WHERE id = ?`)
+    .get(id) as {
+    id: number;
+    created_at: string;
+    version: string;
+    suite_id: string;
+    item_count: number;
+    user_agent: string | null;
+    hardware_concurrency: number | null;
+    device_memory: number | null;
+    screen_width: number | null;
+    screen_height: number | null;
+    duration_ms: number | null;
+    success: number;
+    error: string | null;
+    stress_ms: number;
+    scroll_speed: number;
+    quality: number;
+    quality_flags: string | null;
+  } | null;
+  if (!run) return null;
+
+  const metrics = database
+    .prepare(
+      `SELECT label, value, unit, better, rating FROM ${t.metrics} WHERE run_id = ? ORDER BY id`,
+    )
+    .all(id) as MetricInput[];
+
+  const cohort = {
+    browser: browserOf(run.user_agent),
+    os: osOf(run.user_agent),
+    device: deviceOf(run.user_agent),
+  };
+  const runFilter = qualityFilter(cohortFilter(cohort), "filter");
+  const where = [
+    "r.success = 1",
+    "r.version = ?",
+    "r.suite_id = ?",
+    "r.item_count = ?",
+    "r.stress_ms = ?",
+    "r.scroll_speed = ?",
+    ...runFilter.conditions,
+  ].join(" AND ");
+  const params = [
+    run.version,
+    run.suite_id,
+    run.item_count,
+    run.stress_ms,
+    run.scroll_speed,
+    ...runFilter.params,
+  ];
+
+  const { runs } = database
+    .prepare(`SELECT COUNT(*) as runs FROM ${t.runs} r WHERE ${where}`)
+    .get(...params) as { runs: number };
+
+  const rows = database
+    .prepare(
+      `
+    SELECT m.label, m.value
+    FROM ${t.metrics} m
+    JOIN ${t.runs} r ON r.id = m.run_id
+    WHERE ${where}
+    ORDER BY m.label, m.value ASC
+  `,
+    )
+    .all(...params) as { label: string; value: number }[];
+
+  const byLabel = new Map<string, number[]>();
+  for (const row of rows) {
+    let values = byLabel.get(row.label);
+    if (!values) byLabel.set(row.label, (values = []));
+    values.push(row.value);
+  }
+
+  const position = (metric: MetricInput): CohortPosition | null => {
+    const values = rejectOutliers(byLabel.get(metric.label) ?? []);
+    const summary = summarize(
+      values,
+      values.map(() => 1),
+      "off",
+    );
+    if (!summary) return null;
+    const below = values.filter((v) => v < metric.value).length;
+    const equal = values.filter((v) => v === metric.value).length;
+    return {
+      median: summary.median,
+      p5: summary.p5,
+      p95: summary.p95,
+      sampleCount: summary.sampleCount,
+      percentile: round(((below + equal / 2) / values.length) * 100, 1),
+    };
+  };
+
+  return {
+    id: run.id,
+    table: type,
+    createdAt: run.created_at,
+    version: run.version,
+    suiteId: run.suite_id,
+    itemCount: run.item_count,
+    duration: run.duration_ms,
+    success: run.success === 1,
+    error: run.error,
+    stressMs: run.stress_ms,
+    scrollSpeed: run.scroll_speed,
+    environment: {
+      userAgent: run.user_agent,
+      browser: browserName(run.user_agent),
+      os: cohort.os,
+      device: cohort.device,
+      hardwareConcurrency: run.hardware_concurrency,
+      deviceMemory: run.device_memory,
+      screenWidth: run.screen_width,
+      screenHeight: run.screen_height,
+    },
+    quality: {
+      score: run.quality,
+      flags: (run.quality_flags?.split(",") ?? []) as QualityFlag[],
+    },
+    cohort: { ...cohort, runs },
+    metrics: metrics.map((metric) => ({
+      ...metric,
+      cohort: position(metric),
+    })),
+  };
+}
+
+/** High-level summary, optionally narrowed to a device cohort */
+function getSummary(
+  type: TableType,
+  options: { cohort?: Cohort } = {},
+): {
   totalRuns: number;
+  lowQualityRuns: number;
   totalMetrics: number;
   uniqueVersions: number;
   uniqueSuites: number;
@@ -757,23 +1739,27 @@ function getSummary(type: TableType): {
 } {
   const database = getDb();
   const t = tables(type);
+  const cohort = cohortFilter(options.cohort ?? {});
+  const where = ["r.success = 1", ...cohort.conditions].join(" AND ");
 
   const counts = database
     .prepare(
       `
     SELECT
       COUNT(*) as totalRuns,
+      COALESCE(SUM(quality < ${MIN_QUALITY}), 0) as lowQualityRuns,
       COUNT(DISTINCT version) as uniqueVersions,
       COUNT(DISTINCT suite_id) as uniqueSuites,
       COUNT(DISTINCT user_agent) as uniqueBrowsers,
       MIN(created_at) as oldestRun,
       MAX(created_at) as newestRun
-    FROM ${t.runs}
-    WHERE success = 1
+    FROM ${t.runs} r
+    WHERE ${where}
   `,
     )
-    .get() as {
+    .get(...cohort.params) as {
     totalRuns: number;
+    lowQualityRuns: number;
     uniqueVersions: number;
     uniqueSuites: number;
     uniqueBrowsers: number;
@@ -781,33 +1767,40 @@ function getSummary(type: TableType): {
     newestRun: string | null;
   };
 
+  // Metrics of failed runs count too — but only within the cohort
+  const metricWhere =
+    cohort.conditions.length > 0
+      ? `WHERE ${cohort.conditions.join(" AND ")}`
+      : "";
   const metricCount = database
-    .prepare(`SELECT COUNT(*) as count FROM ${t.metrics}`)
-    .get() as { count: number };
+    .prepare(
+      `SELECT COUNT(*) as count FROM ${t.metrics} m JOIN ${t.runs} r ON r.id = m.run_id ${metricWhere}`,
+    )
+    .get(...cohort.params) as { count: number };
 
   const topVersions = database
     .prepare(
       `
     SELECT version, COUNT(*) as runs
-    FROM ${t.runs} WHERE success = 1
+    FROM ${t.runs} r WHERE ${where}
     GROUP BY version
     ORDER BY runs DESC
     LIMIT 10
   `,
     )
-    .all() as { version: string; runs: number }[];
+    .all(...cohort.params) as { version: string; runs: number }[];
 
   const topSuites = database
     .prepare(
       `
     SELECT suite_id as suiteId, COUNT(*) as runs
-    FROM ${t.runs} WHERE success = 1
+    FROM ${t.runs} r WHERE ${where}
     GROUP BY suite_id
     ORDER BY runs DESC
     LIMIT 20
   `,
     )
-    .all() as { suiteId: string; runs: number }[];
+    .all(...cohort.params) as { suiteId: string; runs: number }[];
 
   return {
     ...counts,
@@ -821,6 +1814,69 @@ function getSummary(type: TableType): {
 // Helpers
 // =============================================================================
 
+/**
+ * Narrow a run filter by quality — filter mode drops low-quality runs;
+ * weight mode only drops runs scored 0 (their weight would be 0 anyway).
+ */
+function qualityFilter(
+  filter: { conditions: string[]; params: (string | number)[] },
+  mode: QualityMode,
+): { conditions: string[]; params: (string | number)[] } {
+  if (mode === "off") return filter;
+  const threshold = mode === "filter" ? MIN_QUALITY : 0;
+  const condition =
+    mode === "filter"
+      ? `r.quality >= ${threshold}`
+      : `r.quality > ${threshold}`;
+  return { ...filter, conditions: [...filter.conditions, condition] };
+}
+
+/**
+ * Aggregate one metric's ascending values. `weights` are the runs' quality
+ * scores — used in weight mode; filter mode drops outliers instead and
+ * off mode takes the values as they are.
+ */
+function summarize(
+  values: number[],
+  weights: number[],
+  mode: QualityMode,
+): Omit<AggregatedMetric, "label" | "unit" | "better"> | null {
+  let kept = values;
+  let w = weights;
+  if (mode === "filter") {
+    kept = rejectOutliers(values);
+    w = kept.map(() => 1);
+  } else if (mode === "off") {
+    w = values.map(() => 1);
+  }
+
+  const n = kept.length;
+  if (n === 0) return null;
+
+  const total = w.reduce((a, b) => a + b, 0);
+  const mean = kept.reduce((a, v, i) => a + v * w[i], 0) / total;
+  const variance =
+    kept.reduce((a, v, i) => a + w[i] * (v - mean) ** 2, 0) / total;
+  const at = (p: number) => round(weightedPercentile(kept, w, p), 2);
+
+  // Distribution-free CI of the median: the order statistics at ranks
+  // n/2 ± 1.96·√n/2 (normal approximation to the binomial), as percentiles
+  const ciSpread = 98 / Math.sqrt(n);
+
+  return {
+    median: at(50),
+    mean: round(mean, 2),
+    min: kept[0],
+    max: kept[n - 1],
+    p5: at(5),
+    p95: at(95),
+    stddev: round(Math.sqrt(variance), 2),
+    sampleCount: n,
+    ciLow: at(Math.max(0, 50 - ciSpread)),
+    ciHigh: at(Math.min(100, 50 + ciSpread)),
+  };
+}
+
 function percentile(sorted: number[], p: number): number {
   if (sorted.length === 0) return 0;
   const index = (p / 100) * (sorted.length - 1);
@@ -838,156 +1894,704 @@ function round(value: number, decimals: number): number {
   return Math.round(value * factor) / factor;
 }
 
-function parseBrowserName(ua: string): string {
-  if (!ua) return "Unknown";
-
-  // Order matters — check more specific patterns first
-  if (ua.includes("Edg/")) return "Edge";
-  if (ua.includes("OPR/") || ua.includes("Opera")) return "Opera";
-  if (ua.includes("Vivaldi/")) return "Vivaldi";
-  if (ua.includes("Brave")) return "Brave";
-  if (ua.includes("SamsungBrowser/")) return "Samsung Internet";
-  if (ua.includes("Firefox/")) return "Firefox";
-  if (ua.includes("CriOS/")) return "Chrome (iOS)";
-  if (ua.includes("FxiOS/")) return "Firefox (iOS)";
-  if (ua.includes("Chrome/") && ua.includes("Safari/")) return "Chrome";
-  if (ua.includes("Safari/") && ua.includes("Version/")) return "Safari";
-  if (ua.includes("Safari/")) return "Safari";
-
-  return "Other";
-}
+// =============================================================================
+// OpenAPI
+// =============================================================================
+
+const str: SchemaObject = { type: "string" };
+const int: SchemaObject = { type: "integer" };
+const num: SchemaObject = { type: "number" };
+
+/** Response shapes of the benchmark endpoints */
+export const BENCHMARK_SCHEMAS: Record<string, SchemaObject> = {
+  BenchmarkResult: object(
+    {
+      version: { type: "string", maxLength: MAX_VERSION_LENGTH },
+      suiteId: { type: "string", maxLength: MAX_SUITE_ID_LENGTH },
+      itemCount: int,
+      metrics: arrayOf(
+        object(
+          {
+            label: { type: "string", maxLength: MAX_LABEL_LENGTH },
+            value: num,
+            unit: { type: "string", maxLength: MAX_UNIT_LENGTH },
+            better: { type: "string", enum: ["lower", "higher", "none"] },
+            rating: {
+              type: ["string", "null"],
+              enum: ["good", "ok", "bad", "info", null],
+            },
+          },
+          ["rating"],
+        ),
+      ),
+      duration: num,
+      success: { type: "boolean" },
+      error: { type: "string", maxLength: MAX_ERROR_LENGTH },
+      stressMs: int,
+      scrollSpeed: int,
+      userAgent: { type: "string", maxLength: MAX_USER_AGENT_LENGTH },
+      hardwareConcurrency: int,
+      deviceMemory: num,
+      screenWidth: int,
+      screenHeight: int,
+    },
+    [
+      "error",
+      "stressMs",
+      "scrollSpeed",
+      "userAgent",
+      "hardwareConcurrency",
+      "deviceMemory",
+      "screenWidth",
+      "screenHeight",
+    ],
+  ),
+
+  BenchmarkStats: object({
+    version: str,
+    suiteId: str,
+    itemCount: int,
+    totalRuns: int,
+    metrics: arrayOf(
+      object({
+        label: str,
+        unit: str,
+        better: str,
+        median: num,
+        mean: num,
+        min: num,
+        max: num,
+        p5: num,
+        p95: num,
+        stddev: num,
+        sampleCount: int,
+        ciLow: { ...num, description: "95% CI of the median, lower bound" },
+        ciHigh: { ...num, description: "95% CI of the median, upper bound" },
+      }),
+    ),
+  }),
+
+  BenchmarkHistoryPoint: object({
+    date: { type: "string", format: "date" },
+    version: str,
+    median: num,
+    mean: num,
+    p5: num,
+    p95: num,
+    sampleCount: int,
+  }),
+
+  BenchmarkComparison: object({
+    base: str,
+    head: str,
+    alpha: num,
+    items: arrayOf(
+      object({
+        suiteId: str,
+        itemCount: int,
+        metric: str,
+        unit: str,
+        better: str,
+        base: object({ median: num, sampleCount: int }),
+        head: object({ median: num, sampleCount: int }),
+        change: { type: ["number", "null"] },
+        strata: int,
+        unmatched: int,
+        effectSize: { type: ["number", "null"] },
+        p: { type: ["number", "null"] },
+        pAdjusted: { type: ["number", "null"] },
+        verdict: { type: "string", enum: VERDICT_ORDER },
+      }),
+    ),
+    total: int,
+    summary: object(
+      Object.fromEntries(VERDICT_ORDER.map((verdict) => [verdict, int])),
+    ),
+  }),
+
+  BenchmarkQuality: object({
+    score: { type: "number", minimum: 0, maximum: 1 },
+    flags: arrayOf({
+      type: "string",
+      enum: ["impossible-value", "throttled", "duplicate", "client-burst"],
+    }),
+  }),
+
+  BenchmarkImportReport: object({
+    schemaVersion: int,
+    dryRun: { type: "boolean" },
+    imported: object({ comparison: int, suite: int }),
+    duplicates: int,
+    invalid: int,
+    errors: arrayOf(str),
+  }),
+
+  BenchmarkRun: object({
+    id: int,
+    table: { type: "string", enum: ["comparison", "suite"] },
+    createdAt: str,
+    version: str,
+    suiteId: str,
+    itemCount: int,
+    duration: { type: ["number", "null"] },
+    success: { type: "boolean" },
+    error: { type: ["string", "null"] },
+    stressMs: int,
+    scrollSpeed: int,
+    environment: object({
+      userAgent: { type: ["string", "null"] },
+      browser: str,
+      os: str,
+      device: { type: "string", enum: ["mobile", "desktop"] },
+      hardwareConcurrency: { type: ["integer", "null"] },
+      deviceMemory: { type: ["number", "null"] },
+      screenWidth: { type: ["integer", "null"] },
+      screenHeight: { type: ["integer", "null"] },
+    }),
+    quality: ref("BenchmarkQuality"),
+    cohort: object({ browser: str, os: str, device: str, runs: int }),
+    metrics: arrayOf(
+      object({
+        label: str,
+        value: num,
+        unit: str,
+        better: str,
+        rating: { type: ["string", "null"] },
+        cohort: {
+          oneOf: [
+            object({
+              median: num,
+              p5: num,
+              p95: num,
+              sampleCount: int,
+              percentile: num,
+            }),
+            { type: "null" },
+          ],
+        },
+      }),
+    ),
+  }),
+
+  BenchmarkSummary: object({
+    totalRuns: int,
+    lowQualityRuns: int,
+    totalMetrics: int,
+    uniqueVersions: int,
+    uniqueSuites: int,
+    uniqueBrowsers: int,
+    oldestRun: { type: ["string", "null"] },
+    newestRun: { type: ["string", "null"] },
+    topVersions: arrayOf(object({ version: str, runs: int })),
+    topSuites: arrayOf(object({ suiteId: str, runs: int })),
+  }),
+};
 
 // =============================================================================
-// Route Handler
+// Routes
 // =============================================================================
 
-export async function routeBenchmarks(
-  req: Request,
-  url: URL,
-): Promise<Response | null> {
-  const path = url.pathname;
+const TYPE_PARAM: ParamSchemas = {
+  type: {
+    type: "string",
+    description: "Result table — library comparisons or vlist suites",
+    default: "comparison",
+    enum: ["comparison", "suite"],
+  },
+};
 
-  // Only handle /api/benchmarks*
-  if (!path.startsWith("/api/benchmarks")) return null;
+/** { items, total } envelope used by every list endpoint */
+const list = (item: SchemaObject): SchemaObject =>
+  object({ items: arrayOf(item), total: int });
+
+const ERRORS = {
+  500: { description: "Internal server error", schema: ref("Error") },
+  503: {
+    description: "Benchmark storage unavailable",
+    schema: ref("Error"),
+  },
+};
 
-  // Subpath after /api/benchmarks
-  const sub = path.slice("/api/benchmarks".length);
+/** POST /api/benchmarks, per IP — buckets live in the benchmarks database */
+const SUBMIT_LIMIT = createRateLimiter(
+  { name: "benchmarks-submit", capacity: 30, windowSeconds: 60 },
+  createSqliteRateLimitStore(getDb),
+);
+
+/** Benchmark routes — also the source of the OpenAPI operations */
+export const BENCHMARK_ROUTES = createRouteTable([
+  {
+    method: "POST",
+    path: "/api/benchmarks",
+    operationId: "submitBenchmark",
+    summary: "Store a benchmark result",
+    description:
+      "Auto-routed to the comparison or suite tables by suite ID. Rate limited per IP — bursts of up to 30 submissions, refilled at 30 per minute. The stored run is scored for quality (duplicates, throttling, impossible values, bursts from one client); low scores are left out of the aggregates by default.",
+    tag: "Benchmarks",
+    requestBody: ref("BenchmarkResult"),
+    responses: {
+      201: {
+        description: "Stored",
+        schema: object({
+          success: { const: true },
+          runId: int,
+          table: { type: "string", enum: ["comparison", "suite"] },
+          quality: ref("BenchmarkQuality"),
+          permalink: { type: "string", description: "Page showing the run" },
+        }),
+      },
+      400: { description: "Invalid result", schema: ref("Error") },
+      429: {
+        description: "Rate limited",
+        schema: ref("Error"),
+        headers: RATE_LIMIT_RESPONSE_HEADERS,
+      },
+      ...ERRORS,
+    },
+    rateLimit: SUBMIT_LIMIT,
+    handler: ({ req }) => handleSubmit(req),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/stats",
+    operationId: "getBenchmarkStats",
+    summary: "Aggregated stats per version, suite and item count",
+    tag: "Benchmarks",
+    query: {
+      ...TYPE_PARAM,
+      version: { type: "string", description: "Filter by vlist version" },
+      suiteId: { type: "string", description: "Filter by suite ID" },
+      itemCount: { type: "integer", description: "Filter by item count" },
+      stressMs: { type: "integer", description: "Filter by CPU stress (ms)" },
+      scrollSpeed: { type: "integer", description: "Filter by scroll speed" },
+      ...COHORT_PARAMS,
+      quality: QUALITY_PARAM,
+      limit: {
+        type: "integer",
+        description: "Max groups returned",
+        default: 100,
+      },
+    },
+    responses: {
+      200: { description: "Stats", schema: list(ref("BenchmarkStats")) },
+      ...ERRORS,
+    },
+    handler: ({ url }) => handleStats(url),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/history",
+    operationId: "getBenchmarkHistory",
+    summary: "Daily time series of one metric",
+    tag: "Benchmarks",
+    query: {
+      ...TYPE_PARAM,
+      suiteId: { type: "string", description: "Suite ID", required: true },
+      metric: { type: "string", description: "Metric label", required: true },
+      itemCount: {
+        type: "integer",
+        description: "Item count",
+        default: 10_000,
+      },
+      version: { type: "string", description: "Filter by vlist version" },
+      days: { type: "integer", description: "Days of history", default: 90 },
+      stressMs: { type: "integer", description: "Filter by CPU stress (ms)" },
+      scrollSpeed: { type: "integer", description: "Filter by scroll speed" },
+      ...COHORT_PARAMS,
+      quality: QUALITY_PARAM,
+    },
+    responses: {
+      200: {
+        description: "History",
+        schema: list(ref("BenchmarkHistoryPoint")),
+      },
+      400: { description: "Missing suiteId or metric", schema: ref("Error") },
+      ...ERRORS,
+    },
+    handler: ({ url }) => handleHistory(url),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/compare",
+    operationId: "compareBenchmarkVersions",
+    summary: "Significance test between two versions",
+    description:
+      "Stratified Mann-Whitney U per suite, item count and metric — runs are only compared within the same browser and hardware bucket. p-values are Benjamini-Hochberg adjusted; a difference is flagged when significant at alpha 0.05 with a non-negligible effect size (|Cliff's delta| ≥ 0.147). Rank tests can't take weights, so quality=weight leaves out low-quality runs like filter.",
+    tag: "Benchmarks",
+    query: {
+      ...TYPE_PARAM,
+      base: { type: "string", description: "Baseline version", required: true },
+      head: { type: "string", description: "Version to test", required: true },
+      suiteId: { type: "string", description: "Filter by suite ID" },
+      itemCount: { type: "integer", description: "Filter by item count" },
+      metric: { type: "string", description: "Filter by metric label" },
+      quality: QUALITY_PARAM,
+    },
+    responses: {
+      200: { description: "Verdicts", schema: ref("BenchmarkComparison") },
+      400: { description: "Missing base or head", schema: ref("Error") },
+      ...ERRORS,
+    },
+    handler: ({ url }) => handleCompare(url),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/versions",
+    operationId: "getBenchmarkVersions",
+    summary: "All known versions",
+    tag: "Benchmarks",
+    query: TYPE_PARAM,
+    responses: {
+      200: {
+        description: "Versions",
+        schema: list(
+          object({
+            version: str,
+            firstSeen: str,
+            lastSeen: str,
+            totalRuns: int,
+          }),
+        ),
+      },
+      ...ERRORS,
+    },
+    handler: ({ url }) => listResponse(getVersions(resolveType(url))),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/suites",
+    operationId: "getBenchmarkSuites",
+    summary: "All known suite IDs",
+    tag: "Benchmarks",
+    query: TYPE_PARAM,
+    responses: {
+      200: {
+        description: "Suites",
+        schema: list(object({ suiteId: str, totalRuns: int })),
+      },
+      ...ERRORS,
+    },
+    handler: ({ url }) => listResponse(getSuites(resolveType(url))),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/browsers",
+    operationId: "getBenchmarkBrowsers",
+    summary: "Browser breakdown",
+    tag: "Benchmarks",
+    query: TYPE_PARAM,
+    responses: {
+      200: {
+        description: "Browsers",
+        schema: list(object({ browser: str, totalRuns: int, lastSeen: str })),
+      },
+      ...ERRORS,
+    },
+    handler: ({ url }) => listResponse(getBrowsers(resolveType(url))),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/summary",
+    operationId: "getBenchmarkSummary",
+    summary: "High-level overview",
+    tag: "Benchmarks",
+    query: { ...TYPE_PARAM, ...COHORT_PARAMS },
+    responses: {
+      200: { description: "Summary", schema: ref("BenchmarkSummary") },
+      ...ERRORS,
+    },
+    handler: ({ url }) =>
+      jsonResponse(
+        getSummary(resolveType(url), { cohort: cohortFromUrl(url) }),
+      ),
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/runs/:id",
+    operationId: "getBenchmarkRun",
+    summary: "A single stored run, placed among comparable runs",
+    description:
+      "Each metric carries the p5, median and p95 of its cohort — runs of the same version and suite config from the same browser family, OS and device class — and where this run's value falls (percentile). Run IDs are per table, so pass the type the run was stored in. The page at /benchmarks/runs/:id renders this.",
+    tag: "Benchmarks",
+    pathParams: {
+      id: { type: "integer", description: "Run ID", minimum: 1 },
+    },
+    query: TYPE_PARAM,
+    responses: {
+      200: { description: "Run", schema: ref("BenchmarkRun") },
+      404: { description: "No such run", schema: ref("Error") },
+      ...ERRORS,
+    },
+    handler: ({ url, params }) => {
+      const run = getRun(resolveType(url), params.id as number);
+      return run
+        ? jsonResponse(run)
+        : jsonResponse({ error: "Run not found" }, 404);
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/benchmarks/export",
+    operationId: "exportBenchmarks",
+    summary: "Download stored runs as a versioned archive",
+    description: `NDJSON (a manifest line, then one run per line) or a zip of manifest.json and runs.ndjson. Runs keep their timestamps and quality scores; POST /api/benchmarks/import reads either format. Archive schema version: ${ARCHIVE_SCHEMA_VERSION}.`,
+    tag: "Benchmarks",
+    query: {
+      type: {
+        type: "string",
+        description: "Result tables to include",
+        default: "all",
+        enum: ["all", "comparison", "suite"],
+      },
+      format: {
+        type: "string",
+        description: "Archive format",
+        default: "ndjson",
+        enum: ["ndjson", "zip"],
+      },
+      since: {
+        type: "string",
+        description: "Only runs stored on or after this date (YYYY-MM-DD)",
+      },
+    },
+    responses: {
+      200: {
+        description: "NDJSON (application/x-ndjson) or zip archive",
+        schema: { type: "string" },
+        contentType: "application/x-ndjson",
+      },
+      400: { description: "Invalid since date", schema: ref("Error") },
+      ...ERRORS,
+    },
+    handler: ({ url }) => handleExport(url),
+  },
+  {
+    method: "POST",
+    path: "/api/benchmarks/import",
+    operationId: "importBenchmarks",
+    summary: "Load an archive from GET /api/benchmarks/export",
+    description:
+      "Admin only — send `Authorization: Bearer <BENCHMARK_ADMIN_TOKEN>`. Every record is validated like a POSTed result; invalid records are skipped and listed, runs already stored (same content and timestamp) count as duplicates. dryRun=true reports without writing.",
+    tag: "Benchmarks",
+    query: {
+      dryRun: {
+        type: "string",
+        description: "Validate and count without storing anything",
+        default: "false",
+        enum: ["true", "false"],
+      },
+    },
+    requestBody: { type: "string", format: "binary" },
+    requestContentType: "application/zip",
+    responses: {
+      200: {
+        description: "Import report",
+        schema: ref("BenchmarkImportReport"),
+      },
+      400: { description: "Not a readable archive", schema: ref("Error") },
+      401: { description: "Missing or wrong token", schema: ref("Error") },
+      403: {
+        description: "Import disabled on this server",
+        schema: ref("Error"),
+      },
+      ...ERRORS,
+    },
+    handler: ({ req, url }) => handleImport(req, url),
+  },
+]);
 
+// =============================================================================
+// Route Handlers
+// =============================================================================
+
+/** POST /api/benchmarks — store a result (auto-routed to correct tables) */
+async function handleSubmit(req: Request): Promise<Response> {
+  const ip = clientIp(req);
+
+  let body: unknown;
   try {
-    // POST /api/benchmarks — store a result (auto-routed to correct tables)
-    if (req.method === "POST" && (sub === "" || sub === "/")) {
-      // Rate limit by IP
-      const ip =
-        req.headers.get("CF-Connecting-IP") ??
-        req.headers.get("X-Forwarded-For")?.split(",")[0]?.trim() ??
-        "unknown";
-
-      if (isRateLimited(ip)) {
-        return jsonResponse(
-          { error: "Rate limited. Max 30 submissions per minute." },
-          429,
-        );
-      }
+    body = await req.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
 
-      let body: unknown;
-      try {
-        body = await req.json();
-      } catch {
-        return jsonResponse({ error: "Invalid JSON body" }, 400);
-      }
+  const validation = validateResult(body);
+  if (!validation.valid) {
+    return jsonResponse({ error: validation.error }, 400);
+  }
 
-      const validation = validateResult(body);
-      if (!validation.valid) {
-        return jsonResponse({ error: validation.error }, 400);
-      }
+  const { runId, type, quality } = storeResult(
+    validation.result!,
+    hashClient(ip),
+  );
+  return jsonResponse(
+    {
+      success: true,
+      runId,
+      table: type,
+      quality,
+      permalink: runPermalink(runId, type),
+    },
+    201,
+  );
+}
 
-      const { runId, type } = storeResult(validation.result!);
-      return jsonResponse({ success: true, runId, table: type }, 201);
-    }
+/** Quality mode from the query — the route already checked the enum */
+const qualityMode = (url: URL): QualityMode =>
+  (url.searchParams.get("quality") || "filter") as QualityMode;
+
+/** GET /api/benchmarks/stats */
+function handleStats(url: URL): Response {
+  const stats = getStats(resolveType(url), {
+    version: url.searchParams.get("version") ?? undefined,
+    suiteId: url.searchParams.get("suiteId") ?? undefined,
+    itemCount: intParam(url, "itemCount"),
+    stressMs: intParam(url, "stressMs"),
+    scrollSpeed: intParam(url, "scrollSpeed"),
+    cohort: cohortFromUrl(url),
+    quality: qualityMode(url),
+    limit: intParam(url, "limit") ?? 100,
+  });
+  return listResponse(stats);
+}
 
-    // GET endpoints
-    if (req.method !== "GET") {
-      return jsonResponse({ error: "Method not allowed" }, 405);
-    }
+/** GET /api/benchmarks/history — suiteId and metric are checked by the route */
+function handleHistory(url: URL): Response {
+  const history = getHistory(resolveType(url), {
+    suiteId: url.searchParams.get("suiteId")!,
+    itemCount: intParam(url, "itemCount") ?? 10_000,
+    metricLabel: url.searchParams.get("metric")!,
+    version: url.searchParams.get("version") ?? undefined,
+    days: intParam(url, "days") ?? 90,
+    stressMs: intParam(url, "stressMs"),
+    scrollSpeed: intParam(url, "scrollSpeed"),
+    cohort: cohortFromUrl(url),
+    quality: qualityMode(url),
+  });
+  return listResponse(history);
+}
 
-    // Resolve table type from ?type=comparison|suite (defaults to "comparison")
-    const type = resolveType(url);
-
-    // GET /api/benchmarks/stats
-    if (sub === "/stats") {
-      const stats = getStats(type, {
-        version: url.searchParams.get("version") ?? undefined,
-        suiteId: url.searchParams.get("suiteId") ?? undefined,
-        itemCount: intParam(url, "itemCount"),
-        stressMs: intParam(url, "stressMs"),
-        scrollSpeed: intParam(url, "scrollSpeed"),
-        limit: intParam(url, "limit") ?? 100,
-      });
-      return jsonResponse({ items: stats, total: stats.length });
-    }
+/** GET /api/benchmarks/compare — base and head are checked by the route */
+function handleCompare(url: URL): Response {
+  const comparison = compareVersions(resolveType(url), {
+    base: url.searchParams.get("base")!,
+    head: url.searchParams.get("head")!,
+    suiteId: url.searchParams.get("suiteId") ?? undefined,
+    itemCount: intParam(url, "itemCount"),
+    metricLabel: url.searchParams.get("metric") ?? undefined,
+    quality: qualityMode(url),
+  });
+  return jsonResponse(comparison);
+}
 
-    // GET /api/benchmarks/history
-    if (sub === "/history") {
-      const suiteId = url.searchParams.get("suiteId");
-      const metricLabel = url.searchParams.get("metric");
+/** GET /api/benchmarks/export — type and format are checked by the route */
+function handleExport(url: URL): Response {
+  const since = url.searchParams.get("since") || undefined;
+  if (since !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(since)) {
+    return jsonResponse({ error: "since must be a YYYY-MM-DD date" }, 400);
+  }
+  const type = (url.searchParams.get("type") || "all") as ArchiveType;
+  const format = (url.searchParams.get("format") || "ndjson") as
+    "ndjson" | "zip";
+
+  const manifest: ArchiveManifest = {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: ARCHIVE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    type,
+    since: since ?? null,
+  };
+  return exportResponse(scanArchive(type, since), {
+    format: archiveFormat(format, manifest),
+    name: "vlist-benchmarks",
+    headers: { ...CORS_HEADERS, "Cache-Control": "no-store" },
+  });
+}
 
-      if (!suiteId || !metricLabel) {
-        return jsonResponse(
-          { error: "suiteId and metric query params are required" },
-          400,
-        );
-      }
+/** Constant-time check of an `Authorization: Bearer` header */
+function isAdmin(req: Request, token: string): boolean {
+  const header = req.headers.get("Authorization") ?? "";
+  const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const digest = (value: string) =>
+    new Bun.CryptoHasher("sha256").update(value).digest();
+  return timingSafeEqual(digest(given), digest(token));
+}
 
-      const history = getHistory(type, {
-        suiteId,
-        itemCount: intParam(url, "itemCount") ?? 10_000,
-        metricLabel,
-        version: url.searchParams.get("version") ?? undefined,
-        days: intParam(url, "days") ?? 90,
-        stressMs: intParam(url, "stressMs"),
-        scrollSpeed: intParam(url, "scrollSpeed"),
-      });
-      return jsonResponse({ items: history, total: history.length });
-    }
+/** POST /api/benchmarks/import — zip or NDJSON body */
+async function handleImport(req: Request, url: URL): Promise<Response> {
+  const token = ADMIN_TOKEN();
+  if (!token) {
+    return jsonResponse(
+      { error: "Import is disabled. Set BENCHMARK_ADMIN_TOKEN to enable it." },
+      403,
+    );
+  }
+  if (!isAdmin(req, token)) {
+    const response = jsonResponse({ error: "Unauthorized" }, 401);
+    response.headers.set("WWW-Authenticate", 'Bearer realm="benchmarks"');
+    return response;
+  }
 
-    // GET /api/benchmarks/versions
-    if (sub === "/versions") {
-      const versions = getVersions(type);
-      return jsonResponse({ items: versions, total: versions.length });
+  const data = new Uint8Array(await req.arrayBuffer());
+  try {
+    const report = importArchive(data, {
+      dryRun: url.searchParams.get("dryRun") === "true",
+    });
+    return jsonResponse(report);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    if (message.startsWith("Invalid archive")) {
+      return jsonResponse({ error: message }, 400);
     }
+    throw err;
+  }
+}
 
-    // GET /api/benchmarks/suites
-    if (sub === "/suites") {
-      const suites = getSuites(type);
-      return jsonResponse({ items: suites, total: suites.length });
-    }
+export async function routeBenchmarks(
+  req: Request,
+  url: URL,
+): Promise<Response | null> {
+  // Only handle /api/benchmarks*
+  if (!url.pathname.startsWith("/api/benchmarks")) return null;
 
-    // GET /api/benchmarks/browsers
-    if (sub === "/browsers") {
-      const browsers = getBrowsers(type);
-      return jsonResponse({ items: browsers, total: browsers.length });
-    }
+  const match = BENCHMARK_ROUTES.match(req.method, url.pathname);
+  if (match.status === "not-found") return null; // Not a benchmarks endpoint
 
-    // GET /api/benchmarks/summary
-    if (sub === "/summary") {
-      const summary = getSummary(type);
-      return jsonResponse(summary);
-    }
+  if (match.status === "method-not-allowed") {
+    const response = jsonResponse({ error: "Method not allowed" }, 405);
+    response.headers.set("Allow", [...match.allow, "OPTIONS"].join(", "));
+    return response;
+  }
+
+  const { params, errors } = validateParams(match.route, match.rawParams, url);
+  if (errors.length > 0) {
+    return jsonResponse(
+      { error: describeParamErrors(errors), details: errors },
+      400,
+    );
+  }
 
-    return null; // Not a recognized benchmarks endpoint
+  const limit = match.route.rateLimit?.take(req) ?? null;
+  if (limit && !limit.allowed) {
+    const response = jsonResponse(
+      { error: `Rate limited. Try again in ${limit.retryAfter}s.` },
+      429,
+    );
+    setHeaders(response, rateLimitHeaders(limit));
+    return response;
+  }
+
+  try {
+    const response = await match.route.handler({ req, url, params });
+    if (limit && response) setHeaders(response, rateLimitHeaders(limit));
+    return response;
   } catch (err) {
     const message = err instanceof Error ? err.message : String(err);
     console.error("[benchmarks API]", message);
 
-    // Database not found — return helpful error
-    if (message.includes("benchmarks.db not found")) {
-      return jsonResponse(
-        {
-          error:
-            "Benchmark storage not initialized. Run: bun run scripts/seed-benchmarks.ts",
-        },
-        503,
-      );
+    // Storage couldn't be opened (unwritable data dir, bad config…)
+    if (message.startsWith("Benchmark storage unavailable")) {
+      return jsonResponse({ error: "Benchmark storage unavailable" }, 503);
     }
 
     return jsonResponse({ error: "Internal server error" }, 500);
@@ -1003,20 +2607,34 @@ const CORS_HEADERS: Record<string, string> = {
   "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
   "Access-Control-Allow-Headers": "Content-Type",
   "Access-Control-Max-Age": "86400",
+  "Access-Control-Expose-Headers": RATE_LIMIT_HEADER_NAMES.join(", "),
 };
 
+function setHeaders(response: Response, headers: Record<string, string>) {
+  for (const [name, value] of Object.entries(headers)) {
+    response.headers.set(name, value);
+  }
+}
+
 function jsonResponse(data: unknown, status: number = 200): Response {
-  return new Response(JSON.stringify(data), {
+  const body = JSON.stringify(data);
+  return new Response(body, {
     status,
     headers: {
       "Content-Type": "application/json; charset=utf-8",
       "Cache-Control":
         status >= 400 ? "no-cache" : "public, s-maxage=60, max-age=0",
       ...CORS_HEADERS,
+      ...(status === 200 && { ETag: hashETag(body) }),
     },
   });
 }
 
+/** { items, total } envelope used by every list endpoint */
+function listResponse(items: unknown[]): Response {
+  return jsonResponse({ items, total: items.length });
+}
+
 /** Parse an integer query param, return undefined if missing/invalid */
 function intParam(url: URL, name: string): number | undefined {
   const raw = url.searchParams.get(name);
@@ -0,0 +1,418 @@
+// src/api/bundle.ts
+// Bundling of small multi-file projects — what the playground needs to run
+// framework variants without shipping a bundler to the browser.
+//
+// A project is a handful of source files and a framework. It is written to a
+// temporary directory and bundled with Bun using the same plugins as
+// examples/build.ts (framework dedupe, Solid Babel transform, Vue flags), so
+// a playground bundle behaves like the prebuilt example. Imports are
+// sandboxed: relative imports must stay inside the project, and bare imports
+// are limited to vlist, its adapters and the framework packages.
+//
+// Results are cached in memory by a hash of the project's content — the
+// same project is only bundled once per process. Builds run one at a time.
+//
+// Endpoint:
+//   POST /api/bundle  — { framework, entry?, files } → { hash, js, css, size, cached }
+
+import { createHash } from "crypto";
+import {
+  mkdtempSync,
+  mkdirSync,
+  realpathSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { tmpdir } from "os";
+import { dirname, join, relative, resolve } from "path";
+import { ROOT } from "../server/config";
+import {
+  FRAMEWORKS,
+  SCRIPT_EXTENSIONS,
+  frameworkBuildOptions,
+  minifyCss,
+  type Framework,
+} from "../../scripts/example-plugins";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface BundleProject {
+  framework: Framework;
+  /** Path of the entry module, one of the keys of `files` */
+  entry: string;
+  /** Source by project-relative path, e.g. "script.jsx", "lib/data.js" */
+  files: Record<string, string>;
+}
+
+export interface BundleResult {
+  /** Content hash of the project — the cache key */
+  hash: string;
+  js: string;
+  css: string;
+  /** Bytes */
+  size: { js: number; css: number };
+  /** True when served from the cache */
+  cached: boolean;
+}
+
+export interface BundleLog {
+  message: string;
+  /** Project-relative path, null for errors without a position */
+  file: string | null;
+  line: number | null;
+  column: number | null;
+}
+
+export type BundleOutcome =
+  | { success: true; result: BundleResult }
+  | { success: false; logs: BundleLog[] };
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+export const MAX_FILES = 20;
+export const MAX_PROJECT_BYTES = 256 * 1024;
+
+/** Project-relative paths — no "..", no absolute paths, known extensions */
+const FILE_PATH_REGEX = /^[\w-]+(?:\.[\w-]+)*(?:\/[\w-]+(?:\.[\w-]+)*)*$/;
+const FILE_EXTENSION_REGEX = /\.(?:[jt]sx?|css|json)$/;
+const SCRIPT_REGEX = /\.[jt]sx?$/;
+
+/**
+ * Validate a bundle request body.
+ * Checks shape and limits only — import errors are reported by the build.
+ */
+export function validateBundleRequest(data: unknown): {
+  valid: boolean;
+  error?: string;
+  project?: BundleProject;
+} {
+  if (!data || typeof data !== "object") {
+    return { valid: false, error: "Request body must be a JSON object" };
+  }
+
+  const body = data as Record<string, unknown>;
+  const framework = body.framework ?? "vanilla";
+  if (!FRAMEWORKS.includes(framework as Framework)) {
+    return {
+      valid: false,
+      error: `framework must be one of: ${FRAMEWORKS.join(", ")}`,
+    };
+  }
+
+  const files = body.files;
+  if (!files || typeof files !== "object" || Array.isArray(files)) {
+    return { valid: false, error: "files must be an object of path → source" };
+  }
+  const paths = Object.keys(files);
+  if (paths.length === 0 || paths.length > MAX_FILES) {
+    return {
+      valid: false,
+      error: `files must contain between 1 and ${MAX_FILES} files`,
+    };
+  }
+
+  let bytes = 0;
+  for (const path of paths) {
+    if (!FILE_PATH_REGEX.test(path) || !FILE_EXTENSION_REGEX.test(path)) {
+      return {
+        valid: false,
+        error: `files["${path}"]: paths must be relative and end in .js, .jsx, .ts, .tsx, .css or .json`,
+      };
+    }
+    const code = (files as Record<string, unknown>)[path];
+    if (typeof code !== "string") {
+      return { valid: false, error: `files["${path}"] must be a string` };
+    }
+    bytes += Buffer.byteLength(code);
+  }
+  if (bytes > MAX_PROJECT_BYTES) {
+    return {
+      valid: false,
+      error: `files may total at most ${MAX_PROJECT_BYTES / 1024} KB`,
+    };
+  }
+
+  const entry =
+    body.entry ?? SCRIPT_EXTENSIONS.find((name) => paths.includes(name));
+  if (typeof entry !== "string" || !paths.includes(entry)) {
+    return {
+      valid: false,
+      error: `entry must name one of the files (default: ${SCRIPT_EXTENSIONS.join(", ")})`,
+    };
+  }
+  if (!SCRIPT_REGEX.test(entry)) {
+    return { valid: false, error: "entry must be a script" };
+  }
+
+  return {
+    valid: true,
+    project: {
+      framework: framework as Framework,
+      entry,
+      files: files as Record<string, string>,
+    },
+  };
+}
+
+/** Stable across key order — the same project always hashes the same */
+export function hashProject(project: BundleProject): string {
+  const hash = createHash("sha256");
+  hash.update(`${project.framework}\0${project.entry}\0`);
+  for (const path of Object.keys(project.files).sort()) {
+    hash.update(`${path}\0${project.files[path]}\0`);
+  }
+  return hash.digest("hex").slice(0, 16);
+}
+
+// =============================================================================
+// Sandbox
+// =============================================================================
+
+/**
+ * Bare imports a project may use — vlist, its adapters and the frameworks,
+ * with a subpath that has no `.` or `..` segments
+ */
+const ALLOWED_PACKAGE_REGEX =
+  /^(?:vlist(?:-react|-vue|-svelte|-solidjs)?|react|react-dom|vue|@vue\/[\w-]+|solid-js|svelte)(?:\/(?!\.\.?(?:\/|$))[\w.-]+)*$/;
+
+const inProject = (projectDir: string, path: string): boolean =>
+  path === projectDir || path.startsWith(projectDir + "/");
+
+/**
+ * The installed directory of a bare import's package, symlinks resolved.
+ * `vlist` is an import alias for @floor/vlist (package.json "imports").
+ */
+function packageDir(specifier: string): string {
+  const [first, second] = specifier.split("/");
+  const name = first.startsWith("@") ? `${first}/${second}` : first;
+  const dir = join(
+    ROOT,
+    "node_modules",
+    name === "vlist" ? "@floor/vlist" : name,
+  );
+  try {
+    return realpathSync(dir);
+  } catch {
+    return dir;
+  }
+}
+
+/**
+ * Confine a build to its project directory. Registered before the framework
+ * plugins — they resolve specifiers themselves, so every import the project
+ * makes is checked here first. Imports made by packages (node_modules)
+ * resolve normally. CSS files imported from scripts are recorded in
+ * `importedCss`.
+ */
+function sandboxPlugin(
+  projectDir: string,
+  importedCss: Set<string>,
+): import("bun").BunPlugin {
+  return {
+    name: "bundle-sandbox",
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, (args) => {
+        if (!args.importer || !inProject(projectDir, args.importer)) {
+          return undefined;
+        }
+
+        if (args.path.startsWith(".") || args.path.startsWith("/")) {
+          const target = resolve(dirname(args.importer), args.path);
+          if (!inProject(projectDir, target)) {
+            throw new Error(`Import outside the project: "${args.path}"`);
+          }
+          if (target.endsWith(".css")) importedCss.add(target);
+          return undefined;
+        }
+
+        if (!ALLOWED_PACKAGE_REGEX.test(args.path)) {
+          throw new Error(
+            `Package not available: "${args.path}" (vlist, its adapters, react, vue, solid-js and svelte are)`,
+          );
+        }
+        return undefined;
+      });
+    },
+  };
+}
+
+/**
+ * Resolve the project's bare imports the framework plugins left alone.
+ * Registered after them. Bare imports resolve from vlist.dev's node_modules
+ * — the project lives in a temporary directory with none of its own.
+ */
+function packagePlugin(projectDir: string): import("bun").BunPlugin {
+  return {
+    name: "bundle-packages",
+    setup(build) {
+      build.onResolve({ filter: /.*/ }, (args) => {
+        if (
+          !args.importer ||
+          !inProject(projectDir, args.importer) ||
+          args.path.startsWith(".") ||
+          args.path.startsWith("/")
+        ) {
+          return undefined;
+        }
+
+        let path: string;
+        try {
+          path = realpathSync(Bun.resolveSync(args.path, ROOT));
+        } catch {
+          throw new Error(`Package not installed: "${args.path}"`);
+        }
+        // The regex keeps subpaths down, but exports maps and aliases can
+        // still point anywhere — only files inside the package are served
+        if (!inProject(packageDir(args.path), path)) {
+          throw new Error(`Import outside the package: "${args.path}"`);
+        }
+        return { path };
+      });
+    },
+  };
+}
+
+// =============================================================================
+// Build
+// =============================================================================
+
+/**
+ * Bundle a project. Files are written under a directory named after the
+ * framework — the Solid transform only applies inside a solidjs/ directory.
+ */
+export async function buildProject(
+  project: BundleProject,
+): Promise<BundleOutcome> {
+  const root = mkdtempSync(join(tmpdir(), "vlist-bundle-"));
+  const projectDir = join(root, project.framework);
+
+  try {
+    for (const [path, code] of Object.entries(project.files)) {
+      const file = join(projectDir, path);
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, code);
+    }
+
+    const importedCss = new Set<string>();
+    const { plugins, define } = frameworkBuildOptions(project.framework);
+    const result = await Bun.build({
+      entrypoints: [join(projectDir, project.entry)],
+      minify: true,
+      format: "esm",
+      target: "browser",
+      plugins: [
+        sandboxPlugin(projectDir, importedCss),
+        ...plugins,
+        packagePlugin(projectDir),
+      ],
+      define: { ...define, "process.env.NODE_ENV": '"production"' },
+      throw: false,
+    });
+
+    if (!result.success) {
+      return {
+        success: false,
+        logs: result.logs
+          .filter((log) => log.level === "error")
+          .map((log) => {
+            // Positions inside packages aren't the user's to fix — and
+            // would leak server paths
+            const file = log.position?.file;
+            const own = !!file && inProject(projectDir, file);
+            return {
+              message: log.message.replaceAll(projectDir + "/", ""),
+              file: own ? relative(projectDir, file) : null,
+              line: (own && log.position!.line) || null,
+              column: (own && log.position!.column) || null,
+            };
+          }),
+      };
+    }
+
+    let js = "";
+    let css = "";
+    for (const output of result.outputs) {
+      if (output.path.endsWith(".css")) css += await output.text();
+      else if (output.kind === "entry-point") js = await output.text();
+    }
+
+    // Stylesheets the scripts don't import are the page's own (the
+    // examples link styles.css) — appended in path order
+    for (const path of Object.keys(project.files).sort()) {
+      if (path.endsWith(".css") && !importedCss.has(join(projectDir, path))) {
+        css += minifyCss(project.files[path]);
+      }
+    }
+
+    return {
+      success: true,
+      result: {
+        hash: hashProject(project),
+        js,
+        css,
+        size: { js: Buffer.byteLength(js), css: Buffer.byteLength(css) },
+        cached: false,
+      },
+    };
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+}
+
+// =============================================================================
+// Cache
+// =============================================================================
+
+export const CACHE_SIZE = 100;
+
+/** Outcomes by project hash, least recently used first */
+const cache = new Map<string, BundleOutcome>();
+/** Builds in flight, so concurrent identical requests share one */
+const pending = new Map<string, Promise<BundleOutcome>>();
+/** Tail of the build queue — one Bun.build at a time */
+let queue: Promise<unknown> = Promise.resolve();
+
+/**
+ * Bundle a project, from the cache when the same content was bundled
+ * before. Failures are cached too — the same input fails the same way.
+ */
+export async function bundleProject(
+  project: BundleProject,
+): Promise<BundleOutcome> {
+  const hash = hashProject(project);
+
+  const hit = cache.get(hash);
+  if (hit) {
+    cache.delete(hash);
+    cache.set(hash, hit);
+    return hit.success
+      ? { success: true, result: { ...hit.result, cached: true } }
+      : hit;
+  }
+
+  let build = pending.get(hash);
+  if (!build) {
+    build = queue.then(() => buildProject(project));
+    queue = build.catch(() => {});
+    pending.set(hash, build);
+    build
+      .then((outcome) => {
+        cache.set(hash, outcome);
+        if (cache.size > CACHE_SIZE) {
+          cache.delete(cache.keys().next().value!);
+        }
+      })
+      .catch(() => {})
+      .finally(() => pending.delete(hash));
+  }
+  return build;
+}
+
+/** Drop every cached outcome (tests) */
+export function clearBundleCache(): void {
+  cache.clear();
+}
@@ -1,16 +1,35 @@
 // src/api/cities.ts
 // Cities API — paginated, sortable, filterable, searchable.
 // Backed by SQLite (data/cities.db), seeded from src/data/cities.js.
+// The connection here is read-only, so schema changes (./migrations/cities)
+// are applied by the server at start.
 //
 // Endpoints:
 //   GET /api/cities          — paginated list with sort, filter, search
+//   GET /api/cities/export   — whole filtered list as CSV, NDJSON or XLSX
 //   GET /api/cities/:id      — single city by ID
 //   GET /api/cities/countries — distinct country codes
 //   GET /api/cities/stats    — aggregate statistics
 
 import { Database, type SQLQueryBindings } from "bun:sqlite";
 import { resolve } from "path";
-import { existsSync } from "fs";
+import { existsSync, statSync } from "fs";
+import { fetchKeysetPage, createCountCache } from "./cursor";
+import {
+  toMatchQuery,
+  hasFtsTable,
+  fetchRankedPage,
+  rankedScan,
+  attachHighlights,
+} from "./fts";
+import type { RowScan } from "./export";
+import {
+  intParam,
+  DELAY_PARAM,
+  DIRECTION_PARAM,
+  CURSOR_PARAM,
+  type ParamSchemas,
+} from "./params";
 
 // =============================================================================
 // Database Connection (singleton, read-only)
@@ -34,6 +53,16 @@ function getDb(): Database {
   return db;
 }
 
+/**
+ * Version of the dataset — it's read-only, so only re-seeding changes it.
+ * Same shape as the tracks revision: a counter plus Unix seconds.
+ */
+export function getRevision(): { revision: number; modifiedAt: number } {
+  getDb(); // Throws the usual "not found" error if the database is missing
+  const modifiedAt = Math.floor(statSync(DB_PATH).mtimeMs / 1000);
+  return { revision: modifiedAt, modifiedAt };
+}
+
 // =============================================================================
 // Types
 // =============================================================================
@@ -46,12 +75,16 @@ export interface City {
   lat: number;
   lng: number;
   continent: string;
+  /** Present when searching — HTML snippet with matches wrapped in <mark> */
+  highlight?: { name: string };
 }
 
 export interface CitiesResponse {
   items: City[];
   total: number;
   hasMore: boolean;
+  /** Present in cursor mode — token for the next page, null on the last page */
+  nextCursor?: string | null;
 }
 
 export interface CitiesStatsResponse {
@@ -81,6 +114,11 @@ const SORTABLE_COLUMNS = new Set([
 
 const VALID_DIRECTIONS = new Set(["asc", "desc"]);
 
+/** Pseudo sort column — rank by search relevance (requires `search`) */
+const RELEVANCE = "relevance";
+
+const CITY_COLUMNS = "id, name, country_code, population, lat, lng, continent";
+
 // =============================================================================
 // Query Builders
 // =============================================================================
@@ -93,22 +131,41 @@ interface QueryFilters {
   maxPop?: number;
 }
 
-interface QueryOptions extends QueryFilters {
-  offset: number;
-  limit: number;
+/** A sorted, filtered view of the table — what an export contains */
+export interface CityView extends QueryFilters {
   sort: string;
   direction: string;
 }
 
+interface QueryOptions extends CityView {
+  offset: number;
+  limit: number;
+  /** Keyset cursor — when defined (even empty), offset is ignored */
+  cursor?: string;
+}
+
+/** COUNT(*) per filter set — the dataset is read-only, so never invalidated */
+const countCache = createCountCache();
+
 /**
  * Build WHERE clause and params from filters.
+ * `match` is the FTS expression for `search` when the index is available —
+ * otherwise search falls back to LIKE matching.
  * Returns [clause, params] — clause includes leading WHERE if non-empty.
  */
-function buildWhere(filters: QueryFilters): [string, SQLQueryBindings[]] {
+function buildWhere(
+  filters: QueryFilters,
+  match: string | null,
+): [string, SQLQueryBindings[]] {
   const conditions: string[] = [];
   const params: SQLQueryBindings[] = [];
 
-  if (filters.search) {
+  if (match) {
+    conditions.push(
+      "id IN (SELECT rowid FROM cities_fts WHERE cities_fts MATCH ?)",
+    );
+    params.push(match);
+  } else if (filters.search) {
     conditions.push("name LIKE ?");
     params.push(`%${filters.search}%`);
   }
@@ -149,6 +206,35 @@ function buildWhere(filters: QueryFilters): [string, SQLQueryBindings[]] {
   return [clause, params];
 }
 
+/**
+ * Full-text search when the index exists (seeded databases) — null means
+ * there's nothing to match or search falls back to LIKE.
+ */
+function searchMatch(
+  database: Database,
+  search: string | undefined,
+): string | null {
+  if (!search || !hasFtsTable(database, "cities_fts")) return null;
+  return toMatchQuery(search);
+}
+
+/**
+ * Validate sort column and direction (prevents SQL injection) and pick the
+ * collation used for text columns.
+ */
+function resolveSort(view: CityView): {
+  sort: string;
+  direction: "asc" | "desc";
+  collate: string;
+} {
+  const sort = SORTABLE_COLUMNS.has(view.sort) ? view.sort : "population";
+  const direction = VALID_DIRECTIONS.has(view.direction)
+    ? (view.direction as "asc" | "desc")
+    : "desc";
+  const collate = sort === "name" ? " COLLATE NOCASE" : "";
+  return { sort, direction, collate };
+}
+
 // =============================================================================
 // API Functions
 // =============================================================================
@@ -159,53 +245,136 @@ function buildWhere(filters: QueryFilters): [string, SQLQueryBindings[]] {
  * Query params:
  *   offset    — start index (default: 0)
  *   limit     — page size (default: 50, max: 200)
- *   sort      — column to sort by (default: "population")
+ *   sort      — column to sort by, or "relevance" when searching (default: "population")
  *   direction — "asc" or "desc" (default: "desc")
- *   search    — case-insensitive name search (LIKE %term%)
+ *   search    — full-text name search (prefix match, diacritics-insensitive);
+ *               matched items carry a `highlight` snippet
  *   country   — filter by ISO country code(s), comma-separated (e.g. "FR" or "FR,DE,US")
  *   continent — filter by continent name (e.g. "Europe")
  *   minPop    — minimum population
  *   maxPop    — maximum population
+ *   cursor    — keyset cursor from a previous `nextCursor` (empty = first page)
  *   delay     — simulated latency in ms (default: 0, max: 5000)
  */
 export function getCities(options: QueryOptions): CitiesResponse {
   const database = getDb();
+  const match = searchMatch(database, options.search);
+  const byRelevance = options.sort === RELEVANCE && match !== null;
+  const { sort, direction, collate } = resolveSort(options);
+
+  const [whereClause, whereParams] = buildWhere(options, match);
+
+  // Count total matching rows (cached per filter set)
+  const total = countCache.get(
+    JSON.stringify([whereClause, whereParams]),
+    () =>
+      (
+        database
+          .query(`SELECT COUNT(*) as count FROM cities${whereClause}`)
+          .get(...whereParams) as { count: number }
+      ).count,
+  );
 
-  // Validate sort column (prevent SQL injection)
-  const sort = SORTABLE_COLUMNS.has(options.sort) ? options.sort : "population";
-  const direction = VALID_DIRECTIONS.has(options.direction)
-    ? options.direction
-    : "desc";
-
-  const collate = sort === "name" ? " COLLATE NOCASE" : "";
+  const limit = Math.min(Math.max(1, options.limit), MAX_LIMIT);
+  const offset = Math.max(0, options.offset);
+  let response: CitiesResponse;
 
-  const [whereClause, whereParams] = buildWhere(options);
+  if (byRelevance) {
+    if (options.cursor !== undefined) {
+      throw new Error("Invalid cursor: not supported with sort=relevance");
+    }
+    const [filterClause, filterParams] = buildWhere(
+      { ...options, search: undefined },
+      null,
+    );
+    const items = fetchRankedPage<City>(database, {
+      table: "cities",
+      ftsTable: "cities_fts",
+      columns: CITY_COLUMNS,
+      match: match!,
+      whereClause: filterClause,
+      whereParams: filterParams,
+      limit,
+      offset,
+    });
+    response = { items, total, hasMore: offset + limit < total };
+  } else if (options.cursor !== undefined) {
+    const page = fetchKeysetPage<City>(database, {
+      table: "cities",
+      columns: CITY_COLUMNS,
+      sort,
+      direction,
+      collate,
+      whereClause,
+      whereParams,
+      limit,
+      cursor: options.cursor,
+    });
+    response = { ...page, total };
+  } else {
+    const items = database
+      .query(
+        `SELECT ${CITY_COLUMNS}
+         FROM cities${whereClause}
+         ORDER BY ${sort}${collate} ${direction.toUpperCase()}
+         LIMIT ? OFFSET ?`,
+      )
+      .all(...whereParams, limit, offset) as City[];
+    response = { items, total, hasMore: offset + limit < total };
+  }
 
-  // Count total matching rows
-  const countRow = database
-    .query(`SELECT COUNT(*) as count FROM cities${whereClause}`)
-    .get(...whereParams) as { count: number };
+  if (match) {
+    attachHighlights(database, "cities_fts", ["name"], match, response.items);
+  }
 
-  const total = countRow.count;
+  return response;
+}
 
-  // Fetch page
-  const offset = Math.max(0, options.offset);
-  const limit = Math.min(Math.max(1, options.limit), MAX_LIMIT);
+/**
+ * GET /api/cities/export
+ *
+ * Every city in the view, in list order — same sort, filters and search as
+ * getCities(), without paging or highlights. The statement is uncached so
+ * concurrent exports don't share it; close() finalizes it.
+ */
+export function scanCities(view: CityView): RowScan {
+  const database = getDb();
+  const [sql, params] = viewQuery(database, view);
+  const statement = database.prepare(sql);
+  return { statement, params, close: () => statement.finalize() };
+}
 
-  const items = database
-    .query(
-      `SELECT id, name, country_code, population, lat, lng, continent
-       FROM cities${whereClause}
-       ORDER BY ${sort}${collate} ${direction.toUpperCase()}
-       LIMIT ? OFFSET ?`,
-    )
-    .all(...whereParams, limit, offset) as City[];
+/** SELECT for every row of a view, in list order — [sql, params] */
+function viewQuery(
+  database: Database,
+  view: CityView,
+): [string, SQLQueryBindings[]] {
+  const match = searchMatch(database, view.search);
+
+  if (view.sort === RELEVANCE && match) {
+    const [filterClause, filterParams] = buildWhere(
+      { ...view, search: undefined },
+      null,
+    );
+    return rankedScan({
+      table: "cities",
+      ftsTable: "cities_fts",
+      columns: CITY_COLUMNS,
+      match,
+      whereClause: filterClause,
+      whereParams: filterParams,
+    });
+  }
 
-  return {
-    items,
-    total,
-    hasMore: offset + limit < total,
-  };
+  const { sort, direction, collate } = resolveSort(view);
+  const [whereClause, whereParams] = buildWhere(view, match);
+  const dir = direction.toUpperCase();
+  return [
+    `SELECT ${CITY_COLUMNS}
+     FROM cities${whereClause}
+     ORDER BY ${sort}${collate} ${dir}, id ${dir}`,
+    whereParams,
+  ];
 }
 
 /**
@@ -214,9 +383,7 @@ export function getCities(options: QueryOptions): CitiesResponse {
 export function getCityById(id: number): City | null {
   const database = getDb();
   const city = database
-    .query(
-      "SELECT id, name, country_code, population, lat, lng, continent FROM cities WHERE id = ?",
-    )
+    .query(`SELECT ${CITY_COLUMNS} FROM cities WHERE id = ?`)
     .get(id) as City | null;
   return city;
 }
@@ -302,34 +469,81 @@ export function getStats(): CitiesStatsResponse {
   };
 }
 
+/**
+ * Query params accepted by GET /api/cities — parseQueryOptions() enforces
+ * these bounds and the OpenAPI document advertises them.
+ */
+export const QUERY_PARAMS = {
+  offset: {
+    type: "integer",
+    description: "Start index",
+    default: 0,
+    minimum: 0,
+    maximum: 1_000_000,
+  },
+  limit: {
+    type: "integer",
+    description: "Page size",
+    default: DEFAULT_LIMIT,
+    minimum: 1,
+    maximum: MAX_LIMIT,
+  },
+  sort: {
+    type: "string",
+    description: 'Column to sort by, or "relevance" with search',
+    default: "population",
+    enum: [...SORTABLE_COLUMNS, RELEVANCE],
+  },
+  direction: DIRECTION_PARAM,
+  search: {
+    type: "string",
+    description:
+      "Full-text name search (prefix match). Items gain highlight.name with <mark> tags.",
+  },
+  country: {
+    type: "string",
+    description: 'ISO country code(s), comma-separated (e.g. "FR,DE,US")',
+  },
+  continent: {
+    type: "string",
+    description: 'Continent name (e.g. "Europe")',
+  },
+  minPop: {
+    type: "integer",
+    description: "Minimum population (0 = no minimum)",
+    default: 0,
+    minimum: 0,
+    maximum: 100_000_000,
+  },
+  maxPop: {
+    type: "integer",
+    description: "Maximum population (0 = no maximum)",
+    default: 0,
+    minimum: 0,
+    maximum: 100_000_000,
+  },
+  cursor: CURSOR_PARAM,
+  delay: DELAY_PARAM,
+} satisfies ParamSchemas;
+
 /**
  * Parse query options from a URL.
  * Centralizes all param parsing so the router stays clean.
  */
 export function parseQueryOptions(url: URL): QueryOptions & { delay: number } {
-  const intParam = (
-    name: string,
-    defaultVal: number,
-    min: number,
-    max: number,
-  ): number => {
-    const raw = url.searchParams.get(name);
-    if (raw === null) return defaultVal;
-    const n = parseInt(raw, 10);
-    if (isNaN(n)) return defaultVal;
-    return Math.max(min, Math.min(max, n));
-  };
+  const p = QUERY_PARAMS;
 
   return {
-    offset: intParam("offset", 0, 0, 1_000_000),
-    limit: intParam("limit", DEFAULT_LIMIT, 1, MAX_LIMIT),
-    sort: url.searchParams.get("sort") ?? "population",
-    direction: url.searchParams.get("direction") ?? "desc",
+    offset: intParam(url, "offset", p.offset),
+    limit: intParam(url, "limit", p.limit),
+    sort: url.searchParams.get("sort") ?? p.sort.default,
+    direction: url.searchParams.get("direction") ?? p.direction.default!,
     search: url.searchParams.get("search") ?? undefined,
     country: url.searchParams.get("country") ?? undefined,
     continent: url.searchParams.get("continent") ?? undefined,
-    minPop: intParam("minPop", 0, 0, 100_000_000),
-    maxPop: intParam("maxPop", 0, 0, 100_000_000),
-    delay: intParam("delay", 0, 0, 5000),
+    minPop: intParam(url, "minPop", p.minPop),
+    maxPop: intParam(url, "maxPop", p.maxPop),
+    cursor: url.searchParams.get("cursor") ?? undefined,
+    delay: intParam(url, "delay", p.delay),
   };
 }
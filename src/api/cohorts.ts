@@ -0,0 +1,300 @@
+// src/api/cohorts.ts
+// Device cohorts for crowdsourced benchmark results.
+//
+// Runs store the raw environment the client sent — user agent, core count,
+// device memory. A cohort narrows aggregates to comparable devices (e.g.
+// desktop Chrome 120 on 9–16 cores) so a slow phone doesn't drag the median
+// of a fast laptop.
+//
+// Cohorts are derived on the fly rather than stored: every rule below has a
+// JS form (for classifying one user agent) and an SQL form (for filtering in
+// a query), both generated from the same table so they can't drift apart.
+
+import type { ParamSchemas } from "./params";
+
+// =============================================================================
+// Rules
+// =============================================================================
+
+/** A user agent matches when it contains any of `match` (and `also`, if set) */
+interface UaRule {
+  id: string;
+  match: string[];
+  also?: string;
+}
+
+interface BrowserRule extends UaRule {
+  name: string;
+  /** Token the major version follows, e.g. "Chrome/" */
+  version: string;
+}
+
+/** Order matters — more specific browsers first (Edge and Opera say "Chrome/") */
+const BROWSERS: BrowserRule[] = [
+  { id: "edge", name: "Edge", match: ["Edg/"], version: "Edg/" },
+  { id: "opera", name: "Opera", match: ["OPR/", "Opera"], version: "OPR/" },
+  { id: "vivaldi", name: "Vivaldi", match: ["Vivaldi/"], version: "Vivaldi/" },
+  { id: "brave", name: "Brave", match: ["Brave"], version: "Chrome/" },
+  {
+    id: "samsung",
+    name: "Samsung Internet",
+    match: ["SamsungBrowser/"],
+    version: "SamsungBrowser/",
+  },
+  { id: "firefox", name: "Firefox", match: ["Firefox/"], version: "Firefox/" },
+  {
+    id: "chrome-ios",
+    name: "Chrome (iOS)",
+    match: ["CriOS/"],
+    version: "CriOS/",
+  },
+  {
+    id: "firefox-ios",
+    name: "Firefox (iOS)",
+    match: ["FxiOS/"],
+    version: "FxiOS/",
+  },
+  {
+    id: "chrome",
+    name: "Chrome",
+    match: ["Chrome/"],
+    also: "Safari/",
+    version: "Chrome/",
+  },
+  { id: "safari", name: "Safari", match: ["Safari/"], version: "Version/" },
+];
+
+/** iOS before macOS — iPhone user agents say "like Mac OS X" */
+const OPERATING_SYSTEMS: UaRule[] = [
+  { id: "windows", match: ["Windows"] },
+  { id: "android", match: ["Android"] },
+  { id: "ios", match: ["iPhone", "iPad", "iPod"] },
+  { id: "chromeos", match: ["CrOS"] },
+  { id: "macos", match: ["Macintosh", "Mac OS X"] },
+  { id: "linux", match: ["Linux"] },
+];
+
+/** Phones and tablets — Android tablets omit "Mobi" but are still touch devices */
+const MOBILE: UaRule = {
+  id: "mobile",
+  match: ["Mobi", "Android", "iPhone", "iPad", "iPod"],
+};
+
+interface Bucket {
+  id: string;
+  /** Inclusive lower bound */
+  min: number;
+  /** Exclusive upper bound */
+  below?: number;
+}
+
+/** navigator.hardwareConcurrency (logical cores) */
+const CORE_BUCKETS: Bucket[] = [
+  { id: "1-4", min: 1, below: 5 },
+  { id: "5-8", min: 5, below: 9 },
+  { id: "9-16", min: 9, below: 17 },
+  { id: "17-up", min: 17 },
+];
+
+/** navigator.deviceMemory (GB, rounded by the browser — 0.25 to 8+) */
+const MEMORY_BUCKETS: Bucket[] = [
+  { id: "under-4", min: 0, below: 4 },
+  { id: "4-7", min: 4, below: 8 },
+  { id: "8-up", min: 8 },
+];
+
+// =============================================================================
+// Classification (JS)
+// =============================================================================
+
+const matches = (ua: string, rule: UaRule): boolean =>
+  rule.match.some((token) => ua.includes(token)) &&
+  (!rule.also || ua.includes(rule.also));
+
+/** First rule the user agent matches, in table order */
+const firstMatch = <T extends UaRule>(
+  ua: string | null,
+  rules: T[],
+): T | undefined => (ua ? rules.find((rule) => matches(ua, rule)) : undefined);
+
+const bucketOf = (value: number | null, buckets: Bucket[]): string | null => {
+  if (value == null) return null;
+  const bucket = buckets.find(
+    (b) => value >= b.min && (b.below === undefined || value < b.below),
+  );
+  return bucket?.id ?? null;
+};
+
+/** Browser family id ("chrome", "firefox", …) or "other" */
+export function browserOf(ua: string | null): string {
+  return firstMatch(ua, BROWSERS)?.id ?? "other";
+}
+
+/** Display name of a browser family ("Chrome", "Samsung Internet", …) */
+export function browserName(ua: string | null): string {
+  if (!ua) return "Unknown";
+  return firstMatch(ua, BROWSERS)?.name ?? "Other";
+}
+
+/** Major version of the browser family, or null if the UA doesn't say */
+export function browserVersionOf(ua: string | null): number | null {
+  const rule = firstMatch(ua, BROWSERS);
+  if (!ua || !rule) return null;
+  const at = ua.indexOf(rule.version);
+  if (at < 0) return null;
+  const major = parseInt(ua.slice(at + rule.version.length), 10);
+  return isNaN(major) ? null : major;
+}
+
+/** Operating system id ("windows", "ios", …) or "other" */
+export function osOf(ua: string | null): string {
+  return firstMatch(ua, OPERATING_SYSTEMS)?.id ?? "other";
+}
+
+export function deviceOf(ua: string | null): "mobile" | "desktop" {
+  return ua && matches(ua, MOBILE) ? "mobile" : "desktop";
+}
+
+export function coresBucket(cores: number | null): string | null {
+  return bucketOf(cores, CORE_BUCKETS);
+}
+
+export function memoryBucket(memory: number | null): string | null {
+  return bucketOf(memory, MEMORY_BUCKETS);
+}
+
+// =============================================================================
+// Filtering (SQL)
+// =============================================================================
+
+export interface Cohort {
+  browser?: string;
+  browserVersion?: number;
+  os?: string;
+  device?: string;
+  cores?: string;
+  memory?: string;
+}
+
+/** Tokens are constants from the tables above — safe to inline as literals */
+const contains = (column: string, token: string): string =>
+  `instr(${column}, '${token}') > 0`;
+
+const matchesSql = (column: string, rule: UaRule): string => {
+  const any = rule.match.map((token) => contains(column, token)).join(" OR ");
+  return rule.also ? `(${any}) AND ${contains(column, rule.also)}` : `(${any})`;
+};
+
+/** CASE expression mapping a user agent column to the first matching rule */
+const classifySql = <T extends UaRule>(
+  column: string,
+  rules: T[],
+  then: (rule: T) => string,
+  otherwise: string,
+): string =>
+  `CASE ${rules.map((rule) => `WHEN ${matchesSql(column, rule)} THEN ${then(rule)}`).join(" ")} ELSE ${otherwise} END`;
+
+const versionSql = (column: string, token: string): string =>
+  `CASE WHEN ${contains(column, token)} THEN CAST(substr(${column}, instr(${column}, '${token}') + ${token.length}) AS INTEGER) END`;
+
+const bucketSql = (column: string, bucket: Bucket): string =>
+  bucket.below === undefined
+    ? `${column} >= ${bucket.min}`
+    : `${column} >= ${bucket.min} AND ${column} < ${bucket.below}`;
+
+/**
+ * WHERE conditions (and their bound params) restricting runs — aliased
+ * `alias` — to a cohort. Unset fields don't filter; runs that didn't report
+ * cores or memory are excluded once that field is set.
+ */
+export function cohortFilter(
+  cohort: Cohort,
+  alias: string = "r",
+): { conditions: string[]; params: (string | number)[] } {
+  const ua = `${alias}.user_agent`;
+  const conditions: string[] = [];
+  const params: (string | number)[] = [];
+
+  if (cohort.browser) {
+    conditions.push(
+      `${classifySql(ua, BROWSERS, (rule) => `'${rule.id}'`, "'other'")} = ?`,
+    );
+    params.push(cohort.browser);
+  }
+  if (cohort.browserVersion !== undefined) {
+    const version = (rule: BrowserRule) => versionSql(ua, rule.version);
+    conditions.push(`${classifySql(ua, BROWSERS, version, "NULL")} = ?`);
+    params.push(cohort.browserVersion);
+  }
+  if (cohort.os) {
+    conditions.push(
+      `${classifySql(ua, OPERATING_SYSTEMS, (rule) => `'${rule.id}'`, "'other'")} = ?`,
+    );
+    params.push(cohort.os);
+  }
+  if (cohort.device) {
+    const mobile = `COALESCE(${matchesSql(ua, MOBILE)}, 0)`;
+    conditions.push(cohort.device === "mobile" ? mobile : `NOT ${mobile}`);
+  }
+
+  const bucket = (column: string, buckets: Bucket[], id?: string) => {
+    const match = buckets.find((b) => b.id === id);
+    if (match) conditions.push(bucketSql(`${alias}.${column}`, match));
+  };
+  bucket("hardware_concurrency", CORE_BUCKETS, cohort.cores);
+  bucket("device_memory", MEMORY_BUCKETS, cohort.memory);
+
+  return { conditions, params };
+}
+
+// =============================================================================
+// Query Parameters
+// =============================================================================
+
+/** Cohort filters, shared by the stats, history and summary endpoints */
+export const COHORT_PARAMS: ParamSchemas = {
+  browser: {
+    type: "string",
+    description: "Browser family",
+    enum: [...BROWSERS.map((rule) => rule.id), "other"],
+  },
+  browserVersion: {
+    type: "integer",
+    description: "Browser major version (of the family's own version number)",
+    minimum: 1,
+  },
+  os: {
+    type: "string",
+    description: "Operating system",
+    enum: [...OPERATING_SYSTEMS.map((rule) => rule.id), "other"],
+  },
+  device: {
+    type: "string",
+    description: "Phones and tablets vs everything else",
+    enum: ["mobile", "desktop"],
+  },
+  cores: {
+    type: "string",
+    description: "Logical core count bucket (navigator.hardwareConcurrency)",
+    enum: CORE_BUCKETS.map((b) => b.id),
+  },
+  memory: {
+    type: "string",
+    description: "Device memory bucket in GB (navigator.deviceMemory)",
+    enum: MEMORY_BUCKETS.map((b) => b.id),
+  },
+};
+
+/** Read the cohort params — enums were already checked by the route */
+export function cohortFromUrl(url: URL): Cohort {
+  const get = (name: string) => url.searchParams.get(name) || undefined;
+  const version = parseInt(url.searchParams.get("browserVersion") ?? "", 10);
+  return {
+    browser: get("browser"),
+    browserVersion: isNaN(version) ? undefined : Math.max(1, version),
+    os: get("os"),
+    device: get("device"),
+    cores: get("cores"),
+    memory: get("memory"),
+  };
+}
@@ -0,0 +1,238 @@
+// src/api/cursor.ts
+// Keyset (cursor) pagination helpers shared by the SQLite-backed datasets.
+//
+// A cursor is an opaque base64url token that remembers the sort column,
+// direction and the (value, id) pair of the last row on the previous page.
+// The next page is fetched with a WHERE predicate instead of OFFSET, so deep
+// pages stay fast and don't skip or repeat rows when rows are inserted or
+// deleted mid-scroll.
+
+import type { Database, SQLQueryBindings } from "bun:sqlite";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface CursorState {
+  /** Sort column the cursor was issued for */
+  sort: string;
+  /** Sort direction the cursor was issued for */
+  direction: "asc" | "desc";
+  /** Sort column value of the last row (null for NULL columns) */
+  value: string | number | null;
+  /** Row id of the last row — tiebreaker for duplicate sort values */
+  id: number;
+}
+
+// =============================================================================
+// Encoding
+// =============================================================================
+
+/** Encode a cursor state into an opaque, URL-safe token */
+export function encodeCursor(state: CursorState): string {
+  const payload = JSON.stringify([
+    state.sort,
+    state.direction,
+    state.value,
+    state.id,
+  ]);
+  return Buffer.from(payload, "utf-8").toString("base64url");
+}
+
+/**
+ * Decode a cursor token.
+ * Throws an "Invalid cursor" error for malformed tokens.
+ */
+export function decodeCursor(token: string): CursorState {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(Buffer.from(token, "base64url").toString("utf-8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!Array.isArray(parsed) || parsed.length !== 4) {
+    throw new Error("Invalid cursor");
+  }
+
+  const [sort, direction, value, id] = parsed;
+
+  if (
+    typeof sort !== "string" ||
+    (direction !== "asc" && direction !== "desc") ||
+    (value !== null &&
+      typeof value !== "string" &&
+      typeof value !== "number") ||
+    typeof id !== "number" ||
+    !Number.isInteger(id)
+  ) {
+    throw new Error("Invalid cursor");
+  }
+
+  return { sort, direction, value, id };
+}
+
+// =============================================================================
+// Query Building
+// =============================================================================
+
+/**
+ * Build the keyset predicate selecting rows strictly after the cursor row,
+ * matching `ORDER BY <sort><collate> <dir>, id <dir>`.
+ *
+ * SQLite sorts NULLs first in ASC order and last in DESC order, so nullable
+ * columns need an explicit branch on either side of the NULL boundary.
+ *
+ * Returns [condition, params] — condition has no leading WHERE/AND.
+ */
+export function buildKeysetCondition(
+  cursor: CursorState,
+  collate: string = "",
+): [string, SQLQueryBindings[]] {
+  const { sort, direction, value, id } = cursor;
+  const op = direction === "asc" ? ">" : "<";
+
+  if (sort === "id") {
+    return [`id ${op} ?`, [id]];
+  }
+
+  const col = `${sort}${collate}`;
+
+  if (value === null) {
+    return direction === "asc"
+      ? [`((${sort} IS NULL AND id > ?) OR ${sort} IS NOT NULL)`, [id]]
+      : [`(${sort} IS NULL AND id < ?)`, [id]];
+  }
+
+  const afterValue = `(${col} ${op} ? OR (${col} = ? AND id ${op} ?))`;
+  return direction === "asc"
+    ? [afterValue, [value, value, id]]
+    : [`(${afterValue} OR ${sort} IS NULL)`, [value, value, id]];
+}
+
+// =============================================================================
+// Keyset Pages
+// =============================================================================
+
+export interface KeysetQuery {
+  /** Table to read from (trusted — never user input) */
+  table: string;
+  /** Comma-separated column list (must include `id` and the sort column) */
+  columns: string;
+  /** Validated sort column */
+  sort: string;
+  direction: "asc" | "desc";
+  /** Collation suffix for the sort column, e.g. " COLLATE NOCASE" */
+  collate: string;
+  /** Filter clause from buildWhere — includes leading WHERE if non-empty */
+  whereClause: string;
+  whereParams: SQLQueryBindings[];
+  limit: number;
+  /** Cursor token from a previous page — empty string starts from the top */
+  cursor: string;
+}
+
+export interface KeysetPage<T> {
+  items: T[];
+  hasMore: boolean;
+  nextCursor: string | null;
+}
+
+/**
+ * Fetch one keyset page: rows strictly after the cursor row, ordered by the
+ * sort column with `id` as tiebreaker.
+ * Throws an "Invalid cursor" error if the cursor was issued for another sort.
+ */
+export function fetchKeysetPage<T extends { id: number }>(
+  database: Database,
+  query: KeysetQuery,
+): KeysetPage<T> {
+  const { table, columns, sort, direction, collate, limit } = query;
+  const conditions = query.whereClause
+    ? [query.whereClause.replace(/^ WHERE /, "")]
+    : [];
+  const params = [...query.whereParams];
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (cursor.sort !== sort || cursor.direction !== direction) {
+      throw new Error("Invalid cursor: sort or direction changed");
+    }
+    const [condition, conditionParams] = buildKeysetCondition(cursor, collate);
+    conditions.push(condition);
+    params.push(...conditionParams);
+  }
+
+  const where =
+    conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+  const dir = direction.toUpperCase();
+
+  // Fetch one extra row to know whether another page exists
+  const rows = database
+    .query(
+      `SELECT ${columns}
+       FROM ${table}${where}
+       ORDER BY ${sort}${collate} ${dir}, id ${dir}
+       LIMIT ?`,
+    )
+    .all(...params, limit + 1) as T[];
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    hasMore,
+    nextCursor:
+      hasMore && last
+        ? encodeCursor({
+            sort,
+            direction,
+            value: (last as Record<string, CursorState["value"]>)[sort] ?? null,
+            id: last.id,
+          })
+        : null,
+  };
+}
+
+// =============================================================================
+// Count Cache
+// =============================================================================
+
+const DEFAULT_COUNT_CACHE_SIZE = 500;
+
+export interface CountCache {
+  /** Return the cached count for a filter key, computing it on first use */
+  get(key: string, compute: () => number): number;
+  /** Drop every cached count (call after mutations) */
+  clear(): void;
+}
+
+/**
+ * Create a bounded cache of COUNT(*) results keyed by filter set.
+ * Oldest entries are evicted first once `maxSize` is reached.
+ */
+export function createCountCache(
+  maxSize: number = DEFAULT_COUNT_CACHE_SIZE,
+): CountCache {
+  const counts = new Map<string, number>();
+
+  return {
+    get(key, compute) {
+      const cached = counts.get(key);
+      if (cached !== undefined) return cached;
+
+      const count = compute();
+      if (counts.size >= maxSize) {
+        const oldest = counts.keys().next().value;
+        if (oldest !== undefined) counts.delete(oldest);
+      }
+      counts.set(key, count);
+      return count;
+    },
+    clear() {
+      counts.clear();
+    },
+  };
+}
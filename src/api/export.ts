@@ -0,0 +1,200 @@
+// src/api/export.ts
+// Streaming exports — a whole dataset view as CSV, NDJSON or XLSX.
+//
+// The view's SELECT is stepped a chunk of rows at a time, only when the
+// client is ready for more bytes, so memory stays flat however many rows
+// match and a slow download never holds the full result. Used by
+// GET /api/cities/export and GET /api/tracks/export.
+
+import type { SQLQueryBindings, Statement } from "bun:sqlite";
+import type { StringParam } from "./params";
+import { createXlsxEncoder } from "./xlsx";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export const EXPORT_FORMATS = ["csv", "ndjson", "xlsx"] as const;
+
+export type ExportFormat = (typeof EXPORT_FORMATS)[number];
+
+export type ExportRow = Record<string, unknown>;
+
+/** A prepared, not yet stepped SELECT over every row of a view */
+export interface RowScan {
+  statement: Statement;
+  params: SQLQueryBindings[];
+  /** Finalize the statement (and anything opened for it) — called once */
+  close: () => void;
+}
+
+/** Turns batches of rows into file bytes — begin() first, end() last */
+export interface ExportEncoder {
+  begin: () => Uint8Array;
+  rows: (rows: ExportRow[]) => Uint8Array;
+  end: () => Uint8Array;
+}
+
+/** A file format the caller encodes itself — exportResponse() streams it */
+export interface CustomFormat {
+  extension: string;
+  contentType: string;
+  encoder: ExportEncoder;
+}
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/** Rows encoded per pull — one stream chunk */
+const CHUNK_ROWS = 500;
+
+export const FORMAT_PARAM = {
+  type: "string",
+  description: "File format",
+  default: "csv",
+  enum: EXPORT_FORMATS,
+} as const satisfies StringParam;
+
+const CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// =============================================================================
+// Text Formats
+// =============================================================================
+
+const text = new TextEncoder();
+
+/** Lets Excel detect UTF-8 when opening the CSV directly */
+const BOM = "\uFEFF";
+
+/**
+ * Quote a CSV field when it needs it (RFC 4180). Strings that a spreadsheet
+ * would evaluate as a formula are prefixed with ' so they stay text.
+ */
+export function csvField(value: unknown): string {
+  if (value === null || value === undefined) return "";
+  if (typeof value !== "string") return String(value);
+
+  const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) || safe !== safe.trim()
+    ? `"${safe.replace(/"/g, '""')}"`
+    : safe;
+}
+
+function createCsvEncoder(columns: string[]): ExportEncoder {
+  const line = (fields: unknown[]) => fields.map(csvField).join(",") + "\r\n";
+  return {
+    begin: () => text.encode(BOM + line(columns)),
+    rows: (rows) =>
+      text.encode(
+        rows.map((row) => line(columns.map((col) => row[col]))).join(""),
+      ),
+    end: () => new Uint8Array(0),
+  };
+}
+
+function createNdjsonEncoder(): ExportEncoder {
+  return {
+    begin: () => new Uint8Array(0),
+    rows: (rows) =>
+      text.encode(rows.map((row) => JSON.stringify(row) + "\n").join("")),
+    end: () => new Uint8Array(0),
+  };
+}
+
+function createEncoder(
+  format: ExportFormat,
+  columns: string[],
+  name: string,
+): ExportEncoder {
+  if (format === "xlsx") return createXlsxEncoder(name, columns);
+  if (format === "ndjson") return createNdjsonEncoder();
+  return createCsvEncoder(columns);
+}
+
+// =============================================================================
+// Streaming
+// =============================================================================
+
+/** Concatenate encoder output into one chunk */
+const concat = (parts: Uint8Array[]): Uint8Array =>
+  parts.length === 1 ? parts[0] : Buffer.concat(parts);
+
+/**
+ * Stream every row of a scan as a downloadable file named
+ * `<name>-<date>.<format>`. The scan is closed when the last row is sent,
+ * when encoding fails, or when the client goes away.
+ */
+export function exportResponse(
+  scan: RowScan,
+  options: {
+    format: ExportFormat | CustomFormat;
+    name: string;
+    headers?: Record<string, string>;
+  },
+): Response {
+  const { format, name } = options;
+  const columns = scan.statement.columnNames;
+  const encoder =
+    typeof format === "string"
+      ? createEncoder(format, columns, name)
+      : format.encoder;
+  const rows = scan.statement.iterate(
+    ...scan.params,
+  ) as IterableIterator<ExportRow>;
+
+  let started = false;
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    scan.close();
+  };
+
+  const body = new ReadableStream<Uint8Array>({
+    pull(controller) {
+      try {
+        const batch: ExportRow[] = [];
+        while (batch.length < CHUNK_ROWS) {
+          const next = rows.next();
+          if (next.done) break;
+          batch.push(next.value);
+        }
+
+        const parts: Uint8Array[] = [];
+        if (!started) {
+          started = true;
+          parts.push(encoder.begin());
+        }
+        if (batch.length > 0) parts.push(encoder.rows(batch));
+
+        const done = batch.length < CHUNK_ROWS;
+        if (done) {
+          parts.push(encoder.end());
+          close();
+        }
+        controller.enqueue(concat(parts));
+        if (done) controller.close();
+      } catch (err) {
+        close();
+        controller.error(err);
+      }
+    },
+    cancel: close,
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  const extension = typeof format === "string" ? format : format.extension;
+  return new Response(body, {
+    headers: {
+      ...options.headers,
+      "Content-Type":
+        typeof format === "string" ? CONTENT_TYPES[format] : format.contentType,
+      "Content-Disposition": `attachment; filename="${name}-${date}.${extension}"`,
+    },
+  });
+}
@@ -0,0 +1,209 @@
+// src/api/faults.ts
+// Deterministic fault injection for the demo data endpoints.
+//
+// Opt-in query params make a request fail the way real backends do — error
+// statuses, truncated pages, latency jitter and occasional slow pages — so
+// the async examples can exercise their retry and placeholder paths.
+//
+// Every decision is drawn from a PRNG seeded by faultSeed, the request
+// (path + non-fault params) and faultAttempt. The same URL always misbehaves
+// the same way; a client that bumps faultAttempt on retry gets a fresh roll
+// that is just as reproducible.
+
+import { intParam, type ParamSchemas } from "./params";
+
+// =============================================================================
+// Parameters
+// =============================================================================
+
+/** Chance params are whole percentages — 25 means one request in four */
+const percent = (description: string) =>
+  ({
+    type: "integer",
+    description,
+    default: 0,
+    minimum: 0,
+    maximum: 100,
+  }) as const;
+
+export const JITTER_DISTRIBUTIONS = ["uniform", "normal", "exponential"];
+
+export const FAULT_PARAMS = {
+  faultSeed: {
+    type: "integer",
+    description: "Seed for every fault decision — same seed, same faults",
+    default: 0,
+  },
+  faultAttempt: {
+    type: "integer",
+    description: "Retry counter — bump it to re-roll a failed request",
+    default: 0,
+    minimum: 0,
+  },
+  faultErrorRate: percent("Chance (%) of failing with faultStatus"),
+  faultStatus: {
+    type: "integer",
+    description: "Status code of injected errors",
+    default: 503,
+    minimum: 400,
+    maximum: 599,
+  },
+  faultTruncateRate: percent("Chance (%) of returning a short page"),
+  faultJitter: {
+    type: "integer",
+    description: "Max extra latency added to every request, in ms",
+    default: 0,
+    minimum: 0,
+    maximum: 5000,
+  },
+  faultJitterDist: {
+    type: "string",
+    description: "Shape of the jitter",
+    default: "uniform",
+    enum: JITTER_DISTRIBUTIONS,
+  },
+  faultSlowRate: percent("Chance (%) of a slow page"),
+  faultSlowMs: {
+    type: "integer",
+    description: "Extra latency of a slow page, in ms",
+    default: 3000,
+    minimum: 0,
+    maximum: 10_000,
+  },
+} satisfies ParamSchemas;
+
+// =============================================================================
+// Randomness
+// =============================================================================
+
+/** FNV-1a over a string — stable across processes and platforms */
+const hashString = (input: string): number => {
+  let h = 2166136261;
+  for (let i = 0; i < input.length; i++) {
+    h = Math.imul(h ^ input.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+};
+
+/** mulberry32 — tiny seeded PRNG returning floats in [0, 1) */
+const createRandom = (seed: number): (() => number) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/** Sample a jitter in [0, max] ms from the named distribution */
+const sampleJitter = (
+  random: () => number,
+  max: number,
+  distribution: string,
+): number => {
+  const u = random();
+  const v = random();
+  let value: number;
+  if (distribution === "normal") {
+    // Box-Muller, centred on max/2 with ±3σ spanning the range
+    const z = Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * v);
+    value = max / 2 + (z * max) / 6;
+  } else if (distribution === "exponential") {
+    // Mean max/4 — mostly fast, with a long tail
+    value = (-Math.log(1 - u) * max) / 4;
+  } else {
+    value = u * max;
+  }
+  return Math.round(Math.max(0, Math.min(max, value)));
+};
+
+// =============================================================================
+// Planning
+// =============================================================================
+
+export interface FaultPlan {
+  /** Extra latency before responding, in ms (jitter + slow page) */
+  delay: number;
+  /** Status to fail with, or null to serve the response */
+  status: number | null;
+  /** Fraction of the page's items to keep, or null to keep them all */
+  truncate: number | null;
+  /** Summary for the X-Fault response header */
+  description: string;
+}
+
+type IntegerFaultParam = Exclude<keyof typeof FAULT_PARAMS, "faultJitterDist">;
+
+const read = (url: URL, name: IntegerFaultParam): number =>
+  intParam(url, name, FAULT_PARAMS[name]);
+
+/**
+ * The request identity faults are keyed on — path plus every non-fault
+ * param in sorted order, so param order never changes the outcome.
+ */
+const requestKey = (url: URL): string => {
+  const params = [...url.searchParams]
+    .filter(([name]) => !name.startsWith("fault"))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`);
+  return `${url.pathname}?${params.join("&")}`;
+};
+
+/**
+ * Decide which faults to inject into a request.
+ * Returns null when the request asks for none, so the common path is free.
+ */
+export function planFaults(url: URL): FaultPlan | null {
+  const errorRate = read(url, "faultErrorRate");
+  const truncateRate = read(url, "faultTruncateRate");
+  const slowRate = read(url, "faultSlowRate");
+  const jitter = read(url, "faultJitter");
+  if (errorRate + truncateRate + slowRate + jitter === 0) return null;
+
+  const random = createRandom(
+    hashString(
+      `${read(url, "faultSeed")}:${read(url, "faultAttempt")}:${requestKey(url)}`,
+    ),
+  );
+
+  // Always draw every value, so changing one rate never shifts the others
+  const failRoll = random() * 100;
+  const slowRoll = random() * 100;
+  const truncateRoll = random() * 100;
+  const keep = random();
+  const distribution = url.searchParams.get("faultJitterDist") ?? "uniform";
+  const jitterMs = sampleJitter(random, jitter, distribution);
+
+  const slow = slowRoll < slowRate;
+  const status = failRoll < errorRate ? read(url, "faultStatus") : null;
+  const truncate = status === null && truncateRoll < truncateRate ? keep : null;
+  const delay = jitterMs + (slow ? read(url, "faultSlowMs") : 0);
+
+  const parts = [`delay=${delay}`];
+  if (slow) parts.push("slow");
+  if (status !== null) parts.push(`status=${status}`);
+  if (truncate !== null) parts.push("truncated");
+
+  return { delay, status, truncate, description: parts.join("; ") };
+}
+
+/** The array each paginated response keeps its rows in */
+const PAGE_KEYS = ["items", "posts"] as const;
+
+/**
+ * Cut a `{ items }` page (or the feed's `{ posts }`) down to a fraction of
+ * its rows, keeping the other fields (total, hasMore, nextCursor) as they
+ * were — a short page, not a last page. Bodies without one of those arrays
+ * are returned unchanged.
+ */
+export function truncatePage(body: unknown, keep: number): unknown {
+  if (!body || typeof body !== "object") return body;
+  for (const key of PAGE_KEYS) {
+    const rows = (body as Record<string, unknown>)[key];
+    if (!Array.isArray(rows)) continue;
+    return { ...body, [key]: rows.slice(0, Math.floor(rows.length * keep)) };
+  }
+  return body;
+}
@@ -0,0 +1,181 @@
+// src/api/fts.ts
+// SQLite FTS5 helpers shared by the searchable datasets (cities, tracks).
+//
+// The FTS tables are external-content indexes built by the seed scripts
+// (`cities_fts`, `tracks_fts`). Databases seeded before FTS existed have no
+// index, so callers check `hasFtsTable()` and fall back to LIKE matching.
+
+import type { Database, SQLQueryBindings } from "bun:sqlite";
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/**
+ * Highlight markers — control characters that never occur in the data, so
+ * the text can be HTML-escaped before they're swapped for <mark> tags.
+ */
+const MARK_OPEN = "\u0002";
+const MARK_CLOSE = "\u0003";
+
+/** Max tokens per snippet — long enough to show short fields in full */
+const SNIPPET_TOKENS = 16;
+
+// =============================================================================
+// Query Building
+// =============================================================================
+
+/**
+ * Turn free-form user input into an FTS5 MATCH expression.
+ * Every word becomes a quoted prefix term ("par"* "fr"*) and terms are ANDed,
+ * so FTS operators and punctuation in the input are never interpreted.
+ * Returns null if the input contains no searchable words.
+ */
+export function toMatchQuery(input: string): string | null {
+  const words = input.match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map((word) => `"${word}"*`).join(" ");
+}
+
+const ftsTables = new WeakMap<Database, Map<string, boolean>>();
+
+/** Whether the database has the given FTS table (cached per connection) */
+export function hasFtsTable(database: Database, name: string): boolean {
+  let known = ftsTables.get(database);
+  if (!known) {
+    known = new Map();
+    ftsTables.set(database, known);
+  }
+
+  let exists = known.get(name);
+  if (exists === undefined) {
+    exists =
+      database
+        .query("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?")
+        .get(name) !== null;
+    known.set(name, exists);
+  }
+  return exists;
+}
+
+// =============================================================================
+// Ranked Pages
+// =============================================================================
+
+/** A relevance-ordered scan — every row matching the search and filters */
+export interface RankedScan {
+  /** Content table (trusted — never user input) */
+  table: string;
+  /** FTS index over the content table */
+  ftsTable: string;
+  /** Comma-separated column list from the content table */
+  columns: string;
+  /** MATCH expression from toMatchQuery() */
+  match: string;
+  /** Non-search filters — includes leading WHERE if non-empty */
+  whereClause: string;
+  whereParams: SQLQueryBindings[];
+  /** Per-column bm25 weights, in FTS column order */
+  weights?: number[];
+}
+
+export interface RankedQuery extends RankedScan {
+  limit: number;
+  offset: number;
+}
+
+/**
+ * SELECT ordered by relevance (best bm25 score first, id as tiebreaker).
+ * Filters are applied to the content table as usual.
+ */
+function rankedSql(scan: RankedScan): string {
+  const { table, ftsTable, columns, whereClause } = scan;
+  const weights = scan.weights?.length ? `, ${scan.weights.join(", ")}` : "";
+
+  return `SELECT ${columns}
+       FROM ${table}
+       JOIN (
+         SELECT rowid AS fts_id, bm25(${ftsTable}${weights}) AS fts_rank
+         FROM ${ftsTable}
+         WHERE ${ftsTable} MATCH ?
+       ) ON fts_id = ${table}.id${whereClause}
+       ORDER BY fts_rank ASC, ${table}.id ASC`;
+}
+
+/** Fetch one page ordered by relevance */
+export function fetchRankedPage<T>(
+  database: Database,
+  query: RankedQuery,
+): T[] {
+  return database
+    .query(`${rankedSql(query)} LIMIT ? OFFSET ?`)
+    .all(query.match, ...query.whereParams, query.limit, query.offset) as T[];
+}
+
+/**
+ * The full relevance-ordered scan, unpaged — for streaming every match.
+ * Returns [sql, params] to prepare on whichever connection will step it.
+ */
+export function rankedScan(scan: RankedScan): [string, SQLQueryBindings[]] {
+  return [rankedSql(scan), [scan.match, ...scan.whereParams]];
+}
+
+// =============================================================================
+// Highlights
+// =============================================================================
+
+/** Escape the text of a snippet and turn the markers into <mark> tags */
+export function renderHighlight(raw: string): string {
+  return raw
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replaceAll(MARK_OPEN, "<mark>")
+    .replaceAll(MARK_CLOSE, "</mark>");
+}
+
+/**
+ * Attach a `highlight` object to each item — one HTML-safe snippet per FTS
+ * column, with matched terms wrapped in <mark>. Items are mutated in place.
+ */
+export function attachHighlights<T extends { id: number }>(
+  database: Database,
+  ftsTable: string,
+  ftsColumns: string[],
+  match: string,
+  items: (T & { highlight?: Record<string, string> })[],
+): void {
+  if (items.length === 0) return;
+
+  const snippets = ftsColumns
+    .map(
+      (col, i) =>
+        `snippet(${ftsTable}, ${i}, char(2), char(3), '…', ${SNIPPET_TOKENS}) AS ${col}`,
+    )
+    .join(", ");
+  const placeholders = items.map(() => "?").join(", ");
+
+  const rows = database
+    .query(
+      `SELECT rowid AS id, ${snippets}
+       FROM ${ftsTable}
+       WHERE ${ftsTable} MATCH ? AND rowid IN (${placeholders})`,
+    )
+    .all(match, ...items.map((item) => item.id)) as Record<
+    string,
+    string | number
+  >[];
+
+  const byId = new Map(rows.map((row) => [row.id as number, row]));
+
+  for (const item of items) {
+    const row = byId.get(item.id);
+    if (!row) continue;
+    const highlight: Record<string, string> = {};
+    for (const col of ftsColumns) {
+      highlight[col] = renderHighlight(String(row[col] ?? ""));
+    }
+    item.highlight = highlight;
+  }
+}
@@ -0,0 +1,156 @@
+// src/api/migrations/benchmarks.ts
+// Schema of benchmarks.db (see ../benchmarks).
+//
+// The two table pairs are intentionally identical in structure.
+// They are separate so that:
+//   - Queries on comparison data never scan suite rows (and vice versa)
+//   - Each can evolve independently if needed
+//   - The history page only touches comparison_* tables
+//   - A future "vlist performance" page only touches benchmark_* tables
+
+import type { Database } from "bun:sqlite";
+import type { Migration } from "./runner";
+
+/** [runs table, metrics table, index name prefix] */
+const TABLE_PAIRS = [
+  ["benchmark_runs", "benchmark_metrics", "bench"],
+  ["comparison_runs", "comparison_metrics", "comp"],
+] as const;
+
+const RUNS_COLUMNS = `
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at    TEXT    NOT NULL DEFAULT (datetime('now')),
+
+    -- Identity
+    version       TEXT    NOT NULL,
+    suite_id      TEXT    NOT NULL,
+    item_count    INTEGER NOT NULL,
+
+    -- Environment
+    user_agent    TEXT,
+    hardware_concurrency INTEGER,
+    device_memory REAL,
+    screen_width  INTEGER,
+    screen_height INTEGER,
+
+    -- Run metadata
+    duration_ms   INTEGER,
+    success       INTEGER NOT NULL DEFAULT 1,
+    error         TEXT,
+
+    -- Config
+    stress_ms     INTEGER DEFAULT 0,
+    scroll_speed  INTEGER DEFAULT 0
+`;
+
+const METRICS_COLUMNS = (runs: string) => `
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id        INTEGER NOT NULL REFERENCES ${runs}(id) ON DELETE CASCADE,
+    label         TEXT    NOT NULL,
+    value         REAL    NOT NULL,
+    unit          TEXT    NOT NULL,
+    better        TEXT    NOT NULL,
+    rating        TEXT
+`;
+
+/** Quality scoring columns (see ../quality), with their definitions */
+const QUALITY_COLUMNS: [string, string][] = [
+  ["quality", "REAL NOT NULL DEFAULT 1"],
+  ["quality_flags", "TEXT"],
+  ["fingerprint", "TEXT"],
+  ["client_hash", "TEXT"],
+];
+
+function columnNames(database: Database, table: string): Set<string> {
+  const columns = database.query(`PRAGMA table_info(${table})`).all() as {
+    name: string;
+  }[];
+  return new Set(columns.map((column) => column.name));
+}
+
+export const BENCHMARK_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    name: "runs and metrics tables",
+    up: (database) => {
+      for (const [runs, metrics, prefix] of TABLE_PAIRS) {
+        database.run(`CREATE TABLE IF NOT EXISTS ${runs} (${RUNS_COLUMNS})`);
+        database.run(
+          `CREATE TABLE IF NOT EXISTS ${metrics} (${METRICS_COLUMNS(runs)})`,
+        );
+        for (const [name, columns] of [
+          ["version", "version"],
+          ["suite", "suite_id, item_count"],
+          ["version_suite", "version, suite_id, item_count"],
+          ["created", "created_at"],
+          ["success", "success"],
+        ]) {
+          database.run(
+            `CREATE INDEX IF NOT EXISTS idx_${prefix}_runs_${name} ON ${runs}(${columns})`,
+          );
+        }
+        database.run(
+          `CREATE INDEX IF NOT EXISTS idx_${prefix}_metrics_run ON ${metrics}(run_id)`,
+        );
+        database.run(
+          `CREATE INDEX IF NOT EXISTS idx_${prefix}_metrics_label ON ${metrics}(run_id, label)`,
+        );
+      }
+    },
+  },
+  {
+    version: 2,
+    name: "quality scores",
+    up: (database) => {
+      for (const [runs, , prefix] of TABLE_PAIRS) {
+        // Seed scripts from before migrations already created these
+        const existing = columnNames(database, runs);
+        for (const [name, definition] of QUALITY_COLUMNS) {
+          if (!existing.has(name)) {
+            database.run(
+              `ALTER TABLE ${runs} ADD COLUMN ${name} ${definition}`,
+            );
+          }
+        }
+        database.run(
+          `CREATE INDEX IF NOT EXISTS idx_${prefix}_runs_fingerprint ON ${runs}(fingerprint)`,
+        );
+        database.run(
+          `CREATE INDEX IF NOT EXISTS idx_${prefix}_runs_client ON ${runs}(client_hash, suite_id, created_at)`,
+        );
+      }
+    },
+  },
+  {
+    // Token buckets of ../ratelimit, shared by every server instance
+    version: 3,
+    name: "rate limit buckets",
+    up: (database) => {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+          policy      TEXT NOT NULL,
+          client      TEXT NOT NULL,
+          tokens      REAL NOT NULL,
+          updated_at  REAL NOT NULL,
+          PRIMARY KEY (policy, client)
+        ) WITHOUT ROWID
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "client salt",
+    up: (database) => {
+      // One salt for every process sharing the file, kept across restarts
+      database.run(`
+        CREATE TABLE IF NOT EXISTS settings (
+          key    TEXT PRIMARY KEY,
+          value  TEXT NOT NULL
+        ) WITHOUT ROWID
+      `);
+      database.run(
+        "INSERT OR IGNORE INTO settings (key, value) VALUES ('client_salt', lower(hex(randomblob(16))))",
+      );
+    },
+  },
+];
@@ -0,0 +1,61 @@
+// src/api/migrations/cities.ts
+// Schema of cities.db (see ../cities). Read-only at runtime — the rows come
+// from scripts/seed-cities.ts.
+
+import type { Migration } from "./runner";
+
+export const CITIES_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    name: "cities table",
+    up: (database) => {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS cities (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          name          TEXT    NOT NULL,
+          country_code  TEXT    NOT NULL,
+          population    INTEGER NOT NULL,
+          lat           REAL    NOT NULL,
+          lng           REAL    NOT NULL,
+          continent     TEXT    NOT NULL
+        )
+      `);
+      for (const [name, columns] of [
+        ["name", "name COLLATE NOCASE"],
+        ["country_code", "country_code"],
+        ["continent", "continent"],
+        ["population", "population DESC"],
+        ["lat_lng", "lat, lng"],
+      ]) {
+        database.run(
+          `CREATE INDEX IF NOT EXISTS idx_cities_${name} ON cities (${columns})`,
+        );
+      }
+    },
+  },
+  {
+    // External-content index over cities.name — the table is read-only at
+    // runtime, so a rebuild is all it needs (no sync triggers). The seed
+    // script rebuilds it again once the rows are in.
+    version: 2,
+    name: "full-text search",
+    up: (database) => {
+      const exists = database
+        .query(
+          "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'cities_fts'",
+        )
+        .get();
+      if (exists) return;
+      database.run(`
+        CREATE VIRTUAL TABLE cities_fts USING fts5(
+          name,
+          content = 'cities',
+          content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2',
+          prefix = '2 3'
+        )
+      `);
+      database.run("INSERT INTO cities_fts (cities_fts) VALUES ('rebuild')");
+    },
+  },
+];
@@ -0,0 +1,102 @@
+// src/api/migrations/index.ts
+// Migration registry — maps each SQLite database to its numbered migrations.
+// Adding a migration means appending it to the database's list (never
+// editing a shipped one); adding a database means creating its list file,
+// importing it here and adding it to DATABASES.
+//
+// The server applies pending migrations at start (migrateAll, see server.ts);
+// `bun run migrate --dry-run` shows what it would do. Databases that don't
+// exist yet are skipped — tracks.db and cities.db need their seed scripts,
+// and the benchmarks storage creates its own file on first use.
+
+import { Database } from "bun:sqlite";
+import { existsSync } from "fs";
+import { resolve } from "path";
+import { migrate, type Migration, type MigrationResult } from "./runner";
+import { BENCHMARK_MIGRATIONS } from "./benchmarks";
+import { TRACKS_MIGRATIONS } from "./tracks";
+import { CITIES_MIGRATIONS } from "./cities";
+import { sqlitePathFromEnv } from "../storage";
+
+export { migrate, schemaVersion, latestVersion } from "./runner";
+export type { Migration, MigrationResult } from "./runner";
+
+// =============================================================================
+// Registry
+// =============================================================================
+
+const DATA_DIR = resolve(import.meta.dir, "../../../data");
+
+/** How long startup waits for another instance that's migrating */
+const BUSY_TIMEOUT_MS = 5_000;
+
+export type DatabaseName = "benchmarks" | "tracks" | "cities";
+
+interface DatabaseSpec {
+  migrations: readonly Migration[];
+  /** File to migrate — null when the database isn't a file */
+  path: () => string | null;
+}
+
+export const DATABASES: Record<DatabaseName, DatabaseSpec> = {
+  benchmarks: {
+    migrations: BENCHMARK_MIGRATIONS,
+    path: () => sqlitePathFromEnv(),
+  },
+  tracks: {
+    migrations: TRACKS_MIGRATIONS,
+    path: () => resolve(DATA_DIR, "tracks.db"),
+  },
+  cities: {
+    migrations: CITIES_MIGRATIONS,
+    path: () => resolve(DATA_DIR, "cities.db"),
+  },
+};
+
+// =============================================================================
+// Running
+// =============================================================================
+
+export interface DatabaseMigration {
+  name: DatabaseName;
+  path: string | null;
+  /** null when the database was skipped (no file) */
+  result: MigrationResult | null;
+}
+
+/** Migrate an open connection to one of the registered databases */
+export function migrateDatabase(
+  name: DatabaseName,
+  database: Database,
+  options: { dryRun?: boolean } = {},
+): MigrationResult {
+  return migrate(database, DATABASES[name].migrations, options);
+}
+
+/**
+ * Migrate every registered database that exists, each through its own
+ * short-lived read-write connection. Stops at the first failure.
+ */
+export function migrateAll(
+  options: { dryRun?: boolean; only?: DatabaseName[] } = {},
+): DatabaseMigration[] {
+  const names = options.only ?? (Object.keys(DATABASES) as DatabaseName[]);
+  return names.map((name) => {
+    const path = DATABASES[name].path();
+    if (!path || !existsSync(path)) return { name, path, result: null };
+
+    const database = new Database(path);
+    try {
+      database.run(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+      const result = migrateDatabase(name, database, {
+        dryRun: options.dryRun,
+      });
+      return { name, path, result };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      throw new Error(`${name}: ${message}`);
+    } finally {
+      database.close();
+    }
+  });
+}
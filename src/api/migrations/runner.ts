@@ -0,0 +1,117 @@
+// src/api/migrations/runner.ts
+// Numbered schema migrations for a SQLite database.
+//
+// A database's schema version is its `PRAGMA user_version` — 0 for a fresh
+// file and for every database created before migrations existed. Migration N
+// takes the schema from version N-1 to N, so the pending ones are those above
+// the stored version, applied in order.
+//
+// All pending migrations run in one BEGIN IMMEDIATE transaction that also
+// bumps user_version: a failure leaves the database untouched, and when
+// several processes start at once the first applies them while the others
+// wait for its lock, re-read the version and find nothing left to do.
+// A dry run does the same work and rolls it back, so it also proves the
+// migrations succeed against the real data.
+
+import type { Database } from "bun:sqlite";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface Migration {
+  /** 1, 2, 3… — never renumber or edit one that has shipped */
+  version: number;
+  name: string;
+  /**
+   * Apply the change. Migration 1 of each database also runs against files
+   * seeded before migrations existed, so it must be idempotent (IF NOT EXISTS).
+   */
+  up: (database: Database) => void;
+}
+
+export interface MigrationResult {
+  /** Schema version found */
+  from: number;
+  /** Schema version after the run (unchanged by a dry run) */
+  to: number;
+  /** Migrations applied — or, for a dry run, that would be */
+  applied: { version: number; name: string }[];
+  dryRun: boolean;
+}
+
+// =============================================================================
+// Runner
+// =============================================================================
+
+export function schemaVersion(database: Database): number {
+  const row = database.query("PRAGMA user_version").get() as {
+    user_version: number;
+  };
+  return row.user_version;
+}
+
+/** Latest version of a migration list, after checking it's numbered 1..n */
+export function latestVersion(migrations: readonly Migration[]): number {
+  migrations.forEach((migration, i) => {
+    if (migration.version !== i + 1) {
+      throw new Error(
+        `Migrations must be numbered 1..n in order: found ${migration.version} at position ${i + 1}`,
+      );
+    }
+  });
+  return migrations.length;
+}
+
+/**
+ * Bring the database up to the latest migration. Throws — without changing
+ * anything — if a migration fails or the database is already past the
+ * latest version (written by a newer server).
+ */
+export function migrate(
+  database: Database,
+  migrations: readonly Migration[],
+  { dryRun = false }: { dryRun?: boolean } = {},
+): MigrationResult {
+  const latest = latestVersion(migrations);
+
+  // Cheap path for the common case, without taking a write lock
+  const stored = schemaVersion(database);
+  if (stored === latest && !dryRun) {
+    return { from: stored, to: stored, applied: [], dryRun };
+  }
+
+  database.run("BEGIN IMMEDIATE");
+  try {
+    const from = schemaVersion(database);
+    if (from > latest) {
+      throw new Error(
+        `Database schema version ${from} is newer than this server's (${latest})`,
+      );
+    }
+
+    const pending = migrations.filter((migration) => migration.version > from);
+    for (const migration of pending) {
+      try {
+        migration.up(database);
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        throw new Error(
+          `Migration ${migration.version} (${migration.name}) failed: ${message}`,
+        );
+      }
+    }
+    if (pending.length > 0) database.run(`PRAGMA user_version = ${latest}`);
+
+    database.run(dryRun ? "ROLLBACK" : "COMMIT");
+    return {
+      from,
+      to: dryRun ? from : latest,
+      applied: pending.map(({ version, name }) => ({ version, name })),
+      dryRun,
+    };
+  } catch (err) {
+    if (database.inTransaction) database.run("ROLLBACK");
+    throw err;
+  }
+}
@@ -0,0 +1,171 @@
+// src/api/migrations/tracks.ts
+// Schema of tracks.db (see ../tracks). The rows come from
+// scripts/seed-tracks.ts and the tracks mutation endpoints.
+
+import type { Migration } from "./runner";
+
+const NOW = "CAST(strftime('%s', 'now') AS INTEGER)";
+
+export const TRACKS_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    name: "tracks table",
+    up: (database) => {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS tracks (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          mongo_id      TEXT    UNIQUE NOT NULL,
+          title         TEXT    NOT NULL,
+          artist        TEXT    NOT NULL,
+          country       TEXT,
+          year          INTEGER,
+          decade        INTEGER,
+          category      TEXT,
+          duration      INTEGER,
+          cover_url     TEXT,
+          cover_color   TEXT,
+          created_at    TEXT    DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      for (const [name, columns] of [
+        ["title", "title COLLATE NOCASE"],
+        ["artist", "artist COLLATE NOCASE"],
+        ["country", "country"],
+        ["year", "year DESC"],
+        ["decade", "decade"],
+        ["category", "category"],
+      ]) {
+        database.run(
+          `CREATE INDEX IF NOT EXISTS idx_tracks_${name} ON tracks (${columns})`,
+        );
+      }
+    },
+  },
+  {
+    // External-content index over title/artist, kept in sync by triggers
+    // since tracks are created, updated and deleted through the API
+    version: 2,
+    name: "full-text search",
+    up: (database) => {
+      const exists = database
+        .query(
+          "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'tracks_fts'",
+        )
+        .get();
+      if (!exists) {
+        database.run(`
+          CREATE VIRTUAL TABLE tracks_fts USING fts5(
+            title,
+            artist,
+            content = 'tracks',
+            content_rowid = 'id',
+            tokenize = 'unicode61 remove_diacritics 2',
+            prefix = '2 3'
+          )
+        `);
+        database.run("INSERT INTO tracks_fts (tracks_fts) VALUES ('rebuild')");
+      }
+      database.run(`
+        CREATE TRIGGER IF NOT EXISTS tracks_fts_ai AFTER INSERT ON tracks BEGIN
+          INSERT INTO tracks_fts (rowid, title, artist)
+          VALUES (new.id, new.title, new.artist);
+        END
+      `);
+      database.run(`
+        CREATE TRIGGER IF NOT EXISTS tracks_fts_ad AFTER DELETE ON tracks BEGIN
+          INSERT INTO tracks_fts (tracks_fts, rowid, title, artist)
+          VALUES ('delete', old.id, old.title, old.artist);
+        END
+      `);
+      database.run(`
+        CREATE TRIGGER IF NOT EXISTS tracks_fts_au AFTER UPDATE OF title, artist ON tracks BEGIN
+          INSERT INTO tracks_fts (tracks_fts, rowid, title, artist)
+          VALUES ('delete', old.id, old.title, old.artist);
+          INSERT INTO tracks_fts (rowid, title, artist)
+          VALUES (new.id, new.title, new.artist);
+        END
+      `);
+    },
+  },
+  {
+    // A one-row table bumped by triggers on every insert/update/delete, so
+    // every writer (each server instance, scripts) moves it. GET responses
+    // are versioned by it — ETag / Last-Modified — without hashing results.
+    version: 3,
+    name: "revision counter",
+    up: (database) => {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS tracks_revision (
+          id          INTEGER PRIMARY KEY CHECK (id = 1),
+          revision    INTEGER NOT NULL,
+          modified_at INTEGER NOT NULL
+        )
+      `);
+      database.run(
+        `INSERT OR IGNORE INTO tracks_revision VALUES (1, 0, ${NOW})`,
+      );
+      for (const [suffix, event] of [
+        ["ai", "INSERT"],
+        ["au", "UPDATE"],
+        ["ad", "DELETE"],
+      ]) {
+        database.run(`
+          CREATE TRIGGER IF NOT EXISTS tracks_revision_${suffix}
+          AFTER ${event} ON tracks BEGIN
+            UPDATE tracks_revision
+            SET revision = revision + 1, modified_at = ${NOW};
+          END
+        `);
+      }
+    },
+  },
+  {
+    // Token buckets of ../ratelimit, for the mutation endpoints
+    version: 4,
+    name: "rate limit buckets",
+    up: (database) => {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+          policy      TEXT NOT NULL,
+          client      TEXT NOT NULL,
+          tokens      REAL NOT NULL,
+          updated_at  REAL NOT NULL,
+          PRIMARY KEY (policy, client)
+        ) WITHOUT ROWID
+      `);
+    },
+  },
+  {
+    // Change log behind /api/tracks/events — written by the mutation
+    // endpoints in the same transaction as the row, read by every server
+    // instance. Pruned by age (see ../tracks).
+    version: 5,
+    name: "change log",
+    up: (database) => {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS track_changes (
+          seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+          type        TEXT    NOT NULL,
+          track       TEXT    NOT NULL,
+          created_at  INTEGER NOT NULL DEFAULT (${NOW})
+        )
+      `);
+      database.run(
+        "CREATE INDEX IF NOT EXISTS idx_track_changes_created_at ON track_changes (created_at)",
+      );
+    },
+  },
+  {
+    version: 6,
+    name: "change log previous rows",
+    up: (database) => {
+      // The row an update replaced — locating a batch of changes replays it
+      const columns = database
+        .query("PRAGMA table_info(track_changes)")
+        .all() as { name: string }[];
+      if (!columns.some((column) => column.name === "previous")) {
+        database.run("ALTER TABLE track_changes ADD COLUMN previous TEXT");
+      }
+    },
+  },
+];
@@ -0,0 +1,481 @@
+// src/api/openapi.ts
+// OpenAPI 3.1 document builder.
+//
+// Routes describe themselves with OperationSpec objects (path, params,
+// responses); buildOpenApiDocument() turns them into the spec served at
+// GET /api/openapi.json. Query params use the same ParamSchemas the handlers
+// parse with, so documented bounds are the enforced bounds.
+
+import type { ParamSchema, ParamSchemas } from "./params";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** A JSON Schema (2020-12) object — OpenAPI 3.1 uses plain JSON Schema */
+export type SchemaObject = Record<string, unknown>;
+
+export type HttpMethod = "GET" | "POST" | "PUT" | "DELETE";
+
+export interface ResponseSpec {
+  description: string;
+  schema?: SchemaObject;
+  /** Defaults to application/json */
+  contentType?: string;
+  headers?: Record<string, { description: string; schema: SchemaObject }>;
+}
+
+export interface OperationSpec {
+  method: HttpMethod;
+  /** Router-style path — `:name` segments become `{name}` path params */
+  path: string;
+  /** Stable name for generated client methods */
+  operationId: string;
+  summary: string;
+  description?: string;
+  tag: string;
+  pathParams?: ParamSchemas;
+  query?: ParamSchemas;
+  requestBody?: SchemaObject;
+  /** Media type of requestBody — defaults to application/json */
+  requestContentType?: string;
+  responses: Record<number, ResponseSpec>;
+}
+
+export interface OpenApiInfo {
+  title: string;
+  version: string;
+  description: string;
+  server: string;
+}
+
+// =============================================================================
+// Schema Helpers
+// =============================================================================
+
+/** Reference a component schema by name */
+export const ref = (name: string): SchemaObject => ({
+  $ref: `#/components/schemas/${name}`,
+});
+
+export const arrayOf = (items: SchemaObject): SchemaObject => ({
+  type: "array",
+  items,
+});
+
+/** Object schema where every listed property is required */
+export const object = (
+  properties: Record<string, SchemaObject>,
+  optional: string[] = [],
+): SchemaObject => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties).filter((key) => !optional.includes(key)),
+});
+
+/** Pagination envelope — { items, total, hasMore } */
+export const page = (
+  item: SchemaObject,
+  extra: Record<string, SchemaObject> = {},
+): SchemaObject =>
+  object(
+    {
+      items: arrayOf(item),
+      total: { type: "integer" },
+      hasMore: { type: "boolean" },
+      ...extra,
+    },
+    Object.keys(extra),
+  );
+
+const str: SchemaObject = { type: "string" };
+const int: SchemaObject = { type: "integer" };
+const num: SchemaObject = { type: "number" };
+const nullable = (type: string): SchemaObject => ({ type: [type, "null"] });
+
+/** Array of { <key>: string, count: integer } rows */
+const counts = (key: string, type: SchemaObject = str): SchemaObject =>
+  arrayOf(object({ [key]: type, count: int }));
+
+// =============================================================================
+// Component Schemas
+// =============================================================================
+
+/** Response shapes shared by the dataset endpoints */
+export const API_SCHEMAS: Record<string, SchemaObject> = {
+  Error: object(
+    {
+      error: str,
+      details: {
+        ...arrayOf(
+          object({
+            param: str,
+            in: { type: "string", enum: ["path", "query"] },
+            message: str,
+          }),
+        ),
+        description: "Present on 400s for malformed or missing parameters",
+      },
+    },
+    ["details"],
+  ),
+
+  User: object({
+    id: int,
+    firstName: str,
+    lastName: str,
+    email: str,
+    avatar: { type: "string", description: 'Initials, e.g. "JD"' },
+    avatarColor: { type: "string", description: 'Hex color, e.g. "#5e35b1"' },
+    role: str,
+    department: str,
+    company: str,
+    city: str,
+    country: str,
+    status: { type: "string", enum: ["active", "inactive", "pending"] },
+    joinedYear: int,
+  }),
+
+  Post: object({
+    id: str,
+    user: str,
+    title: str,
+    body: str,
+    time: str,
+    avatarUrl: str,
+    likes: int,
+    comments: int,
+    shares: int,
+  }),
+
+  FeedPost: object({
+    id: str,
+    user: str,
+    initials: str,
+    color: str,
+    text: str,
+    title: nullable("string"),
+    hasImage: { type: "boolean" },
+    image: {
+      oneOf: [
+        object({
+          url: str,
+          alt: str,
+          aspect: { type: "string", enum: ["wide", "tall", "square"] },
+        }),
+        { type: "null" },
+      ],
+    },
+    tags: arrayOf(str),
+    time: str,
+    likes: int,
+    comments: int,
+    source: str,
+    url: nullable("string"),
+  }),
+
+  FeedResponse: object({
+    posts: arrayOf(ref("FeedPost")),
+    nextCursor: nullable("string"),
+    total: nullable("integer"),
+    source: str,
+    target: str,
+  }),
+
+  Recipe: object({
+    id: int,
+    emoji: str,
+    title: str,
+    origin: str,
+    time: str,
+    difficulty: str,
+    ingredients: str,
+    tip: str,
+  }),
+
+  FileItem: object({
+    name: str,
+    type: { type: "string", enum: ["directory", "file"] },
+    size: int,
+    modified: { type: "string", format: "date-time" },
+    extension: nullable("string"),
+  }),
+
+  City: object(
+    {
+      id: int,
+      name: str,
+      country_code: str,
+      population: int,
+      lat: num,
+      lng: num,
+      continent: str,
+      highlight: {
+        ...object({ name: str }),
+        description: "Present when searching — HTML with <mark> around matches",
+      },
+    },
+    ["highlight"],
+  ),
+
+  CitiesStats: object({
+    total: int,
+    countries: int,
+    continents: counts("continent"),
+    topCities: arrayOf(
+      object({ name: str, country_code: str, population: int }),
+    ),
+    populationRange: object({ min: int, max: int }),
+  }),
+
+  Track: object(
+    {
+      id: int,
+      mongo_id: str,
+      title: str,
+      artist: str,
+      country: nullable("string"),
+      year: nullable("integer"),
+      decade: nullable("integer"),
+      category: nullable("string"),
+      duration: nullable("integer"),
+      cover_url: nullable("string"),
+      cover_color: nullable("string"),
+      created_at: str,
+      highlight: {
+        ...object({ title: str, artist: str }),
+        description: "Present when searching — HTML with <mark> around matches",
+      },
+    },
+    ["highlight"],
+  ),
+
+  TrackInput: object(
+    {
+      title: str,
+      artist: str,
+      country: nullable("string"),
+      year: nullable("integer"),
+      decade: nullable("integer"),
+      category: nullable("string"),
+      duration: nullable("integer"),
+    },
+    ["country", "year", "decade", "category", "duration"],
+  ),
+
+  TrackOperation: {
+    oneOf: [
+      object({
+        op: { const: "create" },
+        data: ref("TrackInput"),
+      }),
+      object({
+        op: { const: "update" },
+        id: int,
+        data: { type: "object", description: "Partial TrackInput" },
+      }),
+      object({ op: { const: "delete" }, id: int }),
+    ],
+  },
+
+  TrackBatchResponse: {
+    oneOf: [
+      object({
+        success: { const: true },
+        results: arrayOf(
+          object(
+            {
+              op: { type: "string", enum: ["create", "update", "delete"] },
+              id: int,
+              status: { type: "integer", enum: [200, 201] },
+              track: ref("Track"),
+            },
+            ["track"],
+          ),
+        ),
+      }),
+      object({
+        success: { const: false },
+        index: int,
+        error: str,
+      }),
+    ],
+  },
+
+  TracksStats: object({
+    total: int,
+    countries: int,
+    decades: counts("decade", int),
+    categories: counts("category"),
+    topArtists: counts("artist"),
+    yearRange: object({ min: nullable("integer"), max: nullable("integer") }),
+  }),
+
+  SearchResult: object({
+    id: int,
+    kind: {
+      type: "string",
+      enum: ["docs", "tutorials", "examples", "benchmarks"],
+    },
+    url: {
+      type: "string",
+      description: "Page URL, with the section's #anchor",
+    },
+    page: str,
+    heading: nullable("string"),
+    highlight: {
+      ...object({ page: str, heading: str, body: str }),
+      description: "HTML with <mark> around matches — body is a snippet",
+    },
+  }),
+
+  BundleRequest: object(
+    {
+      framework: {
+        type: "string",
+        enum: ["vanilla", "react", "vue", "svelte", "solidjs"],
+        default: "vanilla",
+      },
+      entry: {
+        type: "string",
+        description:
+          "Path of the entry script (default: script.tsx, script.jsx or script.js)",
+      },
+      files: {
+        type: "object",
+        additionalProperties: str,
+        description:
+          'Source by project-relative path, e.g. { "script.jsx": "…", "styles.css": "…" }',
+      },
+    },
+    ["framework", "entry"],
+  ),
+
+  BundleResult: object({
+    hash: { type: "string", description: "Content hash of the project" },
+    js: { type: "string", description: "Minified ES module" },
+    css: {
+      type: "string",
+      description: "Imported stylesheets, then the project's other .css files",
+    },
+    size: object({ js: int, css: int }),
+    cached: { type: "boolean", description: "Served from the cache" },
+  }),
+
+  BundleError: object({
+    error: str,
+    logs: arrayOf(
+      object({
+        message: str,
+        file: nullable("string"),
+        line: nullable("integer"),
+        column: nullable("integer"),
+      }),
+    ),
+  }),
+};
+
+// =============================================================================
+// Document
+// =============================================================================
+
+/** Convert a router path ("/api/users/:id") to OpenAPI form ("/api/users/{id}") */
+export const toOpenApiPath = (path: string): string =>
+  path.replace(/:(\w+)/g, "{$1}");
+
+const paramSchema = (param: ParamSchema): SchemaObject => {
+  const schema: SchemaObject = { type: param.type };
+  if (param.default !== undefined) schema.default = param.default;
+  if (param.type === "integer") {
+    if (param.minimum !== undefined) schema.minimum = param.minimum;
+    if (param.maximum !== undefined) schema.maximum = param.maximum;
+  } else if (param.enum) {
+    schema.enum = [...param.enum];
+  }
+  return schema;
+};
+
+const parameters = (
+  location: "path" | "query",
+  params: ParamSchemas = {},
+): SchemaObject[] =>
+  Object.entries(params).map(([name, param]) => ({
+    name,
+    in: location,
+    required: location === "path" || param.required === true,
+    description: param.description,
+    schema: paramSchema(param),
+  }));
+
+/**
+ * Build an OpenAPI 3.1 document from operation specs.
+ * Operations sharing a path are merged under one path item, in spec order.
+ */
+export function buildOpenApiDocument(
+  info: OpenApiInfo,
+  operations: OperationSpec[],
+  schemas: Record<string, SchemaObject>,
+): SchemaObject {
+  const paths: Record<string, Record<string, SchemaObject>> = {};
+  const tags: string[] = [];
+
+  for (const op of operations) {
+    const path = toOpenApiPath(op.path);
+    paths[path] ??= {};
+    if (!tags.includes(op.tag)) tags.push(op.tag);
+
+    const operation: SchemaObject = {
+      operationId: op.operationId,
+      summary: op.summary,
+      tags: [op.tag],
+    };
+    if (op.description) operation.description = op.description;
+
+    const params = [
+      ...parameters("path", op.pathParams),
+      ...parameters("query", op.query),
+    ];
+    if (params.length > 0) operation.parameters = params;
+
+    if (op.requestBody) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          [op.requestContentType ?? "application/json"]: {
+            schema: op.requestBody,
+          },
+        },
+      };
+    }
+
+    operation.responses = Object.fromEntries(
+      Object.entries(op.responses).map(([status, res]) => [
+        status,
+        {
+          description: res.description,
+          ...(res.headers && { headers: res.headers }),
+          ...(res.schema && {
+            content: {
+              [res.contentType ?? "application/json"]: { schema: res.schema },
+            },
+          }),
+        },
+      ]),
+    );
+
+    paths[path][op.method.toLowerCase()] = operation;
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: info.title,
+      version: info.version,
+      description: info.description,
+    },
+    servers: [{ url: info.server }],
+    tags: tags.map((name) => ({ name })),
+    paths,
+    components: { schemas },
+  };
+}
@@ -0,0 +1,77 @@
+// src/api/params.ts
+// Query parameter schemas — one definition per parameter, read by the
+// handlers (so the bounds are enforced) and by the OpenAPI document (so the
+// same bounds are advertised).
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface IntegerParam {
+  type: "integer";
+  description: string;
+  default?: number;
+  /** Values below are clamped up (not rejected) */
+  minimum?: number;
+  /** Values above are clamped down (not rejected) */
+  maximum?: number;
+  required?: boolean;
+}
+
+export interface StringParam {
+  type: "string";
+  description: string;
+  default?: string;
+  enum?: readonly string[];
+  required?: boolean;
+}
+
+export type ParamSchema = IntegerParam | StringParam;
+
+/** Parameters by name, in the order they're documented */
+export type ParamSchemas = Record<string, ParamSchema>;
+
+// =============================================================================
+// Shared Parameters
+// =============================================================================
+
+export const DELAY_PARAM: IntegerParam = {
+  type: "integer",
+  description: "Simulated latency in ms",
+  default: 0,
+  minimum: 0,
+  maximum: 5000,
+};
+
+export const DIRECTION_PARAM: StringParam = {
+  type: "string",
+  description: "Sort direction",
+  default: "desc",
+  enum: ["asc", "desc"],
+};
+
+export const CURSOR_PARAM: StringParam = {
+  type: "string",
+  description:
+    "Keyset cursor from a previous nextCursor (empty = first page). Replaces offset.",
+};
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse an integer query param, clamped to the schema's bounds.
+ * Returns the schema default (or 0) if missing or not a number.
+ */
+export function intParam(url: URL, name: string, schema: IntegerParam): number {
+  const fallback = schema.default ?? 0;
+  const raw = url.searchParams.get(name);
+  if (raw === null) return fallback;
+  const n = parseInt(raw, 10);
+  if (isNaN(n)) return fallback;
+  return Math.max(
+    schema.minimum ?? -Infinity,
+    Math.min(schema.maximum ?? Infinity, n),
+  );
+}
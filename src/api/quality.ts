@@ -0,0 +1,227 @@
+// src/api/quality.ts
+// Submission quality for crowdsourced benchmark results.
+//
+// Anyone can POST a result, and honest runs can be spoiled too (a throttled
+// background tab, a laptop in power saving). Every stored run gets a quality
+// score from 0 to 1 — the product of the penalties of its flags — and the
+// aggregations read it through a `quality` query param:
+//
+//   filter (default) — drop runs scoring below MIN_QUALITY, then drop
+//                      statistical outliers per metric (modified z-score)
+//   weight           — keep every run, weighting values by their score
+//   off              — raw data, every successful run counts equally
+//
+// Flags are judged once, at submission time, against what's already stored.
+
+import type { StringParam } from "./params";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export type QualityFlag =
+  "impossible-value" | "throttled" | "duplicate" | "client-burst";
+
+export type QualityMode = "filter" | "weight" | "off";
+
+export interface QualityScore {
+  score: number;
+  flags: QualityFlag[];
+}
+
+/** The parts of a submission the checks look at */
+export interface ScoredSubmission {
+  version: string;
+  suiteId: string;
+  itemCount: number;
+  metrics: { label: string; value: number; unit: string }[];
+  userAgent?: string;
+  hardwareConcurrency?: number;
+  deviceMemory?: number;
+}
+
+/** What the store knows about similar submissions */
+export interface SubmissionHistory {
+  /** An identical result (same fingerprint) was stored recently */
+  duplicate: boolean;
+  /** Runs of the same suite from the same client in the last hour */
+  recentFromClient: number;
+}
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/** Score multiplier per flag */
+const PENALTIES: Record<QualityFlag, number> = {
+  "impossible-value": 0,
+  throttled: 0.3,
+  duplicate: 0.1,
+  "client-burst": 0.5,
+};
+
+/** Runs below this score are left out in filter mode */
+export const MIN_QUALITY = 0.5;
+
+/** Runs of one suite per client per hour before the rest look automated */
+export const CLIENT_BURST_LIMIT = 12;
+
+/** Window in which an identical result counts as a duplicate */
+export const DUPLICATE_WINDOW = "-1 day";
+
+/** |modified z-score| above which a value is an outlier (Iglewicz & Hoaglin) */
+const OUTLIER_Z = 3.5;
+
+/** Below this many values nothing is rejected — too little to judge */
+const MIN_OUTLIER_SAMPLES = 5;
+
+/** Plausible range per unit — anything outside can't come from a real run */
+const UNIT_BOUNDS: Record<string, [number, number]> = {
+  ms: [0, 600_000],
+  fps: [0, 1000],
+  "+fps": [0, 1000],
+  MB: [0, 65_536],
+  "%": [-100_000, 100_000],
+};
+
+/** Metric the scroll suites add when rAF runs below THROTTLE_WARNING_FPS */
+const THROTTLE_MARKER = /\brAF throttled\b/;
+
+export const QUALITY_PARAM = {
+  type: "string",
+  description:
+    "Low-quality runs — filter (drop them and outliers), weight (down-weight by score) or off",
+  default: "filter",
+  enum: ["filter", "weight", "off"],
+} as const satisfies StringParam;
+
+// =============================================================================
+// Scoring
+// =============================================================================
+
+/** Describe why a submission can't be real, or null if it could be */
+export function impossibleValue(result: ScoredSubmission): string | null {
+  const seen = new Set<string>();
+  for (const metric of result.metrics) {
+    if (seen.has(metric.label)) return `duplicate metric "${metric.label}"`;
+    seen.add(metric.label);
+
+    const bounds = UNIT_BOUNDS[metric.unit];
+    if (bounds && (metric.value < bounds[0] || metric.value > bounds[1])) {
+      return `"${metric.label}" out of range for ${metric.unit}`;
+    }
+  }
+  const cores = result.hardwareConcurrency;
+  if (cores !== undefined && (cores < 1 || cores > 1024)) {
+    return "hardwareConcurrency out of range";
+  }
+  const memory = result.deviceMemory;
+  if (memory !== undefined && (memory <= 0 || memory > 4096)) {
+    return "deviceMemory out of range";
+  }
+  return null;
+}
+
+export function isThrottled(result: ScoredSubmission): boolean {
+  return result.metrics.some((metric) => THROTTLE_MARKER.test(metric.label));
+}
+
+/**
+ * Identity of a result's content — the same values from the same browser
+ * produce the same fingerprint. Metric order doesn't matter.
+ */
+export function fingerprint(result: ScoredSubmission): string {
+  const metrics = result.metrics
+    .map((m) => `${m.label}=${m.value}${m.unit}`)
+    .sort()
+    .join(";");
+  const key = [
+    result.version,
+    result.suiteId,
+    result.itemCount,
+    result.userAgent ?? "",
+    metrics,
+  ].join("|");
+  return new Bun.CryptoHasher("sha256").update(key).digest("hex");
+}
+
+/** Score a submission — 1 for a clean run, lower for every flag it raises */
+export function scoreSubmission(
+  result: ScoredSubmission,
+  history: SubmissionHistory,
+): QualityScore {
+  const flags: QualityFlag[] = [];
+  if (impossibleValue(result)) flags.push("impossible-value");
+  if (isThrottled(result)) flags.push("throttled");
+  if (history.duplicate) flags.push("duplicate");
+  if (history.recentFromClient >= CLIENT_BURST_LIMIT)
+    flags.push("client-burst");
+
+  const score = flags.reduce((s, flag) => s * PENALTIES[flag], 1);
+  return { score: Math.round(score * 1000) / 1000, flags };
+}
+
+// =============================================================================
+// Aggregation
+// =============================================================================
+
+const median = (sorted: number[]): number => {
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Drop outliers from ascending values by modified z-score — distance from
+ * the median in units of the median absolute deviation. When most values
+ * are identical (MAD of 0), the mean absolute deviation stands in.
+ */
+export function rejectOutliers(sorted: number[]): number[] {
+  if (sorted.length < MIN_OUTLIER_SAMPLES) return sorted;
+
+  const center = median(sorted);
+  const deviations = sorted.map((v) => Math.abs(v - center));
+  const mad = median([...deviations].sort((a, b) => a - b));
+  const scale =
+    mad > 0
+      ? mad / 0.6745
+      : (deviations.reduce((a, b) => a + b, 0) / deviations.length) * 1.2533;
+  if (scale === 0) return sorted;
+
+  return sorted.filter((_, i) => deviations[i] / scale <= OUTLIER_Z);
+}
+
+/**
+ * Percentile of values weighted by score, interpolating between the
+ * midpoints of each value's weight. Equal weights give the same result as
+ * unweighted linear interpolation. `values` must be ascending.
+ */
+export function weightedPercentile(
+  values: number[],
+  weights: number[],
+  p: number,
+): number {
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (values.length === 0 || total === 0) return 0;
+  if (values.length === 1) return values[0];
+
+  // Position of each value's weight midpoint, scaled to 0..n-1 like the
+  // unweighted percentile
+  const n = values.length;
+  const positions: number[] = [];
+  let cumulative = 0;
+  for (const weight of weights) {
+    positions.push(((cumulative + weight / 2) / total) * n - 0.5);
+    cumulative += weight;
+  }
+
+  const target = (p / 100) * (n - 1);
+  if (target <= positions[0]) return values[0];
+  for (let i = 1; i < n; i++) {
+    if (target <= positions[i]) {
+      const span = positions[i] - positions[i - 1];
+      const t = span > 0 ? (target - positions[i - 1]) / span : 1;
+      return values[i - 1] + (values[i] - values[i - 1]) * t;
+    }
+  }
+  return values[n - 1];
+}
@@ -0,0 +1,260 @@
+// src/api/ratelimit.ts
+// Token-bucket rate limiting for write endpoints.
+//
+// Each client (by IP) gets a bucket per policy holding up to `capacity`
+// tokens, refilled continuously at `capacity` per `windowSeconds`. A request
+// spends one token; an empty bucket means 429. Bursts up to the capacity go
+// through, and sustained traffic is held to the refill rate.
+//
+// Buckets live in a RateLimitStore. The SQLite store keeps them in the
+// `rate_limits` table of the API's own database (see ./migrations), so every
+// PM2 instance shares the same counters and they survive restarts.
+//
+// Routes opt in with `rateLimit` (see ./routes); their router spends the
+// token before the handler runs and sets the standard headers:
+//   RateLimit-Policy     "30;w=60" — capacity and window
+//   RateLimit-Limit      capacity
+//   RateLimit-Remaining  tokens left after this request
+//   RateLimit-Reset      seconds until the bucket is full again
+//   Retry-After          seconds until the next token (429 only)
+
+import type { Database } from "bun:sqlite";
+import type { SchemaObject } from "./openapi";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface RateLimitPolicy {
+  /** Bucket namespace — routes sharing a policy share their buckets */
+  name: string;
+  /** Burst size, and requests allowed per window at the sustained rate */
+  capacity: number;
+  windowSeconds: number;
+}
+
+/** A bucket after a take() */
+export interface BucketState {
+  allowed: boolean;
+  /** Tokens left, fractional */
+  tokens: number;
+}
+
+export interface RateLimitStore {
+  take(policy: RateLimitPolicy, client: string, now: number): BucketState;
+}
+
+export interface RateLimitDecision {
+  allowed: boolean;
+  policy: RateLimitPolicy;
+  remaining: number;
+  /** Seconds until the bucket is full again */
+  reset: number;
+  /** Seconds until a token is available — 0 when allowed */
+  retryAfter: number;
+}
+
+export interface RateLimiter {
+  policy: RateLimitPolicy;
+  /**
+   * Spend a token for the request's client. Null when the store failed —
+   * requests aren't refused because the limiter can't count them.
+   */
+  take(req: Request): RateLimitDecision | null;
+}
+
+// =============================================================================
+// Stores
+// =============================================================================
+
+/** Takes between sweeps of buckets that have refilled completely */
+const SWEEP_EVERY = 500;
+
+/** Tokens per millisecond */
+const refillRate = (policy: RateLimitPolicy): number =>
+  policy.capacity / (policy.windowSeconds * 1000);
+
+/** Refill a bucket last touched at `updatedAt`, then spend a token if one's there */
+const spend = (
+  policy: RateLimitPolicy,
+  bucket: { tokens: number; updatedAt: number } | null,
+  now: number,
+): BucketState => {
+  const tokens = bucket
+    ? Math.min(
+        policy.capacity,
+        bucket.tokens +
+          Math.max(0, now - bucket.updatedAt) * refillRate(policy),
+      )
+    : policy.capacity;
+  return tokens >= 1
+    ? { allowed: true, tokens: tokens - 1 }
+    : { allowed: false, tokens };
+};
+
+/**
+ * Buckets in the `rate_limits` table. `database` is called on every take,
+ * so it can follow a swappable connection. Each take is one IMMEDIATE
+ * transaction, so concurrent processes never spend the same token.
+ */
+export function createSqliteRateLimitStore(
+  database: () => Database,
+): RateLimitStore {
+  let takes = 0;
+
+  return {
+    take(policy, client, now) {
+      const db = database();
+      const state = db
+        .transaction(() => {
+          const row = db
+            .query(
+              "SELECT tokens, updated_at AS updatedAt FROM rate_limits WHERE policy = ? AND client = ?",
+            )
+            .get(policy.name, client) as {
+            tokens: number;
+            updatedAt: number;
+          } | null;
+          const next = spend(policy, row, now);
+          db.query(
+            `INSERT INTO rate_limits (policy, client, tokens, updated_at)
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT (policy, client)
+             DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at`,
+          ).run(policy.name, client, next.tokens, now);
+          return next;
+        })
+        .immediate();
+
+      // A bucket untouched for a whole window is full — same as no row
+      if (++takes % SWEEP_EVERY === 0) {
+        db.query(
+          "DELETE FROM rate_limits WHERE policy = ? AND updated_at < ?",
+        ).run(policy.name, now - policy.windowSeconds * 1000);
+      }
+      return state;
+    },
+  };
+}
+
+/** Buckets in a Map — per process, for routes without a database */
+export function createMemoryRateLimitStore(): RateLimitStore {
+  const buckets = new Map<
+    string,
+    { tokens: number; updatedAt: number; fullAt: number }
+  >();
+
+  return {
+    take(policy, client, now) {
+      const key = `${policy.name}\n${client}`;
+      const state = spend(policy, buckets.get(key) ?? null, now);
+      const fullAt =
+        now + (policy.capacity - state.tokens) / refillRate(policy);
+      buckets.set(key, { tokens: state.tokens, updatedAt: now, fullAt });
+
+      if (buckets.size > SWEEP_EVERY) {
+        for (const [k, bucket] of buckets) {
+          if (bucket.fullAt <= now) buckets.delete(k);
+        }
+      }
+      return state;
+    },
+  };
+}
+
+// =============================================================================
+// Limiter
+// =============================================================================
+
+/** The client's IP as seen through Cloudflare / nginx */
+export function clientIp(req: Request): string {
+  return (
+    req.headers.get("CF-Connecting-IP") ??
+    req.headers.get("X-Forwarded-For")?.split(",")[0]?.trim() ??
+    "unknown"
+  );
+}
+
+export function createRateLimiter(
+  policy: RateLimitPolicy,
+  store: RateLimitStore,
+  clientOf: (req: Request) => string = clientIp,
+): RateLimiter {
+  const rate = refillRate(policy);
+
+  return {
+    policy,
+    take(req) {
+      let state: BucketState;
+      try {
+        state = store.take(policy, clientOf(req), Date.now());
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        console.error(`[rate limit] ${policy.name}:`, message);
+        return null;
+      }
+      return {
+        allowed: state.allowed,
+        policy,
+        remaining: Math.floor(state.tokens),
+        reset: Math.ceil((policy.capacity - state.tokens) / rate / 1000),
+        retryAfter: state.allowed
+          ? 0
+          : Math.max(1, Math.ceil((1 - state.tokens) / rate / 1000)),
+      };
+    },
+  };
+}
+
+// =============================================================================
+// Headers
+// =============================================================================
+
+export function rateLimitHeaders(
+  decision: RateLimitDecision,
+): Record<string, string> {
+  const { policy } = decision;
+  return {
+    "RateLimit-Policy": `${policy.capacity};w=${policy.windowSeconds}`,
+    "RateLimit-Limit": String(policy.capacity),
+    "RateLimit-Remaining": String(decision.remaining),
+    "RateLimit-Reset": String(decision.reset),
+    ...(!decision.allowed && { "Retry-After": String(decision.retryAfter) }),
+  };
+}
+
+/** Response header names, for CORS Access-Control-Expose-Headers */
+export const RATE_LIMIT_HEADER_NAMES = [
+  "RateLimit-Policy",
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+  "Retry-After",
+];
+
+/** OpenAPI description of the headers a 429 carries */
+export const RATE_LIMIT_RESPONSE_HEADERS: Record<
+  string,
+  { description: string; schema: SchemaObject }
+> = {
+  "Retry-After": {
+    description: "Seconds until a request is allowed again",
+    schema: { type: "integer" },
+  },
+  "RateLimit-Policy": {
+    description: 'Bucket capacity and refill window, e.g. "30;w=60"',
+    schema: { type: "string" },
+  },
+  "RateLimit-Limit": {
+    description: "Bucket capacity",
+    schema: { type: "integer" },
+  },
+  "RateLimit-Remaining": {
+    description: "Requests left right now",
+    schema: { type: "integer" },
+  },
+  "RateLimit-Reset": {
+    description: "Seconds until the bucket is full again",
+    schema: { type: "integer" },
+  },
+};
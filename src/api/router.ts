@@ -1,9 +1,21 @@
 // src/api/router.ts
 // API router for vlist.dev — handles /api/* routes with CORS support
 
-import { routeBenchmarks } from "./benchmarks";
-import { CACHE_API, CACHE_API_DOCS } from "../server/cache";
-import { getUsers, getUserById, TOTAL, MAX_LIMIT } from "./users";
+import {
+  routeBenchmarks,
+  BENCHMARK_ROUTES,
+  BENCHMARK_SCHEMAS,
+} from "./benchmarks";
+import { CACHE_API, CACHE_API_DOCS, CACHE_NOCACHE } from "../server/cache";
+import {
+  getUsers,
+  getUserById,
+  TOTAL,
+  MAX_LIMIT,
+  MAX_VIEW_TOTAL,
+  USER_SORT_COLUMNS,
+  type UserSortColumn,
+} from "./users";
 import {
   getPosts,
   TOTAL as POSTS_TOTAL,
@@ -19,9 +31,10 @@ import {
   getCountries,
   getContinents,
   getStats as getCitiesStats,
+  getRevision as getCitiesRevision,
+  scanCities,
   parseQueryOptions as parseCitiesParams,
-  MAX_LIMIT as CITIES_MAX_LIMIT,
-  DEFAULT_LIMIT as CITIES_DEFAULT_LIMIT,
+  QUERY_PARAMS as CITIES_PARAMS,
 } from "./cities";
 import {
   getTracks,
@@ -29,15 +42,83 @@ import {
   createTrack,
   updateTrack,
   deleteTrack,
+  validateTrackBatch,
+  validateTrackInput,
+  applyTrackBatch,
   getCountries as getTrackCountries,
   getDecades,
   getCategories,
   getStats as getTracksStats,
+  getRevision as getTracksRevision,
+  scanTracks,
   parseQueryOptions as parseTracksParams,
-  MAX_LIMIT as TRACKS_MAX_LIMIT,
-  DEFAULT_LIMIT as TRACKS_DEFAULT_LIMIT,
+  QUERY_PARAMS as TRACKS_PARAMS,
+  subscribeTrackChanges,
+  rateLimitStore as tracksRateLimitStore,
+  MAX_BATCH_OPERATIONS,
 } from "./tracks";
 import type { TrackInput } from "./tracks";
+import {
+  getSearchIndex,
+  parseQueryOptions as parseSearchParams,
+  QUERY_PARAMS as SEARCH_PARAMS,
+} from "./search";
+import {
+  bundleProject,
+  validateBundleRequest,
+  MAX_FILES as BUNDLE_MAX_FILES,
+  MAX_PROJECT_BYTES as BUNDLE_MAX_BYTES,
+} from "./bundle";
+import { createEventStream } from "./sse";
+import {
+  exportResponse,
+  FORMAT_PARAM,
+  type ExportFormat,
+  type RowScan,
+} from "./export";
+import {
+  intParam,
+  DELAY_PARAM,
+  DIRECTION_PARAM,
+  type ParamSchema,
+  type ParamSchemas,
+} from "./params";
+import {
+  buildOpenApiDocument,
+  ref,
+  arrayOf,
+  object,
+  page,
+  API_SCHEMAS,
+  type ResponseSpec,
+} from "./openapi";
+import {
+  createRouteTable,
+  validateParams,
+  describeParamErrors,
+  type ParamError,
+  type Route,
+  type RouteContext,
+  type RouteHandler,
+  type Validators,
+} from "./routes";
+import {
+  hashETag,
+  versionETag,
+  httpDate,
+  isNotModified,
+  notModified,
+} from "../server/etag";
+import { FAULT_PARAMS, planFaults, truncatePage } from "./faults";
+import {
+  createRateLimiter,
+  createMemoryRateLimitStore,
+  rateLimitHeaders,
+  RATE_LIMIT_HEADER_NAMES,
+  RATE_LIMIT_RESPONSE_HEADERS,
+  type RateLimitDecision,
+} from "./ratelimit";
+import { SITE } from "../server/config";
 import { existsSync, readFileSync } from "fs";
 import { resolve } from "path";
 
@@ -67,72 +148,312 @@ const serveApiDocs = (): Response | null => {
 const CORS_HEADERS: Record<string, string> = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Headers":
+    "Content-Type, If-None-Match, If-Modified-Since",
   "Access-Control-Max-Age": "86400",
+  "Access-Control-Expose-Headers": [
+    "ETag",
+    "X-Fault",
+    "Content-Disposition",
+    ...RATE_LIMIT_HEADER_NAMES,
+  ].join(", "),
 };
 
-const json = (data: unknown, status: number = 200): Response =>
-  new Response(JSON.stringify(data), {
+const json = (data: unknown, status: number = 200): Response => {
+  const body = JSON.stringify(data);
+  return new Response(body, {
     status,
     headers: {
       "Content-Type": "application/json; charset=utf-8",
       "Cache-Control": CACHE_API,
       ...CORS_HEADERS,
+      ...(status === 200 && { ETag: hashETag(body) }),
     },
   });
+};
 
 const error = (message: string, status: number = 400): Response =>
   json({ error: message }, status);
 
-// =============================================================================
-// Route Matching
-// =============================================================================
+/** 405 with the methods the path does support */
+const methodNotAllowed = (allow: string[]): Response => {
+  const response = error("Method not allowed", 405);
+  response.headers.set("Allow", [...allow, "OPTIONS"].join(", "));
+  return response;
+};
 
-/** Parse integer query param with bounds, returning defaultVal if missing/invalid */
-const intParam = (
-  url: URL,
-  name: string,
-  defaultVal: number,
-  min: number,
-  max: number,
-): number => {
-  const raw = url.searchParams.get(name);
-  if (raw === null) return defaultVal;
-  const n = parseInt(raw, 10);
-  if (isNaN(n)) return defaultVal;
-  return Math.max(min, Math.min(max, n));
+/**
+ * A route's revision validators, or null if it has none. Skipped for fault
+ * injected requests (never revalidated) and when the dataset is unavailable
+ * (the handler reports that).
+ */
+const readValidators = (route: Route, ctx: RouteContext): Validators | null => {
+  if (!route.validators || planFaults(ctx.url)) return null;
+  try {
+    return route.validators(ctx);
+  } catch {
+    return null;
+  }
+};
+
+/** Headers of a validated response — also what a 304 carries */
+const validatorHeaders = (validators: Validators): Record<string, string> => ({
+  "Cache-Control": CACHE_API,
+  ...CORS_HEADERS,
+  ETag: validators.etag,
+  ...(validators.lastModified && { "Last-Modified": validators.lastModified }),
+});
+
+/** 429 for an empty bucket, with when to come back */
+const rateLimited = (decision: RateLimitDecision): Response => {
+  const response = error(
+    `Rate limited. Try again in ${decision.retryAfter}s.`,
+    429,
+  );
+  for (const [name, value] of Object.entries(rateLimitHeaders(decision))) {
+    response.headers.set(name, value);
+  }
+  return response;
+};
+
+/** 400 listing every malformed or missing parameter */
+const invalidParams = (errors: ParamError[]): Response =>
+  json({ error: describeParamErrors(errors), details: errors }, 400);
+
+/** Stream a dataset view as a file download in the requested format */
+const download = (url: URL, name: string, scan: () => RowScan): Response => {
+  try {
+    return exportResponse(scan(), {
+      format: (url.searchParams.get("format") ||
+        FORMAT_PARAM.default) as ExportFormat,
+      name,
+      headers: { ...CORS_HEADERS, "Cache-Control": CACHE_NOCACHE },
+    });
+  } catch (err: unknown) {
+    const message = err instanceof Error ? err.message : "Unknown error";
+    return error(message, 500);
+  }
 };
 
+// =============================================================================
+// Fault Injection
+// =============================================================================
+
 /** Sleep for delay ms (resolves immediately if delay <= 0) */
 const sleep = (ms: number): Promise<void> =>
   ms > 0
     ? new Promise((resolve) => setTimeout(resolve, ms))
     : Promise.resolve();
 
+/**
+ * Wrap a demo data handler with the fault params from ./faults — extra
+ * latency, injected error statuses and truncated pages. Requests without
+ * fault params go straight to the handler. Faulty responses carry an
+ * X-Fault header describing what was injected and are never cached or
+ * revalidated.
+ */
+const withFaults =
+  (handler: RouteHandler): RouteHandler =>
+  async (ctx) => {
+    const plan = planFaults(ctx.url);
+    if (!plan) return handler(ctx);
+
+    await sleep(plan.delay);
+
+    let response: Response | null;
+    if (plan.status !== null) {
+      response = error(`Injected fault (HTTP ${plan.status})`, plan.status);
+      if (plan.status === 429 || plan.status === 503) {
+        response.headers.set("Retry-After", "1");
+      }
+    } else {
+      response = await handler(ctx);
+    }
+    if (!response) return null;
+
+    if (plan.truncate !== null && response.ok) {
+      const body = truncatePage(await response.json(), plan.truncate);
+      response = new Response(JSON.stringify(body), {
+        status: response.status,
+        headers: response.headers,
+      });
+    }
+
+    response.headers.set("X-Fault", plan.description);
+    response.headers.set("Cache-Control", CACHE_NOCACHE);
+    response.headers.delete("ETag");
+    return response;
+  };
+
+// =============================================================================
+// Query Params
+// =============================================================================
+
+const USERS_PARAMS = {
+  offset: {
+    type: "integer",
+    description: "Start index",
+    default: 0,
+    minimum: 0,
+    maximum: 10_000_000,
+  },
+  limit: {
+    type: "integer",
+    description: "Page size",
+    default: 50,
+    minimum: 1,
+    maximum: MAX_LIMIT,
+  },
+  sort: {
+    type: "string",
+    description: "Column to sort by",
+    default: "id",
+    enum: USER_SORT_COLUMNS,
+  },
+  direction: { ...DIRECTION_PARAM, default: "asc" },
+  search: {
+    type: "string",
+    description:
+      "Words matched as prefixes of name, role, department, company, city, country or status",
+  },
+  delay: DELAY_PARAM,
+  total: {
+    type: "integer",
+    description: `Total dataset size (sorted and searched views cover the first ${MAX_VIEW_TOTAL.toLocaleString("en")} users at most)`,
+    default: TOTAL,
+    minimum: 1,
+    maximum: 10_000_000,
+  },
+} satisfies ParamSchemas;
+
+const USER_PARAMS = {
+  delay: DELAY_PARAM,
+  total: {
+    ...USERS_PARAMS.total,
+    description: "Dataset size for bounds checking",
+  },
+} satisfies ParamSchemas;
+
+const POSTS_PARAMS = {
+  offset: {
+    type: "integer",
+    description: "Start index",
+    default: 0,
+    minimum: 0,
+    maximum: 100_000,
+  },
+  limit: {
+    type: "integer",
+    description: "Page size",
+    default: 50,
+    minimum: 1,
+    maximum: POSTS_MAX_LIMIT,
+  },
+  delay: DELAY_PARAM,
+  total: {
+    type: "integer",
+    description: "Total dataset size",
+    default: POSTS_TOTAL,
+    minimum: 1,
+    maximum: 100_000,
+  },
+} satisfies ParamSchemas;
+
+const FEED_PARAMS = {
+  source: {
+    type: "string",
+    description: "Feed source id",
+    default: "reddit",
+    enum: feedSourceIds,
+  },
+  target: {
+    type: "string",
+    description: "Subreddit name (reddit) or feed URL (rss)",
+    default: "worldnews",
+  },
+  limit: {
+    type: "integer",
+    description: "Number of posts to return",
+    default: 25,
+    minimum: 1,
+    maximum: 100,
+  },
+  after: {
+    type: "string",
+    description: "Pagination cursor from a previous response",
+  },
+  delay: DELAY_PARAM,
+} satisfies ParamSchemas;
+
+const FILES_PARAMS = {
+  path: {
+    type: "string",
+    description: "Relative path from base directory",
+    default: "",
+  },
+} satisfies ParamSchemas;
+
+/** GET /api/cities minus paging — the view an export or stream covers */
+const CITIES_VIEW_PARAMS = {
+  sort: CITIES_PARAMS.sort,
+  direction: CITIES_PARAMS.direction,
+  search: CITIES_PARAMS.search,
+  country: CITIES_PARAMS.country,
+  continent: CITIES_PARAMS.continent,
+  minPop: CITIES_PARAMS.minPop,
+  maxPop: CITIES_PARAMS.maxPop,
+} satisfies ParamSchemas;
+
+/** GET /api/tracks minus paging — the view an export or stream covers */
+const TRACKS_VIEW_PARAMS = {
+  sort: TRACKS_PARAMS.sort,
+  direction: TRACKS_PARAMS.direction,
+  search: TRACKS_PARAMS.search,
+  country: TRACKS_PARAMS.country,
+  decade: TRACKS_PARAMS.decade,
+  category: TRACKS_PARAMS.category,
+  artist: TRACKS_PARAMS.artist,
+  minYear: TRACKS_PARAMS.minYear,
+  maxYear: TRACKS_PARAMS.maxYear,
+} satisfies ParamSchemas;
+
+const ID_PARAM = {
+  id: { type: "integer", description: "1-based ID", minimum: 1 },
+} satisfies ParamSchemas;
+
 // =============================================================================
 // Route Handlers
 // =============================================================================
 
 /**
- * GET /api/users?offset=0&limit=50&delay=0&total=1000000
+ * GET /api/users?offset=0&limit=50&sort=id&direction=asc&search=&delay=0&total=1000000
  *
  * Query params:
- *   offset  — start index (default: 0, min: 0)
- *   limit   — page size (default: 50, min: 1, max: 200)
- *   delay   — simulated latency in ms (default: 0, min: 0, max: 5000)
- *   total   — total dataset size (default: 1_000_000, min: 1, max: 10_000_000)
+ *   offset    — start index (default: 0, min: 0)
+ *   limit     — page size (default: 50, min: 1, max: 200)
+ *   sort      — id | firstName | lastName | role | department | company | city | country | status | joinedYear (default: id)
+ *   direction — asc | desc (default: asc)
+ *   search    — prefix match on name, role, department, company, city, country, status
+ *   delay     — simulated latency in ms (default: 0, min: 0, max: 5000)
+ *   total     — total dataset size (default: 1_000_000, min: 1, max: 10_000_000;
+ *               sorted and searched views cover the first 1_000_000 at most)
  *
  * Response: { items: User[], total: number, hasMore: boolean }
+ * (total is the number of matching users when searching)
  */
 const handleGetUsers = async (url: URL): Promise<Response> => {
-  const offset = intParam(url, "offset", 0, 0, 10_000_000);
-  const limit = intParam(url, "limit", 50, 1, MAX_LIMIT);
-  const delay = intParam(url, "delay", 0, 0, 5000);
-  const total = intParam(url, "total", TOTAL, 1, 10_000_000);
+  const offset = intParam(url, "offset", USERS_PARAMS.offset);
+  const limit = intParam(url, "limit", USERS_PARAMS.limit);
+  const delay = intParam(url, "delay", USERS_PARAMS.delay);
+  const total = intParam(url, "total", USERS_PARAMS.total);
 
   await sleep(delay);
 
-  const result = getUsers(offset, limit, total);
+  const result = getUsers(offset, limit, total, {
+    sort: (url.searchParams.get("sort") || "id") as UserSortColumn,
+    direction: url.searchParams.get("direction") === "desc" ? "desc" : "asc",
+    search: url.searchParams.get("search") ?? undefined,
+  });
 
   return json(result);
 };
@@ -150,8 +471,8 @@ const handleGetUsers = async (url: URL): Promise<Response> => {
  * Response: User | { error: string }
  */
 const handleGetUser = async (url: URL, id: number): Promise<Response> => {
-  const delay = intParam(url, "delay", 0, 0, 5000);
-  const total = intParam(url, "total", TOTAL, 1, 10_000_000);
+  const delay = intParam(url, "delay", USER_PARAMS.delay);
+  const total = intParam(url, "total", USER_PARAMS.total);
 
   await sleep(delay);
 
@@ -202,10 +523,10 @@ const handleFilesInfo = (): Response => json(getFilesBrowserInfo());
  * Response: { items: Post[], total: number, hasMore: boolean }
  */
 const handleGetPosts = async (url: URL): Promise<Response> => {
-  const offset = intParam(url, "offset", 0, 0, 100_000);
-  const limit = intParam(url, "limit", 50, 1, POSTS_MAX_LIMIT);
-  const delay = intParam(url, "delay", 0, 0, 5000);
-  const total = intParam(url, "total", POSTS_TOTAL, 1, 100_000);
+  const offset = intParam(url, "offset", POSTS_PARAMS.offset);
+  const limit = intParam(url, "limit", POSTS_PARAMS.limit);
+  const delay = intParam(url, "delay", POSTS_PARAMS.delay);
+  const total = intParam(url, "total", POSTS_PARAMS.total);
 
   await sleep(delay);
 
@@ -229,8 +550,8 @@ const handleGetPosts = async (url: URL): Promise<Response> => {
 const handleGetFeed = async (url: URL): Promise<Response> => {
   const source = (url.searchParams.get("source") ?? "reddit") as FeedSourceId;
   const target = url.searchParams.get("target") ?? "worldnews";
-  const limit = intParam(url, "limit", 25, 1, 100);
-  const delay = intParam(url, "delay", 0, 0, 5000);
+  const limit = intParam(url, "limit", FEED_PARAMS.limit);
+  const delay = intParam(url, "delay", FEED_PARAMS.delay);
   const after = url.searchParams.get("after") ?? undefined;
 
   if (!feedSourceIds.includes(source)) {
@@ -278,7 +599,7 @@ const handleGetRecipes = (): Response => json(getRecipes());
  *
  * Response: Recipe | { error: string }
  */
-const handleGetRecipe = (_url: URL, id: number): Response => {
+const handleGetRecipe = (id: number): Response => {
   const recipe = getRecipeById(id);
   if (!recipe) {
     return error("Recipe not found", 404);
@@ -296,16 +617,17 @@ const handleGetRecipe = (_url: URL, id: number): Response => {
  * Query params:
  *   offset    — start index (default: 0)
  *   limit     — page size (default: 50, min: 1, max: 200)
- *   sort      — column to sort by (default: "population")
+ *   sort      — column to sort by, or "relevance" with search (default: "population")
  *   direction — "asc" or "desc" (default: "desc")
- *   search    — case-insensitive name search
+ *   search    — full-text name search (items gain a highlight snippet)
  *   country   — ISO country code(s), comma-separated (e.g. "FR,DE,US")
  *   continent — continent name (e.g. "Europe")
  *   minPop    — minimum population filter
  *   maxPop    — maximum population filter
+ *   cursor    — keyset cursor from a previous nextCursor (empty = first page)
  *   delay     — simulated latency in ms (default: 0, max: 5000)
  *
- * Response: { items: City[], total: number, hasMore: boolean }
+ * Response: { items: City[], total: number, hasMore: boolean, nextCursor?: string | null }
  */
 const handleGetCities = async (url: URL): Promise<Response> => {
   const params = parseCitiesParams(url);
@@ -316,10 +638,24 @@ const handleGetCities = async (url: URL): Promise<Response> => {
     return json(result);
   } catch (err: unknown) {
     const message = err instanceof Error ? err.message : "Unknown error";
-    return error(message, 500);
+    const status = message.startsWith("Invalid cursor") ? 400 : 500;
+    return error(message, status);
   }
 };
 
+/**
+ * GET /api/cities/export?format=csv&sort=population&direction=desc&search=&country=&continent=&minPop=&maxPop=
+ *
+ * Query params:
+ *   format — "csv", "ndjson" or "xlsx" (default: "csv")
+ *   plus sort, direction, search and the filters of GET /api/cities
+ *
+ * Every matching city, streamed in list order — no paging.
+ * Response: file download (Content-Disposition: attachment)
+ */
+const handleExportCities = (url: URL): Response =>
+  download(url, "cities", () => scanCities(parseCitiesParams(url)));
+
 /**
  * GET /api/cities/:id
  *
@@ -328,7 +664,7 @@ const handleGetCities = async (url: URL): Promise<Response> => {
  *
  * Response: City | { error: string }
  */
-const handleGetCity = (_url: URL, id: number): Response => {
+const handleGetCity = (id: number): Response => {
   try {
     const city = getCityById(id);
     if (!city) return error("City not found", 404);
@@ -393,32 +729,47 @@ const handleGetCitiesStats = (): Response => {
  * Query params:
  *   offset    — start index (default: 0)
  *   limit     — page size (default: 50, min: 1, max: 200)
- *   sort      — column to sort by (default: "id")
+ *   sort      — column to sort by, or "relevance" with search (default: "id")
  *   direction — "asc" or "desc" (default: "desc")
- *   search    — case-insensitive title/artist search
+ *   search    — full-text title/artist search (items gain highlight snippets)
  *   country   — country code filter
  *   decade    — decade filter (e.g. 1960, 1970)
  *   category  — category filter
  *   artist    — artist name filter (partial match)
  *   minYear   — minimum year filter
  *   maxYear   — maximum year filter
+ *   cursor    — keyset cursor from a previous nextCursor (empty = first page)
  *   delay     — simulated latency in ms (default: 0, max: 5000)
  *
- * Response: { items: Track[], total: number, hasMore: boolean }
+ * Response: { items: Track[], total: number, hasMore: boolean, nextCursor?: string | null }
  */
-const handleGetTracks = async (url: URL, delay: number): Promise<Response> => {
+const handleGetTracks = async (url: URL): Promise<Response> => {
   const params = parseTracksParams(url);
-  await sleep(delay);
+  await sleep(params.delay);
 
   try {
     const result = getTracks(params);
     return json(result);
   } catch (err: unknown) {
     const message = err instanceof Error ? err.message : "Unknown error";
-    return error(message, 500);
+    const status = message.startsWith("Invalid cursor") ? 400 : 500;
+    return error(message, status);
   }
 };
 
+/**
+ * GET /api/tracks/export?format=csv&sort=id&direction=desc&search=&country=&decade=&category=&artist=&minYear=&maxYear=
+ *
+ * Query params:
+ *   format — "csv", "ndjson" or "xlsx" (default: "csv")
+ *   plus sort, direction, search and the filters of GET /api/tracks
+ *
+ * Every matching track, streamed in list order — no paging.
+ * Response: file download (Content-Disposition: attachment)
+ */
+const handleExportTracks = (url: URL): Response =>
+  download(url, "tracks", () => scanTracks(parseTracksParams(url)));
+
 /**
  * GET /api/tracks/:id
  *
@@ -427,7 +778,7 @@ const handleGetTracks = async (url: URL, delay: number): Promise<Response> => {
  *
  * Response: Track | { error: string }
  */
-const handleGetTrack = (_url: URL, id: number): Response => {
+const handleGetTrack = (id: number): Response => {
   try {
     const track = getTrackById(id);
     if (!track) return error("Track not found", 404);
@@ -447,14 +798,10 @@ const handleGetTrack = (_url: URL, id: number): Response => {
  */
 const handleCreateTrack = async (req: Request): Promise<Response> => {
   try {
-    const body = (await req.json()) as TrackInput;
-
-    // Validate required fields
-    if (!body.title || !body.artist) {
-      return error("Title and artist are required", 400);
-    }
+    const validation = validateTrackInput(await req.json());
+    if (!validation.valid) return error(validation.error!, 400);
 
-    const track = createTrack(body);
+    const track = createTrack(validation.input as TrackInput);
     return json(track, 201);
   } catch (err: unknown) {
     const message = err instanceof Error ? err.message : "Invalid JSON";
@@ -477,9 +824,10 @@ const handleUpdateTrack = async (
   id: number,
 ): Promise<Response> => {
   try {
-    const body = (await req.json()) as Partial<TrackInput>;
+    const validation = validateTrackInput(await req.json(), true);
+    if (!validation.valid) return error(validation.error!, 400);
 
-    const track = updateTrack(id, body);
+    const track = updateTrack(id, validation.input!);
     if (!track) return error("Track not found", 404);
 
     return json(track);
@@ -509,6 +857,40 @@ const handleDeleteTrack = (id: number): Response => {
   }
 };
 
+/**
+ * POST /api/tracks/batch
+ *
+ * Body: { operations: Array<
+ *   | { op: "create", data: TrackInput }
+ *   | { op: "update", id: number, data: Partial<TrackInput> }
+ *   | { op: "delete", id: number }
+ * > }
+ *
+ * Applied in one transaction — all or nothing (max 5000 operations).
+ *
+ * Response: { success: true, results: Array<{ op, id, status, track? }> }
+ *         | { success: false, index: number, error: string } (404)
+ */
+const handleTrackBatch = async (req: Request): Promise<Response> => {
+  let body: unknown;
+  try {
+    body = await req.json();
+  } catch {
+    return error("Invalid JSON", 400);
+  }
+
+  const validation = validateTrackBatch(body);
+  if (!validation.valid) return error(validation.error!, 400);
+
+  try {
+    const result = applyTrackBatch(validation.operations!);
+    return json(result, result.success ? 200 : 404);
+  } catch (err: unknown) {
+    const message = err instanceof Error ? err.message : "Unknown error";
+    return error(message, 500);
+  }
+};
+
 /**
  * GET /api/tracks/countries
  *
@@ -568,198 +950,767 @@ const handleGetTracksStats = (): Response => {
   }
 };
 
+/**
+ * GET /api/tracks/events?sort=id&direction=desc&search=&country=&decade=&category=&artist=&minYear=&maxYear=
+ *
+ * Server-Sent Events stream of track mutations. The query params describe
+ * the view the client is showing (same as GET /api/tracks, minus paging),
+ * and every event carries the row's index within that view.
+ *
+ * Events:
+ *   created — { track: Track, index: number | null, total: number }
+ *   updated — { track: Track, index: number | null, total: number }
+ *   deleted — { track: Track, index: number | null, total: number }
+ *   reset   — {} — too many changes at once to list, reload the view
+ *
+ * `index` is null when the row falls outside the view's filters. For
+ * "deleted" it is the position the row occupied before removal. Each event
+ * is located as of just after its change, so a client applying them in
+ * order stays in step with the view. Changes
+ * made through any server instance are reported (see the change log in
+ * ./tracks), within CHANGE_POLL_MS.
+ */
+const handleTrackEvents = (req: Request, url: URL): Response => {
+  const view = parseTracksParams(url);
+
+  let stream: ReadableStream<Uint8Array>;
+  try {
+    stream = createEventStream(req.signal, (send) =>
+      subscribeTrackChanges(view, ({ type, ...data }) => send(type, data)),
+    );
+  } catch (err: unknown) {
+    const message = err instanceof Error ? err.message : "Unknown error";
+    return error(message, 500);
+  }
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": CACHE_NOCACHE,
+      "X-Accel-Buffering": "no",
+      ...CORS_HEADERS,
+    },
+  });
+};
+
+// =============================================================================
+// Site Search
+// =============================================================================
+
+/**
+ * GET /api/search?q=&kind=&limit=20
+ *
+ * Query params:
+ *   q     — words matched as prefixes (all must match)
+ *   kind  — docs | tutorials | examples | benchmarks (default: everything)
+ *   limit — max results (default: 20, max: 50)
+ *
+ * Response: { query: string, items: SearchResult[], total: number }
+ * Items link to the heading of the matching section, best match first.
+ */
+const handleSearch = (url: URL): Response => {
+  const { q, ...options } = parseSearchParams(url);
+  return json(getSearchIndex().search(q, options));
+};
+
+// =============================================================================
+// Bundle
+// =============================================================================
+
+/**
+ * Read a request body as text, giving up once it passes `maxBytes` —
+ * null when it does. Content-Length is checked before anything is read.
+ */
+const readBodyCapped = async (
+  req: Request,
+  maxBytes: number,
+): Promise<string | null> => {
+  const declared = Number(req.headers.get("Content-Length"));
+  if (declared > maxBytes) return null;
+  if (!req.body) return "";
+
+  const reader = req.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+};
+
+/**
+ * POST /api/bundle
+ *
+ * Body: { framework?: "vanilla" | "react" | "vue" | "svelte" | "solidjs",
+ *         entry?: string, files: Record<path, source> }
+ *
+ * Bundled with the example build plugins, cached by content hash
+ * (max 20 files, 256 KB).
+ *
+ * Response: { hash, js, css, size: { js, css }, cached }
+ *         | { error: "Build failed", logs: BundleLog[] } (422)
+ */
+const handleBundle = async (req: Request): Promise<Response> => {
+  // JSON escaping can double the sources — anything larger can't be valid
+  const text = await readBodyCapped(req, BUNDLE_MAX_BYTES * 2);
+  if (text === null) return error("Request body too large", 413);
+
+  let body: unknown;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return error("Invalid JSON", 400);
+  }
+
+  const validation = validateBundleRequest(body);
+  if (!validation.valid) return error(validation.error!, 400);
+
+  try {
+    const outcome = await bundleProject(validation.project!);
+    return outcome.success
+      ? json(outcome.result)
+      : json({ error: "Build failed", logs: outcome.logs }, 422);
+  } catch (err: unknown) {
+    const message = err instanceof Error ? err.message : "Unknown error";
+    return error(message, 500);
+  }
+};
+
+// =============================================================================
+// Info
+// =============================================================================
+
+/** A param as /api/info lists it — the route's schema, bounds renamed */
+const describeParam = (schema: ParamSchema): Record<string, unknown> => {
+  const { type, description, default: fallback } = schema;
+  const param: Record<string, unknown> = { type, description };
+  if (fallback !== undefined) param.default = fallback;
+  if (schema.type === "integer") {
+    if (schema.minimum !== undefined) param.min = schema.minimum;
+    if (schema.maximum !== undefined) param.max = schema.maximum;
+  } else if (schema.enum) {
+    param.enum = schema.enum;
+  }
+  if (schema.required) param.required = true;
+  return param;
+};
+
 /**
  * GET /api/info
  *
- * Returns API metadata — available endpoints, defaults, limits.
+ * Returns API metadata — every route in API_ROUTES with its params, read
+ * from the same schemas the handlers enforce (see GET /api/openapi.json for
+ * the full document).
  */
 const handleInfo = (): Response =>
   json({
     name: "vlist.dev API",
-    version: "0.1.0",
+    version: API_VERSION,
     description: "Deterministic user data API for vlist demos",
-    endpoints: {
-      "GET /api/posts": {
-        description: "Paginated social feed posts (deterministic)",
-        params: {
-          offset: { type: "number", default: 0, min: 0, max: 100_000 },
-          limit: {
-            type: "number",
-            default: 50,
-            min: 1,
-            max: POSTS_MAX_LIMIT,
-          },
-          delay: { type: "number", default: 0, min: 0, max: 5000, unit: "ms" },
-          total: {
-            type: "number",
-            default: POSTS_TOTAL,
-            min: 1,
-            max: 100_000,
-          },
-        },
-        response: "{ items: Post[], total: number, hasMore: boolean }",
-      },
-      "GET /api/feed": {
-        description: "Live social feed from external sources",
-        params: {
-          source: { type: "string", default: "reddit", enum: feedSourceIds },
-          target: {
-            type: "string",
-            default: "worldnews",
-            description: "Subreddit (reddit) or feed URL (rss)",
-          },
-          limit: { type: "number", default: 25, min: 1, max: 100 },
-          after: {
-            type: "string",
-            default: "",
-            description: "Pagination cursor",
-          },
-          delay: { type: "number", default: 0, min: 0, max: 5000, unit: "ms" },
-        },
-        response:
-          "{ posts: FeedPost[], nextCursor: string | null, total: number | null, source: string, target: string }",
-      },
-      "GET /api/feed/presets": {
-        description: "Curated list of presets per source",
-        response: "{ reddit: Array<{ label, value }> }",
-      },
-      "GET /api/users": {
-        description: "Paginated user list",
-        params: {
-          offset: { type: "number", default: 0, min: 0, max: 10_000_000 },
-          limit: { type: "number", default: 50, min: 1, max: MAX_LIMIT },
-          delay: { type: "number", default: 0, min: 0, max: 5000, unit: "ms" },
-          total: {
-            type: "number",
-            default: TOTAL,
-            min: 1,
-            max: 10_000_000,
-          },
-        },
-        response: "{ items: User[], total: number, hasMore: boolean }",
-      },
-      "GET /api/users/:id": {
-        description: "Single user by ID (1-based)",
-        params: {
-          delay: { type: "number", default: 0, min: 0, max: 5000, unit: "ms" },
-          total: {
-            type: "number",
-            default: TOTAL,
-            min: 1,
-            max: 10_000_000,
-          },
-        },
-        response: "User | { error: string }",
-      },
-      "GET /api/files": {
-        description: "List directory contents",
-        params: {
-          path: {
-            type: "string",
-            default: "",
-            description: "Relative path from base directory",
-          },
-        },
-        response: "{ path: string, items: FileItem[] }",
-      },
-      "GET /api/recipes": {
-        description: "All recipe cards",
-        response: "Recipe[]",
-      },
-      "GET /api/recipes/:id": {
-        description: "Single recipe by ID (1-based)",
-        response: "Recipe | { error: string }",
+    endpoints: Object.fromEntries(
+      API_ROUTES.routes.map((route) => {
+        const params = { ...route.pathParams, ...route.query };
+        const endpoint: Record<string, unknown> = {
+          description: route.summary,
+        };
+        if (Object.keys(params).length > 0) {
+          endpoint.params = Object.fromEntries(
+            Object.entries(params).map(([name, schema]) => [
+              name,
+              describeParam(schema),
+            ]),
+          );
+        }
+        return [`${route.method} ${route.path}`, endpoint];
+      }),
+    ),
+    defaults: {
+      total: TOTAL,
+      limit: 50,
+      maxLimit: MAX_LIMIT,
+    },
+    faults: {
+      description:
+        "Deterministic fault injection on users, posts, feed, cities and tracks — errors, short pages, jitter and slow pages, reproducible from faultSeed",
+      params: Object.keys(FAULT_PARAMS),
+    },
+  });
+
+// =============================================================================
+// Route Table
+// =============================================================================
+
+const API_VERSION = "0.1.0";
+
+const ERROR = ref("Error");
+const NOT_FOUND: ResponseSpec = { description: "Not found", schema: ERROR };
+const SERVER_ERROR: ResponseSpec = {
+  description: "Database unavailable or internal error",
+  schema: ERROR,
+};
+
+/**
+ * Validators from a dataset's revision counter — conditional requests are
+ * answered without querying, which is what pollers of the stats hit. The
+ * API version is part of the ETag, so a release that changes the response
+ * shape invalidates it too.
+ */
+const revisionValidators =
+  (
+    name: string,
+    getRevision: () => { revision: number; modifiedAt: number },
+  ): (() => Validators) =>
+  () => {
+    const { revision, modifiedAt } = getRevision();
+    return {
+      etag: versionETag(`${name}@${API_VERSION}`, revision, modifiedAt),
+      lastModified: httpDate(modifiedAt * 1000),
+    };
+  };
+
+const CITIES_VALIDATORS = revisionValidators("cities", getCitiesRevision);
+const TRACKS_VALIDATORS = revisionValidators("tracks", getTracksRevision);
+
+/** Create, update and delete share one bucket per IP */
+const TRACKS_WRITE_LIMIT = createRateLimiter(
+  { name: "tracks-write", capacity: 60, windowSeconds: 60 },
+  tracksRateLimitStore,
+);
+
+/** Batches can carry thousands of operations, so far fewer of them */
+const TRACKS_BATCH_LIMIT = createRateLimiter(
+  { name: "tracks-batch", capacity: 10, windowSeconds: 60 },
+  tracksRateLimitStore,
+);
+
+/**
+ * Sorted and searched views are built on the request — per process, like
+ * the view cache, and roomy enough for a list scrolled at full speed
+ */
+const USERS_LIMIT = createRateLimiter(
+  { name: "users", capacity: 600, windowSeconds: 60 },
+  createMemoryRateLimitStore(),
+);
+
+/** Builds take real CPU time — per process, the bundle cache is too */
+const BUNDLE_LIMIT = createRateLimiter(
+  { name: "bundle", capacity: 20, windowSeconds: 60 },
+  createMemoryRateLimitStore(),
+);
+
+const RATE_LIMITED: ResponseSpec = {
+  description: "Rate limited",
+  schema: ERROR,
+  headers: RATE_LIMIT_RESPONSE_HEADERS,
+};
+
+/** `{ <key>: string, count: integer }[]` aggregate responses */
+const countsOf = (key: string, type = "string"): ResponseSpec => ({
+  description: `Distinct ${key} values with counts`,
+  schema: arrayOf(object({ [key]: { type }, count: { type: "integer" } })),
+});
+
+/** Streamed file download — the content type follows `format` */
+const EXPORT_RESPONSES: Record<number, ResponseSpec> = {
+  200: {
+    description: "CSV (text/csv), NDJSON (application/x-ndjson) or XLSX file",
+    schema: { type: "string" },
+    contentType: "text/csv",
+  },
+  500: SERVER_ERROR,
+};
+
+/** Page envelope plus nextCursor (present in cursor mode) */
+const cursorPage = (item: string) =>
+  page(ref(item), { nextCursor: { type: ["string", "null"] } });
+
+/** Built on first request — the routes are static for the process lifetime */
+let openApiDocument: unknown = null;
+
+/**
+ * GET /api/openapi.json
+ *
+ * OpenAPI 3.1 description of every route in the tables below — params carry
+ * the same bounds the handlers clamp to. The docs page at /api renders from it.
+ */
+const handleOpenApi = (): Response => {
+  openApiDocument ??= buildOpenApiDocument(
+    {
+      title: "vlist.dev API",
+      version: API_VERSION,
+      description:
+        "Data APIs for vlist demos — deterministic generated datasets, SQLite-backed cities and tracks, and crowdsourced benchmarks. CORS enabled, no authentication.",
+      server: SITE,
+    },
+    [...API_ROUTES.routes, ...BENCHMARK_ROUTES.routes],
+    { ...API_SCHEMAS, ...BENCHMARK_SCHEMAS },
+  );
+  return json(openApiDocument);
+};
+
+/**
+ * Every route served under /api (benchmarks have their own table).
+ * Each entry is both the dispatch rule and its OpenAPI description.
+ */
+const API_ROUTES = createRouteTable([
+  {
+    method: "GET",
+    path: "/api/info",
+    operationId: "getInfo",
+    handler: handleInfo,
+    summary: "API metadata — endpoints, defaults, limits",
+    tag: "Meta",
+    responses: {
+      200: { description: "API metadata", schema: { type: "object" } },
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/openapi.json",
+    operationId: "getOpenApi",
+    handler: handleOpenApi,
+    summary: "This OpenAPI document",
+    tag: "Meta",
+    responses: {
+      200: { description: "OpenAPI 3.1 document", schema: { type: "object" } },
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/search",
+    operationId: "searchSite",
+    handler: ({ url }) => handleSearch(url),
+    summary: "Search docs, tutorials, examples and benchmarks",
+    tag: "Search",
+    query: SEARCH_PARAMS,
+    responses: {
+      200: {
+        description: "Matching sections, best first",
+        schema: object({
+          query: { type: "string" },
+          items: arrayOf(ref("SearchResult")),
+          total: { type: "integer" },
+        }),
       },
-      "GET /api/files/info": {
-        description: "File browser configuration",
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/bundle",
+    operationId: "bundleProject",
+    handler: ({ req }) => handleBundle(req),
+    rateLimit: BUNDLE_LIMIT,
+    summary: "Bundle a small multi-file project for the playground",
+    description: `Bundled with the same plugins as the prebuilt examples and cached by content hash. Relative imports must stay inside the project; bare imports are limited to vlist, its adapters, react, vue, solid-js and svelte. Max ${BUNDLE_MAX_FILES} files, ${BUNDLE_MAX_BYTES / 1024} KB.`,
+    tag: "Playground",
+    requestBody: ref("BundleRequest"),
+    responses: {
+      200: { description: "Bundled JS and CSS", schema: ref("BundleResult") },
+      400: { description: "Invalid JSON or project", schema: ERROR },
+      413: { description: "Request body too large", schema: ERROR },
+      422: {
+        description: "The project failed to build",
+        schema: ref("BundleError"),
       },
-      "GET /api/info": {
-        description: "This endpoint — API metadata",
+      429: RATE_LIMITED,
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/users",
+    operationId: "listUsers",
+    handler: withFaults(({ url }) => handleGetUsers(url)),
+    rateLimit: USERS_LIMIT,
+    summary: "Paginated user list (deterministic, sortable, searchable)",
+    tag: "Users",
+    query: { ...USERS_PARAMS, ...FAULT_PARAMS },
+    responses: {
+      200: { description: "Page of users", schema: page(ref("User")) },
+      429: RATE_LIMITED,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/users/:id",
+    operationId: "getUser",
+    handler: withFaults(({ url, params }) =>
+      handleGetUser(url, params.id as number),
+    ),
+    summary: "Single user by ID",
+    tag: "Users",
+    pathParams: ID_PARAM,
+    query: { ...USER_PARAMS, ...FAULT_PARAMS },
+    responses: {
+      200: { description: "User", schema: ref("User") },
+      404: NOT_FOUND,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/posts",
+    operationId: "listPosts",
+    handler: withFaults(({ url }) => handleGetPosts(url)),
+    summary: "Paginated social feed posts (deterministic)",
+    tag: "Posts",
+    query: { ...POSTS_PARAMS, ...FAULT_PARAMS },
+    responses: {
+      200: { description: "Page of posts", schema: page(ref("Post")) },
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/feed",
+    operationId: "getFeed",
+    handler: withFaults(({ url }) => handleGetFeed(url)),
+    summary: "Live social feed from external sources",
+    tag: "Feed",
+    query: { ...FEED_PARAMS, ...FAULT_PARAMS },
+    responses: {
+      200: { description: "Feed page", schema: ref("FeedResponse") },
+      400: { description: "Unknown source", schema: ERROR },
+      503: { description: "Upstream feed unavailable", schema: ERROR },
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/feed/presets",
+    operationId: "getFeedPresets",
+    handler: handleFeedPresets,
+    summary: "Curated presets per source",
+    tag: "Feed",
+    responses: {
+      200: {
+        description: "Presets",
+        schema: object({
+          reddit: arrayOf(
+            object({ label: { type: "string" }, value: { type: "string" } }),
+          ),
+        }),
       },
-      "GET /api/cities": {
-        description: "Paginated city list (SQLite-backed, 33K real cities)",
-        params: {
-          offset: { type: "number", default: 0, min: 0, max: 1_000_000 },
-          limit: {
-            type: "number",
-            default: CITIES_DEFAULT_LIMIT,
-            min: 1,
-            max: CITIES_MAX_LIMIT,
-          },
-          sort: {
-            type: "string",
-            default: "population",
-            enum: [
-              "id",
-              "name",
-              "country_code",
-              "population",
-              "lat",
-              "lng",
-              "continent",
-            ],
-          },
-          direction: { type: "string", default: "desc", enum: ["asc", "desc"] },
-          search: {
-            type: "string",
-            default: "",
-            description: "Case-insensitive name search",
-          },
-          country: {
-            type: "string",
-            default: "",
-            description: "ISO country code(s), comma-separated",
-          },
-          continent: {
-            type: "string",
-            default: "",
-            description: "Continent name filter",
-          },
-          minPop: {
-            type: "number",
-            default: 0,
-            description: "Minimum population",
-          },
-          maxPop: {
-            type: "number",
-            default: 0,
-            description: "Maximum population",
-          },
-          delay: { type: "number", default: 0, min: 0, max: 5000, unit: "ms" },
-        },
-        response: "{ items: City[], total: number, hasMore: boolean }",
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/recipes",
+    operationId: "listRecipes",
+    handler: handleGetRecipes,
+    summary: "All recipe cards",
+    tag: "Recipes",
+    responses: {
+      200: { description: "Recipes", schema: arrayOf(ref("Recipe")) },
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/recipes/:id",
+    operationId: "getRecipe",
+    handler: ({ params }) => handleGetRecipe(params.id as number),
+    summary: "Single recipe by ID",
+    tag: "Recipes",
+    pathParams: ID_PARAM,
+    responses: {
+      200: { description: "Recipe", schema: ref("Recipe") },
+      404: NOT_FOUND,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/files",
+    operationId: "listFiles",
+    handler: ({ url }) => handleGetFiles(url),
+    summary: "List directory contents",
+    tag: "Files",
+    query: FILES_PARAMS,
+    responses: {
+      200: {
+        description: "Directory listing",
+        schema: object({
+          path: { type: "string" },
+          items: arrayOf(ref("FileItem")),
+        }),
       },
-      "GET /api/cities/:id": {
-        description: "Single city by ID",
-        response: "City | { error: string }",
+      403: { description: "Path outside the allowed roots", schema: ERROR },
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/files/info",
+    operationId: "getFilesInfo",
+    handler: handleFilesInfo,
+    summary: "File browser configuration",
+    tag: "Files",
+    responses: {
+      200: { description: "Configuration", schema: { type: "object" } },
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/cities",
+    operationId: "listCities",
+    validators: CITIES_VALIDATORS,
+    handler: withFaults(({ url }) => handleGetCities(url)),
+    summary: "Paginated city list (SQLite-backed, 33K real cities)",
+    tag: "Cities",
+    query: { ...CITIES_PARAMS, ...FAULT_PARAMS },
+    responses: {
+      200: { description: "Page of cities", schema: cursorPage("City") },
+      400: { description: "Invalid cursor", schema: ERROR },
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/cities/export",
+    operationId: "exportCities",
+    handler: ({ url }) => handleExportCities(url),
+    summary: "Download the filtered city list as CSV, NDJSON or XLSX",
+    description:
+      "Same sort, search and filters as GET /api/cities, without paging — every matching city is streamed in list order.",
+    tag: "Cities",
+    query: { format: FORMAT_PARAM, ...CITIES_VIEW_PARAMS },
+    responses: EXPORT_RESPONSES,
+  },
+  {
+    method: "GET",
+    path: "/api/cities/:id",
+    operationId: "getCity",
+    validators: CITIES_VALIDATORS,
+    handler: ({ params }) => handleGetCity(params.id as number),
+    summary: "Single city by ID",
+    tag: "Cities",
+    pathParams: ID_PARAM,
+    responses: {
+      200: { description: "City", schema: ref("City") },
+      404: NOT_FOUND,
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/cities/countries",
+    operationId: "listCityCountries",
+    validators: CITIES_VALIDATORS,
+    handler: handleGetCountries,
+    summary: "Distinct country codes with city counts",
+    tag: "Cities",
+    responses: { 200: countsOf("code"), 500: SERVER_ERROR },
+  },
+  {
+    method: "GET",
+    path: "/api/cities/continents",
+    operationId: "listCityContinents",
+    validators: CITIES_VALIDATORS,
+    handler: handleGetContinents,
+    summary: "Distinct continents with city counts",
+    tag: "Cities",
+    responses: { 200: countsOf("continent"), 500: SERVER_ERROR },
+  },
+  {
+    method: "GET",
+    path: "/api/cities/stats",
+    operationId: "getCitiesStats",
+    validators: CITIES_VALIDATORS,
+    handler: handleGetCitiesStats,
+    summary: "Aggregate statistics about the cities dataset",
+    tag: "Cities",
+    responses: {
+      200: { description: "Statistics", schema: ref("CitiesStats") },
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/tracks",
+    operationId: "listTracks",
+    validators: TRACKS_VALIDATORS,
+    handler: withFaults(({ url }) => handleGetTracks(url)),
+    summary: "Paginated track list (SQLite-backed)",
+    tag: "Tracks",
+    query: { ...TRACKS_PARAMS, ...FAULT_PARAMS },
+    responses: {
+      200: { description: "Page of tracks", schema: cursorPage("Track") },
+      400: { description: "Invalid cursor", schema: ERROR },
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/tracks",
+    operationId: "createTrack",
+    handler: ({ req }) => handleCreateTrack(req),
+    rateLimit: TRACKS_WRITE_LIMIT,
+    summary: "Create a track",
+    tag: "Tracks",
+    requestBody: ref("TrackInput"),
+    responses: {
+      201: { description: "Created track", schema: ref("Track") },
+      400: { description: "Invalid body", schema: ERROR },
+      429: RATE_LIMITED,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/tracks/export",
+    operationId: "exportTracks",
+    handler: ({ url }) => handleExportTracks(url),
+    summary: "Download the filtered track list as CSV, NDJSON or XLSX",
+    description:
+      "Same sort, search and filters as GET /api/tracks, without paging — every matching track is streamed in list order.",
+    tag: "Tracks",
+    query: { format: FORMAT_PARAM, ...TRACKS_VIEW_PARAMS },
+    responses: EXPORT_RESPONSES,
+  },
+  {
+    method: "GET",
+    path: "/api/tracks/:id",
+    operationId: "getTrack",
+    validators: TRACKS_VALIDATORS,
+    handler: ({ params }) => handleGetTrack(params.id as number),
+    summary: "Single track by ID",
+    tag: "Tracks",
+    pathParams: ID_PARAM,
+    responses: {
+      200: { description: "Track", schema: ref("Track") },
+      404: NOT_FOUND,
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "PUT",
+    path: "/api/tracks/:id",
+    operationId: "updateTrack",
+    handler: ({ req, params }) => handleUpdateTrack(req, params.id as number),
+    rateLimit: TRACKS_WRITE_LIMIT,
+    summary: "Update a track",
+    tag: "Tracks",
+    pathParams: ID_PARAM,
+    requestBody: { type: "object", description: "Partial TrackInput" },
+    responses: {
+      200: { description: "Updated track", schema: ref("Track") },
+      400: { description: "Invalid body", schema: ERROR },
+      404: NOT_FOUND,
+      429: RATE_LIMITED,
+    },
+  },
+  {
+    method: "DELETE",
+    path: "/api/tracks/:id",
+    operationId: "deleteTrack",
+    handler: ({ params }) => handleDeleteTrack(params.id as number),
+    rateLimit: TRACKS_WRITE_LIMIT,
+    summary: "Delete a track",
+    tag: "Tracks",
+    pathParams: ID_PARAM,
+    responses: {
+      200: {
+        description: "Deleted",
+        schema: object({ success: { const: true } }),
       },
-      "GET /api/cities/countries": {
-        description: "Distinct country codes with city counts",
-        response: "Array<{ code: string, count: number }>",
+      404: NOT_FOUND,
+      429: RATE_LIMITED,
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/tracks/batch",
+    operationId: "batchTracks",
+    handler: ({ req }) => handleTrackBatch(req),
+    rateLimit: TRACKS_BATCH_LIMIT,
+    summary: "Atomic batch of create/update/delete operations",
+    description: `Applied in one transaction — all or nothing (max ${MAX_BATCH_OPERATIONS} operations).`,
+    tag: "Tracks",
+    requestBody: object({ operations: arrayOf(ref("TrackOperation")) }),
+    responses: {
+      200: {
+        description: "All operations applied",
+        schema: ref("TrackBatchResponse"),
       },
-      "GET /api/cities/continents": {
-        description: "Distinct continents with city counts",
-        response: "Array<{ continent: string, count: number }>",
+      400: { description: "Invalid JSON or operations", schema: ERROR },
+      404: {
+        description: "An operation targeted a missing track — nothing applied",
+        schema: ref("TrackBatchResponse"),
       },
-      "GET /api/cities/stats": {
-        description: "Aggregate statistics about the cities dataset",
-        response: "CitiesStatsResponse",
+      429: RATE_LIMITED,
+      500: SERVER_ERROR,
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/tracks/events",
+    operationId: "streamTrackEvents",
+    handler: ({ req, url }) => handleTrackEvents(req, url),
+    summary: "Live change stream (Server-Sent Events)",
+    description:
+      "Query params describe the client's view (same as GET /api/tracks, minus paging). Events created/updated/deleted carry { track, index, total } — index is the row's position in that view, or null when it falls outside the filters. A reset event means too many rows changed at once to list: reload the view.",
+    tag: "Tracks",
+    query: TRACKS_VIEW_PARAMS,
+    responses: {
+      200: {
+        description: "Event stream",
+        schema: { type: "string" },
+        contentType: "text/event-stream",
       },
     },
-    defaults: {
-      total: TOTAL,
-      limit: 50,
-      maxLimit: MAX_LIMIT,
+  },
+  {
+    method: "GET",
+    path: "/api/tracks/countries",
+    operationId: "listTrackCountries",
+    validators: TRACKS_VALIDATORS,
+    handler: handleGetTrackCountries,
+    summary: "Distinct country codes with track counts",
+    tag: "Tracks",
+    responses: { 200: countsOf("code"), 500: SERVER_ERROR },
+  },
+  {
+    method: "GET",
+    path: "/api/tracks/decades",
+    operationId: "listTrackDecades",
+    validators: TRACKS_VALIDATORS,
+    handler: handleGetDecades,
+    summary: "Distinct decades with track counts",
+    tag: "Tracks",
+    responses: { 200: countsOf("decade", "integer"), 500: SERVER_ERROR },
+  },
+  {
+    method: "GET",
+    path: "/api/tracks/categories",
+    operationId: "listTrackCategories",
+    validators: TRACKS_VALIDATORS,
+    handler: handleGetTrackCategories,
+    summary: "Distinct categories with track counts",
+    tag: "Tracks",
+    responses: { 200: countsOf("category"), 500: SERVER_ERROR },
+  },
+  {
+    method: "GET",
+    path: "/api/tracks/stats",
+    operationId: "getTracksStats",
+    validators: TRACKS_VALIDATORS,
+    handler: handleGetTracksStats,
+    summary: "Aggregate statistics about the tracks dataset",
+    tag: "Tracks",
+    responses: {
+      200: { description: "Statistics", schema: ref("TracksStats") },
+      500: SERVER_ERROR,
     },
-  });
+  },
+]);
 
 // =============================================================================
-// Router
+// Route Matching
 // =============================================================================
 
-// Match /api/users/:id where :id is a positive integer
-const USER_BY_ID = /^\/api\/users\/(\d+)$/;
-
 /**
  * Route an API request.
  * Returns a Response if the path matches /api/*, or null to fall through to static serving.
@@ -778,158 +1729,49 @@ export const routeApi = async (
     return new Response(null, { status: 204, headers: CORS_HEADERS });
   }
 
-  // Benchmarks API (supports GET + POST, has its own method handling)
+  // Benchmarks API (own table and error handling)
   if (path.startsWith("/api/benchmarks")) {
     const benchResponse = await routeBenchmarks(req, url);
     if (benchResponse) return benchResponse;
   }
 
-  // Allow GET, POST, PUT, DELETE for tracks API
-  const isMutationMethod =
-    req.method === "POST" || req.method === "PUT" || req.method === "DELETE";
-  const isTracksPath = path.startsWith("/api/tracks");
-
-  if (!isTracksPath && req.method !== "GET") {
-    return error("Method not allowed", 405);
-  }
-
-  if (isMutationMethod && !isTracksPath) {
-    return error("Method not allowed", 405);
-  }
-
   // /api or /api/ → serve HTML docs page (fall through to static if missing)
   if (path === "/api" || path === "/api/") {
+    if (req.method !== "GET") return methodNotAllowed(["GET"]);
     return serveApiDocs();
   }
 
-  // GET /api/info → JSON metadata
-  if (path === "/api/info") {
-    return handleInfo();
-  }
-
-  // GET /api/users
-  if (path === "/api/users" || path === "/api/users/") {
-    return handleGetUsers(url);
-  }
-
-  // GET /api/users/:id
-  const match = path.match(USER_BY_ID);
-  if (match) {
-    const id = parseInt(match[1], 10);
-    return handleGetUser(url, id);
-  }
-
-  // GET /api/posts
-  if (path === "/api/posts" || path === "/api/posts/") {
-    return handleGetPosts(url);
-  }
-
-  // GET /api/feed/presets
-  if (path === "/api/feed/presets") {
-    return handleFeedPresets();
-  }
-
-  // GET /api/feed
-  if (path === "/api/feed" || path === "/api/feed/") {
-    return handleGetFeed(url);
-  }
-
-  // GET /api/recipes/:id
-  const recipeMatch = path.match(/^\/api\/recipes\/(\d+)$/);
-  if (recipeMatch) {
-    const id = parseInt(recipeMatch[1], 10);
-    return handleGetRecipe(url, id);
-  }
-
-  // GET /api/recipes
-  if (path === "/api/recipes" || path === "/api/recipes/") {
-    return handleGetRecipes();
-  }
-
-  // GET /api/files/info
-  if (path === "/api/files/info") {
-    return handleFilesInfo();
-  }
-
-  // GET /api/files
-  if (path === "/api/files" || path === "/api/files/") {
-    return handleGetFiles(url);
-  }
-
-  // GET /api/cities/countries
-  if (path === "/api/cities/countries") {
-    return handleGetCountries();
-  }
-
-  // GET /api/cities/continents
-  if (path === "/api/cities/continents") {
-    return handleGetContinents();
-  }
-
-  // GET /api/cities/stats
-  if (path === "/api/cities/stats") {
-    return handleGetCitiesStats();
-  }
-
-  // GET /api/cities/:id
-  const cityMatch = path.match(/^\/api\/cities\/(\d+)$/);
-  if (cityMatch) {
-    const id = parseInt(cityMatch[1], 10);
-    return handleGetCity(url, id);
-  }
-
-  // GET /api/cities
-  if (path === "/api/cities" || path === "/api/cities/") {
-    return handleGetCities(url);
-  }
-
-  // GET /api/tracks/countries
-  if (path === "/api/tracks/countries") {
-    return handleGetTrackCountries();
+  const match = API_ROUTES.match(req.method, path);
+  if (match.status === "not-found") return error("Not found", 404);
+  if (match.status === "method-not-allowed") {
+    return methodNotAllowed(match.allow);
   }
 
-  // GET /api/tracks/decades
-  if (path === "/api/tracks/decades") {
-    return handleGetDecades();
-  }
+  const limit = match.route.rateLimit?.take(req) ?? null;
+  if (limit && !limit.allowed) return rateLimited(limit);
 
-  // GET /api/tracks/categories
-  if (path === "/api/tracks/categories") {
-    return handleGetTrackCategories();
-  }
+  const { params, errors } = validateParams(match.route, match.rawParams, url);
+  if (errors.length > 0) return invalidParams(errors);
 
-  // GET /api/tracks/stats
-  if (path === "/api/tracks/stats") {
-    return handleGetTracksStats();
+  const ctx = { req, url, params };
+  const validators = readValidators(match.route, ctx);
+  if (
+    validators &&
+    isNotModified(req, validators.etag, validators.lastModified)
+  ) {
+    return notModified(validatorHeaders(validators));
   }
 
-  // GET /api/tracks/:id
-  // PUT /api/tracks/:id
-  // DELETE /api/tracks/:id
-  const trackMatch = path.match(/^\/api\/tracks\/(\d+)$/);
-  if (trackMatch) {
-    const id = parseInt(trackMatch[1], 10);
-    const delay = intParam(url, "delay", 0, 0, 5000);
-
-    if (req.method === "GET") {
-      return handleGetTrack(url, id);
-    } else if (req.method === "PUT") {
-      return handleUpdateTrack(req, id);
-    } else if (req.method === "DELETE") {
-      return handleDeleteTrack(id);
+  const response = await match.route.handler(ctx);
+  if (validators && response?.status === 200) {
+    for (const [name, value] of Object.entries(validatorHeaders(validators))) {
+      response.headers.set(name, value);
     }
   }
-
-  // GET /api/tracks
-  // POST /api/tracks
-  if (path === "/api/tracks" || path === "/api/tracks/") {
-    if (req.method === "GET") {
-      const delay = intParam(url, "delay", 0, 0, 5000);
-      return handleGetTracks(url, delay);
-    } else if (req.method === "POST") {
-      return handleCreateTrack(req);
+  if (limit && response) {
+    for (const [name, value] of Object.entries(rateLimitHeaders(limit))) {
+      response.headers.set(name, value);
     }
   }
-
-  return error("Not found", 404);
+  return response;
 };
@@ -0,0 +1,215 @@
+// src/api/routes.ts
+// Declarative route table — method + path pattern + handler + param schema.
+//
+// A Route is an OperationSpec (so the table doubles as the OpenAPI source)
+// plus the handler that serves it. table.match() resolves a request to a
+// route, a 405 (path exists, method doesn't) or a 404; validateParams()
+// checks path and query params against the route's schemas before the
+// handler runs, so handlers only ever see well-formed input.
+
+import type { HttpMethod, OperationSpec } from "./openapi";
+import type { ParamSchema, ParamSchemas } from "./params";
+import type { RateLimiter } from "./ratelimit";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface RouteContext {
+  req: Request;
+  url: URL;
+  /** Path params — integers for integer schemas, strings otherwise */
+  params: Record<string, number | string>;
+}
+
+/** Return null to fall through (e.g. to static file serving) */
+export type RouteHandler = (
+  ctx: RouteContext,
+) => Response | null | Promise<Response | null>;
+
+/** Cache validators for a route's current data (see src/server/etag.ts) */
+export interface Validators {
+  etag: string;
+  lastModified?: string;
+}
+
+export interface Route extends OperationSpec {
+  handler: RouteHandler;
+  /**
+   * Cheap validators checked before the handler runs — a matching
+   * If-None-Match is answered with 304 without running the handler.
+   */
+  validators?: (ctx: RouteContext) => Validators;
+  /**
+   * Token bucket spent before the handler runs — an empty one is answered
+   * with 429, and every response carries the RateLimit-* headers.
+   */
+  rateLimit?: RateLimiter;
+}
+
+export interface ParamError {
+  param: string;
+  in: "path" | "query";
+  message: string;
+}
+
+export type RouteMatch =
+  | { status: "matched"; route: Route; rawParams: Record<string, string> }
+  | { status: "method-not-allowed"; allow: HttpMethod[] }
+  | { status: "not-found" };
+
+export interface RouteTable {
+  routes: Route[];
+  match(method: string, pathname: string): RouteMatch;
+}
+
+// =============================================================================
+// Matching
+// =============================================================================
+
+interface CompiledRoute {
+  route: Route;
+  segments: string[];
+  /** Number of `:param` segments — fewer wins when several patterns match */
+  paramCount: number;
+}
+
+/** Split a path into segments, ignoring a trailing slash */
+const toSegments = (path: string): string[] =>
+  path.replace(/\/+$/, "").split("/");
+
+/** Match path segments against a pattern, returning the raw params */
+const matchSegments = (
+  pattern: string[],
+  segments: string[],
+): Record<string, string> | null => {
+  if (pattern.length !== segments.length) return null;
+  const params: Record<string, string> = {};
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i].startsWith(":")) {
+      if (!segments[i]) return null;
+      try {
+        params[pattern[i].slice(1)] = decodeURIComponent(segments[i]);
+      } catch {
+        return null; // Malformed escape — no route can match it
+      }
+    } else if (pattern[i] !== segments[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Build a route table. Static segments take precedence over params, so
+ * `/api/tracks/stats` wins over `/api/tracks/:id` regardless of order.
+ */
+export function createRouteTable(routes: Route[]): RouteTable {
+  const compiled: CompiledRoute[] = routes.map((route) => {
+    const segments = toSegments(route.path);
+    return {
+      route,
+      segments,
+      paramCount: segments.filter((s) => s.startsWith(":")).length,
+    };
+  });
+
+  const match = (method: string, pathname: string): RouteMatch => {
+    const segments = toSegments(pathname);
+
+    let best: { entry: CompiledRoute; params: Record<string, string> }[] = [];
+    for (const entry of compiled) {
+      const params = matchSegments(entry.segments, segments);
+      if (!params) continue;
+      if (best.length > 0 && entry.paramCount > best[0].entry.paramCount) {
+        continue;
+      }
+      if (best.length > 0 && entry.paramCount < best[0].entry.paramCount) {
+        best = [];
+      }
+      best.push({ entry, params });
+    }
+
+    if (best.length === 0) return { status: "not-found" };
+
+    const hit = best.find(({ entry }) => entry.route.method === method);
+    if (hit) {
+      return {
+        status: "matched",
+        route: hit.entry.route,
+        rawParams: hit.params,
+      };
+    }
+
+    const allow = [...new Set(best.map(({ entry }) => entry.route.method))];
+    return { status: "method-not-allowed", allow };
+  };
+
+  return { routes, match };
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+const INTEGER = /^-?\d+$/;
+
+/** Check one raw value against its schema, returning an error message */
+const checkValue = (value: string, schema: ParamSchema): string | null => {
+  if (schema.type === "integer") {
+    return INTEGER.test(value) ? null : "must be an integer";
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of: ${schema.enum.join(", ")}`;
+  }
+  return null;
+};
+
+/**
+ * Validate path and query params against a route's schemas.
+ *
+ * Malformed values (non-integers, values outside an enum) and missing
+ * required params are errors. Out-of-range integers are not — handlers
+ * clamp them to the schema bounds. Undeclared query params are ignored.
+ */
+export function validateParams(
+  route: Route,
+  rawParams: Record<string, string>,
+  url: URL,
+): { params: RouteContext["params"]; errors: ParamError[] } {
+  const params: RouteContext["params"] = {};
+  const errors: ParamError[] = [];
+
+  const pathSchemas: ParamSchemas = route.pathParams ?? {};
+  for (const [name, raw] of Object.entries(rawParams)) {
+    const schema = pathSchemas[name];
+    const message = schema ? checkValue(raw, schema) : null;
+    if (message) {
+      errors.push({ param: name, in: "path", message });
+    } else if (schema?.type === "integer") {
+      params[name] = parseInt(raw, 10);
+    } else {
+      params[name] = raw;
+    }
+  }
+
+  for (const [name, schema] of Object.entries(route.query ?? {})) {
+    const raw = url.searchParams.get(name);
+    if (raw === null || raw === "") {
+      if (schema.required) {
+        errors.push({ param: name, in: "query", message: "is required" });
+      }
+      continue;
+    }
+    const message = checkValue(raw, schema);
+    if (message) errors.push({ param: name, in: "query", message });
+  }
+
+  return { params, errors };
+}
+
+/** One-line summary of param errors, for the `error` field */
+export const describeParamErrors = (errors: ParamError[]): string =>
+  `Invalid parameters: ${errors
+    .map((e) => `${e.param} ${e.message}`)
+    .join("; ")}`;
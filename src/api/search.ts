@@ -0,0 +1,296 @@
+// src/api/search.ts
+// Site search — docs, tutorials, examples and benchmark pages.
+//
+// The index is an in-memory SQLite FTS5 table built once per process from
+// the same sources the pages are rendered from: the markdown parsed by
+// createContentRenderer (split into one entry per h2/h3 section, so results
+// deep-link to the heading), plus the names and descriptions in the examples
+// and benchmarks navigation. Content only changes on deploy, so the index is
+// never updated — a restart rebuilds it.
+//
+// Endpoint:
+//   GET /api/search?q=&kind=&limit=  — ranked sections with highlighted snippets
+
+import { Database } from "bun:sqlite";
+import { toMatchQuery, fetchRankedPage, attachHighlights } from "./fts";
+import { intParam, type ParamSchemas } from "./params";
+import {
+  docsRenderer,
+  tutorialsRenderer,
+  EXAMPLE_GROUPS,
+  BENCH_GROUPS,
+  type ParsedPage,
+} from "../server/renderers";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export const SEARCH_KINDS = [
+  "docs",
+  "tutorials",
+  "examples",
+  "benchmarks",
+] as const;
+
+export type SearchKind = (typeof SEARCH_KINDS)[number];
+
+/** One searchable unit — a page, or a section of one */
+export interface SearchSection {
+  kind: SearchKind;
+  /** Site-relative URL, with the heading's #anchor for sections */
+  url: string;
+  /** Page title */
+  page: string;
+  /** Section heading — null for the part of a page before its first h2 */
+  heading: string | null;
+  /** Plain text */
+  body: string;
+}
+
+export interface SearchResult {
+  id: number;
+  kind: SearchKind;
+  url: string;
+  page: string;
+  heading: string | null;
+  /** HTML with <mark> around matches — body is a snippet */
+  highlight: { page: string; heading: string; body: string };
+}
+
+export interface SearchResponse {
+  query: string;
+  items: SearchResult[];
+  /** Matching sections, of which the first `limit` are returned */
+  total: number;
+}
+
+export interface SearchOptions {
+  kind?: SearchKind;
+  limit: number;
+}
+
+export interface SearchIndex {
+  /** Number of indexed sections */
+  size: number;
+  search(query: string, options: SearchOptions): SearchResponse;
+}
+
+// =============================================================================
+// Sections
+// =============================================================================
+
+const ENTITIES: Record<string, string> = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+};
+
+/** Visible text of a fragment of rendered markdown */
+function toPlainText(html: string): string {
+  return html
+    .replace(/<a class="anchor"[^>]*>#<\/a>/g, "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split a parsed page at its h2/h3 headings. Heading ids are the ones the
+ * renderer gives them (disambiguated), so `#id` lands on the heading.
+ */
+export function splitPage(kind: SearchKind, page: ParsedPage): SearchSection[] {
+  const sections: SearchSection[] = [];
+  const headingRegex = /<h([1-3])[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/h\1>/g;
+
+  let heading: string | null = null;
+  let url = page.url;
+  let start = 0;
+  const flush = (end: number) => {
+    const body = toPlainText(page.html.slice(start, end));
+    if (body || heading) {
+      sections.push({ kind, url, page: page.title, heading, body });
+    }
+  };
+
+  let match: RegExpExecArray | null;
+  while ((match = headingRegex.exec(page.html)) !== null) {
+    flush(match.index);
+    start = headingRegex.lastIndex;
+    // The h1 is the page title — its text isn't a section of its own
+    if (match[1] !== "1") {
+      heading = toPlainText(match[3]);
+      url = `${page.url}#${match[2]}`;
+    }
+  }
+  flush(page.html.length);
+
+  return sections;
+}
+
+/** Everything the site search covers, in navigation order */
+export function collectSections(): SearchSection[] {
+  const sections: SearchSection[] = [];
+
+  for (const page of docsRenderer.listPages()) {
+    sections.push(...splitPage("docs", page));
+  }
+  for (const page of tutorialsRenderer.listPages()) {
+    sections.push(...splitPage("tutorials", page));
+  }
+
+  for (const group of EXAMPLE_GROUPS) {
+    for (const item of group.items) {
+      sections.push({
+        kind: "examples",
+        url: `/examples/${item.slug}`,
+        page: item.name,
+        heading: null,
+        body: [item.desc, group.label, ...(item.features ?? [])].join(" · "),
+      });
+    }
+  }
+
+  for (const group of BENCH_GROUPS) {
+    for (const item of group.items) {
+      sections.push({
+        kind: "benchmarks",
+        url: `/benchmarks/${item.slug}`,
+        page: item.name,
+        heading: null,
+        body: [item.desc, group.label].join(" · "),
+      });
+    }
+  }
+
+  return sections;
+}
+
+// =============================================================================
+// Index
+// =============================================================================
+
+/** bm25 weights for page, heading, body — titles outrank passing mentions */
+const WEIGHTS = [10, 5, 1];
+
+export function buildSearchIndex(sections: SearchSection[]): SearchIndex {
+  const db = new Database(":memory:");
+  db.run(`
+    CREATE TABLE sections (
+      id      INTEGER PRIMARY KEY,
+      kind    TEXT NOT NULL,
+      url     TEXT NOT NULL,
+      page    TEXT NOT NULL,
+      heading TEXT,
+      body    TEXT NOT NULL
+    )
+  `);
+  db.run(`
+    CREATE VIRTUAL TABLE sections_fts USING fts5(
+      page,
+      heading,
+      body,
+      content = 'sections',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `);
+
+  const insert = db.prepare(
+    "INSERT INTO sections (kind, url, page, heading, body) VALUES (?, ?, ?, ?, ?)",
+  );
+  db.transaction(() => {
+    for (const s of sections) {
+      insert.run(s.kind, s.url, s.page, s.heading, s.body);
+    }
+    db.run("INSERT INTO sections_fts (sections_fts) VALUES ('rebuild')");
+  })();
+
+  return {
+    size: sections.length,
+    search(query, { kind, limit }) {
+      const match = toMatchQuery(query);
+      if (!match) return { query, items: [], total: 0 };
+
+      const whereClause = kind ? " WHERE sections.kind = ?" : "";
+      const whereParams = kind ? [kind] : [];
+
+      const items = fetchRankedPage<SearchResult>(db, {
+        table: "sections",
+        ftsTable: "sections_fts",
+        columns: "sections.id, kind, url, page, heading",
+        match,
+        whereClause,
+        whereParams,
+        weights: WEIGHTS,
+        limit,
+        offset: 0,
+      });
+      attachHighlights(
+        db,
+        "sections_fts",
+        ["page", "heading", "body"],
+        match,
+        items,
+      );
+
+      const { total } = db
+        .query(
+          `SELECT count(*) AS total
+           FROM sections
+           JOIN sections_fts ON sections_fts.rowid = sections.id
+           WHERE sections_fts MATCH ?${kind ? " AND sections.kind = ?" : ""}`,
+        )
+        .get(match, ...whereParams) as { total: number };
+
+      return { query, items, total };
+    },
+  };
+}
+
+let index: SearchIndex | null = null;
+
+/** The site index — built on first use; the server builds it at start */
+export function getSearchIndex(): SearchIndex {
+  if (!index) index = buildSearchIndex(collectSections());
+  return index;
+}
+
+// =============================================================================
+// Query Params
+// =============================================================================
+
+export const MAX_LIMIT = 50;
+
+export const QUERY_PARAMS = {
+  q: {
+    type: "string",
+    description:
+      "Words matched as prefixes of page titles, headings and text (all must match)",
+    required: true,
+  },
+  kind: {
+    type: "string",
+    description: "Only search one part of the site",
+    enum: SEARCH_KINDS,
+  },
+  limit: {
+    type: "integer",
+    description: "Max results",
+    default: 20,
+    minimum: 1,
+    maximum: MAX_LIMIT,
+  },
+} satisfies ParamSchemas;
+
+export function parseQueryOptions(url: URL): SearchOptions & { q: string } {
+  return {
+    q: url.searchParams.get("q") ?? "",
+    kind: (url.searchParams.get("kind") || undefined) as SearchKind | undefined,
+    limit: intParam(url, "limit", QUERY_PARAMS.limit),
+  };
+}
@@ -0,0 +1,176 @@
+// src/api/significance.ts
+// Nonparametric significance testing for benchmark comparisons.
+//
+// Benchmark timings are skewed and heavy-tailed, so versions are compared
+// with a rank test (Mann-Whitney U) rather than a t-test on means. Results
+// are crowdsourced from very different machines, so samples are first split
+// into strata (browser + hardware bucket) and only compared within their
+// stratum — the van Elteren extension of Mann-Whitney combines the strata
+// into one test, weighting each by 1/(N+1).
+//
+// Effect size is Cliff's delta over the within-stratum pairs: the chance a
+// head sample is larger than a base sample minus the chance it's smaller,
+// from -1 (head always smaller) to +1 (head always larger).
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface Sample {
+  value: number;
+  /** Comparable-environment key — samples are only ranked within one */
+  stratum: string;
+}
+
+export interface RankTest {
+  /** Normal approximation of the (stratified) rank-sum statistic */
+  z: number;
+  /** Two-sided p-value */
+  p: number;
+  /** Cliff's delta — positive when head values tend to be larger */
+  effectSize: number;
+  /** Strata with samples on both sides */
+  strata: number;
+  /** Samples that took part (in shared strata) */
+  baseCount: number;
+  headCount: number;
+}
+
+// =============================================================================
+// Distributions
+// =============================================================================
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7) */
+export function normalCdf(z: number): number {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly =
+    t *
+    (0.254829592 +
+      t *
+        (-0.284496736 +
+          t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// =============================================================================
+// Rank Tests
+// =============================================================================
+
+/**
+ * Mann-Whitney U of `head` against `base` — pairs where head is larger,
+ * ties counting half — plus the tie term Σ(t³ - t) for the variance.
+ */
+export function mannWhitneyU(
+  base: number[],
+  head: number[],
+): { u: number; tieTerm: number } {
+  const combined = [
+    ...base.map((value) => ({ value, head: false })),
+    ...head.map((value) => ({ value, head: true })),
+  ].sort((a, b) => a.value - b.value);
+
+  let headRankSum = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < combined.length;) {
+    let j = i;
+    while (j < combined.length && combined[j].value === combined[i].value) j++;
+    const rank = (i + 1 + j) / 2; // average of ranks i+1..j
+    const ties = j - i;
+    tieTerm += ties ** 3 - ties;
+    for (let k = i; k < j; k++) if (combined[k].head) headRankSum += rank;
+    i = j;
+  }
+
+  const n2 = head.length;
+  return { u: headRankSum - (n2 * (n2 + 1)) / 2, tieTerm };
+}
+
+/** Group sample values by stratum */
+const byStratum = (samples: Sample[]): Map<string, number[]> => {
+  const groups = new Map<string, number[]>();
+  for (const { value, stratum } of samples) {
+    const values = groups.get(stratum);
+    if (values) values.push(value);
+    else groups.set(stratum, [value]);
+  }
+  return groups;
+};
+
+/**
+ * Stratified Mann-Whitney (van Elteren) test of head against base.
+ * Strata present on only one side are ignored. Returns null when no stratum
+ * has samples on both sides.
+ */
+export function stratifiedRankTest(
+  base: Sample[],
+  head: Sample[],
+): RankTest | null {
+  const baseStrata = byStratum(base);
+  const headStrata = byStratum(head);
+
+  let statistic = 0;
+  let variance = 0;
+  let uSum = 0;
+  let pairs = 0;
+  let strata = 0;
+  let baseCount = 0;
+  let headCount = 0;
+
+  for (const [stratum, baseValues] of baseStrata) {
+    const headValues = headStrata.get(stratum);
+    if (!headValues) continue;
+
+    const n1 = baseValues.length;
+    const n2 = headValues.length;
+    const n = n1 + n2;
+    const { u, tieTerm } = mannWhitneyU(baseValues, headValues);
+    const weight = 1 / (n + 1);
+
+    statistic += weight * (u - (n1 * n2) / 2);
+    variance +=
+      weight ** 2 * ((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1)));
+    uSum += u;
+    pairs += n1 * n2;
+    strata++;
+    baseCount += n1;
+    headCount += n2;
+  }
+
+  if (strata === 0) return null;
+
+  const z = variance > 0 ? statistic / Math.sqrt(variance) : 0;
+  return {
+    z,
+    p: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))),
+    effectSize: (2 * uSum) / pairs - 1,
+    strata,
+    baseCount,
+    headCount,
+  };
+}
+
+// =============================================================================
+// Multiple Comparisons
+// =============================================================================
+
+/**
+ * Benjamini-Hochberg adjusted p-values (false discovery rate). Comparing
+ * dozens of metrics at once would otherwise flag a few by chance alone.
+ */
+export function adjustPValues(pValues: number[]): number[] {
+  const m = pValues.length;
+  const order = pValues
+    .map((p, index) => ({ p, index }))
+    .sort((a, b) => a.p - b.p);
+
+  const adjusted = new Array<number>(m);
+  let running = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const { p, index } = order[rank - 1];
+    running = Math.min(running, (p * m) / rank);
+    adjusted[index] = running;
+  }
+  return adjusted;
+}
@@ -0,0 +1,106 @@
+// src/api/sse.ts
+// Server-Sent Events helpers — wire format and a long-lived stream that
+// cleans up after itself when the client disconnects.
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+/**
+ * Comment ping interval. Bun.serve closes connections idle for 10s by
+ * default, so the stream must say something more often than that.
+ */
+export const HEARTBEAT_MS = 8_000;
+
+/** Client reconnect delay advertised in the stream preamble */
+const RETRY_MS = 3_000;
+
+// =============================================================================
+// Wire Format
+// =============================================================================
+
+/**
+ * Serialize one event in text/event-stream format.
+ * `data` is JSON-encoded, so it never contains raw newlines.
+ */
+export function formatEvent(
+  event: string,
+  data: unknown,
+  id?: number | string,
+): string {
+  let out = "";
+  if (id !== undefined) out += `id: ${id}\n`;
+  out += `event: ${event}\n`;
+  out += `data: ${JSON.stringify(data)}\n\n`;
+  return out;
+}
+
+// =============================================================================
+// Stream
+// =============================================================================
+
+/** Send a named event to the connected client */
+export type SendEvent = (event: string, data: unknown) => void;
+
+/**
+ * Create an event stream body.
+ *
+ * `start` is called once the stream opens with a `send` function and must
+ * return a cleanup function — it runs when the client disconnects (abort
+ * signal or stream cancel), whichever comes first.
+ */
+export function createEventStream(
+  signal: AbortSignal,
+  start: (send: SendEvent) => () => void,
+): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+  let cleanup: (() => void) | null = null;
+
+  const close = (): void => {
+    if (!cleanup) return;
+    const fn = cleanup;
+    cleanup = null;
+    fn();
+  };
+
+  return new ReadableStream<Uint8Array>({
+    start(controller) {
+      let nextId = 0;
+      let heartbeat: ReturnType<typeof setInterval> | null = null;
+
+      const write = (chunk: string): void => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          // Stream already closed — the abort handler will clean up
+          close();
+        }
+      };
+
+      const send: SendEvent = (event, data) =>
+        write(formatEvent(event, data, ++nextId));
+
+      write(`retry: ${RETRY_MS}\n\n`);
+
+      const stop = start(send);
+      heartbeat = setInterval(() => write(": ping\n\n"), HEARTBEAT_MS);
+
+      cleanup = () => {
+        if (heartbeat) clearInterval(heartbeat);
+        heartbeat = null;
+        stop();
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the runtime
+        }
+      };
+
+      if (signal.aborted) close();
+      else signal.addEventListener("abort", close, { once: true });
+    },
+    cancel() {
+      close();
+    },
+  });
+}
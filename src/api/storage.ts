@@ -0,0 +1,127 @@
+// src/api/storage.ts
+// Storage backends for the benchmarks API.
+//
+// The API talks SQL, so a backend is a bun:sqlite connection whose schema is
+// guaranteed to be in place — opening one applies any pending migrations
+// (./migrations/benchmarks), so a fresh checkout or a new server works
+// without running scripts/seed-benchmarks.ts first.
+//
+//   sqlite (default) — data/benchmarks.db (or BENCHMARK_DB_PATH), in WAL mode
+//                      with a busy timeout so several PM2 instances can share
+//                      the file
+//   memory           — a private in-memory database, gone on close; for tests
+//                      and throwaway servers
+//
+// BENCHMARK_STORAGE picks the backend when the API opens its own.
+
+import { Database } from "bun:sqlite";
+import { existsSync, mkdirSync } from "fs";
+import { dirname, resolve } from "path";
+import { migrate } from "./migrations/runner";
+import { BENCHMARK_MIGRATIONS } from "./migrations/benchmarks";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export const STORAGE_KINDS = ["sqlite", "memory"] as const;
+
+export type StorageKind = (typeof STORAGE_KINDS)[number];
+
+export interface BenchmarkStorage {
+  kind: StorageKind;
+  /** Where the data lives — a file path, or ":memory:" */
+  location: string;
+  /** Open connection, schema included */
+  db: Database;
+  close: () => void;
+}
+
+// =============================================================================
+// Config
+// =============================================================================
+
+/** How long a connection waits for another process's write lock */
+const BUSY_TIMEOUT_MS = 5_000;
+
+export const DEFAULT_DB_PATH = resolve(
+  import.meta.dir,
+  "../../data/benchmarks.db",
+);
+
+export const BENCHMARK_TABLES = [
+  { name: "benchmark_runs", label: "Suite runs" },
+  { name: "benchmark_metrics", label: "Suite metrics" },
+  { name: "comparison_runs", label: "Comparison runs" },
+  { name: "comparison_metrics", label: "Comparison metrics" },
+] as const;
+
+// =============================================================================
+// Backends
+// =============================================================================
+
+/** Connection settings shared by every backend, then pending migrations */
+function prepare(database: Database): Database {
+  database.run("PRAGMA cache_size = -4000"); // 4 MB cache
+  database.run("PRAGMA foreign_keys = ON");
+  migrate(database, BENCHMARK_MIGRATIONS);
+  return database;
+}
+
+/**
+ * The benchmarks database file, created (directory included) if missing.
+ * Every process sharing the file opens its own storage.
+ */
+export function createSqliteStorage(
+  path: string = DEFAULT_DB_PATH,
+): BenchmarkStorage {
+  const dir = dirname(path);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+  const db = new Database(path, { create: true });
+  try {
+    db.run(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    db.run("PRAGMA journal_mode = WAL");
+    db.run("PRAGMA synchronous = NORMAL");
+    prepare(db);
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+  return { kind: "sqlite", location: path, db, close: () => db.close() };
+}
+
+/** A private, empty database that lives as long as the storage */
+export function createMemoryStorage(): BenchmarkStorage {
+  const db = prepare(new Database(":memory:"));
+  return { kind: "memory", location: ":memory:", db, close: () => db.close() };
+}
+
+/** The file the sqlite backend would use, or null for the memory backend */
+export function sqlitePathFromEnv(
+  env: Record<string, string | undefined> = process.env,
+): string | null {
+  return env.BENCHMARK_STORAGE === "memory"
+    ? null
+    : env.BENCHMARK_DB_PATH || DEFAULT_DB_PATH;
+}
+
+/**
+ * The backend named by BENCHMARK_STORAGE (default "sqlite"), at
+ * BENCHMARK_DB_PATH when that's set.
+ */
+export function createStorageFromEnv(
+  env: Record<string, string | undefined> = process.env,
+): BenchmarkStorage {
+  const kind = env.BENCHMARK_STORAGE || "sqlite";
+  switch (kind) {
+    case "sqlite":
+      return createSqliteStorage(env.BENCHMARK_DB_PATH || DEFAULT_DB_PATH);
+    case "memory":
+      return createMemoryStorage();
+    default:
+      throw new Error(
+        `Unknown BENCHMARK_STORAGE "${kind}" (expected ${STORAGE_KINDS.join(" or ")})`,
+      );
+  }
+}
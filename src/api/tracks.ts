@@ -1,44 +1,111 @@
 // src/api/tracks.ts
 // Tracks API — paginated, sortable, filterable, searchable with full CRUD.
-// Backed by SQLite (data/tracks.db), seeded from MongoDB.
+// Backed by SQLite (data/tracks.db), seeded from MongoDB. Schema changes
+// live in ./migrations/tracks.
 //
 // Endpoints:
 //   GET    /api/tracks          — paginated list with sort, filter, search
+//   GET    /api/tracks/export   — whole filtered list as CSV, NDJSON or XLSX
 //   GET    /api/tracks/:id      — single track by ID
 //   POST   /api/tracks          — create new track
 //   PUT    /api/tracks/:id      — update track
 //   DELETE /api/tracks/:id      — delete track
+//   POST   /api/tracks/batch    — atomic batch of create/update/delete
 //   GET    /api/tracks/countries — distinct country codes
 //   GET    /api/tracks/decades  — distinct decades with counts
 //   GET    /api/tracks/stats    — aggregate statistics
+//   GET    /api/tracks/events   — live change stream (Server-Sent Events)
 
 import { Database, type SQLQueryBindings } from "bun:sqlite";
 import { resolve } from "path";
 import { existsSync } from "fs";
+import {
+  fetchKeysetPage,
+  buildKeysetCondition,
+  createCountCache,
+} from "./cursor";
+import {
+  toMatchQuery,
+  hasFtsTable,
+  fetchRankedPage,
+  rankedScan,
+  attachHighlights,
+} from "./fts";
+import type { RowScan } from "./export";
+import { migrateDatabase } from "./migrations";
+import { createSqliteRateLimitStore } from "./ratelimit";
+import {
+  intParam,
+  DELAY_PARAM,
+  DIRECTION_PARAM,
+  CURSOR_PARAM,
+  type ParamSchemas,
+} from "./params";
 
 // =============================================================================
 // Database Connection (singleton, read-write)
 // =============================================================================
 
-const DB_PATH = resolve(import.meta.dir, "../../data/tracks.db");
+const DEFAULT_DB_PATH = resolve(import.meta.dir, "../../data/tracks.db");
 
+let dbPath = DEFAULT_DB_PATH;
 let db: Database | null = null;
 
+/**
+ * Point the module at another database file — tests use a temporary one.
+ * The open connection is closed. Pass null to go back to data/tracks.db.
+ */
+export function setTracksDatabase(path: string | null): void {
+  db?.close();
+  db = null;
+  dbPath = path ?? DEFAULT_DB_PATH;
+  countRevision = -1;
+}
+
 function getDb(): Database {
   if (!db) {
-    if (!existsSync(DB_PATH)) {
+    if (!existsSync(dbPath)) {
       throw new Error(
         "tracks.db not found. Run: bun run scripts/seed-tracks.ts",
       );
     }
-    db = new Database(DB_PATH);
+    db = new Database(dbPath);
+    db.run("PRAGMA busy_timeout = 5000"); // Other instances' writes
     db.run("PRAGMA journal_mode = WAL");
     db.run("PRAGMA cache_size = -8000"); // 8 MB cache
     db.run("PRAGMA foreign_keys = ON");
+    migrateDatabase("tracks", db); // Normally a no-op — the server migrates at start
   }
   return db;
 }
 
+/**
+ * Rate limit buckets for the mutation endpoints, in tracks.db so every
+ * server instance shares them (see ./ratelimit)
+ */
+export const rateLimitStore = createSqliteRateLimitStore(getDb);
+
+// =============================================================================
+// Revision Counter
+// =============================================================================
+//
+// A one-row table bumped by triggers on every insert/update/delete, so every
+// writer (each server instance, scripts) moves it. GET responses are
+// versioned by it — ETag / Last-Modified — without hashing query results.
+// Created by migration 3 (./migrations/tracks).
+
+/**
+ * Current revision of the tracks table and when it last changed
+ * (Unix seconds — the time tracking started if it never has).
+ */
+export function getRevision(): { revision: number; modifiedAt: number } {
+  return getDb()
+    .query(
+      "SELECT revision, modified_at AS modifiedAt FROM tracks_revision WHERE id = 1",
+    )
+    .get() as { revision: number; modifiedAt: number };
+}
+
 // =============================================================================
 // Types
 // =============================================================================
@@ -56,6 +123,8 @@ export interface Track {
   cover_url: string | null;
   cover_color: string | null;
   created_at: string;
+  /** Present when searching — HTML snippets with matches wrapped in <mark> */
+  highlight?: { title: string; artist: string };
 }
 
 export interface TrackInput {
@@ -72,8 +141,42 @@ export interface TracksResponse {
   items: Track[];
   total: number;
   hasMore: boolean;
+  /** Present in cursor mode — token for the next page, null on the last page */
+  nextCursor?: string | null;
 }
 
+export type TrackChangeType = "created" | "updated" | "deleted";
+
+export interface TrackChange {
+  type: TrackChangeType;
+  /** The row after the change (the removed row for "deleted") */
+  track: Track;
+}
+
+export interface TrackLocation {
+  /** Position under the view's sort/filter, or null if the row doesn't match */
+  index: number | null;
+  /** Matching rows in the view after the change */
+  total: number;
+}
+
+export type TrackOperation =
+  | { op: "create"; data: TrackInput }
+  | { op: "update"; id: number; data: Partial<TrackInput> }
+  | { op: "delete"; id: number };
+
+export interface TrackOperationResult {
+  op: TrackOperation["op"];
+  id: number;
+  status: 200 | 201;
+  /** The row after the operation (omitted for deletes) */
+  track?: Track;
+}
+
+export type TrackBatchResponse =
+  | { success: true; results: TrackOperationResult[] }
+  | { success: false; index: number; error: string };
+
 export interface TracksStatsResponse {
   total: number;
   countries: number;
@@ -89,6 +192,7 @@ export interface TracksStatsResponse {
 
 export const MAX_LIMIT = 200;
 export const DEFAULT_LIMIT = 50;
+export const MAX_BATCH_OPERATIONS = 5000;
 
 const SORTABLE_COLUMNS = new Set([
   "id",
@@ -104,6 +208,22 @@ const SORTABLE_COLUMNS = new Set([
 
 const VALID_DIRECTIONS = new Set(["asc", "desc"]);
 
+/** Pseudo sort column — rank by search relevance (requires `search`) */
+const RELEVANCE = "relevance";
+
+/** bm25 weights for the FTS columns (title, artist) — titles rank higher */
+const FTS_WEIGHTS = [10, 5];
+
+/** Stored columns — everything on Track except computed fields */
+type TrackColumn = Exclude<keyof Track, "highlight">;
+
+const TRACK_COLUMNS =
+  "id, mongo_id, title, artist, country, year, decade, category, duration, cover_url, cover_color, created_at";
+
+/** Exported columns — mongo_id is an internal seeding detail */
+const EXPORT_COLUMNS =
+  "id, title, artist, country, year, decade, category, duration, cover_url, cover_color, created_at";
+
 // =============================================================================
 // Query Builders
 // =============================================================================
@@ -118,13 +238,36 @@ interface QueryFilters {
   maxYear?: number;
 }
 
-interface QueryOptions extends QueryFilters {
-  offset: number;
-  limit: number;
+/** A sorted, filtered view of the table — what a client list is showing */
+export interface TrackView extends QueryFilters {
   sort: string;
   direction: string;
 }
 
+interface QueryOptions extends TrackView {
+  offset: number;
+  limit: number;
+  /** Keyset cursor — when defined (even empty), offset is ignored */
+  cursor?: string;
+}
+
+/**
+ * COUNT(*) per filter set, valid for one revision of the table. The revision
+ * is moved by triggers (see Revision Counter), so writes from every server
+ * instance and script invalidate it — not only this process's own.
+ */
+const countCache = createCountCache();
+let countRevision = -1;
+
+/**
+ * FTS expression for a search term, or null when there's nothing to match or
+ * the database predates the FTS index (search then falls back to LIKE).
+ */
+function searchMatch(search: string | undefined): string | null {
+  if (!search || !hasFtsTable(getDb(), "tracks_fts")) return null;
+  return toMatchQuery(search);
+}
+
 /**
  * Build WHERE clause and params from filters.
  * Returns [clause, params] — clause includes leading WHERE if non-empty.
@@ -132,8 +275,14 @@ interface QueryOptions extends QueryFilters {
 function buildWhere(filters: QueryFilters): [string, SQLQueryBindings[]] {
   const conditions: string[] = [];
   const params: SQLQueryBindings[] = [];
+  const match = searchMatch(filters.search);
 
-  if (filters.search) {
+  if (match) {
+    conditions.push(
+      "id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH ?)",
+    );
+    params.push(match);
+  } else if (filters.search) {
     conditions.push("(title LIKE ? OR artist LIKE ?)");
     params.push(`%${filters.search}%`, `%${filters.search}%`);
   }
@@ -173,6 +322,45 @@ function buildWhere(filters: QueryFilters): [string, SQLQueryBindings[]] {
   return [clause, params];
 }
 
+/**
+ * Validate sort column and direction (prevents SQL injection) and pick the
+ * collation used for text columns.
+ */
+function resolveSort(view: TrackView): {
+  sort: string;
+  direction: "asc" | "desc";
+  collate: string;
+} {
+  const sort = SORTABLE_COLUMNS.has(view.sort) ? view.sort : "id";
+  const direction = VALID_DIRECTIONS.has(view.direction)
+    ? (view.direction as "asc" | "desc")
+    : "desc";
+  const collate =
+    sort === "title" || sort === "artist" ? " COLLATE NOCASE" : "";
+  return { sort, direction, collate };
+}
+
+/** Count rows matching a filter set (cached until the revision moves) */
+function countTracks(
+  whereClause: string,
+  whereParams: SQLQueryBindings[],
+): number {
+  const { revision } = getRevision();
+  if (revision !== countRevision) {
+    countCache.clear();
+    countRevision = revision;
+  }
+  return countCache.get(
+    JSON.stringify([whereClause, whereParams]),
+    () =>
+      (
+        getDb()
+          .query(`SELECT COUNT(*) as count FROM tracks${whereClause}`)
+          .get(...whereParams) as { count: number }
+      ).count,
+  );
+}
+
 // =============================================================================
 // API Functions - READ
 // =============================================================================
@@ -183,55 +371,146 @@ function buildWhere(filters: QueryFilters): [string, SQLQueryBindings[]] {
  * Query params:
  *   offset    — start index (default: 0)
  *   limit     — page size (default: 50, max: 200)
- *   sort      — column to sort by (default: "id")
+ *   sort      — column to sort by, or "relevance" when searching (default: "id")
  *   direction — "asc" or "desc" (default: "desc")
- *   search    — case-insensitive title/artist search
+ *   search    — full-text title/artist search (prefix match, diacritics-insensitive);
+ *               matched items carry `highlight` snippets
  *   country   — filter by country code
  *   decade    — filter by decade (e.g. 1960, 1970)
  *   category  — filter by category
  *   artist    — filter by artist name (partial match)
  *   minYear   — minimum year
  *   maxYear   — maximum year
+ *   cursor    — keyset cursor from a previous `nextCursor` (empty = first page)
  */
 export function getTracks(options: QueryOptions): TracksResponse {
   const database = getDb();
+  const { sort, direction, collate } = resolveSort(options);
+  const [whereClause, whereParams] = buildWhere(options);
+  const total = countTracks(whereClause, whereParams);
+  const match = searchMatch(options.search);
 
-  // Validate sort column (prevent SQL injection)
-  const sort = SORTABLE_COLUMNS.has(options.sort) ? options.sort : "id";
-  const direction = VALID_DIRECTIONS.has(options.direction)
-    ? options.direction
-    : "desc";
-
-  const collate =
-    sort === "title" || sort === "artist" ? " COLLATE NOCASE" : "";
+  const limit = Math.min(Math.max(1, options.limit), MAX_LIMIT);
+  const offset = Math.max(0, options.offset);
+  let response: TracksResponse;
 
-  const [whereClause, whereParams] = buildWhere(options);
+  if (options.sort === RELEVANCE && match) {
+    if (options.cursor !== undefined) {
+      throw new Error("Invalid cursor: not supported with sort=relevance");
+    }
+    const [filterClause, filterParams] = buildWhere({
+      ...options,
+      search: undefined,
+    });
+    const items = fetchRankedPage<Track>(database, {
+      table: "tracks",
+      ftsTable: "tracks_fts",
+      columns: TRACK_COLUMNS,
+      match,
+      whereClause: filterClause,
+      whereParams: filterParams,
+      weights: FTS_WEIGHTS,
+      limit,
+      offset,
+    });
+    response = { items, total, hasMore: offset + limit < total };
+  } else if (options.cursor !== undefined) {
+    const page = fetchKeysetPage<Track>(database, {
+      table: "tracks",
+      columns: TRACK_COLUMNS,
+      sort,
+      direction,
+      collate,
+      whereClause,
+      whereParams,
+      limit,
+      cursor: options.cursor,
+    });
+    response = { ...page, total };
+  } else {
+    const items = database
+      .query(
+        `SELECT ${TRACK_COLUMNS}
+         FROM tracks${whereClause}
+         ORDER BY ${sort}${collate} ${direction.toUpperCase()}, id ${direction.toUpperCase()}
+         LIMIT ? OFFSET ?`,
+      )
+      .all(...whereParams, limit, offset) as Track[];
+    response = { items, total, hasMore: offset + limit < total };
+  }
 
-  // Count total matching rows
-  const countRow = database
-    .query(`SELECT COUNT(*) as count FROM tracks${whereClause}`)
-    .get(...whereParams) as { count: number };
+  if (match) {
+    attachHighlights(
+      database,
+      "tracks_fts",
+      ["title", "artist"],
+      match,
+      response.items,
+    );
+  }
 
-  const total = countRow.count;
+  return response;
+}
 
-  // Fetch page
-  const offset = Math.max(0, options.offset);
-  const limit = Math.min(Math.max(1, options.limit), MAX_LIMIT);
+/**
+ * GET /api/tracks/export
+ *
+ * Every track in the view, in list order — same sort, filters and search as
+ * getTracks(), without paging or highlights.
+ *
+ * The scan runs on a read-only connection of its own: a statement left
+ * stepping on the shared connection would hold its implicit transaction open
+ * and delay every write's commit until the download finished. WAL gives the
+ * reader a consistent snapshot; close() finalizes it and closes the connection.
+ */
+export function scanTracks(view: TrackView): RowScan {
+  const [sql, params] = viewQuery(view);
+  const reader = new Database(dbPath, { readonly: true });
+  try {
+    const statement = reader.prepare(sql);
+    return {
+      statement,
+      params,
+      close: () => {
+        statement.finalize();
+        reader.close();
+      },
+    };
+  } catch (err) {
+    reader.close();
+    throw err;
+  }
+}
 
-  const items = database
-    .query(
-      `SELECT id, mongo_id, title, artist, country, year, decade, category, duration, cover_url, cover_color, created_at
-       FROM tracks${whereClause}
-       ORDER BY ${sort}${collate} ${direction.toUpperCase()}
-       LIMIT ? OFFSET ?`,
-    )
-    .all(...whereParams, limit, offset) as Track[];
+/** SELECT for every row of a view, in list order — [sql, params] */
+function viewQuery(view: TrackView): [string, SQLQueryBindings[]] {
+  const match = searchMatch(view.search);
+
+  if (view.sort === RELEVANCE && match) {
+    const [filterClause, filterParams] = buildWhere({
+      ...view,
+      search: undefined,
+    });
+    return rankedScan({
+      table: "tracks",
+      ftsTable: "tracks_fts",
+      columns: EXPORT_COLUMNS,
+      match,
+      whereClause: filterClause,
+      whereParams: filterParams,
+      weights: FTS_WEIGHTS,
+    });
+  }
 
-  return {
-    items,
-    total,
-    hasMore: offset + limit < total,
-  };
+  const { sort, direction, collate } = resolveSort(view);
+  const [whereClause, whereParams] = buildWhere(view);
+  const dir = direction.toUpperCase();
+  return [
+    `SELECT ${EXPORT_COLUMNS}
+     FROM tracks${whereClause}
+     ORDER BY ${sort}${collate} ${dir}, id ${dir}`,
+    whereParams,
+  ];
 }
 
 /**
@@ -240,24 +519,16 @@ export function getTracks(options: QueryOptions): TracksResponse {
 export function getTrackById(id: number): Track | null {
   const database = getDb();
   const track = database
-    .query(
-      `SELECT id, mongo_id, title, artist, country, year, decade, category, duration, cover_url, cover_color, created_at
-       FROM tracks WHERE id = ?`,
-    )
+    .query(`SELECT ${TRACK_COLUMNS} FROM tracks WHERE id = ?`)
     .get(id) as Track | null;
   return track;
 }
 
 // =============================================================================
-// API Functions - CREATE
+// Row Mutations (no change events — callers emit them)
 // =============================================================================
 
-/**
- * POST /api/tracks
- */
-export function createTrack(input: TrackInput): Track {
-  const database = getDb();
-
+function insertTrackRow(database: Database, input: TrackInput): Track {
   // Generate a unique mongo_id (or use UUID)
   const mongo_id = `track_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
@@ -288,19 +559,16 @@ export function createTrack(input: TrackInput): Track {
   return track;
 }
 
-// =============================================================================
-// API Functions - UPDATE
-// =============================================================================
-
 /**
- * PUT /api/tracks/:id
+ * Apply a partial update.
+ * Returns the row after the update (unchanged if no fields were given) and
+ * before it, or null if the track doesn't exist.
  */
-export function updateTrack(
+function updateTrackRow(
+  database: Database,
   id: number,
   input: Partial<TrackInput>,
-): Track | null {
-  const database = getDb();
-
+): { track: Track; previous: Track; changed: boolean } | null {
   // Check if track exists
   const existing = getTrackById(id);
   if (!existing) {
@@ -341,7 +609,7 @@ export function updateTrack(
   }
   if (updates.length === 0) {
     // No fields to update
-    return existing;
+    return { track: existing, previous: existing, changed: false };
   }
 
   params.push(id);
@@ -350,8 +618,117 @@ export function updateTrack(
     .prepare(`UPDATE tracks SET ${updates.join(", ")} WHERE id = ?`)
     .run(...params);
 
-  // Return updated track
-  return getTrackById(id);
+  const track = getTrackById(id);
+  return track ? { track, previous: existing, changed: true } : null;
+}
+
+/** Delete a row, returning it as it was — or null if it didn't exist */
+function deleteTrackRow(database: Database, id: number): Track | null {
+  const existing = getTrackById(id);
+  if (!existing) return null;
+
+  database.prepare("DELETE FROM tracks WHERE id = ?").run(id);
+  return existing;
+}
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+const TEXT_FIELDS = ["country", "category"] as const;
+const INTEGER_FIELDS = ["year", "decade", "duration"] as const;
+
+/**
+ * Validate a track body — POST /api/tracks, PUT /api/tracks/:id and the
+ * batch operations share it. `partial` (updates) makes title and artist
+ * optional. Unknown fields are dropped from the returned input.
+ */
+export function validateTrackInput(
+  data: unknown,
+  partial: boolean = false,
+): { valid: boolean; error?: string; input?: Partial<TrackInput> } {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { valid: false, error: "Request body must be a JSON object" };
+  }
+
+  const body = data as Record<string, unknown>;
+  const input: Partial<TrackInput> = {};
+
+  for (const field of ["title", "artist"] as const) {
+    const value = body[field];
+    if (value === undefined) {
+      if (partial) continue;
+      return { valid: false, error: "title and artist are required" };
+    }
+    if (typeof value !== "string" || value.trim() === "") {
+      return { valid: false, error: `${field} must be a non-empty string` };
+    }
+    input[field] = value;
+  }
+
+  for (const field of TEXT_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== "string") {
+      return { valid: false, error: `${field} must be a string or null` };
+    }
+    input[field] = value;
+  }
+
+  for (const field of INTEGER_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && !Number.isInteger(value)) {
+      return { valid: false, error: `${field} must be an integer or null` };
+    }
+    input[field] = value as number | null;
+  }
+
+  return { valid: true, input };
+}
+
+// =============================================================================
+// API Functions - CREATE
+// =============================================================================
+
+/**
+ * POST /api/tracks
+ */
+export function createTrack(input: TrackInput): Track {
+  const database = getDb();
+  const track = database.transaction(() => {
+    const track = insertTrackRow(database, input);
+    recordChange(database, "created", track);
+    return track;
+  })();
+
+  changesCommitted();
+  return track;
+}
+
+// =============================================================================
+// API Functions - UPDATE
+// =============================================================================
+
+/**
+ * PUT /api/tracks/:id
+ */
+export function updateTrack(
+  id: number,
+  input: Partial<TrackInput>,
+): Track | null {
+  const database = getDb();
+  const result = database.transaction(() => {
+    const result = updateTrackRow(database, id, input);
+    if (result?.changed) {
+      recordChange(database, "updated", result.track, result.previous);
+    }
+    return result;
+  })();
+  if (!result) return null;
+
+  if (result.changed) changesCommitted();
+  return result.track;
 }
 
 // =============================================================================
@@ -363,10 +740,432 @@ export function updateTrack(
  */
 export function deleteTrack(id: number): boolean {
   const database = getDb();
+  const deleted = database.transaction(() => {
+    const deleted = deleteTrackRow(database, id);
+    if (deleted) recordChange(database, "deleted", deleted);
+    return deleted;
+  })();
+  if (!deleted) return false;
+
+  changesCommitted();
+  return true;
+}
+
+// =============================================================================
+// API Functions - BATCH
+// =============================================================================
+
+/**
+ * Validate a batch request body — each operation's data the way the
+ * single-track endpoints validate it. Missing rows are reported when the
+ * batch is applied.
+ */
+export function validateTrackBatch(data: unknown): {
+  valid: boolean;
+  error?: string;
+  operations?: TrackOperation[];
+} {
+  if (!data || typeof data !== "object") {
+    return { valid: false, error: "Request body must be a JSON object" };
+  }
+
+  const ops = (data as Record<string, unknown>).operations;
+  if (!Array.isArray(ops) || ops.length === 0) {
+    return { valid: false, error: "operations must be a non-empty array" };
+  }
+  if (ops.length > MAX_BATCH_OPERATIONS) {
+    return {
+      valid: false,
+      error: `operations may contain at most ${MAX_BATCH_OPERATIONS} items`,
+    };
+  }
+
+  const operations: TrackOperation[] = [];
+  for (let i = 0; i < ops.length; i++) {
+    const o = ops[i];
+    if (!o || typeof o !== "object") {
+      return { valid: false, error: `operations[${i}] must be an object` };
+    }
+    if (o.op !== "create" && o.op !== "update" && o.op !== "delete") {
+      return {
+        valid: false,
+        error: `operations[${i}].op must be "create", "update", or "delete"`,
+      };
+    }
+    if (o.op !== "create" && (!Number.isInteger(o.id) || o.id < 1)) {
+      return {
+        valid: false,
+        error: `operations[${i}].id must be a positive integer`,
+      };
+    }
+    if (o.op === "delete") {
+      operations.push({ op: "delete", id: o.id });
+      continue;
+    }
+    if (!o.data || typeof o.data !== "object") {
+      return { valid: false, error: `operations[${i}].data must be an object` };
+    }
+    const data = validateTrackInput(o.data, o.op === "update");
+    if (!data.valid) {
+      return {
+        valid: false,
+        error: `operations[${i}].data: ${data.error}`,
+      };
+    }
+    operations.push(
+      o.op === "create"
+        ? { op: "create", data: data.input as TrackInput }
+        : { op: "update", id: o.id, data: data.input! },
+    );
+  }
+
+  return { valid: true, operations };
+}
+
+/** Thrown inside the batch transaction to roll it back */
+class BatchAbort extends Error {
+  constructor(
+    readonly index: number,
+    id: number,
+  ) {
+    super(`Track ${id} not found`);
+  }
+}
+
+/**
+ * POST /api/tracks/batch
+ *
+ * Applies every operation in one transaction — all or nothing. If an update
+ * or delete targets a missing track, the whole batch is rolled back and the
+ * failing operation's index is reported. Changes are logged in the same
+ * transaction, so a rolled-back batch never reaches the change feed.
+ */
+export function applyTrackBatch(
+  operations: TrackOperation[],
+): TrackBatchResponse {
+  const database = getDb();
+
+  const run = database.transaction(() => {
+    const results: TrackOperationResult[] = [];
+
+    for (let i = 0; i < operations.length; i++) {
+      const operation = operations[i];
+
+      if (operation.op === "create") {
+        const track = insertTrackRow(database, operation.data);
+        recordChange(database, "created", track);
+        results.push({ op: "create", id: track.id, status: 201, track });
+        continue;
+      }
+
+      if (operation.op === "update") {
+        const result = updateTrackRow(database, operation.id, operation.data);
+        if (!result) throw new BatchAbort(i, operation.id);
+        if (result.changed) {
+          recordChange(database, "updated", result.track, result.previous);
+        }
+        results.push({
+          op: "update",
+          id: operation.id,
+          status: 200,
+          track: result.track,
+        });
+        continue;
+      }
+
+      const deleted = deleteTrackRow(database, operation.id);
+      if (!deleted) throw new BatchAbort(i, operation.id);
+      recordChange(database, "deleted", deleted);
+      results.push({ op: "delete", id: operation.id, status: 200 });
+    }
+
+    return results;
+  });
+
+  let results: TrackOperationResult[];
+  try {
+    results = run();
+  } catch (err) {
+    if (err instanceof BatchAbort) {
+      return { success: false, index: err.index, error: err.message };
+    }
+    throw err;
+  }
+
+  changesCommitted();
+  return { success: true, results };
+}
+
+// =============================================================================
+// Change Feed
+// =============================================================================
+//
+// Mutations append to the track_changes table in the same transaction as the
+// row (migration 5, ./migrations/tracks). Each server instance polls it while
+// it has subscribers, so a client sees every change whichever instance
+// handled the request. Locations are computed after the request, once per
+// change per distinct view, replaying the batch so each is as of just after
+// its change — a burst bigger than MAX_LOCATED_CHANGES is delivered as a
+// single "reset" instead.
+
+/** How often an instance with subscribers reads the change log (ms) */
+export const CHANGE_POLL_MS = 250;
+/** Changes located per poll — more and subscribers are told to reload */
+export const MAX_LOCATED_CHANGES = 100;
+/** Log entries older than this are pruned (seconds) */
+const CHANGE_LOG_TTL = 600;
+/** At most one prune per instance per this many ms */
+const PRUNE_INTERVAL_MS = 60_000;
+
+/** A change located in a subscriber's view, or a request to reload it */
+export type TrackEvent = (TrackChange & TrackLocation) | { type: "reset" };
+
+type TrackEventListener = (event: TrackEvent) => void;
+
+interface Subscriber {
+  view: TrackView;
+  listener: TrackEventListener;
+}
+
+const subscribers = new Set<Subscriber>();
+let poller: ReturnType<typeof setInterval> | null = null;
+/** Last change log entry delivered */
+let lastSeq = 0;
+let lastPrune = 0;
+
+/** A change log entry — `previous` is the row an update replaced */
+interface LoggedChange extends TrackChange {
+  previous: Track | null;
+}
+
+/** Append a change to the log — call inside the mutation's transaction */
+function recordChange(
+  database: Database,
+  type: TrackChangeType,
+  track: Track,
+  previous: Track | null = null,
+): void {
+  database
+    .prepare(
+      "INSERT INTO track_changes (type, track, previous) VALUES (?, ?, ?)",
+    )
+    .run(type, JSON.stringify(track), previous && JSON.stringify(previous));
+}
+
+/**
+ * After a mutation commits: deliver this instance's own changes without
+ * waiting for the next poll (but after the response), and prune the log.
+ */
+function changesCommitted(): void {
+  if (poller) setTimeout(pollTrackChanges, 0);
+
+  const now = Date.now();
+  if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+  lastPrune = now;
+  getDb().run(
+    "DELETE FROM track_changes WHERE created_at < CAST(strftime('%s', 'now') AS INTEGER) - ?",
+    [CHANGE_LOG_TTL],
+  );
+}
+
+function latestSeq(): number {
+  const row = getDb()
+    .query("SELECT MAX(seq) AS seq FROM track_changes")
+    .get() as { seq: number | null };
+  return row.seq ?? 0;
+}
+
+/**
+ * Subscribe to create/update/delete events located in a view.
+ * Returns an unsubscribe function.
+ */
+export function subscribeTrackChanges(
+  view: TrackView,
+  listener: TrackEventListener,
+): () => void {
+  if (!poller) {
+    lastSeq = latestSeq();
+    poller = setInterval(pollTrackChanges, CHANGE_POLL_MS);
+  }
+
+  const subscriber = { view, listener };
+  subscribers.add(subscriber);
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && poller) {
+      clearInterval(poller);
+      poller = null;
+    }
+  };
+}
+
+/** Read new log entries and deliver them (exported for tests) */
+export function pollTrackChanges(): void {
+  if (subscribers.size === 0) return;
+
+  let rows: {
+    seq: number;
+    type: TrackChangeType;
+    track: string;
+    previous: string | null;
+  }[];
+  try {
+    rows = getDb()
+      .query(
+        "SELECT seq, type, track, previous FROM track_changes WHERE seq > ? ORDER BY seq LIMIT ?",
+      )
+      .all(lastSeq, MAX_LOCATED_CHANGES + 1) as typeof rows;
+  } catch (err) {
+    console.error("[tracks] reading the change log failed:", err);
+    return;
+  }
+  if (rows.length === 0) return;
+
+  if (rows.length > MAX_LOCATED_CHANGES) {
+    lastSeq = latestSeq();
+    for (const { listener } of subscribers) notify(listener, { type: "reset" });
+    return;
+  }
+  lastSeq = rows[rows.length - 1].seq;
+  const changes: LoggedChange[] = rows.map(({ type, track, previous }) => ({
+    type,
+    track: JSON.parse(track) as Track,
+    previous: previous === null ? null : (JSON.parse(previous) as Track),
+  }));
+
+  // Subscribers showing the same view share one set of locations
+  const byView = new Map<string, Subscriber[]>();
+  for (const subscriber of subscribers) {
+    const key = JSON.stringify(subscriber.view);
+    byView.set(key, [...(byView.get(key) ?? []), subscriber]);
+  }
+
+  for (const group of byView.values()) {
+    let events: TrackEvent[];
+    try {
+      events = locateChanges(changes, group[0].view);
+    } catch (err) {
+      console.error("[tracks] locating changes failed:", err);
+      events = [{ type: "reset" }];
+    }
+    for (const { listener } of group) {
+      for (const event of events) notify(listener, event);
+    }
+  }
+}
+
+/** A failing listener never stops delivery to the others */
+function notify(listener: TrackEventListener, event: TrackEvent): void {
+  try {
+    listener(event);
+  } catch (err) {
+    console.error("[tracks] change listener failed:", err);
+  }
+}
+
+/**
+ * Locate each change of a batch as of just after it — the view a client
+ * reaches by applying the events in order. The table already holds the
+ * state after the last change, so the rows later changes wrote are taken
+ * back out and the rows they removed or replaced are put back.
+ */
+function locateChanges(changes: LoggedChange[], view: TrackView): TrackEvent[] {
+  return changes.map(({ type, track }, k) => {
+    const later = changes.slice(k + 1);
+    const replay = {
+      written: later.flatMap((c) => (c.type === "deleted" ? [] : [c.track])),
+      restored: later.flatMap((c) =>
+        c.type === "created" ? [] : [c.previous ?? c.track],
+      ),
+    };
+    return { type, track, ...locateTrack(track, view, replay) };
+  });
+}
 
-  const result = database.prepare("DELETE FROM tracks WHERE id = ?").run(id);
+/**
+ * Find where a row sits in a sorted, filtered view.
+ *
+ * The filters are evaluated against the row itself (as a one-row literal
+ * table) rather than looked up by id, so deleted rows are located with the
+ * exact same SQL semantics as live ones — their index is where they were.
+ * The one exception is a full-text `search`: the FTS index has already
+ * dropped a deleted row, so it reports `index: null`.
+ *
+ * `replay` describes an earlier state of the table: the rows `written`
+ * since are left out of the counts and the rows they `restored` to it are
+ * counted back in, with the same literal-table evaluation.
+ */
+export function locateTrack(
+  track: Track,
+  view: TrackView,
+  replay: { written: Track[]; restored: Track[] } = {
+    written: [],
+    restored: [],
+  },
+): TrackLocation {
+  const database = getDb();
+  const { sort, direction, collate } = resolveSort(view);
+  const [whereClause, whereParams] = buildWhere(view);
+
+  const columns = TRACK_COLUMNS.split(", ") as TrackColumn[];
+  const literal = columns.map((col) => `? AS ${col}`).join(", ");
+  const values = (row: Track) => columns.map((col) => row[col]);
+  const matches = database
+    .query(`SELECT COUNT(*) as count FROM (SELECT ${literal})${whereClause}`)
+    .get(...values(track), ...whereParams) as {
+    count: number;
+  };
 
-  return result.changes > 0;
+  // Rows before it in this ordering are the rows after it in the reverse one
+  const [before, beforeParams] = buildKeysetCondition(
+    {
+      sort,
+      direction: direction === "asc" ? "desc" : "asc",
+      value: track[sort as TrackColumn] ?? null,
+      id: track.id,
+    },
+    collate,
+  );
+  const where = whereClause
+    ? `${whereClause} AND ${before} AND id != ?`
+    : ` WHERE ${before} AND id != ?`;
+
+  /** Matching rows of a literal table, and those of them before `track` */
+  const countRows = (rows: Track[]): { matching: number; before: number } => {
+    if (rows.length === 0) return { matching: 0, before: 0 };
+    const table = rows.map(() => `SELECT ${literal}`).join(" UNION ALL ");
+    return database
+      .query(
+        `SELECT COUNT(*) as matching,
+           COALESCE(SUM(CASE WHEN ${before} AND id != ? THEN 1 ELSE 0 END), 0) as before
+         FROM (${table})${whereClause}`,
+      )
+      .get(
+        ...beforeParams,
+        track.id,
+        ...rows.flatMap(values),
+        ...whereParams,
+      ) as { matching: number; before: number };
+  };
+  const written = countRows(replay.written);
+  const restored = countRows(replay.restored);
+
+  const total =
+    countTracks(whereClause, whereParams) -
+    written.matching +
+    restored.matching;
+  if (matches.count === 0) return { index: null, total };
+
+  const index =
+    (
+      database
+        .query(`SELECT COUNT(*) as count FROM tracks${where}`)
+        .get(...whereParams, ...beforeParams, track.id) as { count: number }
+    ).count -
+    written.before +
+    restored.before;
+
+  return { index, total };
 }
 
 // =============================================================================
@@ -500,36 +1299,76 @@ export function getStats(): TracksStatsResponse {
 // Utility - Parse Query Options
 // =============================================================================
 
+const YEAR_PARAM = {
+  type: "integer",
+  minimum: 1900,
+  maximum: 2100,
+} as const;
+
+/**
+ * Query params accepted by GET /api/tracks — parseQueryOptions() enforces
+ * these bounds and the OpenAPI document advertises them.
+ */
+export const QUERY_PARAMS = {
+  offset: {
+    type: "integer",
+    description: "Start index",
+    default: 0,
+    minimum: 0,
+    maximum: 1_000_000,
+  },
+  limit: {
+    type: "integer",
+    description: "Page size",
+    default: DEFAULT_LIMIT,
+    minimum: 1,
+    maximum: MAX_LIMIT,
+  },
+  sort: {
+    type: "string",
+    description: 'Column to sort by, or "relevance" with search',
+    default: "id",
+    enum: [...SORTABLE_COLUMNS, RELEVANCE],
+  },
+  direction: DIRECTION_PARAM,
+  search: {
+    type: "string",
+    description:
+      "Full-text title/artist search (prefix match). Items gain highlight snippets.",
+  },
+  country: { type: "string", description: "Country code filter" },
+  decade: { ...YEAR_PARAM, description: "Decade filter (e.g. 1960, 1970)" },
+  category: { type: "string", description: "Category filter" },
+  artist: {
+    type: "string",
+    description: "Artist name filter (partial match)",
+  },
+  minYear: { ...YEAR_PARAM, description: "Minimum year" },
+  maxYear: { ...YEAR_PARAM, description: "Maximum year" },
+  cursor: CURSOR_PARAM,
+  delay: DELAY_PARAM,
+} satisfies ParamSchemas;
+
 /**
  * Parse query options from a URL.
  * Centralizes all param parsing so the router stays clean.
  */
 export function parseQueryOptions(url: URL): QueryOptions & { delay: number } {
-  const intParam = (
-    name: string,
-    defaultVal: number,
-    min: number,
-    max: number,
-  ): number => {
-    const raw = url.searchParams.get(name);
-    if (raw === null) return defaultVal;
-    const n = parseInt(raw, 10);
-    if (isNaN(n)) return defaultVal;
-    return Math.max(min, Math.min(max, n));
-  };
+  const p = QUERY_PARAMS;
 
   return {
-    offset: intParam("offset", 0, 0, 1_000_000),
-    limit: intParam("limit", DEFAULT_LIMIT, 1, MAX_LIMIT),
-    sort: url.searchParams.get("sort") ?? "id",
-    direction: url.searchParams.get("direction") ?? "desc",
+    offset: intParam(url, "offset", p.offset),
+    limit: intParam(url, "limit", p.limit),
+    sort: url.searchParams.get("sort") ?? p.sort.default,
+    direction: url.searchParams.get("direction") ?? p.direction.default!,
     search: url.searchParams.get("search") ?? undefined,
     country: url.searchParams.get("country") ?? undefined,
-    decade: intParam("decade", 0, 1900, 2100) || undefined,
+    decade: intParam(url, "decade", p.decade) || undefined,
     category: url.searchParams.get("category") ?? undefined,
     artist: url.searchParams.get("artist") ?? undefined,
-    minYear: intParam("minYear", 0, 1900, 2100) || undefined,
-    maxYear: intParam("maxYear", 0, 1900, 2100) || undefined,
-    delay: intParam("delay", 0, 0, 5000),
+    minYear: intParam(url, "minYear", p.minYear) || undefined,
+    maxYear: intParam(url, "maxYear", p.maxYear) || undefined,
+    cursor: url.searchParams.get("cursor") ?? undefined,
+    delay: intParam(url, "delay", p.delay),
   };
 }
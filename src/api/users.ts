@@ -1,6 +1,7 @@
 // src/api/users.ts
 // Deterministic user data generator — same index always produces same user
 // Supports 1M+ items generated on-the-fly with zero storage
+// Sorted/searched views are permutation indexes over the generator — see below
 
 // =============================================================================
 // Seed Data
@@ -644,6 +645,193 @@ export interface User {
 export const TOTAL = 1_000_000;
 export const MAX_LIMIT = 200;
 
+// =============================================================================
+// Sorted & Filtered Views
+// =============================================================================
+//
+// Sorting and searching never materialize users. Every column except id is a
+// pick() from a small value list, so a user's sort key is just the hash slot
+// it lands in. A view is an Int32Array of user IDs in display order, built
+// with a counting sort over those slots (O(total), ~4 MB per million users)
+// and cached, so paging through a sorted or filtered view is a slice.
+//
+// Views are built synchronously, so their size is capped: past
+// MAX_VIEW_TOTAL users, sort and search cover the first MAX_VIEW_TOTAL only.
+
+/** Largest dataset a sorted or searched view is built over */
+export const MAX_VIEW_TOTAL = TOTAL;
+
+export const USER_SORT_COLUMNS = [
+  "id",
+  "firstName",
+  "lastName",
+  "role",
+  "department",
+  "company",
+  "city",
+  "country",
+  "status",
+  "joinedYear",
+] as const;
+
+export type UserSortColumn = (typeof USER_SORT_COLUMNS)[number];
+
+export interface UserQuery {
+  sort?: UserSortColumn;
+  direction?: "asc" | "desc";
+  /** Words matched as prefixes of name, role, department, company, city, country or status */
+  search?: string;
+}
+
+interface ColumnKey {
+  /** Value of each slot */
+  values: readonly (string | number)[];
+  /** Slot a user's value comes from — mirrors the pick() calls in generateUser */
+  slot: (index: number) => number;
+}
+
+const slotOf =
+  (values: readonly unknown[], seed: number) =>
+  (index: number): number =>
+    hash(index, seed) % values.length;
+
+const COLUMN_KEYS: Record<Exclude<UserSortColumn, "id">, ColumnKey> = {
+  firstName: { values: FIRST_NAMES, slot: slotOf(FIRST_NAMES, 1) },
+  lastName: { values: LAST_NAMES, slot: slotOf(LAST_NAMES, 2) },
+  role: { values: ROLES, slot: slotOf(ROLES, 5) },
+  department: { values: DEPARTMENTS, slot: slotOf(DEPARTMENTS, 6) },
+  company: { values: COMPANIES, slot: slotOf(COMPANIES, 7) },
+  city: { values: CITIES, slot: slotOf(CITIES, 8) },
+  country: {
+    values: CITIES.map((city) => COUNTRIES[CITIES.indexOf(city)]),
+    slot: slotOf(CITIES, 8),
+  },
+  status: { values: STATUSES, slot: slotOf(STATUSES, 10) },
+  joinedYear: {
+    values: Array.from({ length: 11 }, (_, i) => 2015 + i),
+    slot: (index) => hash(index, 11) % 11,
+  },
+};
+
+const SEARCH_COLUMNS = (
+  Object.keys(COLUMN_KEYS) as (keyof typeof COLUMN_KEYS)[]
+).filter((column) => column !== "joinedYear");
+
+/** Rank of each slot's value among the column's distinct values */
+const rankSlots = (
+  values: readonly (string | number)[],
+): { ranks: Uint16Array; count: number } => {
+  const distinct = [...new Set(values)].sort((a, b) =>
+    typeof a === "number" && typeof b === "number"
+      ? a - b
+      : String(a).localeCompare(String(b), "en"),
+  );
+  const rankOf = new Map(distinct.map((value, rank) => [value, rank]));
+  return {
+    ranks: Uint16Array.from(values, (value) => rankOf.get(value)!),
+    count: distinct.length,
+  };
+};
+
+/** IDs 1..total ordered by a column, ties by ID — a stable counting sort */
+const sortedIds = (
+  column: keyof typeof COLUMN_KEYS,
+  total: number,
+): Int32Array => {
+  const { values, slot } = COLUMN_KEYS[column];
+  const { ranks, count } = rankSlots(values);
+
+  const keys = new Uint16Array(total);
+  const starts = new Int32Array(count + 1);
+  for (let i = 0; i < total; i++) {
+    keys[i] = ranks[slot(i + 1)];
+    starts[keys[i] + 1]++;
+  }
+  for (let r = 1; r <= count; r++) starts[r] += starts[r - 1];
+
+  const ids = new Int32Array(total);
+  for (let i = 0; i < total; i++) ids[starts[keys[i]]++] = i + 1;
+  return ids;
+};
+
+/** Lowercased search words, or null if there's nothing to search for */
+const searchWords = (search: string | undefined): string[] | null =>
+  search?.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? null;
+
+/**
+ * Per-ID predicate for a search — every word must prefix-match a word of
+ * at least one searchable column. Matching is decided per slot up front, so
+ * testing an ID costs a few hashes.
+ */
+const createMatcher = (words: string[]): ((id: number) => boolean) => {
+  const perWord = words.map((word) =>
+    SEARCH_COLUMNS.flatMap((column) => {
+      const { values, slot } = COLUMN_KEYS[column];
+      const hits = values.map((value) =>
+        String(value)
+          .toLowerCase()
+          .split(/[^\p{L}\p{N}]+/u)
+          .some((part) => part.startsWith(word)),
+      );
+      return hits.includes(true) ? [{ slot, hits }] : [];
+    }),
+  );
+  return (id) =>
+    perWord.every((columns) =>
+      columns.some(({ slot, hits }) => hits[slot(id)]),
+    );
+};
+
+/** Most recently used views — a handful covers a demo's sort/search toggling */
+const MAX_CACHED_VIEWS = 8;
+const viewCache = new Map<string, Int32Array>();
+
+const cachedView = (key: string, build: () => Int32Array): Int32Array => {
+  let view = viewCache.get(key);
+  if (view) {
+    viewCache.delete(key); // Re-insert as most recent
+  } else {
+    view = build();
+    if (viewCache.size >= MAX_CACHED_VIEWS) {
+      viewCache.delete(viewCache.keys().next().value!);
+    }
+  }
+  viewCache.set(key, view);
+  return view;
+};
+
+/**
+ * IDs in ascending sort order, or null for the unsorted, unfiltered
+ * sequence (IDs 1..total) so the default view costs nothing. Sorted and
+ * searched views cover at most MAX_VIEW_TOTAL users.
+ */
+const resolveView = (
+  total: number,
+  sort: UserSortColumn,
+  search: string | undefined,
+): Int32Array | null => {
+  const words = searchWords(search);
+  if (sort === "id" && !words) return null;
+
+  const size = Math.min(total, MAX_VIEW_TOTAL);
+  const sorted =
+    sort === "id"
+      ? null
+      : cachedView(`${size}:${sort}:`, () => sortedIds(sort, size));
+  if (!words) return sorted;
+
+  return cachedView(`${size}:${sort}:${words.join(" ")}`, () => {
+    const matches = createMatcher(words);
+    const ids = new Int32Array(size);
+    let count = 0;
+    for (let i = 0; i < size; i++) {
+      const id = sorted ? sorted[i] : i + 1;
+      if (matches(id)) ids[count++] = id;
+    }
+    return ids.slice(0, count);
+  });
+};
+
 // =============================================================================
 // Generator
 // =============================================================================
@@ -691,27 +879,34 @@ export const generateUser = (index: number): User => {
 };
 
 /**
- * Generate a page of users.
- * Returns the exact shape vlist's AdapterResponse expects.
+ * Generate a page of users, optionally sorted and filtered.
+ * Returns the exact shape vlist's AdapterResponse expects — `total` is the
+ * size of the filtered view.
  */
 export const getUsers = (
   offset: number,
   limit: number,
   total: number = TOTAL,
+  query: UserQuery = {},
 ): { items: User[]; total: number; hasMore: boolean } => {
+  const view = resolveView(total, query.sort ?? "id", query.search);
+  const count = view ? view.length : total;
+  const descending = query.direction === "desc";
+
   const clamped = Math.min(limit, MAX_LIMIT);
   const start = Math.max(0, offset);
-  const end = Math.min(start + clamped, total);
+  const end = Math.min(start + clamped, count);
 
   const items: User[] = [];
   for (let i = start; i < end; i++) {
-    items.push(generateUser(i + 1)); // 1-based IDs
+    const position = descending ? count - 1 - i : i;
+    items.push(generateUser(view ? view[position] : position + 1)); // 1-based IDs
   }
 
   return {
     items,
-    total,
-    hasMore: end < total,
+    total: count,
+    hasMore: end < count,
   };
 };
 
@@ -0,0 +1,154 @@
+// src/api/xlsx.ts
+// Minimal streaming XLSX writer — one worksheet, inline strings, no styles.
+//
+// An .xlsx file is a zip of XML parts, written front to back by ./zip —
+// the worksheet is deflated chunk by chunk as rows arrive.
+
+import { createZipWriter } from "./zip";
+import type { ExportEncoder, ExportRow } from "./export";
+
+// =============================================================================
+// Workbook Parts
+// =============================================================================
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_RELS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const NS_DOC_RELS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+/** Rows a worksheet can hold, minus the header row */
+export const XLSX_MAX_ROWS = 1_048_575;
+
+/** Escape text for XML, dropping control characters XML 1.0 can't carry */
+export function escapeXml(value: string): string {
+  return value
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Sheet names are at most 31 characters and can't contain []:*?/\ */
+const sheetName = (name: string): string =>
+  name.replace(/[[\]:*?/\\]/g, "_").slice(0, 31) || "Sheet1";
+
+/** The fixed parts around the worksheet — [path, xml] */
+const packageParts = (name: string): [string, string][] => [
+  [
+    "[Content_Types].xml",
+    `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+      `<Default Extension="xml" ContentType="application/xml"/>` +
+      `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+      `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+      `</Types>`,
+  ],
+  [
+    "_rels/.rels",
+    `<Relationships xmlns="${NS_RELS}">` +
+      `<Relationship Id="rId1" Type="${NS_DOC_RELS}/officeDocument" Target="xl/workbook.xml"/>` +
+      `</Relationships>`,
+  ],
+  [
+    "xl/workbook.xml",
+    `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_DOC_RELS}">` +
+      `<sheets><sheet name="${escapeXml(sheetName(name))}" sheetId="1" r:id="rId1"/></sheets>` +
+      `</workbook>`,
+  ],
+  [
+    "xl/_rels/workbook.xml.rels",
+    `<Relationships xmlns="${NS_RELS}">` +
+      `<Relationship Id="rId1" Type="${NS_DOC_RELS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `</Relationships>`,
+  ],
+];
+
+/** Column letters for a 0-based index — A, B, …, Z, AA, AB, … */
+export function columnName(index: number): string {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/** One cell — numbers as numbers, everything else as an inline string */
+function cell(ref: string, value: unknown): string {
+  if (value === null || value === undefined) return `<c r="${ref}"/>`;
+  if (typeof value === "number") {
+    return Number.isFinite(value)
+      ? `<c r="${ref}"><v>${value}</v></c>`
+      : `<c r="${ref}"/>`;
+  }
+  const text = escapeXml(String(value));
+  const space = text !== text.trim() ? ' xml:space="preserve"' : "";
+  return `<c r="${ref}" t="inlineStr"><is><t${space}>${text}</t></is></c>`;
+}
+
+/** One sheet row — `letters` are the column names, `n` the 1-based row */
+const row = (letters: string[], n: number, values: unknown[]): string =>
+  `<row r="${n}">${values.map((value, i) => cell(`${letters[i]}${n}`, value)).join("")}</row>`;
+
+// =============================================================================
+// Encoder
+// =============================================================================
+
+/**
+ * XLSX encoder for exportResponse() — a header row of column names, then one
+ * row per record. Rows past the sheet limit are dropped rather than writing a
+ * file Excel refuses to open.
+ */
+export function createXlsxEncoder(
+  name: string,
+  columns: string[],
+): ExportEncoder {
+  const zip = createZipWriter();
+  const text = new TextEncoder();
+  const letters = columns.map((_, i) => columnName(i));
+  let written = 0;
+
+  const part = (path: string, xml: string): Uint8Array =>
+    Buffer.concat([
+      zip.open(path),
+      zip.write(text.encode(XML_HEADER + xml)),
+      zip.close(),
+    ]);
+
+  return {
+    begin: () =>
+      Buffer.concat([
+        ...packageParts(name).map(([path, xml]) => part(path, xml)),
+        zip.open("xl/worksheets/sheet1.xml"),
+        zip.write(
+          text.encode(
+            `${XML_HEADER}<worksheet xmlns="${NS_MAIN}"><sheetData>${row(letters, 1, columns)}`,
+          ),
+        ),
+      ]),
+
+    rows(rows: ExportRow[]) {
+      const room = Math.max(0, XLSX_MAX_ROWS - written);
+      const kept = rows.length > room ? rows.slice(0, room) : rows;
+      const xml = kept
+        .map((record, i) =>
+          row(
+            letters,
+            written + i + 2,
+            columns.map((col) => record[col]),
+          ),
+        )
+        .join("");
+      written += kept.length;
+      return zip.write(text.encode(xml));
+    },
+
+    end: () =>
+      Buffer.concat([
+        zip.write(text.encode("</sheetData></worksheet>")),
+        zip.close(),
+        zip.finish(),
+      ]),
+  };
+}
@@ -0,0 +1,249 @@
+// src/api/zip.ts
+// Minimal zip support — a streaming writer and an in-memory reader.
+//
+// The writer goes front to back without knowing sizes up front: each entry
+// sets the data-descriptor flag and is followed by its CRC and sizes, and
+// the central directory goes at the end. Entries are deflated chunk by
+// chunk — each chunk is a sync-flushed raw deflate segment, and the
+// segments concatenate into one valid stream once a final empty block is
+// appended. Used for XLSX exports (./xlsx) and benchmark archives.
+//
+// No zip64: entries and the archive must stay under 4 GB, far above what
+// the demo datasets produce.
+
+import { crc32, deflateRawSync, inflateRawSync, constants } from "node:zlib";
+
+// =============================================================================
+// Writing
+// =============================================================================
+
+/** General purpose flags — sizes in a data descriptor (bit 3), UTF-8 names (bit 11) */
+const ZIP_FLAGS = 0x0808;
+const ZIP_VERSION = 20;
+const ZIP_DEFLATE = 8;
+
+/** Final, empty fixed-Huffman block — terminates a sync-flushed stream */
+const FINAL_BLOCK = new Uint8Array([0x03, 0x00]);
+
+interface ZipEntry {
+  name: Uint8Array;
+  offset: number;
+  crc: number;
+  compressedSize: number;
+  size: number;
+}
+
+/** MS-DOS time and date of a zip entry */
+function dosDateTime(date: Date): [number, number] {
+  const time =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    (date.getSeconds() >> 1);
+  const day =
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return [time, day];
+}
+
+/** Little-endian record of 16/32-bit fields followed by raw bytes */
+function record(fields: [number, 2 | 4][], tail?: Uint8Array): Uint8Array {
+  const size = fields.reduce((sum, [, width]) => sum + width, 0);
+  const bytes = new Uint8Array(size + (tail?.length ?? 0));
+  const view = new DataView(bytes.buffer);
+  let at = 0;
+  for (const [value, width] of fields) {
+    if (width === 2) view.setUint16(at, value, true);
+    else view.setUint32(at, value >>> 0, true);
+    at += width;
+  }
+  if (tail) bytes.set(tail, at);
+  return bytes;
+}
+
+/**
+ * Zip writer for sequential entries. Every method returns the bytes to send
+ * next; offsets are tracked so the central directory can point back.
+ */
+export function createZipWriter() {
+  const entries: ZipEntry[] = [];
+  const [time, date] = dosDateTime(new Date());
+  const encoder = new TextEncoder();
+  let offset = 0;
+  let current: ZipEntry | null = null;
+
+  const emit = (bytes: Uint8Array): Uint8Array => {
+    offset += bytes.length;
+    return bytes;
+  };
+
+  return {
+    /** Local header of a new entry — sizes follow in its descriptor */
+    open(name: string): Uint8Array {
+      current = {
+        name: encoder.encode(name),
+        offset,
+        crc: 0,
+        compressedSize: 0,
+        size: 0,
+      };
+      entries.push(current);
+      return emit(
+        record(
+          [
+            [0x04034b50, 4],
+            [ZIP_VERSION, 2],
+            [ZIP_FLAGS, 2],
+            [ZIP_DEFLATE, 2],
+            [time, 2],
+            [date, 2],
+            [0, 4], // crc — in the descriptor
+            [0, 4], // compressed size — in the descriptor
+            [0, 4], // size — in the descriptor
+            [current.name.length, 2],
+            [0, 2],
+          ],
+          current.name,
+        ),
+      );
+    },
+
+    /** Deflate a chunk of the open entry */
+    write(data: Uint8Array): Uint8Array {
+      const entry = current!;
+      const compressed = deflateRawSync(data, {
+        finishFlush: constants.Z_SYNC_FLUSH,
+      });
+      entry.crc = crc32(data, entry.crc);
+      entry.size += data.length;
+      entry.compressedSize += compressed.length;
+      return emit(compressed);
+    },
+
+    /** End the open entry's deflate stream and write its descriptor */
+    close(): Uint8Array {
+      const entry = current!;
+      current = null;
+      entry.compressedSize += FINAL_BLOCK.length;
+      const descriptor = record([
+        [0x08074b50, 4],
+        [entry.crc, 4],
+        [entry.compressedSize, 4],
+        [entry.size, 4],
+      ]);
+      return emit(Buffer.concat([FINAL_BLOCK, descriptor]));
+    },
+
+    /** Central directory and end record — the last bytes of the archive */
+    finish(): Uint8Array {
+      const start = offset;
+      const headers = entries.map((entry) =>
+        record(
+          [
+            [0x02014b50, 4],
+            [ZIP_VERSION, 2], // made by
+            [ZIP_VERSION, 2], // needed
+            [ZIP_FLAGS, 2],
+            [ZIP_DEFLATE, 2],
+            [time, 2],
+            [date, 2],
+            [entry.crc, 4],
+            [entry.compressedSize, 4],
+            [entry.size, 4],
+            [entry.name.length, 2],
+            [0, 2], // extra length
+            [0, 2], // comment length
+            [0, 2], // disk
+            [0, 2], // internal attributes
+            [0, 4], // external attributes
+            [entry.offset, 4],
+          ],
+          entry.name,
+        ),
+      );
+      const directory = Buffer.concat(headers);
+      const end = record([
+        [0x06054b50, 4],
+        [0, 2],
+        [0, 2],
+        [entries.length, 2],
+        [entries.length, 2],
+        [directory.length, 4],
+        [start, 4],
+        [0, 2],
+      ]);
+      return emit(Buffer.concat([directory, end]));
+    },
+  };
+}
+
+// =============================================================================
+// Reading
+// =============================================================================
+
+const ZIP_STORED = 0;
+
+/** End of central directory record — 22 bytes plus a comment of up to 64 KB */
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+/**
+ * Read every entry of a zip through its central directory. Throws when the
+ * bytes aren't a zip, an entry uses an unsupported method, or a CRC doesn't
+ * match.
+ */
+export function readZip(bytes: Uint8Array): Map<string, Uint8Array> {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const decoder = new TextDecoder();
+
+  let end = -1;
+  const stop = Math.max(0, bytes.length - END_RECORD_SIZE - MAX_COMMENT);
+  for (let at = bytes.length - END_RECORD_SIZE; at >= stop; at--) {
+    if (view.getUint32(at, true) === 0x06054b50) {
+      end = at;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a zip archive");
+
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const files = new Map<string, Uint8Array>();
+
+  for (let i = 0; i < count; i++) {
+    if (at + 46 > bytes.length || view.getUint32(at, true) !== 0x02014b50) {
+      throw new Error("Corrupt zip central directory");
+    }
+    const method = view.getUint16(at + 10, true);
+    const crc = view.getUint32(at + 16, true);
+    const compressedSize = view.getUint32(at + 20, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+
+    if (view.getUint32(offset, true) !== 0x04034b50) {
+      throw new Error(`Corrupt zip entry "${name}"`);
+    }
+    const start =
+      offset +
+      30 +
+      view.getUint16(offset + 26, true) +
+      view.getUint16(offset + 28, true);
+    const raw = bytes.subarray(start, start + compressedSize);
+
+    let data: Uint8Array;
+    if (method === ZIP_DEFLATE) data = inflateRawSync(raw);
+    else if (method === ZIP_STORED) data = raw;
+    else throw new Error(`Unsupported compression in zip entry "${name}"`);
+
+    if (data.length !== size || crc32(data) !== crc) {
+      throw new Error(`Corrupt zip entry "${name}"`);
+    }
+    files.set(name, data);
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
@@ -0,0 +1,776 @@
+// src/server/api-reference.ts
+// API reference generated from vlist's TypeScript declarations.
+//
+// extractApi() reads the installed @floor/vlist .d.ts files with the
+// TypeScript compiler and collects every exported function, `with*` feature,
+// type, the options of the root config, the members of the instance and the
+// events map — with their JSDoc. renderApiPages() turns that into markdown
+// for docs/api/reference.md, types.md and events.md, cross-linking type names
+// to their definitions, so the pages go through the content renderer like
+// any other doc.
+//
+// Only the section between a page's generated markers is rewritten; the
+// hand-written intro and guides around it are kept. checkApiDocs() reports
+// pages whose section is missing or stale, and exports without a JSDoc
+// description. scripts/api-docs.ts writes and checks the pages — the server
+// never imports this module (TypeScript is a dev dependency).
+
+import ts from "typescript";
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface ApiParam {
+  name: string;
+  type: string;
+  optional: boolean;
+  description: string;
+}
+
+/** A property of an interface, an option, an instance member or an event */
+export interface ApiMember {
+  name: string;
+  /** Declared type as written in the .d.ts */
+  type: string;
+  optional: boolean;
+  /** Function-typed members — documented with their signature */
+  method: boolean;
+  /** Declaration without comments, e.g. "scrollToIndex: (index: number) => void" */
+  signature: string;
+  description: string;
+  /** From @default / @defaultValue */
+  defaultValue: string | null;
+  params: ApiParam[];
+  returns: string | null;
+  deprecated: string | null;
+}
+
+export interface ApiEntry {
+  name: string;
+  kind: "function" | "feature" | "interface" | "type";
+  description: string;
+  /** Declarations without comments — one per overload */
+  signatures: string[];
+  params: ApiParam[];
+  /** Return type, and the @returns description */
+  returns: { type: string; description: string } | null;
+  /** Properties of an interface, or the options a feature takes */
+  members: ApiMember[];
+  /** Name of the exported type a feature's options are declared as */
+  optionsType: string | null;
+  examples: string[];
+  deprecated: string | null;
+}
+
+export interface ApiModel {
+  functions: ApiEntry[];
+  features: ApiEntry[];
+  types: ApiEntry[];
+  /** Properties of the root config passed to vlist() */
+  options: ApiMember[];
+  /** Properties and methods of the built list */
+  instance: ApiMember[];
+  events: ApiMember[];
+}
+
+export interface ApiDocsProblem {
+  kind: "missing" | "stale" | "undocumented";
+  message: string;
+}
+
+/** Declarations the reference is organized around */
+export const INSTANCE_TYPE = "VList";
+export const OPTIONS_TYPE = "BuilderConfig";
+export const EVENTS_TYPE = "VListEvents";
+
+/** `with*` exports are features — `.use(withGrid(...))` */
+const FEATURE_REGEX = /^with[A-Z]/;
+
+// =============================================================================
+// Extraction
+// =============================================================================
+
+/**
+ * The package's declaration entry — `types`, `typings` or `exports["."].types`
+ * in its package.json, else dist/index.d.ts.
+ */
+export function resolveTypesEntry(packageRoot: string): string {
+  const pkg = JSON.parse(
+    readFileSync(join(packageRoot, "package.json"), "utf-8"),
+  );
+  const root = pkg.exports?.["."];
+  const relative: string =
+    pkg.types ??
+    pkg.typings ??
+    root?.types ??
+    root?.import?.types ??
+    "dist/index.d.ts";
+
+  const entry = join(packageRoot, relative);
+  if (!existsSync(entry)) {
+    throw new Error(`Type declarations not found: ${entry}`);
+  }
+  return entry;
+}
+
+const COMPILER_OPTIONS: ts.CompilerOptions = {
+  noEmit: true,
+  skipLibCheck: true,
+  target: ts.ScriptTarget.ESNext,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  lib: ["lib.esnext.d.ts", "lib.dom.d.ts"],
+  types: [],
+};
+
+/** A callable export — the declaration and the signature it carries */
+interface CallableExport {
+  decl: ts.FunctionDeclaration | ts.VariableDeclaration;
+  fn: ts.FunctionDeclaration | ts.FunctionTypeNode;
+}
+
+/** Strip `export declare` and re-indent the printer's 4 spaces to 2 */
+function cleanDeclaration(text: string): string {
+  return text
+    .replace(/^export\s+(?:default\s+)?/, "")
+    .replace(/^declare\s+/, "")
+    .replace(/;$/, "")
+    .replace(/^((?: {4})+)/gm, (indent) => " ".repeat(indent.length / 2));
+}
+
+/** Read the declarations reachable from `entry` into an ApiModel */
+export function extractApi(entry: string): ApiModel {
+  const program = ts.createProgram([entry], COMPILER_OPTIONS);
+  const checker = program.getTypeChecker();
+  const printer = ts.createPrinter({ removeComments: true });
+
+  const source = program.getSourceFile(entry);
+  const moduleSymbol = source && checker.getSymbolAtLocation(source);
+  if (!source || !moduleSymbol) {
+    throw new Error(`${entry} is not a module`);
+  }
+
+  const print = (node: ts.Node): string =>
+    cleanDeclaration(
+      printer.printNode(ts.EmitHint.Unspecified, node, node.getSourceFile()),
+    );
+
+  const text = (parts: ts.SymbolDisplayPart[] | undefined): string =>
+    ts.displayPartsToString(parts).trim();
+
+  const docsOf = (symbol: ts.Symbol) => {
+    const tags = symbol.getJsDocTags(checker);
+    const tag = (...names: string[]) => {
+      const found = tags.find((t) => names.includes(t.name));
+      return found ? text(found.text) : null;
+    };
+
+    // @param text is [parameterName, space, description]
+    const params = new Map<string, string>();
+    for (const t of tags) {
+      if (t.name !== "param" || !t.text) continue;
+      const name = t.text.find((part) => part.kind === "parameterName")?.text;
+      const rest = t.text.filter((part) => part.kind !== "parameterName");
+      if (name) params.set(name, text(rest).replace(/^-\s*/, ""));
+    }
+
+    return {
+      description: text(symbol.getDocumentationComment(checker)),
+      params,
+      returns: tag("returns", "return"),
+      defaultValue: tag("default", "defaultValue"),
+      deprecated: tag("deprecated"),
+      examples: tags
+        .filter((t) => t.name === "example")
+        .map((t) => text(t.text)),
+    };
+  };
+
+  const paramsOf = (
+    parameters: ts.NodeArray<ts.ParameterDeclaration>,
+    docs: Map<string, string>,
+  ): ApiParam[] =>
+    parameters.map((param) => {
+      const name = param.name.getText();
+      return {
+        name: param.dotDotDotToken ? `...${name}` : name,
+        type: param.type ? param.type.getText() : "unknown",
+        optional: !!param.questionToken || !!param.initializer,
+        description: docs.get(name) ?? "",
+      };
+    });
+
+  /** Members declared in the package — not the DOM types it extends */
+  const membersOf = (type: ts.Type): ApiMember[] =>
+    checker.getPropertiesOfType(type).flatMap((prop) => {
+      const decl = prop.valueDeclaration ?? prop.declarations?.[0];
+      if (!decl || program.isSourceFileDefaultLibrary(decl.getSourceFile())) {
+        return [];
+      }
+
+      const docs = docsOf(prop);
+      const typeNode =
+        ts.isPropertySignature(decl) || ts.isPropertyDeclaration(decl)
+          ? decl.type
+          : undefined;
+      const fn =
+        ts.isMethodSignature(decl) || ts.isMethodDeclaration(decl)
+          ? decl
+          : typeNode && ts.isFunctionTypeNode(typeNode)
+            ? typeNode
+            : null;
+
+      return [
+        {
+          name: prop.name,
+          type: typeNode
+            ? typeNode.getText()
+            : checker.typeToString(checker.getTypeOfSymbol(prop)),
+          optional: (prop.flags & ts.SymbolFlags.Optional) !== 0,
+          method: fn !== null,
+          signature: print(decl),
+          description: docs.description,
+          defaultValue: docs.defaultValue,
+          params: fn ? paramsOf(fn.parameters, docs.params) : [],
+          returns: fn?.type ? fn.type.getText() : null,
+          deprecated: docs.deprecated,
+        },
+      ];
+    });
+
+  const model: ApiModel = {
+    functions: [],
+    features: [],
+    types: [],
+    options: [],
+    instance: [],
+    events: [],
+  };
+
+  for (const exported of checker.getExportsOfModule(moduleSymbol)) {
+    const symbol =
+      exported.flags & ts.SymbolFlags.Alias
+        ? checker.getAliasedSymbol(exported)
+        : exported;
+    const name = exported.name;
+    const declarations = symbol.declarations ?? [];
+    const docs = docsOf(symbol);
+    const entry = {
+      name,
+      description: docs.description,
+      params: [] as ApiParam[],
+      returns: null as ApiEntry["returns"],
+      members: [] as ApiMember[],
+      optionsType: null as string | null,
+      examples: docs.examples,
+      deprecated: docs.deprecated,
+    };
+
+    // Functions — declared, or consts of a function type
+    const functions = declarations.flatMap((decl): CallableExport[] => {
+      if (ts.isFunctionDeclaration(decl)) return [{ decl, fn: decl }];
+      if (
+        ts.isVariableDeclaration(decl) &&
+        decl.type &&
+        ts.isFunctionTypeNode(decl.type)
+      ) {
+        return [{ decl, fn: decl.type }];
+      }
+      return [];
+    });
+    if (functions.length > 0) {
+      const { fn } = functions[0];
+      const feature = FEATURE_REGEX.test(name);
+      entry.params = paramsOf(fn.parameters, docs.params);
+      entry.returns = fn.type
+        ? { type: fn.type.getText(), description: docs.returns ?? "" }
+        : null;
+
+      // A feature's options are its first parameter
+      const options = fn.parameters[0]?.type;
+      if (feature && options) {
+        entry.members = membersOf(checker.getTypeFromTypeNode(options));
+        if (ts.isTypeReferenceNode(options)) {
+          entry.optionsType = options.typeName.getText();
+        }
+      }
+
+      const list = feature ? model.features : model.functions;
+      list.push({
+        ...entry,
+        kind: feature ? "feature" : "function",
+        signatures: functions.map(({ decl }) =>
+          ts.isVariableDeclaration(decl) ? `const ${print(decl)}` : print(decl),
+        ),
+      });
+      continue;
+    }
+
+    const declaration = declarations.find(
+      (decl) =>
+        ts.isInterfaceDeclaration(decl) || ts.isTypeAliasDeclaration(decl),
+    );
+    if (!declaration) continue;
+
+    const declared = checker.getDeclaredTypeOfSymbol(symbol);
+    const isInterface = ts.isInterfaceDeclaration(declaration);
+    // Object-literal aliases get a property table too; unions don't
+    const hasMembers =
+      isInterface ||
+      (ts.isTypeAliasDeclaration(declaration) &&
+        ts.isTypeLiteralNode(declaration.type));
+    const members = hasMembers ? membersOf(declared) : [];
+
+    model.types.push({
+      ...entry,
+      kind: isInterface ? "interface" : "type",
+      members,
+      signatures: declarations
+        .filter(
+          (decl) =>
+            ts.isInterfaceDeclaration(decl) || ts.isTypeAliasDeclaration(decl),
+        )
+        .map(print),
+    });
+
+    if (name === OPTIONS_TYPE) model.options = members;
+    if (name === INSTANCE_TYPE) model.instance = members;
+    if (name === EVENTS_TYPE) model.events = members;
+  }
+
+  return model;
+}
+
+// =============================================================================
+// Markdown
+// =============================================================================
+
+/** The slug the content renderer gives a heading */
+function anchor(heading: string): string {
+  return heading
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-")
+    .trim();
+}
+
+/** Escape for a table cell — one line, literal pipes */
+function cell(text: string): string {
+  return text.replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|");
+}
+
+function row(cells: string[]): string {
+  return `| ${cells.join(" | ")} |`.replace(/ {2}\|/g, " |");
+}
+
+/**
+ * A type as inline code, with every exported name linked to its definition:
+ * "ItemConfig<T> | null" → [`ItemConfig`](./types.md#itemconfig)`<T> | null`
+ */
+function typeRef(
+  type: string,
+  links: Map<string, string>,
+  inTable: boolean = false,
+): string {
+  const parts: string[] = [];
+  let code = "";
+  const flush = () => {
+    if (code.trim()) {
+      parts.push(`\`${inTable ? code.replace(/\|/g, "\\|") : code}\``);
+    }
+    code = "";
+  };
+
+  for (const token of type.replace(/\s+/g, " ").split(/([A-Za-z_$][\w$]*)/)) {
+    const href = links.get(token);
+    if (href) {
+      flush();
+      parts.push(`[\`${token}\`](${href})`);
+    } else {
+      code += token;
+    }
+  }
+  flush();
+  return parts.join("");
+}
+
+/** {@link Name} / {@link Name text} → markdown links to the definition */
+function linkify(text: string, links: Map<string, string>): string {
+  return text.replace(
+    /\{@link(?:code|plain)?\s+([^\s|}]+)(?:[\s|]+([^}]*))?\}/g,
+    (_, target: string, label?: string) => {
+      const href = links.get(target.replace(/\(\)$/, ""));
+      const shown = label?.trim() || `\`${target}\``;
+      return href ? `[${shown}](${href})` : shown;
+    },
+  );
+}
+
+function codeBlock(code: string): string {
+  return ["```typescript", code, "```"].join("\n");
+}
+
+/** @example text, fenced unless it already is */
+function example(text: string): string {
+  return text.startsWith("```") ? text : codeBlock(text);
+}
+
+export interface RenderOptions {
+  /** Doc slugs that exist, e.g. "features/grid" — features link to their guide */
+  pages?: string[];
+}
+
+/** Link targets for every exported name, relative to docs/api/ */
+function linkTargets(model: ApiModel): Map<string, string> {
+  const links = new Map<string, string>();
+  for (const entry of [...model.functions, ...model.features]) {
+    links.set(entry.name, `./reference.md#${anchor(entry.name)}`);
+  }
+  for (const entry of model.types) {
+    links.set(entry.name, `./types.md#${anchor(entry.name)}`);
+  }
+  return links;
+}
+
+export const API_PAGES = {
+  reference: "api/reference.md",
+  types: "api/types.md",
+  events: "api/events.md",
+} as const;
+
+export type ApiPageId = keyof typeof API_PAGES;
+
+/**
+ * The generated section of each API page, by id. Deterministic — the same
+ * declarations always render the same markdown, which is what the staleness
+ * check compares.
+ */
+export function renderApiPages(
+  model: ApiModel,
+  options: RenderOptions = {},
+): Record<ApiPageId, string> {
+  const links = linkTargets(model);
+  const pages = new Set(options.pages ?? []);
+  const prose = (value: string) => linkify(value, links);
+
+  const paramTable = (params: ApiParam[]): string[] =>
+    params.length === 0
+      ? []
+      : [
+          "| Parameter | Type | Description |",
+          "|-----------|------|-------------|",
+          ...params.map((p) =>
+            row([
+              `\`${p.name}${p.optional ? "?" : ""}\``,
+              typeRef(p.type, links, true),
+              cell(prose(p.description)),
+            ]),
+          ),
+          "",
+        ];
+
+  const memberTable = (label: string, members: ApiMember[]): string[] =>
+    members.length === 0
+      ? []
+      : [
+          `| ${label} | Type | Default | Description |`,
+          `|${"-".repeat(label.length + 2)}|------|---------|-------------|`,
+          ...members.map((m) =>
+            row([
+              `\`${m.name}${m.optional ? "?" : ""}\``,
+              typeRef(m.type, links, true),
+              m.defaultValue ? `\`${cell(m.defaultValue)}\`` : "—",
+              cell(prose(m.description)),
+            ]),
+          ),
+          "",
+        ];
+
+  const deprecation = (deprecated: string | null): string[] =>
+    deprecated === null
+      ? []
+      : [`> **Deprecated.** ${prose(deprecated)}`.trim(), ""];
+
+  const description = (value: string): string[] =>
+    value ? [prose(value), ""] : [];
+
+  const functionSection = (entry: ApiEntry): string[] => {
+    const guide = `features/${entry.name.slice(4).toLowerCase()}`;
+    // A feature's only parameter is its options — tabled below instead
+    const params =
+      entry.members.length > 0 && entry.params.length === 1 ? [] : entry.params;
+    return [
+      `### ${entry.name}`,
+      "",
+      ...deprecation(entry.deprecated),
+      ...description(entry.description),
+      ...(entry.kind === "feature" && pages.has(guide)
+        ? [`Guide: [${entry.name}](../${guide}.md)`, ""]
+        : []),
+      codeBlock(entry.signatures.join("\n")),
+      "",
+      ...paramTable(params),
+      ...(entry.returns
+        ? [
+            `**Returns** ${typeRef(entry.returns.type, links)}${entry.returns.description ? ` — ${prose(entry.returns.description)}` : ""}`,
+            "",
+          ]
+        : []),
+      ...(entry.members.length > 0
+        ? [
+            entry.optionsType && links.has(entry.optionsType)
+              ? `**Options** — ${typeRef(entry.optionsType, links)}`
+              : "**Options**",
+            "",
+            ...memberTable("Option", entry.members),
+          ]
+        : []),
+      ...entry.examples.flatMap((text) => [example(text), ""]),
+    ];
+  };
+
+  const methodSection = (member: ApiMember): string[] => [
+    `### ${member.name}`,
+    "",
+    ...deprecation(member.deprecated),
+    ...description(member.description),
+    ...(member.optional ? ["*Added by a feature.*", ""] : []),
+    codeBlock(member.signature),
+    "",
+    ...paramTable(member.params),
+    ...(member.returns && member.returns !== "void"
+      ? [`**Returns** ${typeRef(member.returns, links)}`, ""]
+      : []),
+  ];
+
+  const h2 = (title: string, body: string[]): string[] =>
+    body.length === 0 ? [] : [`## ${title}`, "", ...body, "---", ""];
+
+  // ── reference.md ──
+  const properties = model.instance.filter((m) => !m.method);
+  const methods = model.instance.filter((m) => m.method);
+  const reference = [
+    ...h2("Functions", model.functions.flatMap(functionSection)),
+    ...h2("Features", [
+      ...(model.features.length > 0
+        ? [
+            "Passed to `.use()` on the builder before `.build()`. Each adds its options, methods and events to the list.",
+            "",
+          ]
+        : []),
+      ...model.features.flatMap(functionSection),
+    ]),
+    ...h2(
+      "Options",
+      model.options.length > 0
+        ? [
+            `Properties of ${typeRef(OPTIONS_TYPE, links)}, the object passed to \`vlist()\`.`,
+            "",
+            ...memberTable("Option", model.options),
+          ]
+        : [],
+    ),
+    ...h2(
+      "Properties",
+      properties.length > 0
+        ? [
+            `Read from the ${typeRef(INSTANCE_TYPE, links)} returned by \`.build()\`.`,
+            "",
+            ...memberTable("Property", properties),
+          ]
+        : [],
+    ),
+    ...h2("Methods", methods.flatMap(methodSection)),
+  ];
+
+  // ── types.md ──
+  const typeSection = (entry: ApiEntry): string[] => [
+    `### ${entry.name}`,
+    "",
+    ...deprecation(entry.deprecated),
+    ...description(entry.description),
+    codeBlock(entry.signatures.join("\n\n")),
+    "",
+    ...memberTable("Property", entry.members),
+    ...entry.examples.flatMap((text) => [example(text), ""]),
+  ];
+  const types = [
+    ...h2(
+      "Interfaces",
+      model.types.filter((t) => t.kind === "interface").flatMap(typeSection),
+    ),
+    ...h2(
+      "Type Aliases",
+      model.types.filter((t) => t.kind === "type").flatMap(typeSection),
+    ),
+  ];
+
+  // ── events.md ──
+  const events = [
+    ...h2(
+      "Summary",
+      model.events.length > 0
+        ? [
+            "| Event | Payload | Description |",
+            "|-------|---------|-------------|",
+            ...model.events.map((e) =>
+              row([
+                `[\`${e.name}\`](#${anchor(e.name)})`,
+                typeRef(e.type, links, true),
+                cell(prose(e.description.split("\n")[0])),
+              ]),
+            ),
+            "",
+          ]
+        : [],
+    ),
+    ...h2(
+      "Reference",
+      model.events.flatMap((e) => [
+        `### ${e.name}`,
+        "",
+        ...deprecation(e.deprecated),
+        ...description(e.description),
+        `**Payload** ${typeRef(e.type, links)}`,
+        "",
+        codeBlock(
+          `list.on("${e.name}", (${e.type === "undefined" ? "" : "payload"}) => {})`,
+        ),
+        "",
+      ]),
+    ),
+  ];
+
+  const finish = (lines: string[]) =>
+    lines
+      .join("\n")
+      .replace(/\n---\n*$/, "")
+      .trim();
+
+  return {
+    reference: finish(reference),
+    types: finish(types),
+    events: finish(events),
+  };
+}
+
+// =============================================================================
+// Pages
+// =============================================================================
+
+const startMarker = (id: ApiPageId) =>
+  `<!-- api-docs:${id} start — generated from @floor/vlist's types by \`bun run docs:api\`, do not edit -->`;
+const endMarker = (id: ApiPageId) => `<!-- api-docs:${id} end -->`;
+
+/** The generated section of a page, or null without markers */
+function findSection(
+  page: string,
+  id: ApiPageId,
+): { start: number; end: number; body: string } | null {
+  const match = page.match(
+    new RegExp(
+      `<!-- api-docs:${id} start[^>]*-->\\n([\\s\\S]*?)\\n?<!-- api-docs:${id} end -->`,
+    ),
+  );
+  if (!match || match.index === undefined) return null;
+  return {
+    start: match.index,
+    end: match.index + match[0].length,
+    body: match[1].trim(),
+  };
+}
+
+function section(id: ApiPageId, body: string): string {
+  return [startMarker(id), "", body, "", endMarker(id)].join("\n");
+}
+
+/**
+ * Write the generated sections into the pages under `docsDir`, replacing
+ * the previous ones. Pages without markers get the section appended.
+ * Returns the pages that changed.
+ */
+export function writeApiDocs(
+  docsDir: string,
+  sections: Record<ApiPageId, string>,
+): string[] {
+  const changed: string[] = [];
+  for (const id of Object.keys(API_PAGES) as ApiPageId[]) {
+    const path = join(docsDir, API_PAGES[id]);
+    const page = existsSync(path) ? readFileSync(path, "utf-8") : "";
+    const found = findSection(page, id);
+
+    const next = found
+      ? page.slice(0, found.start) +
+        section(id, sections[id]) +
+        page.slice(found.end)
+      : `${page.trimEnd()}${page ? "\n\n" : ""}${section(id, sections[id])}\n`;
+
+    if (next !== page) {
+      if (!existsSync(dirname(path))) {
+        throw new Error(`${dirname(path)} does not exist`);
+      }
+      writeFileSync(path, next);
+      changed.push(API_PAGES[id]);
+    }
+  }
+  return changed;
+}
+
+/** Pages whose generated section is absent or differs from `sections` */
+export function checkApiDocs(
+  docsDir: string,
+  sections: Record<ApiPageId, string>,
+): ApiDocsProblem[] {
+  const problems: ApiDocsProblem[] = [];
+  for (const id of Object.keys(API_PAGES) as ApiPageId[]) {
+    const path = join(docsDir, API_PAGES[id]);
+    const found = existsSync(path)
+      ? findSection(readFileSync(path, "utf-8"), id)
+      : null;
+    if (!found) {
+      problems.push({
+        kind: "missing",
+        message: `${API_PAGES[id]} has no generated API section`,
+      });
+    } else if (found.body !== sections[id]) {
+      problems.push({
+        kind: "stale",
+        message: `${API_PAGES[id]} is out of date with @floor/vlist's types`,
+      });
+    }
+  }
+  return problems;
+}
+
+/** Exports, options, members and events without a JSDoc description */
+export function findUndocumented(model: ApiModel): ApiDocsProblem[] {
+  const undocumented = (what: string, name: string): ApiDocsProblem => ({
+    kind: "undocumented",
+    message: `${what} ${name} has no description`,
+  });
+
+  return [
+    ...model.functions
+      .filter((e) => !e.description)
+      .map((e) => undocumented("function", e.name)),
+    ...model.features
+      .filter((e) => !e.description)
+      .map((e) => undocumented("feature", e.name)),
+    ...model.types
+      .filter((e) => !e.description)
+      .map((e) => undocumented("type", e.name)),
+    ...model.options
+      .filter((m) => !m.description)
+      .map((m) => undocumented("option", `${OPTIONS_TYPE}.${m.name}`)),
+    ...model.instance
+      .filter((m) => !m.description)
+      .map((m) => undocumented("member", `${INSTANCE_TYPE}.${m.name}`)),
+    ...model.events
+      .filter((m) => !m.description)
+      .map((m) => undocumented("event", m.name)),
+  ];
+}
@@ -17,6 +17,7 @@
 // "no-cache, no-store" so the browser always fetches fresh from the origin.
 
 import { IS_PROD } from "./config";
+import { hashETag } from "./etag";
 
 // =============================================================================
 // Development override
@@ -94,12 +95,14 @@ export const CACHE_NOCACHE = "no-cache";
 
 /**
  * Build a standard header object for server-rendered HTML pages.
- * Shorthand used by all renderers to avoid repeating the same two headers.
+ * Shorthand used by all renderers to avoid repeating the same headers.
+ * Pass the page body to add an ETag, so browsers revalidating get a 304.
  */
-export function htmlHeaders(): HeadersInit {
+export function htmlHeaders(html?: string): HeadersInit {
   return {
     "Content-Type": "text/html; charset=utf-8",
     "Cache-Control": CACHE_PAGE,
+    ...(html !== undefined && { ETag: hashETag(html) }),
   };
 }
 
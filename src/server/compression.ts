@@ -77,6 +77,8 @@ function evictOldest(): void {
 // =============================================================================
 
 function shouldCompress(contentType: string): boolean {
+  // Event streams never end — buffering them for compression would hang
+  if (contentType.includes("text/event-stream")) return false;
   return (
     contentType.includes("text/") ||
     contentType.includes("application/javascript") ||
@@ -229,6 +231,11 @@ export function compressResponse(
 
   // Non-compressible content (images, fonts, etc.) — return as-is
   if (!shouldCompress(contentType)) return response;
+  // Streamed downloads (API exports) — buffering them to gzip would hold
+  // the whole file in memory
+  if (response.headers.get("Content-Disposition")?.startsWith("attachment")) {
+    return response;
+  }
   if (!acceptEncoding || response.headers.get("Content-Encoding")) {
     return response;
   }
@@ -32,6 +32,15 @@ export interface NavItem {
   key?: string; // Identifier for matching active section
 }
 
+/**
+ * Entry in the header version switcher (versioned docs only)
+ */
+export interface VersionLink {
+  label: string;
+  href: string;
+  current: boolean;
+}
+
 /**
  * Template data interface for type safety across all renderers
  */
@@ -56,6 +65,7 @@ export interface TemplateData {
   OG_TYPE: string;
   OG_SITE_NAME: string | null;
   TWITTER_CARD: string;
+  CANONICAL_URL?: string; // Defaults to URL — versioned docs point at latest
 
   // Feature flags
   SEO_ENHANCED: boolean;
@@ -72,6 +82,7 @@ export interface TemplateData {
 
   // Navigation
   NAV_ITEMS: NavItem[];
+  VERSIONS?: VersionLink[]; // Header version switcher, shown with 2+ entries
 }
 
 // =============================================================================
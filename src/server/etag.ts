@@ -0,0 +1,103 @@
+// src/server/etag.ts
+// Conditional requests — ETag / Last-Modified validators and 304 responses.
+//
+// Validators come from three places:
+//   - Rendered pages and API JSON → hash of the body (hashETag)
+//   - Static files                → size + mtime (fileETag, Last-Modified)
+//   - SQLite-backed API routes    → the dataset's revision counter, checked
+//                                   before the query runs (versionETag)
+//
+// All ETags are weak: the same content may be sent gzip-compressed or not,
+// and weak validators stay valid across content codings.
+//
+// handleRequest() calls conditional() on every response, so a client that
+// sends If-None-Match / If-Modified-Since with a current validator gets an
+// empty 304 instead of the body.
+
+// =============================================================================
+// Validators
+// =============================================================================
+
+/** Weak ETag from the response body */
+export const hashETag = (body: string | Uint8Array): string =>
+  `W/"${Bun.hash(body).toString(36)}"`;
+
+/** Weak ETag from file metadata — no need to read the file */
+export const fileETag = (size: number, mtimeMs: number): string =>
+  `W/"${size.toString(36)}-${Math.floor(mtimeMs).toString(36)}"`;
+
+/**
+ * Weak ETag from a dataset revision and when it was made — both live in the
+ * database, so every server process agrees on it and restarts keep it. The
+ * timestamp tells a reseeded database's counter from the old one's.
+ */
+export const versionETag = (
+  name: string,
+  revision: number,
+  modifiedAt: number,
+): string => `W/"${name}-${modifiedAt.toString(36)}-${revision.toString(36)}"`;
+
+/** HTTP-date for a Last-Modified header */
+export const httpDate = (ms: number): string => new Date(ms).toUTCString();
+
+// =============================================================================
+// Evaluation
+// =============================================================================
+
+/** Strip the weak prefix — If-None-Match always uses weak comparison */
+const opaque = (tag: string): string => tag.trim().replace(/^W\//, "");
+
+/**
+ * Whether a GET/HEAD request's validators still match the given ETag and
+ * Last-Modified. If-None-Match wins when both are sent (RFC 9110 §13.2.2).
+ */
+export function isNotModified(
+  req: Request,
+  etag: string | null,
+  lastModified: string | null = null,
+): boolean {
+  if (req.method !== "GET" && req.method !== "HEAD") return false;
+
+  const ifNoneMatch = req.headers.get("If-None-Match");
+  if (ifNoneMatch !== null) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === "*") return true;
+    const current = opaque(etag);
+    return ifNoneMatch.split(",").some((tag) => opaque(tag) === current);
+  }
+
+  const ifModifiedSince = req.headers.get("If-Modified-Since");
+  if (ifModifiedSince !== null && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Date.parse(lastModified);
+    return !isNaN(since) && !isNaN(modified) && modified <= since;
+  }
+
+  return false;
+}
+
+/** Headers a 304 must not carry — it has no body */
+const BODY_HEADERS = ["Content-Type", "Content-Length", "Content-Encoding"];
+
+/** Empty 304 carrying the response's validators and caching headers */
+export function notModified(headers: HeadersInit): Response {
+  const copy = new Headers(headers);
+  for (const name of BODY_HEADERS) copy.delete(name);
+  return new Response(null, { status: 304, headers: copy });
+}
+
+/**
+ * Turn a 200 into a 304 when the request's validators match it.
+ * Responses without an ETag or Last-Modified pass through unchanged.
+ */
+export function conditional(req: Request, response: Response): Response {
+  if (response.status !== 200) return response;
+
+  const etag = response.headers.get("ETag");
+  const lastModified = response.headers.get("Last-Modified");
+  if (!etag && !lastModified) return response;
+
+  return isNotModified(req, etag, lastModified)
+    ? notModified(response.headers)
+    : response;
+}
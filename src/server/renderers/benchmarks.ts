@@ -13,6 +13,7 @@ import {
   type BaseNavGroup,
 } from "./base";
 import { htmlHeaders } from "../cache";
+import { getRun, type RunDetail } from "../../api/benchmarks";
 
 // =============================================================================
 // Types
@@ -212,6 +213,183 @@ function buildOverviewContent(): string {
   return lines.join("\n");
 }
 
+// =============================================================================
+// Run Pages
+// =============================================================================
+
+function escapeHtml(str: string): string {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Escape submitted text for the shell's TITLE and DESCRIPTION, which land
+ * unescaped in meta tags — and in JSON-LD strings with SEO_ENHANCED, where
+ * a backslash or a control character would break the JSON.
+ */
+function escapeMeta(str: string): string {
+  return escapeHtml(str)
+    .replace(/\\/g, "&#92;")
+    .replace(/[\u0000-\u001f\u2028\u2029]/g, " ");
+}
+
+const formatNumber = (value: number): string =>
+  value.toLocaleString("en-US", { maximumFractionDigits: 2 });
+
+/** "Better than" share of the cohort, or an em dash for neutral metrics */
+function betterThan(metric: RunDetail["metrics"][number]): string {
+  if (!metric.cohort || metric.better === "none") return "—";
+  const share =
+    metric.better === "lower"
+      ? 100 - metric.cohort.percentile
+      : metric.cohort.percentile;
+  return `${Math.round(share)}%`;
+}
+
+function buildRunContent(run: RunDetail, suiteName: string): string {
+  const env = run.environment;
+  const lines: string[] = [];
+  const row = (label: string, value: string | number | null) =>
+    `          <tr><td>${label}</td><td>${value === null ? "—" : escapeHtml(String(value))}</td></tr>`;
+
+  lines.push(`<div class="bench-page bench-run">`);
+  lines.push(`  <header class="bench-header">`);
+  lines.push(
+    `    <h1 class="bench-header__title">${escapeHtml(suiteName)} <span class="bench-run__id">#${run.id}</span></h1>`,
+  );
+  lines.push(
+    `    <p class="bench-header__desc">vlist ${escapeHtml(run.version)} · ${formatNumber(run.itemCount)} items · ${escapeHtml(env.browser)} on ${escapeHtml(env.os)} (${env.device}) · <time datetime="${escapeHtml(run.createdAt.replace(" ", "T"))}Z">${escapeHtml(run.createdAt)} UTC</time></p>`,
+  );
+  lines.push(`    <div class="bench-run__tags">`);
+  if (run.stressMs > 0) {
+    lines.push(`      <span class="bench-tag">stress ${run.stressMs}ms</span>`);
+  }
+  if (run.scrollSpeed > 0) {
+    lines.push(
+      `      <span class="bench-tag">${formatNumber(run.scrollSpeed)} px/s</span>`,
+    );
+  }
+  if (!run.success) {
+    lines.push(`      <span class="bench-tag bench-run__flag">failed</span>`);
+  }
+  for (const flag of run.quality.flags) {
+    lines.push(`      <span class="bench-tag bench-run__flag">${flag}</span>`);
+  }
+  lines.push(`    </div>`);
+  lines.push(`  </header>`);
+
+  if (run.error) {
+    lines.push(
+      `  <div class="bench-suite__error">${escapeHtml(run.error)}</div>`,
+    );
+  }
+
+  lines.push(`  <div class="ui-card ui-card--xl bench-bundle">`);
+  lines.push(`    <h2 class="bench-bundle__title">Metrics</h2>`);
+  lines.push(
+    `    <p class="bench-bundle__desc">Compared with ${run.cohort.runs} ${run.cohort.runs === 1 ? "run" : "runs"} of the same version and settings from ${escapeHtml(env.browser)} on ${escapeHtml(env.os)} (${env.device}), low-quality runs and outliers left out.</p>`,
+  );
+  lines.push(`    <table class="bench-bundle__table">`);
+  lines.push(
+    `      <thead><tr><th>Metric</th><th>Value</th><th>Cohort median</th><th>p5 – p95</th><th>Better than</th></tr></thead>`,
+  );
+  lines.push(`      <tbody>`);
+  for (const metric of run.metrics) {
+    const rating = metric.rating ? ` bench-run__value--${metric.rating}` : "";
+    const cohort = metric.cohort;
+    lines.push(`        <tr>`);
+    lines.push(`          <td>${escapeHtml(metric.label)}</td>`);
+    lines.push(
+      `          <td class="bench-run__value${rating}">${formatNumber(metric.value)} ${escapeHtml(metric.unit)}</td>`,
+    );
+    lines.push(
+      `          <td>${cohort ? formatNumber(cohort.median) : "—"}</td>`,
+    );
+    lines.push(
+      `          <td>${cohort ? `${formatNumber(cohort.p5)} – ${formatNumber(cohort.p95)}` : "—"}</td>`,
+    );
+    lines.push(`          <td>${betterThan(metric)}</td>`);
+    lines.push(`        </tr>`);
+  }
+  lines.push(`      </tbody>`);
+  lines.push(`    </table>`);
+  lines.push(`  </div>`);
+
+  lines.push(`  <div class="ui-card ui-card--xl bench-bundle">`);
+  lines.push(`    <h2 class="bench-bundle__title">Environment</h2>`);
+  lines.push(`    <table class="bench-bundle__table bench-run__env">`);
+  lines.push(`      <tbody>`);
+  lines.push(row("Browser", env.browser));
+  lines.push(row("OS", env.os));
+  lines.push(row("Device", env.device));
+  lines.push(row("CPU cores", env.hardwareConcurrency));
+  lines.push(
+    row("Memory", env.deviceMemory === null ? null : `${env.deviceMemory} GB`),
+  );
+  lines.push(
+    row(
+      "Screen",
+      env.screenWidth === null || env.screenHeight === null
+        ? null
+        : `${env.screenWidth} × ${env.screenHeight}`,
+    ),
+  );
+  lines.push(row("Quality score", run.quality.score));
+  lines.push(row("User agent", env.userAgent));
+  lines.push(`      </tbody>`);
+  lines.push(`    </table>`);
+  lines.push(`  </div>`);
+
+  lines.push(
+    `  <p class="bench-run__links"><a href="/api/benchmarks/runs/${run.id}?type=${run.table}">JSON</a> · <a href="/benchmarks/history">History</a></p>`,
+  );
+  lines.push(`</div>`);
+  return lines.join("\n");
+}
+
+/**
+ * /benchmarks/runs/:id?type=comparison|suite — a stored run. Rendered from
+ * the database on every request (the cohort keeps growing), never cached.
+ */
+function renderRunPage(id: number, url?: URL): Response | null {
+  const type =
+    url?.searchParams.get("type") === "suite" ? "suite" : "comparison";
+
+  let run: RunDetail | null;
+  try {
+    run = getRun(type, id);
+  } catch (err) {
+    console.error("[benchmarks] run page:", (err as Error).message);
+    return null;
+  }
+  if (!run) return null;
+
+  const suite = getAllItems().get(run.suiteId);
+  const suiteName = suite?.name ?? run.suiteId;
+  // Version, suite ID and browser are whatever the client submitted
+  const item: BenchItem = {
+    slug: `runs/${id}`,
+    name: escapeMeta(suiteName),
+    icon: suite?.icon ?? "",
+    desc: escapeMeta(
+      `run #${id} on ${run.environment.browser} (${run.environment.os}), vlist ${run.version}`,
+    ),
+  };
+
+  const html = assemblePage(
+    item.slug,
+    item,
+    buildRunContent(run, suiteName),
+    "run",
+    undefined,
+    `?type=${type}`,
+  );
+  return new Response(html, { headers: htmlHeaders(html) });
+}
+
 // =============================================================================
 // Page Assembly
 // =============================================================================
@@ -234,9 +412,9 @@ function assemblePage(
 
   const sidebar = buildSidebar(slug, variant);
 
-  // Only load the benchmark script on interactive pages (not overview)
+  // Only load the benchmark script on interactive pages (not overview or runs)
   const extraBody =
-    page !== "overview"
+    page !== "overview" && page !== "run"
       ? `<script type="module" src="/dist/benchmarks/script.js"></script>`
       : "";
 
@@ -295,6 +473,10 @@ export function renderBenchmarkPage(
   slug: string | null,
   url?: URL,
 ): Response | null {
+  // Run permalinks — straight from the database, see renderRunPage()
+  const runMatch = slug?.match(/^runs\/(\d+)$/);
+  if (runMatch) return renderRunPage(parseInt(runMatch[1], 10), url);
+
   // Parse variant early so we can build the cache key
   const variant =
     slug !== null && url ? parseVariant(url.searchParams) : "vanilla";
@@ -306,7 +488,7 @@ export function renderBenchmarkPage(
     const cached = pageCache.get(cacheKey);
     if (cached !== undefined) {
       return new Response(cached, {
-        headers: htmlHeaders(),
+        headers: htmlHeaders(cached),
       });
     }
   }
@@ -317,7 +499,7 @@ export function renderBenchmarkPage(
     const html = assemblePage(null, null, content, "overview");
     pageCache.set(cacheKey, html);
     return new Response(html, {
-      headers: htmlHeaders(),
+      headers: htmlHeaders(html),
     });
   }
 
@@ -350,6 +532,6 @@ export function renderBenchmarkPage(
 
   pageCache.set(cacheKey, html);
   return new Response(html, {
-    headers: htmlHeaders(),
+    headers: htmlHeaders(html),
   });
 }
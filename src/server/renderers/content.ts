@@ -4,13 +4,16 @@
 // Assembles shell template + sidebar + parsed markdown into full HTML pages.
 
 import { readFileSync, existsSync } from "fs";
+import { execFileSync } from "child_process";
 import { join, resolve } from "path";
-import { Marked, type Tokens } from "marked";
+import { Marked, type RendererThis, type Tokens } from "marked";
 import {
   render as renderEta,
   loadNavigation as loadHeaderNavigation,
+  type VersionLink,
 } from "../config/eta";
 import { SITE, IS_PROD } from "./config";
+import { ROOT, VLIST_ROOT } from "../config";
 import {
   loadShell as loadShellBase,
   loadNavigation as loadNavigationBase,
@@ -65,6 +68,22 @@ export interface ContentConfig {
   overviewTagline: string;
   /** Optional: Use separate overview sections (for curated grids) */
   overviewSectionsPath?: string;
+  /** Optional: Read files from here instead of contentDir (e.g. a git tag) */
+  source?: ContentSource;
+  /** Optional: Canonical URL for a page — defaults to the page's own URL */
+  canonicalUrl?: (slug: string | null) => string;
+  /** Optional: Entries for the header version switcher */
+  versions?: (slug: string | null) => VersionLink[];
+  /** Optional: HTML placed above a page's content */
+  banner?: (slug: string | null) => string;
+}
+
+/**
+ * Where a renderer's markdown, navigation.json and overview.json come from.
+ * Paths are relative to the content root; null when the file doesn't exist.
+ */
+export interface ContentSource {
+  read(file: string): string | null;
 }
 
 interface TocItem {
@@ -73,6 +92,18 @@ interface TocItem {
   depth: number;
 }
 
+/** A page's markdown rendered to HTML, before it's placed in the shell */
+export interface ParsedPage {
+  slug: string;
+  /** Site-relative URL, e.g. "/docs/api/reference" */
+  url: string;
+  /** Text of the first h1, or the navigation name */
+  title: string;
+  description: string;
+  /** Parsed markdown — headings carry the ids the TOC links to */
+  html: string;
+}
+
 // =============================================================================
 // Content Renderer Factory
 // =============================================================================
@@ -88,16 +119,18 @@ export function createContentRenderer(config: ContentConfig) {
     overviewTitle,
     overviewTagline,
     overviewSectionsPath,
+    source,
+    canonicalUrl,
+    versions,
+    banner,
   } = config;
 
   const CONTENT_DIR = resolve(contentDir);
   const SHELL_PATH = resolve("./src/server/shells/base.html");
   const NAV_PATH = join(CONTENT_DIR, "navigation.json");
-  const OVERVIEW_PATH = overviewSectionsPath
-    ? join(CONTENT_DIR, overviewSectionsPath)
-    : null;
 
   // Cache
+  let navCache: NavGroup[] | null = null;
   let overviewCache: OverviewSection[] | null = null;
   const pageCache = new Map<string, string>();
 
@@ -109,14 +142,28 @@ export function createContentRenderer(config: ContentConfig) {
     return loadShellBase(SHELL_PATH);
   }
 
+  /** A file under the content root, from the source if there is one */
+  function readContent(file: string): string | null {
+    if (source) return source.read(file);
+    const path = join(CONTENT_DIR, file);
+    return existsSync(path) ? readFileSync(path, "utf-8") : null;
+  }
+
   function loadNavigation(): NavGroup[] {
-    return loadNavigationBase<NavGroup[]>(NAV_PATH);
+    if (!source) return loadNavigationBase<NavGroup[]>(NAV_PATH);
+    if (!navCache) {
+      const raw = source.read("navigation.json");
+      navCache = raw ? (JSON.parse(raw) as NavGroup[]) : [];
+    }
+    return navCache;
   }
 
   function loadOverviewSections(): OverviewSection[] {
     if (!overviewCache) {
-      if (OVERVIEW_PATH && existsSync(OVERVIEW_PATH)) {
-        const raw = readFileSync(OVERVIEW_PATH, "utf-8");
+      const raw = overviewSectionsPath
+        ? readContent(overviewSectionsPath)
+        : null;
+      if (raw !== null) {
         overviewCache = JSON.parse(raw) as OverviewSection[];
       } else {
         // Use navigation groups as overview sections
@@ -141,6 +188,7 @@ export function createContentRenderer(config: ContentConfig) {
 
   function clearCache(): void {
     clearAllCaches();
+    navCache = null;
     overviewCache = null;
     pageCache.clear();
   }
@@ -344,7 +392,7 @@ export function createContentRenderer(config: ContentConfig) {
         return `<h${depth} id="${slug}">${text} <a class="anchor" href="#${slug}">#</a></h${depth}>\n`;
       },
 
-      link({ href, title, text }: Tokens.Link): string {
+      link(this: RendererThis, { href, title, tokens }: Tokens.Link): string {
         if (href) {
           // Handle relative links: ./file.md or ../dir/file.md
           const relativeMatch = href.match(/^(\.\.?\/)(.+?)\.md(#.*)?$/);
@@ -373,6 +421,8 @@ export function createContentRenderer(config: ContentConfig) {
           href && href.startsWith("http")
             ? ' target="_blank" rel="noopener"'
             : "";
+        // Link text is inline markdown — [`Name`](./types.md) keeps its code
+        const text = this.parser.parseInline(tokens);
         return `<a href="${href}"${titleAttr}${external}>${text}</a>`;
       },
     };
@@ -520,6 +570,24 @@ export function createContentRenderer(config: ContentConfig) {
       .trim();
   }
 
+  // ===========================================================================
+  // Markdown Files
+  // ===========================================================================
+
+  /**
+   * Read and parse a page's markdown with context-aware link resolution and
+   * disambiguated heading ids. Null if the file doesn't exist.
+   */
+  function parseMarkdown(slug: string): string | null {
+    const mdFile = slug === "" ? "README.md" : `${slug}.md`;
+    const mdSource = readContent(mdFile);
+    if (mdSource === null) return null;
+
+    const marked = createMarkedInstance(slug);
+    const rawHtml = marked.parse(mdSource) as string;
+    return disambiguateHeadings(rawHtml);
+  }
+
   // ===========================================================================
   // Page Assembly
   // ===========================================================================
@@ -541,7 +609,7 @@ export function createContentRenderer(config: ContentConfig) {
       URL: url,
       SECTION: sectionName,
       SECTION_LINK: `${urlPrefix}/`,
-      SECTION_KEY: urlPrefix === "/docs" ? "docs" : "tutorials",
+      SECTION_KEY: urlPrefix.startsWith("/docs") ? "docs" : "tutorials",
       SIDEBAR: buildSidebar(slug),
       CONTENT: content,
 
@@ -555,6 +623,7 @@ export function createContentRenderer(config: ContentConfig) {
       OG_TYPE: "article",
       OG_SITE_NAME: "VList",
       TWITTER_CARD: "summary_large_image",
+      CANONICAL_URL: canonicalUrl ? canonicalUrl(slug) : url,
 
       // Feature flags
       SEO_ENHANCED: true,
@@ -571,6 +640,7 @@ export function createContentRenderer(config: ContentConfig) {
 
       // Navigation
       NAV_ITEMS: loadHeaderNavigation(),
+      VERSIONS: versions ? versions(slug) : [],
     });
   }
 
@@ -587,14 +657,14 @@ export function createContentRenderer(config: ContentConfig) {
       const cached = pageCache.get(cacheKey);
       if (cached !== undefined) {
         return new Response(cached, {
-          headers: htmlHeaders(),
+          headers: htmlHeaders(cached),
         });
       }
     }
 
     // Overview page
     if (slug === null) {
-      const content = buildOverviewContent();
+      const content = (banner ? banner(null) : "") + buildOverviewContent();
       const html = assemblePage(
         null,
         content,
@@ -603,23 +673,15 @@ export function createContentRenderer(config: ContentConfig) {
       );
       pageCache.set(cacheKey, html);
       return new Response(html, {
-        headers: htmlHeaders(),
+        headers: htmlHeaders(html),
       });
     }
 
     // Validate slug exists in our config
     if (!getValidSlugs().has(slug)) return null;
 
-    // Resolve markdown file path
-    const mdFile = slug === "" ? "README.md" : `${slug}.md`;
-    const mdPath = join(CONTENT_DIR, mdFile);
-    if (!existsSync(mdPath)) return null;
-
-    // Read and parse markdown with context-aware link resolution
-    const mdSource = readFileSync(mdPath, "utf-8");
-    const marked = createMarkedInstance(slug);
-    const rawHtml = marked.parse(mdSource) as string;
-    const parsedHtml = disambiguateHeadings(rawHtml);
+    const parsedHtml = parseMarkdown(slug);
+    if (parsedHtml === null) return null;
 
     // Extract table of contents
     const tocItems = extractToc(parsedHtml);
@@ -629,7 +691,7 @@ export function createContentRenderer(config: ContentConfig) {
     const prevNextHtml = buildPrevNext(slug);
 
     // Wrap in .md container with prev/next at bottom
-    const content = `<div class="md">${parsedHtml}${prevNextHtml}</div>`;
+    const content = `${banner ? banner(slug) : ""}<div class="md">${parsedHtml}${prevNextHtml}</div>`;
 
     // Extract title from first h1
     const h1Title = extractTitle(parsedHtml);
@@ -645,17 +707,46 @@ export function createContentRenderer(config: ContentConfig) {
 
     pageCache.set(cacheKey, html);
     return new Response(html, {
-      headers: htmlHeaders(),
+      headers: htmlHeaders(html),
     });
   }
 
+  /**
+   * Every page in the navigation, parsed — what the site search indexes
+   * (see src/api/search.ts). Pages whose markdown is missing are skipped.
+   */
+  function listPages(): ParsedPage[] {
+    const pages: ParsedPage[] = [];
+    for (const item of loadNavigation().flatMap((group) => group.items)) {
+      const html = parseMarkdown(item.slug);
+      if (html === null) continue;
+      pages.push({
+        slug: item.slug,
+        url: item.slug === "" ? `${urlPrefix}/` : `${urlPrefix}/${item.slug}`,
+        title: extractTitle(html) || item.name,
+        description: item.desc || defaultDescription,
+        html,
+      });
+    }
+    return pages;
+  }
+
+  /** Whether the navigation lists this page ("" is the README) */
+  function hasPage(slug: string): boolean {
+    return getValidSlugs().has(slug);
+  }
+
   return {
     render,
     clearCache,
     loadNavigation,
+    listPages,
+    hasPage,
   };
 }
 
+export type ContentRenderer = ReturnType<typeof createContentRenderer>;
+
 // =============================================================================
 // Pre-configured Renderers
 // =============================================================================
@@ -672,6 +763,7 @@ export const docsRenderer = createContentRenderer({
   overviewTagline:
     'Reference documentation for the vlist virtual list library. For learning content, see <a href="/tutorials">Tutorials</a>.',
   overviewSectionsPath: "overview.json",
+  versions: (slug) => docVersionLinks(null, slug),
 });
 
 export const tutorialsRenderer = createContentRenderer({
@@ -704,8 +796,217 @@ export function renderTutorialPage(slug: string | null): Response {
 
 export function clearDocsCache(): void {
   docsRenderer.clearCache();
+  for (const entry of DOC_VERSIONS) entry.renderer.clearCache();
 }
 
 export function clearTutorialsCache(): void {
   tutorialsRenderer.clearCache();
 }
+
+// =============================================================================
+// Versioned Docs
+// =============================================================================
+
+/** An entry in docs/versions.json — one of dir or ref is required */
+interface DocVersionConfig {
+  /** URL segment: /docs/v/<version>/ */
+  version: string;
+  /** Switcher label — defaults to the version */
+  label?: string;
+  /** Directory holding that release's docs, relative to the repo root */
+  dir?: string;
+  /** Git ref (usually a release tag) to read the docs from */
+  ref?: string;
+  /** Docs path inside the ref — defaults to "docs" */
+  path?: string;
+  /** Repository the ref lives in, relative to the repo root — defaults to this one */
+  repo?: string;
+}
+
+export interface DocVersion {
+  version: string;
+  label: string;
+  /** Absolute doc directory — null when read from a git ref */
+  dir: string | null;
+  /** Git ref — null when read from a directory */
+  ref: string | null;
+  /** Docs path inside the ref */
+  path: string;
+  /** Absolute path of the repository the ref is read from */
+  repo: string;
+  renderer: ContentRenderer;
+}
+
+export const DOC_VERSIONS_PATH = resolve("./docs/versions.json");
+
+/**
+ * Read docs from a git ref without checking it out. Files are read once and
+ * cached — a tag's contents don't change.
+ */
+export function gitSource(
+  ref: string,
+  path: string = "docs",
+  repo: string = ROOT,
+): ContentSource {
+  const cache = new Map<string, string | null>();
+  const prefix = path ? `${path.replace(/\/+$/, "")}/` : "";
+
+  return {
+    read(file) {
+      if (!cache.has(file)) {
+        let content: string | null = null;
+        try {
+          content = execFileSync("git", ["show", `${ref}:${prefix}${file}`], {
+            cwd: repo,
+            encoding: "utf-8",
+            stdio: ["ignore", "pipe", "ignore"],
+            maxBuffer: 10 * 1024 * 1024,
+          });
+        } catch {
+          // Not in this ref (or not a git repository)
+        }
+        cache.set(file, content);
+      }
+      return cache.get(file)!;
+    },
+  };
+}
+
+let installedLabel: string | null = null;
+
+/** Switcher label for /docs — the installed vlist release */
+function latestLabel(): string {
+  if (installedLabel === null) {
+    installedLabel = "Latest";
+    if (VLIST_ROOT) {
+      try {
+        const pkg = JSON.parse(
+          readFileSync(join(VLIST_ROOT, "package.json"), "utf-8"),
+        );
+        if (pkg.version) installedLabel = `${pkg.version} (latest)`;
+      } catch {
+        // Keep the generic label
+      }
+    }
+  }
+  return installedLabel;
+}
+
+/** The latest docs page matching a versioned one, or null if it was removed */
+function latestDocsPath(slug: string | null): string | null {
+  if (!slug) return "/docs/";
+  return docsRenderer.hasPage(slug) ? `/docs/${slug}` : null;
+}
+
+function versionBanner(label: string, slug: string | null): string {
+  const href = latestDocsPath(slug) ?? "/docs/";
+  return (
+    `<aside class="version-banner" role="note">` +
+    `You're reading the docs for vlist ${label}. ` +
+    `<a href="${href}">Go to the latest version</a>.` +
+    `</aside>`
+  );
+}
+
+/**
+ * Load docs/versions.json and create a renderer per version. Versioned pages
+ * live under /docs/v/<version>/ and point their canonical link at the latest
+ * page, so search engines index one copy; pages that no longer exist in the
+ * latest docs are their own canonical.
+ */
+export function loadDocVersions(
+  configPath: string = DOC_VERSIONS_PATH,
+): DocVersion[] {
+  if (!existsSync(configPath)) return [];
+
+  const entries = JSON.parse(
+    readFileSync(configPath, "utf-8"),
+  ) as DocVersionConfig[];
+  if (!Array.isArray(entries)) {
+    throw new Error(`${configPath}: expected an array of versions`);
+  }
+
+  const versions: DocVersion[] = [];
+  for (const entry of entries) {
+    const { version } = entry;
+    if (typeof version !== "string" || !/^[\w.-]+$/.test(version)) {
+      throw new Error(`${configPath}: invalid version "${version}"`);
+    }
+    if (versions.some((v) => v.version === version)) {
+      throw new Error(`${configPath}: duplicate version "${version}"`);
+    }
+    if (!entry.dir === !entry.ref) {
+      throw new Error(
+        `${configPath}: version "${version}" needs exactly one of "dir" or "ref"`,
+      );
+    }
+
+    const label = entry.label ?? version;
+    const dir = entry.dir ? resolve(ROOT, entry.dir) : null;
+    const ref = entry.ref ?? null;
+    const path = entry.path ?? "docs";
+    const repo = resolve(ROOT, entry.repo ?? ".");
+    const urlPrefix = `/docs/v/${version}`;
+
+    const renderer = createContentRenderer({
+      contentDir: dir ?? join(repo, path),
+      urlPrefix,
+      sectionName: `Docs ${label}`,
+      titleSuffix: `VList ${label} docs`,
+      defaultTitle: `VList ${label} — Docs`,
+      defaultDescription: `VList ${label} documentation — API reference, configuration, events, methods, styling, and more.`,
+      overviewTitle: `Documentation for ${label}`,
+      overviewTagline: `Reference documentation for vlist ${label}. For the current release, see <a href="/docs/">the latest docs</a>.`,
+      overviewSectionsPath: "overview.json",
+      source: ref ? gitSource(ref, path, repo) : undefined,
+      canonicalUrl: (slug) => {
+        const latest = latestDocsPath(slug);
+        if (latest) return `${SITE}${latest}`;
+        return slug ? `${SITE}${urlPrefix}/${slug}` : `${SITE}${urlPrefix}/`;
+      },
+      versions: (slug) => docVersionLinks(version, slug, versions),
+      banner: (slug) => versionBanner(label, slug),
+    });
+
+    versions.push({ version, label, dir, ref, path, repo, renderer });
+  }
+  return versions;
+}
+
+export const DOC_VERSIONS = loadDocVersions();
+
+/**
+ * Header switcher entries: latest first, then each configured version. Links
+ * go to the same page where that version has it, else to its overview.
+ */
+export function docVersionLinks(
+  current: string | null,
+  slug: string | null,
+  versions: DocVersion[] = DOC_VERSIONS,
+): VersionLink[] {
+  if (versions.length === 0) return [];
+
+  const href = (urlPrefix: string, renderer: ContentRenderer) =>
+    slug && renderer.hasPage(slug) ? `${urlPrefix}/${slug}` : `${urlPrefix}/`;
+
+  return [
+    {
+      label: latestLabel(),
+      href: href("/docs", docsRenderer),
+      current: current === null,
+    },
+    ...versions.map((entry) => ({
+      label: entry.label,
+      href: href(`/docs/v/${entry.version}`, entry.renderer),
+      current: entry.version === current,
+    })),
+  ];
+}
+
+export function renderVersionedDocsPage(
+  version: string,
+  slug: string | null,
+): Response | null {
+  const entry = DOC_VERSIONS.find((v) => v.version === version);
+  return entry ? entry.renderer.render(slug) : null;
+}
@@ -39,6 +39,19 @@ interface SourceFile {
   id: string;
   lang: string;
   code: string;
+  /** Path relative to the directory the script is served from */
+  path: string;
+}
+
+/** What the playground needs to rebuild an example in its iframe */
+interface PlaygroundData {
+  /** URL of the directory the script runs from — relative imports resolve here */
+  base: string;
+  /** Import map for bare specifiers (same as the shell's) */
+  imports: Record<string, string>;
+  /** Stylesheets loaded before the edited styles */
+  styles: string[];
+  files: { path: string; label: string; lang: string; code: string }[];
 }
 
 // =============================================================================
@@ -146,7 +159,7 @@ function detectVariants(slug: string): Variant[] {
 // Source Code Tabs
 // =============================================================================
 
-function buildSourceTabs(slug: string, variant?: Variant): string {
+function collectSources(slug: string, variant?: Variant): SourceFile[] {
   // If variant is provided, look in the variant subdirectory
   const dir = variant
     ? join(EXAMPLES_DIR, slug, variant)
@@ -173,7 +186,13 @@ function buildSourceTabs(slug: string, variant?: Variant): string {
     if (existsSync(filePath)) {
       const code = readFileSync(filePath, "utf-8").trim();
       if (code.length > 0) {
-        sources.push({ label: f.name, id: f.id, lang: f.lang, code });
+        sources.push({
+          label: f.name,
+          id: f.id,
+          lang: f.lang,
+          code,
+          path: f.name,
+        });
         if (isScript) scriptFound = true;
       }
     }
@@ -199,13 +218,23 @@ function buildSourceTabs(slug: string, variant?: Variant): string {
       if (existsSync(filePath)) {
         const code = readFileSync(filePath, "utf-8").trim();
         if (code.length > 0) {
-          sources.push({ label: f.name, id: f.id, lang: f.lang, code });
+          sources.push({
+            label: f.name,
+            id: f.id,
+            lang: f.lang,
+            code,
+            path: `../${f.name}`,
+          });
           foundNames.add(f.name);
         }
       }
     }
   }
 
+  return sources;
+}
+
+function buildSourceTabs(sources: SourceFile[], playground: boolean): string {
   if (sources.length === 0) return "";
 
   const lines: string[] = [];
@@ -220,6 +249,11 @@ function buildSourceTabs(slug: string, variant?: Variant): string {
     );
   }
   lines.push(`    </div>`);
+  if (playground) {
+    lines.push(
+      `    <button class="source__playground" id="playground-open">Edit &amp; run</button>`,
+    );
+  }
   lines.push(
     `    <button class="source__toggle" id="source-toggle" aria-label="Toggle source panel">`,
   );
@@ -246,6 +280,70 @@ function buildSourceTabs(slug: string, variant?: Variant): string {
   return lines.join("\n");
 }
 
+// =============================================================================
+// Playground
+// =============================================================================
+
+/**
+ * Bare specifiers the playground iframe resolves — the shell's import map.
+ * Anything else (JSX, .vue, Svelte) needs bundling, so only vanilla sources
+ * are editable.
+ */
+const PLAYGROUND_IMPORTS: Record<string, string> = {
+  vlist: "/dist/index.js",
+  "vlist/": "/dist/",
+};
+
+function hasPlayground(sources: SourceFile[], variant?: Variant): boolean {
+  if (variant && variant !== "vanilla") return false;
+  return sources.some((s) => s.label === "script.js");
+}
+
+/**
+ * The editable sources as JSON for the playground script in the shell. The
+ * iframe loads the same shared styles as the page, then the edited ones.
+ * `content` is the page's markup, for variants sharing the example's.
+ */
+function buildPlaygroundData(
+  slug: string,
+  example: ExampleItem,
+  sources: SourceFile[],
+  content: string,
+  variant?: Variant,
+): string {
+  const styles = [
+    "/styles/tokens.css",
+    "/styles/ui.css",
+    "/dist/vlist.css",
+    ...(example.features?.includes("table") ? ["/dist/vlist-table.css"] : []),
+    "/dist/examples/styles.css",
+  ];
+
+  const data: PlaygroundData = {
+    base: variant ? `/examples/${slug}/${variant}/` : `/examples/${slug}/`,
+    imports: PLAYGROUND_IMPORTS,
+    styles,
+    files: sources.map(({ path, label, lang, code }) => ({
+      path,
+      label,
+      lang,
+      code,
+    })),
+  };
+  if (!sources.some((s) => s.label === "content.html")) {
+    data.files.push({
+      path: variant ? "../content.html" : "content.html",
+      label: "content.html",
+      lang: "xml",
+      code: content.trim(),
+    });
+  }
+
+  // Escape "<" so code containing </script> can't end the tag early
+  const json = JSON.stringify(data).replace(/</g, "\\u003c");
+  return `<script type="application/json" id="playground-data">${json}</script>`;
+}
+
 // =============================================================================
 // Variant Switcher
 // =============================================================================
@@ -540,7 +638,7 @@ export function renderExamplesPage(
     const cached = pageCache.get(cacheKey);
     if (cached !== undefined) {
       return new Response(cached, {
-        headers: htmlHeaders(),
+        headers: htmlHeaders(cached),
       });
     }
   }
@@ -551,7 +649,7 @@ export function renderExamplesPage(
     const html = assemblePage(null, null, content);
     pageCache.set(cacheKey, html);
     return new Response(html, {
-      headers: htmlHeaders(),
+      headers: htmlHeaders(html),
     });
   }
 
@@ -606,9 +704,14 @@ export function renderExamplesPage(
       : "";
 
   // Build source tabs for the selected variant
-  const sourceTabs = hasVariants
-    ? buildSourceTabs(slug, variant)
-    : buildSourceTabs(slug);
+  const sourceVariant = hasVariants ? variant : undefined;
+  const sources = collectSources(slug, sourceVariant);
+  const playground = hasPlayground(sources, sourceVariant);
+  const sourceTabs =
+    buildSourceTabs(sources, playground) +
+    (playground
+      ? buildPlaygroundData(slug, example, sources, content, sourceVariant)
+      : "");
 
   const html = assemblePage(
     slug,
@@ -620,6 +723,6 @@ export function renderExamplesPage(
 
   pageCache.set(cacheKey, html);
   return new Response(html, {
-    headers: htmlHeaders(),
+    headers: htmlHeaders(html),
   });
 }
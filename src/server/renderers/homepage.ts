@@ -185,7 +185,7 @@ export function renderHomepage(): Response {
   }
 
   return new Response(pageCache, {
-    headers: htmlHeaders(),
+    headers: htmlHeaders(pageCache),
   });
 }
 
@@ -30,10 +30,19 @@ export {
   DOC_GROUPS,
   TUTORIAL_GROUPS,
   createContentRenderer,
+  renderVersionedDocsPage,
+  docVersionLinks,
+  loadDocVersions,
+  gitSource,
+  DOC_VERSIONS,
   type NavItem,
   type NavGroup,
   type OverviewSection,
   type ContentConfig,
+  type ParsedPage,
+  type ContentSource,
+  type ContentRenderer,
+  type DocVersion,
 } from "./content";
 
 export {
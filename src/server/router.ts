@@ -4,10 +4,14 @@
 // Phase 4: URL is parsed once and passed to sub-routers. Sync routes
 // (homepage, docs, tutorials, examples, benchmarks, static) return a plain
 // Response — no Promise allocation. Only the API path goes async.
+//
+// Every response passes through conditional() before compression, so a
+// matching If-None-Match / If-Modified-Since gets a 304 (see ./etag).
 
 import { routeApi } from "../api/router";
 import {
   renderDocsPage,
+  renderVersionedDocsPage,
   renderTutorialPage,
   renderExamplesPage,
   renderBenchmarkPage,
@@ -15,6 +19,7 @@ import {
 import { renderHomepage } from "./renderers/homepage";
 import { resolveStatic } from "./static";
 import { compressResponse } from "./compression";
+import { conditional } from "./etag";
 import { renderSitemap, renderRobots } from "./sitemap";
 
 // =============================================================================
@@ -38,6 +43,13 @@ function resolveDocs(pathname: string): Response | null {
   if (pathname === "/docs" || pathname === "/docs/") {
     return renderDocsPage(null);
   }
+  // Versioned docs — /docs/v/<version>/<slug>
+  const versioned = pathname.match(
+    /^\/docs\/v\/([\w.-]+)(?:\/([a-zA-Z0-9/_-]+?))?(\.md)?\/?$/,
+  );
+  if (versioned) {
+    return renderVersionedDocsPage(versioned[1], versioned[2] ?? null);
+  }
   const match = pathname.match(/^\/docs\/([a-zA-Z0-9/_-]+?)(\.md)?\/?$/);
   if (match) return renderDocsPage(match[1]);
   return null;
@@ -67,7 +79,7 @@ function resolveBenchmarks(pathname: string, url: URL): Response | null {
   if (pathname === "/benchmarks" || pathname === "/benchmarks/") {
     return renderBenchmarkPage(null, url);
   }
-  const match = pathname.match(/^\/benchmarks\/([a-z0-9-]+)\/?$/);
+  const match = pathname.match(/^\/benchmarks\/([a-z0-9-]+|runs\/\d+)\/?$/);
   if (match) return renderBenchmarkPage(match[1], url);
   return null;
 }
@@ -98,8 +110,13 @@ export function handleRequest(req: Request): Response | Promise<Response> {
     resolveBenchmarks(pathname, url) ??
     resolveStatic(pathname);
 
-  if (syncResponse)
-    return compressResponse(syncResponse, acceptEncoding, pathname);
+  if (syncResponse) {
+    return compressResponse(
+      conditional(req, syncResponse),
+      acceptEncoding,
+      pathname,
+    );
+  }
 
   // ── Async path (API routes only) ──
   return handleAsync(req, url, pathname, acceptEncoding);
@@ -113,5 +130,5 @@ async function handleAsync(
 ): Promise<Response> {
   const response =
     (await routeApi(req, url)) ?? new Response("Not Found", { status: 404 });
-  return compressResponse(response, acceptEncoding, pathname);
+  return compressResponse(conditional(req, response), acceptEncoding, pathname);
 }
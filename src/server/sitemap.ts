@@ -4,14 +4,19 @@
 // Phase 5: Uses a single batched git command to resolve all file modification
 // dates at startup (~25ms) instead of ~40 individual execSync calls (~1.3s).
 
-import { execSync } from "child_process";
+import { execSync, execFileSync } from "child_process";
+import { relative } from "path";
 import { ROOT, SITE } from "./config";
 import { CACHE_META } from "./cache";
+import { hashETag } from "./etag";
 import {
   DOC_GROUPS,
   TUTORIAL_GROUPS,
   EXAMPLE_GROUPS,
   BENCH_GROUPS,
+  DOC_VERSIONS,
+  docsRenderer,
+  type DocVersion,
 } from "./renderers";
 
 // =============================================================================
@@ -95,6 +100,40 @@ function resolveDate(
   return latest || FALLBACK_DATE;
 }
 
+/**
+ * Commit date of a git ref. Docs read from a release tag were last modified
+ * when the tag was cut.
+ */
+function gitRefDate(ref: string, repo: string): string {
+  try {
+    const date = execFileSync("git", ["log", "-1", "--format=%cs", ref], {
+      cwd: repo,
+      encoding: "utf-8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+    return date || FALLBACK_DATE;
+  } catch {
+    return FALLBACK_DATE;
+  }
+}
+
+// =============================================================================
+// Versioned Docs
+// =============================================================================
+
+/**
+ * Versioned pages that belong in the sitemap. The rest canonicalize to the
+ * latest docs, so only pages since removed from them are listed — they're
+ * their own canonical.
+ */
+function versionOnlySlugs(entry: DocVersion): string[] {
+  return entry.renderer
+    .loadNavigation()
+    .flatMap((group) => group.items)
+    .map((item) => item.slug)
+    .filter((slug) => slug !== "" && !docsRenderer.hasPage(slug));
+}
+
 // =============================================================================
 // Lastmod Map
 // =============================================================================
@@ -131,6 +170,18 @@ function buildLastmodMap(): Map<string, string> {
     }
   }
 
+  // Versioned docs pages → that version's markdown, or the tag's date
+  for (const entry of DOC_VERSIONS) {
+    const refDate = entry.ref ? gitRefDate(entry.ref, entry.repo) : null;
+    for (const slug of versionOnlySlugs(entry)) {
+      map.set(
+        `/docs/v/${entry.version}/${slug}`,
+        refDate ??
+          resolveDate(allDates, `${relative(ROOT, entry.dir!)}/${slug}.md`),
+      );
+    }
+  }
+
   // Tutorials overview → navigation config, plus shared shell
   map.set(
     "/tutorials/",
@@ -217,6 +268,13 @@ export function renderSitemap(): Response {
     }
   }
 
+  // Versioned docs — only pages without a latest counterpart
+  for (const entry of DOC_VERSIONS) {
+    for (const slug of versionOnlySlugs(entry)) {
+      urls.push({ loc: `/docs/v/${entry.version}/${slug}`, priority: "0.3" });
+    }
+  }
+
   // Tutorials
   urls.push({ loc: "/tutorials/", priority: "0.9" });
   for (const group of TUTORIAL_GROUPS) {
@@ -261,6 +319,7 @@ export function renderSitemap(): Response {
     headers: {
       "Content-Type": "application/xml; charset=utf-8",
       "Cache-Control": CACHE_META,
+      ETag: hashETag(xml),
     },
   });
 }
@@ -291,6 +350,7 @@ Sitemap: ${SITE}/sitemap.xml
     headers: {
       "Content-Type": "text/plain; charset=utf-8",
       "Cache-Control": CACHE_META,
+      ETag: hashETag(txt),
     },
   });
 }
@@ -5,6 +5,7 @@ import { existsSync, statSync } from "fs";
 import { join, extname, resolve } from "path";
 import { ROOT, VLIST_ROOT } from "./config";
 import { CACHE_IMMUTABLE, CACHE_STATIC, CACHE_NOCACHE } from "./cache";
+import { fileETag, httpDate } from "./etag";
 
 // =============================================================================
 // MIME Types
@@ -72,6 +73,24 @@ function getCacheControl(pathname: string): string {
   return CACHE_NOCACHE;
 }
 
+// =============================================================================
+// CORS
+// =============================================================================
+
+const MODULE_EXTENSIONS = new Set([".js", ".mjs", ".css"]);
+
+/**
+ * Whether a pathname is one the example playground's sandboxed iframe (an
+ * opaque origin) imports — vlist's build output and the example sources,
+ * scripts and styles only. Everything else stays same-origin.
+ */
+export function isPlaygroundAsset(pathname: string): boolean {
+  if (!pathname.startsWith("/dist/") && !pathname.startsWith("/examples/")) {
+    return false;
+  }
+  return MODULE_EXTENSIONS.has(extname(pathname).toLowerCase());
+}
+
 // =============================================================================
 // File Serving
 // =============================================================================
@@ -89,25 +108,30 @@ export const serveFile = (
 ): Response | null => {
   if (!existsSync(filePath)) return null;
 
-  const stat = statSync(filePath);
+  let stat = statSync(filePath);
 
   // Serve index.html for directories
   if (stat.isDirectory()) {
     const indexPath = join(filePath, "index.html");
     if (!existsSync(indexPath)) return null;
     filePath = indexPath;
+    stat = statSync(filePath);
   }
 
   // Bun.file() is lazy — no disk read until the Response is consumed.
   // Bun uses sendfile(2) to transfer directly from fd to socket (zero-copy).
   const file = Bun.file(filePath);
 
-  return new Response(file, {
-    headers: {
-      "Content-Type": getMimeType(filePath),
-      "Cache-Control": getCacheControl(pathname),
-    },
-  });
+  // Validators come from the stat — the file is never read to hash it.
+  const headers: Record<string, string> = {
+    "Content-Type": getMimeType(filePath),
+    "Cache-Control": getCacheControl(pathname),
+    ETag: fileETag(stat.size, stat.mtimeMs),
+    "Last-Modified": httpDate(stat.mtimeMs),
+  };
+  if (isPlaygroundAsset(pathname)) headers["Access-Control-Allow-Origin"] = "*";
+
+  return new Response(file, { headers });
 };
 
 /**
@@ -1,21 +1,26 @@
 // test/api/benchmarks.test.ts
 //
 // Integration tests for the benchmarks API (src/api/benchmarks.ts).
-// Uses a real SQLite database (created fresh per test run via the seed script)
+// Uses a real SQLite database (the in-memory storage backend, fresh per run)
 // so we exercise the full stack: HTTP routing → validation → SQLite queries.
 
-import { describe, test, expect, beforeAll } from "bun:test";
-import { routeBenchmarks } from "../../src/api/benchmarks";
-import { existsSync, unlinkSync, mkdirSync } from "fs";
-import { resolve, dirname } from "path";
-import { Database } from "bun:sqlite";
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { routeBenchmarks, setBenchmarkStorage } from "../../src/api/benchmarks";
+import {
+  createMemoryStorage,
+  createSqliteStorage,
+  type BenchmarkStorage,
+} from "../../src/api/storage";
+import { readZip } from "../../src/api/zip";
+import { renderBenchmarkPage } from "../../src/server/renderers/benchmarks";
 
 // =============================================================================
 // Helpers
 // =============================================================================
 
-const DB_PATH = resolve(import.meta.dir, "../../data/benchmarks.db");
-
 /** Create a GET request for the given path */
 const get = (path: string): { req: Request; url: URL } => {
   const url = new URL(`https://vlist.dev${path}`);
@@ -175,117 +180,23 @@ const validSuitePayload = (overrides: Record<string, unknown> = {}) => ({
 });
 
 // =============================================================================
-// Database Setup
+// Storage
 // =============================================================================
 
-/**
- * Ensure a fresh database exists before tests run.
- * We create the schema directly rather than calling the seed script,
- * keeping the test self-contained.
- */
-function ensureTestDatabase(): void {
-  const dir = dirname(DB_PATH);
-  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-
-  // If the DB already exists, keep it — tests append data.
-  // If you need a fresh DB, delete it before running tests.
-  if (existsSync(DB_PATH)) return;
-
-  const db = new Database(DB_PATH);
-  db.run("PRAGMA journal_mode = WAL");
-
-  const RUNS_COLUMNS = `
-    id            INTEGER PRIMARY KEY AUTOINCREMENT,
-    created_at    TEXT    NOT NULL DEFAULT (datetime('now')),
-    version       TEXT    NOT NULL,
-    suite_id      TEXT    NOT NULL,
-    item_count    INTEGER NOT NULL,
-    user_agent    TEXT,
-    hardware_concurrency INTEGER,
-    device_memory REAL,
-    screen_width  INTEGER,
-    screen_height INTEGER,
-    duration_ms   INTEGER,
-    success       INTEGER NOT NULL DEFAULT 1,
-    error         TEXT,
-    stress_ms     INTEGER DEFAULT 0,
-    scroll_speed  INTEGER DEFAULT 0
-  `;
-
-  const metricsColumns = (fk: string) => `
-    id            INTEGER PRIMARY KEY AUTOINCREMENT,
-    run_id        INTEGER NOT NULL REFERENCES ${fk}(id) ON DELETE CASCADE,
-    label         TEXT    NOT NULL,
-    value         REAL    NOT NULL,
-    unit          TEXT    NOT NULL,
-    better        TEXT    NOT NULL,
-    rating        TEXT
-  `;
-
-  db.run(`CREATE TABLE IF NOT EXISTS benchmark_runs (${RUNS_COLUMNS})`);
-  db.run(
-    `CREATE TABLE IF NOT EXISTS benchmark_metrics (${metricsColumns("benchmark_runs")})`,
-  );
-  db.run(`CREATE TABLE IF NOT EXISTS comparison_runs (${RUNS_COLUMNS})`);
-  db.run(
-    `CREATE TABLE IF NOT EXISTS comparison_metrics (${metricsColumns("comparison_runs")})`,
-  );
-
-  // Minimal indexes needed for queries
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_comp_runs_suite ON comparison_runs(suite_id, item_count)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_comp_runs_version ON comparison_runs(version)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_comp_runs_version_suite ON comparison_runs(version, suite_id, item_count)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_comp_runs_created ON comparison_runs(created_at)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_comp_runs_success ON comparison_runs(success)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_comp_metrics_run ON comparison_metrics(run_id)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_comp_metrics_label ON comparison_metrics(run_id, label)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_bench_runs_suite ON benchmark_runs(suite_id, item_count)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_bench_runs_version ON benchmark_runs(version)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_bench_runs_version_suite ON benchmark_runs(version, suite_id, item_count)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_bench_runs_created ON benchmark_runs(created_at)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_bench_runs_success ON benchmark_runs(success)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_bench_metrics_run ON benchmark_metrics(run_id)`,
-  );
-  db.run(
-    `CREATE INDEX IF NOT EXISTS idx_bench_metrics_label ON benchmark_metrics(run_id, label)`,
-  );
-
-  db.close();
-}
+// A fresh in-memory database per run, schema created by the storage backend —
+// no seed script, and data/benchmarks.db is never touched.
+beforeAll(() => {
+  setBenchmarkStorage(createMemoryStorage());
+});
+
+afterAll(() => {
+  setBenchmarkStorage(null);
+});
 
 // =============================================================================
 // Tests
 // =============================================================================
 
-beforeAll(() => {
-  ensureTestDatabase();
-});
-
 describe("benchmarks API", () => {
   // ---------------------------------------------------------------------------
   // Routing
@@ -311,6 +222,16 @@ describe("benchmarks API", () => {
 
       expect(result).not.toBeNull();
       expect(result!.status).toBe(405);
+      expect(result!.headers.get("Allow")).toBe("GET, OPTIONS");
+    });
+
+    test("rejects malformed integer params with 400", async () => {
+      const { req, url } = get("/api/benchmarks/stats?itemCount=lots");
+      const result = await routeBenchmarks(req, url);
+
+      expect(result!.status).toBe(400);
+      const body = await json<{ details: { param: string }[] }>(result!);
+      expect(body.details.map((d) => d.param)).toEqual(["itemCount"]);
     });
   });
 
@@ -412,6 +333,46 @@ describe("benchmarks API", () => {
       // Should have at least the metrics from our payload
       expect(statsBody.items[0].metrics.length).toBeGreaterThan(0);
     });
+
+    test("reports the client's rate limit", async () => {
+      const { req, url } = post("/api/benchmarks", validComparisonPayload());
+      const result = await routeBenchmarks(req, url);
+
+      expect(result!.status).toBe(201);
+      expect(result!.headers.get("RateLimit-Policy")).toBe("30;w=60");
+      expect(result!.headers.get("RateLimit-Remaining")).toBe("29");
+      expect(result!.headers.get("Retry-After")).toBeNull();
+    });
+
+    test("refuses a client past its burst with 429 and Retry-After", async () => {
+      const headers = { "X-Forwarded-For": "10.8.8.8" };
+      const statuses: number[] = [];
+      for (let i = 0; i < 30; i++) {
+        const { req, url } = post(
+          "/api/benchmarks",
+          validComparisonPayload(),
+          headers,
+        );
+        statuses.push((await routeBenchmarks(req, url))!.status);
+      }
+      expect(statuses.every((status) => status === 201)).toBe(true);
+
+      const { req, url } = post(
+        "/api/benchmarks",
+        validComparisonPayload(),
+        headers,
+      );
+      const result = await routeBenchmarks(req, url);
+      expect(result!.status).toBe(429);
+      expect(Number(result!.headers.get("Retry-After"))).toBeGreaterThan(0);
+      expect(result!.headers.get("RateLimit-Remaining")).toBe("0");
+      const body = await json<{ error: string }>(result!);
+      expect(body.error).toContain("Rate limited");
+
+      // Other clients are unaffected
+      const other = post("/api/benchmarks", validComparisonPayload());
+      expect((await routeBenchmarks(other.req, other.url))!.status).toBe(201);
+    });
   });
 
   // ---------------------------------------------------------------------------
@@ -864,6 +825,8 @@ describe("benchmarks API", () => {
             p95: number;
             stddev: number;
             sampleCount: number;
+            ciLow: number;
+            ciHigh: number;
           }>;
         }>;
       }>(result!);
@@ -881,6 +844,11 @@ describe("benchmarks API", () => {
       expect(typeof metric.stddev).toBe("number");
       expect(typeof metric.sampleCount).toBe("number");
       expect(metric.sampleCount).toBeGreaterThan(0);
+      // The median's confidence interval stays inside the observed range
+      expect(metric.ciLow).toBeLessThanOrEqual(metric.median);
+      expect(metric.ciHigh).toBeGreaterThanOrEqual(metric.median);
+      expect(metric.ciLow).toBeGreaterThanOrEqual(metric.min);
+      expect(metric.ciHigh).toBeLessThanOrEqual(metric.max);
     });
 
     test("returns empty for non-existent suite", async () => {
@@ -1082,6 +1050,675 @@ describe("benchmarks API", () => {
     });
   });
 
+  // ---------------------------------------------------------------------------
+  // GET /api/benchmarks/compare
+  // ---------------------------------------------------------------------------
+
+  describe("GET /api/benchmarks/compare", () => {
+    type Comparison = {
+      base: string;
+      head: string;
+      items: Array<{
+        suiteId: string;
+        metric: string;
+        base: { median: number; sampleCount: number };
+        head: { median: number; sampleCount: number };
+        change: number | null;
+        strata: number;
+        effectSize: number | null;
+        pAdjusted: number | null;
+        verdict: string;
+      }>;
+      total: number;
+      summary: Record<string, number>;
+    };
+
+    /** Store suite runs where head renders ~40% slower and scrolls the same */
+    beforeAll(async () => {
+      for (let i = 0; i < 8; i++) {
+        for (const [version, renderTime] of [
+          ["0.9.0", 10 + i * 0.2],
+          ["0.9.1", 14 + i * 0.2],
+        ] as const) {
+          const { req, url } = post(
+            "/api/benchmarks",
+            validSuitePayload({
+              version,
+              suiteId: "compare-test",
+              metrics: [
+                {
+                  label: "Render Time",
+                  value: renderTime,
+                  unit: "ms",
+                  better: "lower",
+                },
+                {
+                  label: "Scroll FPS",
+                  value: 120,
+                  unit: "fps",
+                  better: "higher",
+                },
+              ],
+            }),
+          );
+          await routeBenchmarks(req, url);
+        }
+      }
+    });
+
+    const compare = async (query: string) => {
+      const { req, url } = get(`/api/benchmarks/compare?type=suite&${query}`);
+      const result = await routeBenchmarks(req, url);
+      return { status: result!.status, body: await json<Comparison>(result!) };
+    };
+
+    test("requires base and head", async () => {
+      const { status } = await compare("base=0.9.0");
+      expect(status).toBe(400);
+    });
+
+    test("flags a significant slowdown as a regression", async () => {
+      const { status, body } = await compare(
+        "base=0.9.0&head=0.9.1&suiteId=compare-test",
+      );
+      expect(status).toBe(200);
+      expect(body.base).toBe("0.9.0");
+      expect(body.head).toBe("0.9.1");
+      expect(body.total).toBe(2);
+
+      const [render, fps] = body.items;
+      expect(render.metric).toBe("Render Time");
+      expect(render.verdict).toBe("regression");
+      expect(render.change).toBeGreaterThan(30);
+      expect(render.effectSize).toBe(1);
+      expect(render.pAdjusted).toBeLessThan(0.05);
+      expect(render.strata).toBe(1);
+      expect(render.base.sampleCount).toBeGreaterThanOrEqual(8);
+
+      expect(fps.metric).toBe("Scroll FPS");
+      expect(fps.verdict).toBe("unchanged");
+      expect(body.summary.regression).toBe(1);
+      expect(body.summary.unchanged).toBe(1);
+    });
+
+    test("reads the other way round as an improvement", async () => {
+      const { body } = await compare(
+        "base=0.9.1&head=0.9.0&suiteId=compare-test&metric=Render+Time",
+      );
+      expect(body.items).toHaveLength(1);
+      expect(body.items[0].verdict).toBe("improvement");
+      expect(body.items[0].effectSize).toBe(-1);
+    });
+
+    test("needs enough samples for a verdict", async () => {
+      const { body } = await compare(
+        "base=0.9.0&head=0.0.0-unknown&suiteId=compare-test",
+      );
+      for (const item of body.items) {
+        expect(item.verdict).toBe("insufficient");
+        expect(item.pAdjusted).toBeNull();
+      }
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Cohort filters
+  // ---------------------------------------------------------------------------
+
+  describe("cohort filters", () => {
+    const ANDROID_UA =
+      "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.144 Mobile Safari/537.36";
+
+    /** Fast desktops render in 5ms, slow phones in 20ms */
+    beforeAll(async () => {
+      for (let i = 0; i < 4; i++) {
+        for (const [renderTime, env] of [
+          [5, { hardwareConcurrency: 10, deviceMemory: 16 }],
+          [
+            20,
+            { userAgent: ANDROID_UA, hardwareConcurrency: 8, deviceMemory: 4 },
+          ],
+        ] as const) {
+          const { req, url } = post(
+            "/api/benchmarks",
+            validSuitePayload({
+              suiteId: "cohort-test",
+              metrics: [
+                {
+                  label: "Render Time",
+                  value: renderTime,
+                  unit: "ms",
+                  better: "lower",
+                },
+              ],
+              ...env,
+            }),
+          );
+          await routeBenchmarks(req, url);
+        }
+      }
+    });
+
+    const renderMedian = async (query: string) => {
+      const { req, url } = get(
+        `/api/benchmarks/stats?type=suite&suiteId=cohort-test&${query}`,
+      );
+      const body = await json<{
+        items: Array<{
+          metrics: Array<{ median: number; min: number; max: number }>;
+        }>;
+      }>((await routeBenchmarks(req, url))!);
+      return body.items[0]?.metrics[0];
+    };
+
+    test("stats mix every device without a cohort", async () => {
+      const metric = await renderMedian("");
+      expect(metric.min).toBe(5);
+      expect(metric.max).toBe(20);
+    });
+
+    test("stats narrow to one cohort", async () => {
+      const mobile = await renderMedian("device=mobile");
+      expect(mobile.min).toBe(20);
+      expect(mobile.max).toBe(20);
+
+      const desktop = await renderMedian("os=macos&cores=9-16&memory=8-up");
+      expect(desktop.min).toBe(5);
+      expect(desktop.max).toBe(5);
+
+      // The desktop fixture's user agent has no "Safari/" token — not Chrome
+      expect(await renderMedian("browser=chrome&browserVersion=120")).toEqual(
+        mobile,
+      );
+      expect(await renderMedian("browser=firefox")).toBeUndefined();
+    });
+
+    test("history accepts cohort filters", async () => {
+      const { req, url } = get(
+        "/api/benchmarks/history?type=suite&suiteId=cohort-test&metric=Render+Time&device=mobile",
+      );
+      const body = await json<{ items: Array<{ median: number }> }>(
+        (await routeBenchmarks(req, url))!,
+      );
+      expect(body.items.length).toBeGreaterThan(0);
+      for (const point of body.items) expect(point.median).toBe(20);
+    });
+
+    test("summary counts only the cohort", async () => {
+      const summary = async (query: string) => {
+        const { req, url } = get(`/api/benchmarks/summary?type=suite${query}`);
+        return json<{ totalRuns: number; totalMetrics: number }>(
+          (await routeBenchmarks(req, url))!,
+        );
+      };
+      const all = await summary("");
+      const android = await summary("&os=android");
+      expect(android.totalRuns).toBeGreaterThanOrEqual(4);
+      expect(android.totalRuns).toBeLessThan(all.totalRuns);
+      expect(android.totalMetrics).toBeLessThan(all.totalMetrics);
+    });
+
+    test("rejects unknown cohort values", async () => {
+      const { req, url } = get("/api/benchmarks/stats?browser=netscape");
+      const result = await routeBenchmarks(req, url);
+      expect(result!.status).toBe(400);
+      const body = await json<{ error: string }>(result!);
+      expect(body.error).toContain("browser");
+    });
+  });
+
+  describe("quality scoring", () => {
+    // Tests append to the same database — a fresh suite per run keeps
+    // duplicate and burst detection from seeing earlier runs
+    const suiteId = `quality-test-${Date.now()}`;
+
+    type Quality = { score: number; flags: string[] };
+
+    const renderRun = (value: number, extra: object[] = []) =>
+      validSuitePayload({
+        suiteId,
+        metrics: [
+          { label: "Render Time", value, unit: "ms", better: "lower" },
+          ...extra,
+        ],
+      });
+
+    const submit = async (
+      payload: unknown,
+      headers?: Record<string, string>,
+    ): Promise<Quality> => {
+      const { req, url } = post("/api/benchmarks", payload, headers);
+      const result = await routeBenchmarks(req, url);
+      expect(result!.status).toBe(201);
+      return (await json<{ quality: Quality }>(result!)).quality;
+    };
+
+    const renderStats = async (query = "") => {
+      const { req, url } = get(
+        `/api/benchmarks/stats?type=suite&suiteId=${suiteId}${query}`,
+      );
+      const body = await json<{
+        items: Array<{
+          metrics: Array<{
+            label: string;
+            mean: number;
+            max: number;
+            sampleCount: number;
+          }>;
+        }>;
+      }>((await routeBenchmarks(req, url))!);
+      return body.items[0].metrics.find((m) => m.label === "Render Time")!;
+    };
+
+    test("a clean run scores 1", async () => {
+      expect(await submit(renderRun(10))).toEqual({ score: 1, flags: [] });
+      for (const value of [11, 12, 13, 14]) await submit(renderRun(value));
+    });
+
+    test("an identical resubmission is flagged as a duplicate", async () => {
+      expect(await submit(renderRun(10))).toEqual({
+        score: 0.1,
+        flags: ["duplicate"],
+      });
+    });
+
+    test("a throttled run is flagged", async () => {
+      const quality = await submit(
+        renderRun(40, [
+          { label: "rAF throttled", value: 20, unit: "fps", better: "higher" },
+        ]),
+      );
+      expect(quality).toEqual({ score: 0.3, flags: ["throttled"] });
+    });
+
+    test("stats leave low-quality runs out by default", async () => {
+      const filtered = await renderStats();
+      expect(filtered.sampleCount).toBe(5);
+      expect(filtered.max).toBe(14);
+      expect(await renderStats("&quality=filter")).toEqual(filtered);
+
+      const raw = await renderStats("&quality=off");
+      expect(raw.sampleCount).toBe(7);
+      expect(raw.max).toBe(40);
+    });
+
+    test("weight mode keeps every run but trusts clean ones more", async () => {
+      const raw = await renderStats("&quality=off");
+      const weighted = await renderStats("&quality=weight");
+      expect(weighted.sampleCount).toBe(raw.sampleCount);
+      // The throttled 40ms run barely moves the mean
+      expect(weighted.mean).toBeLessThan(raw.mean);
+      expect(weighted.mean).toBeLessThan(14);
+    });
+
+    test("history honours the quality mode", async () => {
+      const maxSamples = async (query: string) => {
+        const { req, url } = get(
+          `/api/benchmarks/history?type=suite&suiteId=${suiteId}&metric=Render+Time${query}`,
+        );
+        const body = await json<{ items: Array<{ sampleCount: number }> }>(
+          (await routeBenchmarks(req, url))!,
+        );
+        return body.items.reduce((n, point) => n + point.sampleCount, 0);
+      };
+      expect(await maxSamples("")).toBe(5);
+      expect(await maxSamples("&quality=off")).toBe(7);
+    });
+
+    test("a burst from one client is flagged", async () => {
+      const headers = { "X-Forwarded-For": "10.9.9.9" };
+      const flags: string[][] = [];
+      for (let i = 0; i < 13; i++) {
+        flags.push((await submit(renderRun(100 + i), headers)).flags);
+      }
+      expect(flags[11]).toEqual([]);
+      expect(flags[12]).toEqual(["client-burst"]);
+    });
+
+    test("summary counts low-quality runs", async () => {
+      const { req, url } = get("/api/benchmarks/summary?type=suite");
+      const body = await json<{ totalRuns: number; lowQualityRuns: number }>(
+        (await routeBenchmarks(req, url))!,
+      );
+      expect(body.lowQualityRuns).toBeGreaterThanOrEqual(2);
+      expect(body.lowQualityRuns).toBeLessThan(body.totalRuns);
+    });
+
+    test("rejects unknown quality modes", async () => {
+      const { req, url } = get("/api/benchmarks/stats?quality=strict");
+      const result = await routeBenchmarks(req, url);
+      expect(result!.status).toBe(400);
+      const body = await json<{ error: string }>(result!);
+      expect(body.error).toContain("quality");
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Run permalinks
+  // ---------------------------------------------------------------------------
+
+  describe("GET /api/benchmarks/runs/:id", () => {
+    const suiteId = `permalink-test-${Date.now()}`;
+    const CHROME_UA =
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+    const permalinks: string[] = [];
+
+    type Run = {
+      id: number;
+      table: string;
+      suiteId: string;
+      environment: { browser: string; os: string; device: string };
+      cohort: { browser: string; runs: number };
+      metrics: Array<{
+        label: string;
+        value: number;
+        cohort: {
+          median: number;
+          sampleCount: number;
+          percentile: number;
+        } | null;
+      }>;
+    };
+
+    const getRun = async (path: string) => {
+      const { req, url } = get(
+        path.replace("/benchmarks/", "/api/benchmarks/"),
+      );
+      return (await routeBenchmarks(req, url))!;
+    };
+
+    beforeAll(async () => {
+      for (const value of [10, 20, 30, 40]) {
+        const { req, url } = post(
+          "/api/benchmarks",
+          validSuitePayload({
+            suiteId,
+            userAgent: CHROME_UA,
+            metrics: [
+              { label: "Render Time", value, unit: "ms", better: "lower" },
+            ],
+          }),
+        );
+        const body = await json<{ permalink: string }>(
+          (await routeBenchmarks(req, url))!,
+        );
+        permalinks.push(body.permalink);
+      }
+    });
+
+    test("POST returns the run's permalink", () => {
+      for (const permalink of permalinks) {
+        expect(permalink).toMatch(/^\/benchmarks\/runs\/\d+\?type=suite$/);
+      }
+    });
+
+    test("returns the run with its environment", async () => {
+      const response = await getRun(permalinks[1]);
+      expect(response.status).toBe(200);
+      const run = await json<Run>(response);
+      expect(run.table).toBe("suite");
+      expect(run.suiteId).toBe(suiteId);
+      expect(run.environment).toMatchObject({
+        browser: "Chrome",
+        os: "macos",
+        device: "desktop",
+      });
+      expect(run.metrics[0].value).toBe(20);
+    });
+
+    test("places each metric among its cohort", async () => {
+      const run = await json<Run>(await getRun(permalinks[1]));
+      expect(run.cohort).toMatchObject({ browser: "chrome", runs: 4 });
+      expect(run.metrics[0].cohort).toEqual({
+        median: 25,
+        p5: 11.5,
+        p95: 38.5,
+        sampleCount: 4,
+        percentile: 37.5,
+      });
+    });
+
+    test("returns 404 for an unknown run", async () => {
+      const response = await getRun("/benchmarks/runs/999999999?type=suite");
+      expect(response.status).toBe(404);
+    });
+
+    test("rejects a non-numeric ID", async () => {
+      const response = await getRun("/benchmarks/runs/latest?type=suite");
+      expect(response.status).toBe(400);
+    });
+
+    test("renders the run page", async () => {
+      const url = new URL(`https://vlist.dev${permalinks[1]}`);
+      const slug = url.pathname.replace("/benchmarks/", "");
+      const response = renderBenchmarkPage(slug, url);
+      expect(response).not.toBeNull();
+      const html = await response!.text();
+      expect(html).toContain(`#${slug.split("/")[1]}`);
+      expect(html).toContain("Render Time");
+      expect(html).toContain("Compared with 4 runs");
+      expect(html).not.toContain("/dist/benchmarks/script.js");
+
+      expect(
+        renderBenchmarkPage("runs/999999999", new URL("https://vlist.dev/")),
+      ).toBeNull();
+    });
+
+    test("escapes submitted text in the page's title and meta tags", async () => {
+      const { req, url } = post(
+        "/api/benchmarks",
+        validSuitePayload({
+          version: '1"><script>alert(1)</script>\\',
+          suiteId: `${suiteId}-<img src=x onerror=alert(1)>`,
+        }),
+      );
+      const { permalink } = await json<{ permalink: string }>(
+        (await routeBenchmarks(req, url))!,
+      );
+      const pageUrl = new URL(`https://vlist.dev${permalink}`);
+      const html = await renderBenchmarkPage(
+        pageUrl.pathname.replace("/benchmarks/", ""),
+        pageUrl,
+      )!.text();
+
+      expect(html).not.toContain("<script>alert(1)");
+      expect(html).not.toContain("<img src=x");
+      expect(html).toContain(
+        'vlist 1&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;&#92;" />',
+      );
+      expect(html).toContain(
+        "&lt;img src=x onerror=alert(1)&gt; Benchmark</title>",
+      );
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  // Archive
+  // ---------------------------------------------------------------------------
+
+  describe("archive export and import", () => {
+    const suiteId = `archive-test-${Date.now()}`;
+    const today = new Date().toISOString().slice(0, 10);
+    const TOKEN = "test-admin-token";
+
+    type Report = {
+      schemaVersion: number;
+      dryRun: boolean;
+      imported: { comparison: number; suite: number };
+      duplicates: number;
+      invalid: number;
+      errors: string[];
+    };
+
+    const exportArchive = async (query: string) => {
+      const { req, url } = get(`/api/benchmarks/export?${query}`);
+      return (await routeBenchmarks(req, url))!;
+    };
+
+    const importArchive = async (
+      body: Uint8Array | string,
+      query = "",
+      token: string | null = TOKEN,
+    ) => {
+      const url = new URL(`https://vlist.dev/api/benchmarks/import${query}`);
+      const req = new Request(url.toString(), {
+        method: "POST",
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body,
+      });
+      return (await routeBenchmarks(req, url))!;
+    };
+
+    /** Today's suite archive — the lines of this test's suite only */
+    const archiveLines = async () => {
+      const text = await (
+        await exportArchive(`type=suite&since=${today}`)
+      ).text();
+      const [manifest, ...lines] = text.trim().split("\n");
+      return {
+        manifest,
+        lines: lines.filter((line) => JSON.parse(line).suiteId === suiteId),
+      };
+    };
+
+    beforeAll(async () => {
+      process.env.BENCHMARK_ADMIN_TOKEN = TOKEN;
+      for (const value of [21, 22]) {
+        const { req, url } = post(
+          "/api/benchmarks",
+          validSuitePayload({
+            suiteId,
+            metrics: [
+              { label: "Render Time", value, unit: "ms", better: "lower" },
+            ],
+          }),
+        );
+        await routeBenchmarks(req, url);
+      }
+    });
+
+    test("exports NDJSON with a manifest line first", async () => {
+      const response = await exportArchive(`type=suite&since=${today}`);
+      expect(response.status).toBe(200);
+      expect(response.headers.get("Content-Type")).toContain(
+        "application/x-ndjson",
+      );
+      expect(response.headers.get("Content-Disposition")).toContain(".ndjson");
+
+      const { manifest, lines } = await archiveLines();
+      expect(JSON.parse(manifest)).toMatchObject({
+        format: "vlist-benchmarks",
+        schemaVersion: 1,
+        type: "suite",
+        since: today,
+      });
+      expect(lines).toHaveLength(2);
+      const record = JSON.parse(lines[0]);
+      expect(record.createdAt).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+      expect(record.quality).toEqual({ score: 1, flags: [] });
+      expect(record.metrics[0]).toMatchObject({
+        label: "Render Time",
+        value: 21,
+      });
+      expect(record).not.toHaveProperty("clientHash");
+    });
+
+    test("exports a zip of manifest.json and runs.ndjson", async () => {
+      const response = await exportArchive(
+        `type=suite&format=zip&since=${today}`,
+      );
+      expect(response.headers.get("Content-Type")).toBe("application/zip");
+      const files = readZip(new Uint8Array(await response.arrayBuffer()));
+      expect([...files.keys()]).toEqual(["manifest.json", "runs.ndjson"]);
+      const runs = new TextDecoder().decode(files.get("runs.ndjson"));
+      expect(runs).toContain(suiteId);
+    });
+
+    test("rejects a malformed since date", async () => {
+      const response = await exportArchive("since=yesterday");
+      expect(response.status).toBe(400);
+    });
+
+    test("importing the export back only finds duplicates", async () => {
+      const zip = new Uint8Array(
+        await (
+          await exportArchive(`type=suite&format=zip&since=${today}`)
+        ).arrayBuffer(),
+      );
+      const response = await importArchive(zip);
+      expect(response.status).toBe(200);
+      const report = await json<Report>(response);
+      expect(report.imported).toEqual({ comparison: 0, suite: 0 });
+      expect(report.duplicates).toBeGreaterThanOrEqual(2);
+      expect(report.invalid).toBe(0);
+    });
+
+    test("imports new records and reports invalid ones", async () => {
+      const { manifest, lines } = await archiveLines();
+      const moved = {
+        ...JSON.parse(lines[0]),
+        createdAt: "2020-01-01 00:00:00",
+      };
+      const rescored = { ...moved, createdAt: "2020-01-02 00:00:00" };
+      delete rescored.quality;
+      const body = [
+        manifest,
+        JSON.stringify(moved),
+        JSON.stringify(rescored),
+        JSON.stringify({ ...moved, itemCount: 7 }),
+        "not json",
+        JSON.stringify(moved),
+      ].join("\n");
+
+      const dry = await json<Report>(await importArchive(body, "?dryRun=true"));
+      expect(dry.dryRun).toBe(true);
+      expect(dry.imported.suite).toBe(2);
+
+      const report = await json<Report>(await importArchive(body));
+      expect(report.imported).toEqual({ comparison: 0, suite: 2 });
+      // The repeated record dedupes against the one just imported
+      expect(report.duplicates).toBe(1);
+      expect(report.invalid).toBe(2);
+      expect(report.errors[0]).toContain("record 3: itemCount");
+      expect(report.errors[1]).toBe("record 4: not valid JSON");
+
+      // The dry run stored nothing — the real import found nothing to skip
+      const { req, url } = get(
+        `/api/benchmarks/stats?type=suite&suiteId=${suiteId}&quality=off`,
+      );
+      const stats = await json<{
+        items: Array<{ metrics: Array<{ sampleCount: number }> }>;
+      }>((await routeBenchmarks(req, url))!);
+      expect(stats.items[0].metrics[0].sampleCount).toBe(4);
+    });
+
+    test("rejects unsupported archives", async () => {
+      const future = JSON.stringify({
+        format: "vlist-benchmarks",
+        schemaVersion: 99,
+      });
+      const response = await importArchive(future);
+      expect(response.status).toBe(400);
+      expect((await json<{ error: string }>(response)).error).toContain(
+        "schema version 99",
+      );
+
+      expect((await importArchive('{"format":"other"}')).status).toBe(400);
+      expect((await importArchive("PK\x03\x04 broken")).status).toBe(400);
+    });
+
+    test("requires the admin token", async () => {
+      const missing = await importArchive("", "", null);
+      expect(missing.status).toBe(401);
+      expect(missing.headers.get("WWW-Authenticate")).toContain("Bearer");
+      expect((await importArchive("", "", "wrong")).status).toBe(401);
+
+      delete process.env.BENCHMARK_ADMIN_TOKEN;
+      expect((await importArchive("")).status).toBe(403);
+      process.env.BENCHMARK_ADMIN_TOKEN = TOKEN;
+    });
+  });
+
   // ---------------------------------------------------------------------------
   // CORS Headers
   // ---------------------------------------------------------------------------
@@ -1265,4 +1902,96 @@ describe("benchmarks API", () => {
       expect(clusterMetric!.min).toBeLessThanOrEqual(clusterMetric!.max);
     });
   });
+
+  describe("archive export on the sqlite backend", () => {
+    let dir: string;
+    let sqlite: BenchmarkStorage;
+
+    beforeAll(async () => {
+      dir = mkdtempSync(join(tmpdir(), "benchmarks-"));
+      sqlite = createSqliteStorage(join(dir, "benchmarks.db"));
+      setBenchmarkStorage(sqlite);
+
+      const { req, url } = post("/api/benchmarks", validSuitePayload());
+      await routeBenchmarks(req, url);
+      // 2048 runs — several export chunks
+      const columns = sqlite.db
+        .query("SELECT name FROM pragma_table_info('benchmark_runs')")
+        .all()
+        .map((c) => (c as { name: string }).name)
+        .filter((name) => name !== "id")
+        .join(", ");
+      for (let i = 0; i < 11; i++) {
+        sqlite.db.run(
+          `INSERT INTO benchmark_runs (${columns}) SELECT ${columns} FROM benchmark_runs`,
+        );
+      }
+    });
+
+    afterAll(() => {
+      setBenchmarkStorage(createMemoryStorage());
+      rmSync(dir, { recursive: true });
+    });
+
+    test("streams one snapshot while the shared connection writes", async () => {
+      const { req, url } = get("/api/benchmarks/export?type=suite");
+      const response = (await routeBenchmarks(req, url))!;
+      const reader = response.body!.getReader();
+      const decoder = new TextDecoder();
+      let text = decoder.decode((await reader.read()).value);
+
+      const write = post(
+        "/api/benchmarks",
+        validSuitePayload({ suiteId: "written-mid-export" }),
+      );
+      expect((await routeBenchmarks(write.req, write.url))!.status).toBe(201);
+      sqlite.db.run("DELETE FROM benchmark_runs WHERE id > 256");
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        text += decoder.decode(value);
+      }
+      const lines = text.trim().split("\n");
+      expect(lines).toHaveLength(1 + 2048);
+      expect(text).not.toContain("written-mid-export");
+    });
+  });
+
+  describe("client hashes", () => {
+    let dir: string;
+
+    beforeAll(() => {
+      dir = mkdtempSync(join(tmpdir(), "benchmarks-"));
+    });
+
+    afterAll(() => {
+      setBenchmarkStorage(createMemoryStorage());
+      rmSync(dir, { recursive: true });
+    });
+
+    test("are the same from every storage opened on the database", async () => {
+      const path = join(dir, "benchmarks.db");
+      // Two server instances — or one, restarted
+      for (const ip of ["192.0.2.1", "192.0.2.1", "192.0.2.2"]) {
+        setBenchmarkStorage(createSqliteStorage(path));
+        const { req, url } = post("/api/benchmarks", validSuitePayload(), {
+          "X-Forwarded-For": ip,
+        });
+        expect((await routeBenchmarks(req, url))!.status).toBe(201);
+      }
+
+      const reader = createSqliteStorage(path);
+      const hashes = (
+        reader.db
+          .query("SELECT client_hash FROM benchmark_runs ORDER BY id")
+          .all() as { client_hash: string }[]
+      ).map((row) => row.client_hash);
+      reader.close();
+
+      expect(hashes[0]).toMatch(/^[0-9a-f]{32}$/);
+      expect(hashes[1]).toBe(hashes[0]);
+      expect(hashes[2]).not.toBe(hashes[0]);
+    });
+  });
 });
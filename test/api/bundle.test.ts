@@ -0,0 +1,208 @@
+// test/api/bundle.test.ts
+import { describe, test, expect, beforeEach } from "bun:test";
+import {
+  bundleProject,
+  clearBundleCache,
+  hashProject,
+  validateBundleRequest,
+  MAX_FILES,
+  MAX_PROJECT_BYTES,
+  type BundleOutcome,
+  type BundleProject,
+} from "../../src/api/bundle";
+
+const PROJECT: BundleProject = {
+  framework: "vanilla",
+  entry: "script.js",
+  files: {
+    "script.js": [
+      'import { greet } from "./lib/greet.ts";',
+      'import "./card.css";',
+      'document.body.textContent = greet("vlist");',
+    ].join("\n"),
+    "lib/greet.ts":
+      "export const greet = (name: string): string => `Hello, ${name}`;",
+    "card.css": ".card {\n  padding: 8px;\n}\n",
+    "styles.css": "/* page */\nbody {\n  margin: 0;\n}\n",
+  },
+};
+
+const succeeded = (outcome: BundleOutcome) => {
+  if (!outcome.success) throw new Error(JSON.stringify(outcome.logs));
+  return outcome.result;
+};
+
+const failed = (outcome: BundleOutcome) => {
+  if (outcome.success) throw new Error("expected the build to fail");
+  return outcome.logs;
+};
+
+beforeEach(() => {
+  clearBundleCache();
+});
+
+describe("bundle", () => {
+  describe("validateBundleRequest", () => {
+    test("accepts a project and defaults the framework and entry", () => {
+      const result = validateBundleRequest({ files: PROJECT.files });
+      expect(result.valid).toBe(true);
+      expect(result.project).toEqual(PROJECT);
+    });
+
+    test("rejects paths that could leave the project", () => {
+      for (const path of ["../script.js", "/etc/x.js", "a/../b.js", ".x.js"]) {
+        const result = validateBundleRequest({ files: { [path]: "" } });
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain("paths must be relative");
+      }
+    });
+
+    test("enforces the limits", () => {
+      const many = Object.fromEntries(
+        Array.from({ length: MAX_FILES + 1 }, (_, i) => [`f${i}.js`, ""]),
+      );
+      expect(validateBundleRequest({ files: many }).error).toContain(
+        `between 1 and ${MAX_FILES} files`,
+      );
+      expect(
+        validateBundleRequest({
+          files: { "script.js": "x".repeat(MAX_PROJECT_BYTES + 1) },
+        }).error,
+      ).toContain("at most 256 KB");
+    });
+
+    test("rejects unknown frameworks and entries", () => {
+      expect(
+        validateBundleRequest({ framework: "angular", files: PROJECT.files })
+          .error,
+      ).toContain("framework must be one of");
+      expect(
+        validateBundleRequest({ files: { "lib.js": "" } }).error,
+      ).toContain("entry must name one of the files");
+      expect(
+        validateBundleRequest({ entry: "card.css", files: PROJECT.files })
+          .error,
+      ).toBe("entry must be a script");
+    });
+  });
+
+  test("hashProject ignores file order", () => {
+    const reversed = Object.fromEntries(
+      Object.entries(PROJECT.files).reverse(),
+    );
+    expect(hashProject({ ...PROJECT, files: reversed })).toBe(
+      hashProject(PROJECT),
+    );
+    expect(hashProject({ ...PROJECT, framework: "react" })).not.toBe(
+      hashProject(PROJECT),
+    );
+  });
+
+  test("bundles scripts, imported CSS and the page's stylesheets", async () => {
+    const result = succeeded(await bundleProject(PROJECT));
+    expect(result.js).toContain("Hello, ");
+    expect(result.js).not.toContain("import");
+    expect(result.css).toContain(".card");
+    expect(result.css).toEndWith("body{margin:0}");
+    expect(result.size.js).toBe(Buffer.byteLength(result.js));
+    expect(result.cached).toBe(false);
+  });
+
+  test("serves the same content from the cache", async () => {
+    const first = succeeded(await bundleProject(PROJECT));
+    const second = succeeded(await bundleProject({ ...PROJECT }));
+    expect(second.cached).toBe(true);
+    expect(second.hash).toBe(first.hash);
+    expect(second.js).toBe(first.js);
+  });
+
+  test("blocks imports outside the project and unknown packages", async () => {
+    const outside = failed(
+      await bundleProject({
+        ...PROJECT,
+        files: { "script.js": 'import "../../../etc/passwd.js";' },
+      }),
+    );
+    expect(outside[0].message).toContain("Import outside the project");
+
+    const bare = failed(
+      await bundleProject({
+        ...PROJECT,
+        files: { "script.js": 'import fs from "node:fs";\nconsole.log(fs);' },
+      }),
+    );
+    expect(bare[0].message).toContain('Package not available: "node:fs"');
+  });
+
+  test("blocks package subpaths that climb out of the package", async () => {
+    for (const specifier of [
+      "vlist/../../package.json",
+      "react/../../server.ts",
+      "vue/./../../src/api/storage.ts",
+      "@vue/../../package.json",
+    ]) {
+      const logs = failed(
+        await bundleProject({
+          ...PROJECT,
+          files: {
+            "script.js": `import x from "${specifier}";\nconsole.log(x);`,
+          },
+        }),
+      );
+      expect(logs[0].message).toContain(
+        `Package not available: "${specifier}"`,
+      );
+    }
+  });
+
+  test("checks imports before the framework plugins resolve them", async () => {
+    for (const framework of ["vanilla", "vue"] as const) {
+      const logs = failed(
+        await bundleProject({
+          framework,
+          entry: "script.js",
+          files: {
+            "script.js":
+              'import t from "@vue/../../server.ts" with { type: "text" };\nconsole.log(t);',
+          },
+        }),
+      );
+      expect(logs[0].message).toContain(
+        'Package not available: "@vue/../../server.ts"',
+      );
+    }
+  });
+
+  test("reports syntax errors with project-relative positions", async () => {
+    const logs = failed(
+      await bundleProject({
+        ...PROJECT,
+        files: {
+          "script.js": 'import "./broken.js";',
+          "broken.js": "const x = ;",
+        },
+      }),
+    );
+    expect(logs).toEqual([
+      { message: "Unexpected ;", file: "broken.js", line: 1, column: 11 },
+    ]);
+  });
+
+  test("compiles JSX with the framework's plugins", async () => {
+    const result = succeeded(
+      await bundleProject({
+        framework: "solidjs",
+        entry: "script.jsx",
+        files: {
+          "script.jsx": [
+            'import { render } from "solid-js/web";',
+            "render(() => <p>Solid</p>, document.body);",
+          ].join("\n"),
+        },
+      }),
+    );
+    // babel-preset-solid compiles JSX to templates, not createElement calls
+    expect(result.js).toContain("<p>Solid");
+    expect(result.js).not.toContain("jsxDEV");
+  });
+});
@@ -0,0 +1,188 @@
+// test/api/cohorts.test.ts
+import { describe, test, expect, beforeAll } from "bun:test";
+import { Database } from "bun:sqlite";
+import {
+  browserOf,
+  browserName,
+  browserVersionOf,
+  osOf,
+  deviceOf,
+  coresBucket,
+  memoryBucket,
+  cohortFilter,
+  cohortFromUrl,
+  type Cohort,
+} from "../../src/api/cohorts";
+
+const UA = {
+  chromeMac:
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  edgeWindows:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36 Edg/121.0.2277.83",
+  firefoxLinux:
+    "Mozilla/5.0 (X11; Linux x86_64; rv:122.0) Gecko/20100101 Firefox/122.0",
+  safariIphone:
+    "Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1",
+  chromeAndroid:
+    "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.144 Mobile Safari/537.36",
+  samsungTablet:
+    "Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Safari/537.36",
+  criosIpad:
+    "Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/120.0.6099.119 Mobile/15E148 Safari/604.1",
+  bot: "curl/8.4.0",
+};
+
+describe("cohorts", () => {
+  describe("classification", () => {
+    test("browserOf picks the most specific family", () => {
+      expect(browserOf(UA.chromeMac)).toBe("chrome");
+      expect(browserOf(UA.edgeWindows)).toBe("edge");
+      expect(browserOf(UA.firefoxLinux)).toBe("firefox");
+      expect(browserOf(UA.safariIphone)).toBe("safari");
+      expect(browserOf(UA.samsungTablet)).toBe("samsung");
+      expect(browserOf(UA.criosIpad)).toBe("chrome-ios");
+      expect(browserOf(UA.bot)).toBe("other");
+      expect(browserOf(null)).toBe("other");
+    });
+
+    test("browserName keeps the display names", () => {
+      expect(browserName(UA.samsungTablet)).toBe("Samsung Internet");
+      expect(browserName(UA.criosIpad)).toBe("Chrome (iOS)");
+      expect(browserName(UA.bot)).toBe("Other");
+      expect(browserName("")).toBe("Unknown");
+    });
+
+    test("browserVersionOf reads the family's own major version", () => {
+      expect(browserVersionOf(UA.chromeMac)).toBe(120);
+      expect(browserVersionOf(UA.edgeWindows)).toBe(121);
+      expect(browserVersionOf(UA.safariIphone)).toBe(17);
+      expect(browserVersionOf(UA.samsungTablet)).toBe(23);
+      expect(browserVersionOf(UA.bot)).toBeNull();
+    });
+
+    test("osOf tells iOS from macOS", () => {
+      expect(osOf(UA.chromeMac)).toBe("macos");
+      expect(osOf(UA.safariIphone)).toBe("ios");
+      expect(osOf(UA.criosIpad)).toBe("ios");
+      expect(osOf(UA.chromeAndroid)).toBe("android");
+      expect(osOf(UA.firefoxLinux)).toBe("linux");
+      expect(osOf(UA.edgeWindows)).toBe("windows");
+    });
+
+    test("deviceOf counts phones and tablets as mobile", () => {
+      expect(deviceOf(UA.chromeAndroid)).toBe("mobile");
+      expect(deviceOf(UA.samsungTablet)).toBe("mobile");
+      expect(deviceOf(UA.criosIpad)).toBe("mobile");
+      expect(deviceOf(UA.chromeMac)).toBe("desktop");
+      expect(deviceOf(null)).toBe("desktop");
+    });
+
+    test("hardware buckets", () => {
+      expect([2, 4, 5, 8, 12, 16, 32].map(coresBucket)).toEqual([
+        "1-4",
+        "1-4",
+        "5-8",
+        "5-8",
+        "9-16",
+        "9-16",
+        "17-up",
+      ]);
+      expect([0.5, 2, 4, 6, 8, 16].map(memoryBucket)).toEqual([
+        "under-4",
+        "under-4",
+        "4-7",
+        "4-7",
+        "8-up",
+        "8-up",
+      ]);
+      expect(coresBucket(null)).toBeNull();
+    });
+  });
+
+  describe("cohortFilter", () => {
+    let db: Database;
+    const agents = [...Object.values(UA), null];
+
+    beforeAll(() => {
+      db = new Database(":memory:");
+      db.run(
+        "CREATE TABLE runs (id INTEGER PRIMARY KEY, user_agent TEXT, hardware_concurrency INTEGER, device_memory REAL)",
+      );
+      const insert = db.prepare(
+        "INSERT INTO runs (user_agent, hardware_concurrency, device_memory) VALUES (?, ?, ?)",
+      );
+      agents.forEach((ua, i) => insert.run(ua, [2, 8, 12, null][i % 4], 8));
+    });
+
+    const select = (cohort: Cohort) => {
+      const { conditions, params } = cohortFilter(cohort);
+      const where = conditions.length
+        ? `WHERE ${conditions.join(" AND ")}`
+        : "";
+      return (
+        db
+          .prepare(`SELECT user_agent FROM runs r ${where} ORDER BY id`)
+          .all(...params) as { user_agent: string | null }[]
+      ).map((row) => row.user_agent);
+    };
+
+    test("matches the JS classification for every field", () => {
+      for (const browser of ["chrome", "edge", "safari", "samsung", "other"]) {
+        expect(select({ browser })).toEqual(
+          agents.filter((ua) => browserOf(ua) === browser),
+        );
+      }
+      for (const os of ["macos", "ios", "android", "linux", "other"]) {
+        expect(select({ os })).toEqual(agents.filter((ua) => osOf(ua) === os));
+      }
+      for (const device of ["mobile", "desktop"]) {
+        expect(select({ device })).toEqual(
+          agents.filter((ua) => deviceOf(ua) === device),
+        );
+      }
+      for (const browserVersion of [17, 120, 121]) {
+        expect(select({ browserVersion })).toEqual(
+          agents.filter((ua) => browserVersionOf(ua) === browserVersion),
+        );
+      }
+    });
+
+    test("combines fields with AND", () => {
+      expect(select({ browser: "chrome", browserVersion: 120 })).toEqual([
+        UA.chromeMac,
+        UA.chromeAndroid,
+      ]);
+      expect(
+        select({ browser: "chrome", browserVersion: 120, device: "desktop" }),
+      ).toEqual([UA.chromeMac]);
+    });
+
+    test("bucket filters skip runs that didn't report hardware", () => {
+      const selected = select({ cores: "1-4" });
+      expect(selected).toEqual(agents.filter((_, i) => i % 4 === 0));
+      expect(select({ memory: "8-up" })).toHaveLength(agents.length);
+      expect(select({ memory: "under-4" })).toEqual([]);
+    });
+
+    test("an empty cohort doesn't filter", () => {
+      expect(cohortFilter({})).toEqual({ conditions: [], params: [] });
+      expect(select({})).toHaveLength(agents.length);
+    });
+  });
+
+  describe("cohortFromUrl", () => {
+    test("reads set params and ignores blanks", () => {
+      const url = new URL(
+        "https://vlist.dev/api/benchmarks/stats?browser=firefox&browserVersion=122&os=&cores=5-8",
+      );
+      expect(cohortFromUrl(url)).toEqual({
+        browser: "firefox",
+        browserVersion: 122,
+        os: undefined,
+        device: undefined,
+        cores: "5-8",
+        memory: undefined,
+      });
+    });
+  });
+});
@@ -0,0 +1,254 @@
+// test/api/cursor.test.ts
+import { describe, test, expect, beforeAll } from "bun:test";
+import { Database } from "bun:sqlite";
+import {
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+  fetchKeysetPage,
+  createCountCache,
+} from "../../src/api/cursor";
+
+interface Row {
+  id: number;
+  name: string;
+  year: number | null;
+}
+
+// Small in-memory table with duplicate and NULL sort values
+let db: Database;
+
+beforeAll(() => {
+  db = new Database(":memory:");
+  db.run(
+    "CREATE TABLE rows (id INTEGER PRIMARY KEY, name TEXT NOT NULL, year INTEGER)",
+  );
+  const insert = db.prepare(
+    "INSERT INTO rows (id, name, year) VALUES (?, ?, ?)",
+  );
+  const years = [1990, null, 1975, 1990, 2001, null, 1975, 1990, 1964, 2001];
+  years.forEach((year, i) =>
+    insert.run(i + 1, `Row ${String.fromCharCode(74 - i)}`, year),
+  );
+});
+
+/** Walk every keyset page and return the concatenated ids */
+const walk = (
+  sort: string,
+  direction: "asc" | "desc",
+  limit: number,
+  whereClause = "",
+  whereParams: (string | number)[] = [],
+): number[] => {
+  const ids: number[] = [];
+  let cursor = "";
+  for (let guard = 0; guard < 100; guard++) {
+    const page = fetchKeysetPage<Row>(db, {
+      table: "rows",
+      columns: "id, name, year",
+      sort,
+      direction,
+      collate: sort === "name" ? " COLLATE NOCASE" : "",
+      whereClause,
+      whereParams,
+      limit,
+      cursor,
+    });
+    ids.push(...page.items.map((r) => r.id));
+    if (!page.hasMore) {
+      expect(page.nextCursor).toBeNull();
+      return ids;
+    }
+    cursor = page.nextCursor!;
+  }
+  throw new Error("keyset walk did not terminate");
+};
+
+/** Reference ordering computed with a single un-paginated query */
+const reference = (
+  sort: string,
+  direction: "asc" | "desc",
+  whereClause = "",
+  whereParams: (string | number)[] = [],
+): number[] => {
+  const dir = direction.toUpperCase();
+  return (
+    db
+      .query(
+        `SELECT id FROM rows${whereClause} ORDER BY ${sort} ${dir}, id ${dir}`,
+      )
+      .all(...whereParams) as { id: number }[]
+  ).map((r) => r.id);
+};
+
+describe("cursor", () => {
+  describe("encodeCursor / decodeCursor", () => {
+    test("round-trips a cursor state", () => {
+      const state = {
+        sort: "name",
+        direction: "asc" as const,
+        value: "Zürich",
+        id: 42,
+      };
+      expect(decodeCursor(encodeCursor(state))).toEqual(state);
+    });
+
+    test("round-trips NULL values", () => {
+      const state = {
+        sort: "year",
+        direction: "desc" as const,
+        value: null,
+        id: 7,
+      };
+      expect(decodeCursor(encodeCursor(state))).toEqual(state);
+    });
+
+    test("produces URL-safe tokens", () => {
+      const token = encodeCursor({
+        sort: "name",
+        direction: "asc",
+        value: "???>>>~~~",
+        id: 1,
+      });
+      expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test("rejects malformed tokens", () => {
+      expect(() => decodeCursor("not-a-cursor")).toThrow("Invalid cursor");
+      expect(() =>
+        decodeCursor(Buffer.from('{"a":1}').toString("base64url")),
+      ).toThrow("Invalid cursor");
+      expect(() =>
+        decodeCursor(Buffer.from('["name","up","x",1]').toString("base64url")),
+      ).toThrow("Invalid cursor");
+      expect(() =>
+        decodeCursor(
+          Buffer.from('["name","asc","x",1.5]').toString("base64url"),
+        ),
+      ).toThrow("Invalid cursor");
+    });
+  });
+
+  describe("buildKeysetCondition", () => {
+    test("uses a single comparison when sorting by id", () => {
+      const [clause, params] = buildKeysetCondition({
+        sort: "id",
+        direction: "desc",
+        value: 10,
+        id: 10,
+      });
+      expect(clause).toBe("id < ?");
+      expect(params).toEqual([10]);
+    });
+
+    test("applies the collation to the sort column", () => {
+      const [clause] = buildKeysetCondition(
+        { sort: "name", direction: "asc", value: "a", id: 1 },
+        " COLLATE NOCASE",
+      );
+      expect(clause).toContain("name COLLATE NOCASE > ?");
+    });
+  });
+
+  describe("fetchKeysetPage", () => {
+    for (const direction of ["asc", "desc"] as const) {
+      for (const sort of ["id", "name", "year"]) {
+        for (const limit of [1, 3, 20]) {
+          test(`walks ${sort} ${direction} with limit ${limit}`, () => {
+            expect(walk(sort, direction, limit)).toEqual(
+              reference(sort, direction),
+            );
+          });
+        }
+      }
+    }
+
+    test("combines with filter clauses", () => {
+      const where = " WHERE year >= ?";
+      expect(walk("year", "desc", 2, where, [1975])).toEqual(
+        reference("year", "desc", where, [1975]),
+      );
+    });
+
+    test("does not repeat rows when earlier rows are deleted mid-walk", () => {
+      const first = fetchKeysetPage<Row>(db, {
+        table: "rows",
+        columns: "id, name, year",
+        sort: "id",
+        direction: "asc",
+        collate: "",
+        whereClause: "",
+        whereParams: [],
+        limit: 3,
+        cursor: "",
+      });
+      db.run("DELETE FROM rows WHERE id = 1");
+
+      const second = fetchKeysetPage<Row>(db, {
+        table: "rows",
+        columns: "id, name, year",
+        sort: "id",
+        direction: "asc",
+        collate: "",
+        whereClause: "",
+        whereParams: [],
+        limit: 3,
+        cursor: first.nextCursor!,
+      });
+      expect(second.items.map((r) => r.id)).toEqual([4, 5, 6]);
+      db.run("INSERT INTO rows (id, name, year) VALUES (1, 'Row J', 1990)");
+    });
+
+    test("rejects a cursor issued for another sort", () => {
+      const token = encodeCursor({
+        sort: "name",
+        direction: "asc",
+        value: "Row C",
+        id: 8,
+      });
+      expect(() =>
+        fetchKeysetPage<Row>(db, {
+          table: "rows",
+          columns: "id, name, year",
+          sort: "year",
+          direction: "asc",
+          collate: "",
+          whereClause: "",
+          whereParams: [],
+          limit: 3,
+          cursor: token,
+        }),
+      ).toThrow("Invalid cursor");
+    });
+  });
+
+  describe("createCountCache", () => {
+    test("computes once per key", () => {
+      const cache = createCountCache();
+      let calls = 0;
+      const compute = () => ++calls;
+
+      expect(cache.get("a", compute)).toBe(1);
+      expect(cache.get("a", compute)).toBe(1);
+      expect(cache.get("b", compute)).toBe(2);
+      expect(calls).toBe(2);
+    });
+
+    test("clear() forces recomputation", () => {
+      const cache = createCountCache();
+      let calls = 0;
+      cache.get("a", () => ++calls);
+      cache.clear();
+      expect(cache.get("a", () => ++calls)).toBe(2);
+    });
+
+    test("evicts the oldest entry when full", () => {
+      const cache = createCountCache(2);
+      cache.get("a", () => 1);
+      cache.get("b", () => 2);
+      cache.get("c", () => 3);
+      expect(cache.get("a", () => 10)).toBe(10);
+      expect(cache.get("c", () => 30)).toBe(3);
+    });
+  });
+});
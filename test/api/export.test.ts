@@ -0,0 +1,217 @@
+// test/api/export.test.ts
+import { describe, test, expect, beforeAll } from "bun:test";
+import { Database } from "bun:sqlite";
+import { inflateRawSync, crc32 } from "node:zlib";
+import {
+  csvField,
+  exportResponse,
+  type ExportFormat,
+  type RowScan,
+} from "../../src/api/export";
+import { columnName, escapeXml } from "../../src/api/xlsx";
+
+// In-memory table with awkward values — quotes, commas, newlines, nulls
+let db: Database;
+
+beforeAll(() => {
+  db = new Database(":memory:");
+  db.run(
+    "CREATE TABLE places (id INTEGER PRIMARY KEY, name TEXT, population INTEGER, lat REAL)",
+  );
+  const insert = db.prepare(
+    "INSERT INTO places (id, name, population, lat) VALUES (?, ?, ?, ?)",
+  );
+  insert.run(1, "São Paulo", 12_325_000, -23.55);
+  insert.run(2, 'Say "cheese", please', null, 0);
+  insert.run(3, "Two\nlines", 42, 1.5);
+  for (let id = 4; id <= 1200; id++) insert.run(id, `Town ${id}`, id, 0);
+});
+
+/** Scan that records whether it was closed */
+const scanPlaces = (where = "") => {
+  const statement = db.prepare(
+    `SELECT id, name, population, lat FROM places${where} ORDER BY id`,
+  );
+  const scan: RowScan & { closed: boolean } = {
+    statement,
+    params: [],
+    closed: false,
+    close: () => {
+      scan.closed = true;
+      statement.finalize();
+    },
+  };
+  return scan;
+};
+
+const download = (format: ExportFormat, where = "") => {
+  const scan = scanPlaces(where);
+  const response = exportResponse(scan, {
+    format,
+    name: "places",
+    headers: { "Access-Control-Allow-Origin": "*" },
+  });
+  return { scan, response };
+};
+
+/** Read every entry of a zip through its central directory */
+function unzip(bytes: Uint8Array): Map<string, string> {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const files = new Map<string, string>();
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const crc = view.getUint32(at + 16, true);
+    const compressedSize = view.getUint32(at + 20, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = new TextDecoder().decode(
+      bytes.subarray(at + 46, at + 46 + nameLength),
+    );
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const data = inflateRawSync(bytes.subarray(start, start + compressedSize));
+    expect(data.length).toBe(size);
+    expect(crc32(data)).toBe(crc);
+
+    files.set(name, data.toString("utf8"));
+    at += 46 + nameLength;
+  }
+  return files;
+}
+
+describe("export", () => {
+  describe("csvField", () => {
+    test("leaves plain values unquoted", () => {
+      expect(csvField("Paris")).toBe("Paris");
+      expect(csvField(42)).toBe("42");
+      expect(csvField(-1.5)).toBe("-1.5");
+      expect(csvField(null)).toBe("");
+    });
+
+    test("quotes separators, quotes and line breaks", () => {
+      expect(csvField("a,b")).toBe('"a,b"');
+      expect(csvField('say "hi"')).toBe('"say ""hi"""');
+      expect(csvField("two\nlines")).toBe('"two\nlines"');
+      expect(csvField(" padded ")).toBe('" padded "');
+    });
+
+    test("keeps formula-like strings as text", () => {
+      expect(csvField("=SUM(A1)")).toBe("'=SUM(A1)");
+      expect(csvField("@cmd")).toBe("'@cmd");
+    });
+  });
+
+  describe("exportResponse", () => {
+    test("streams CSV with a header row", async () => {
+      const { scan, response } = download("csv");
+
+      expect(response.headers.get("Content-Type")).toBe(
+        "text/csv; charset=utf-8",
+      );
+      expect(response.headers.get("Content-Disposition")).toMatch(
+        /^attachment; filename="places-\d{4}-\d{2}-\d{2}\.csv"$/,
+      );
+      expect(response.headers.get("Access-Control-Allow-Origin")).toBe("*");
+
+      const lines = (await response.text()).split("\r\n");
+      expect(lines[0]).toBe("id,name,population,lat");
+      expect(lines[1]).toBe("1,São Paulo,12325000,-23.55");
+      expect(lines[2]).toBe('2,"Say ""cheese"", please",,0');
+      expect(lines[3]).toBe('3,"Two\nlines",42,1.5');
+      expect(lines).toHaveLength(1200 + 2); // header + rows + trailing newline
+      expect(scan.closed).toBe(true);
+    });
+
+    test("streams NDJSON, one object per line", async () => {
+      const { response } = download("ndjson", " WHERE id <= 2");
+
+      expect(response.headers.get("Content-Type")).toContain(
+        "application/x-ndjson",
+      );
+      const lines = (await response.text()).trimEnd().split("\n");
+      expect(lines.map((line) => JSON.parse(line))).toEqual([
+        { id: 1, name: "São Paulo", population: 12325000, lat: -23.55 },
+        { id: 2, name: 'Say "cheese", please', population: null, lat: 0 },
+      ]);
+    });
+
+    test("writes an empty view as a BOM and the header", async () => {
+      const { scan, response } = download("csv", " WHERE id < 0");
+      const raw = new TextDecoder("utf-8", { ignoreBOM: true }).decode(
+        await response.arrayBuffer(),
+      );
+      expect(raw).toBe("\uFEFFid,name,population,lat\r\n");
+      expect(scan.closed).toBe(true);
+    });
+
+    test("sends the file in chunks rather than one buffer", async () => {
+      const { response } = download("ndjson");
+      let chunks = 0;
+      for await (const _ of response.body!) chunks++;
+      expect(chunks).toBeGreaterThan(1);
+    });
+
+    test("closes the scan when the client cancels", async () => {
+      const { scan, response } = download("csv");
+      const reader = response.body!.getReader();
+      await reader.read();
+      expect(scan.closed).toBe(false);
+      await reader.cancel();
+      expect(scan.closed).toBe(true);
+    });
+
+    test("produces a valid XLSX package", async () => {
+      const { response } = download("xlsx");
+      expect(response.headers.get("Content-Disposition")).toContain(".xlsx");
+
+      const files = unzip(new Uint8Array(await response.arrayBuffer()));
+      expect([...files.keys()]).toEqual([
+        "[Content_Types].xml",
+        "_rels/.rels",
+        "xl/workbook.xml",
+        "xl/_rels/workbook.xml.rels",
+        "xl/worksheets/sheet1.xml",
+      ]);
+      expect(files.get("xl/workbook.xml")).toContain('name="places"');
+
+      const sheet = files.get("xl/worksheets/sheet1.xml")!;
+      expect(sheet).toContain(
+        '<row r="1"><c r="A1" t="inlineStr"><is><t>id</t></is></c>',
+      );
+      expect(sheet).toContain(
+        '<row r="2"><c r="A2"><v>1</v></c><c r="B2" t="inlineStr"><is><t>São Paulo</t></is></c>',
+      );
+      expect(sheet).toContain("Say &quot;cheese&quot;, please");
+      expect(sheet).toContain('<c r="C3"/>');
+      expect(sheet.match(/<row /g)).toHaveLength(1201);
+      expect(sheet.endsWith("</sheetData></worksheet>")).toBe(true);
+    });
+  });
+
+  describe("xlsx helpers", () => {
+    test("columnName counts like spreadsheet columns", () => {
+      expect([0, 1, 25, 26, 27, 701, 702].map(columnName)).toEqual([
+        "A",
+        "B",
+        "Z",
+        "AA",
+        "AB",
+        "ZZ",
+        "AAA",
+      ]);
+    });
+
+    test("escapeXml drops characters XML can't carry", () => {
+      expect(escapeXml("a\u0001b <&>")).toBe("ab &lt;&amp;&gt;");
+      expect(escapeXml("tab\tok")).toBe("tab\tok");
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// test/api/faults.test.ts
+import { describe, test, expect } from "bun:test";
+import { planFaults, truncatePage } from "../../src/api/faults";
+
+const url = (query: string) =>
+  new URL(`https://vlist.dev/api/users?offset=0&limit=50&${query}`);
+
+/** Plan the same request under seeds 0..n-1 */
+const plansOver = (query: string, n: number = 200) =>
+  Array.from({ length: n }, (_, seed) =>
+    planFaults(url(`${query}&faultSeed=${seed}`)),
+  );
+
+describe("faults", () => {
+  describe("planFaults", () => {
+    test("returns null without fault params", () => {
+      expect(planFaults(url(""))).toBeNull();
+      expect(planFaults(url("faultSeed=42&faultStatus=500"))).toBeNull();
+    });
+
+    test("is deterministic for the same request and seed", () => {
+      const query = "faultErrorRate=50&faultJitter=1000&faultSeed=7";
+      expect(planFaults(url(query))).toEqual(planFaults(url(query)));
+    });
+
+    test("ignores param order", () => {
+      const a = new URL(
+        "https://vlist.dev/api/users?offset=50&limit=10&faultErrorRate=50&faultJitter=500",
+      );
+      const b = new URL(
+        "https://vlist.dev/api/users?faultJitter=500&limit=10&faultErrorRate=50&offset=50",
+      );
+      expect(planFaults(a)).toEqual(planFaults(b));
+    });
+
+    test("re-rolls on a new attempt", () => {
+      const delays = new Set(
+        [0, 1, 2, 3, 4].map(
+          (attempt) =>
+            planFaults(url(`faultJitter=5000&faultAttempt=${attempt}`))!.delay,
+        ),
+      );
+      expect(delays.size).toBeGreaterThan(1);
+    });
+
+    test("fails roughly errorRate percent of requests", () => {
+      const failed = plansOver("faultErrorRate=25").filter(
+        (plan) => plan!.status !== null,
+      );
+      expect(failed.length).toBeGreaterThan(25);
+      expect(failed.length).toBeLessThan(75);
+    });
+
+    test("uses the requested status", () => {
+      const plan = planFaults(url("faultErrorRate=100&faultStatus=429"))!;
+      expect(plan.status).toBe(429);
+      expect(plan.description).toContain("status=429");
+    });
+
+    test("truncates only pages that don't fail", () => {
+      for (const plan of plansOver("faultErrorRate=50&faultTruncateRate=100")) {
+        expect(plan!.status === null).toBe(plan!.truncate !== null);
+      }
+    });
+
+    test("keeps a rate's outcome when another rate changes", () => {
+      const errors = (query: string) =>
+        plansOver(query).map((plan) => plan!.status);
+      expect(errors("faultErrorRate=30")).toEqual(
+        errors("faultErrorRate=30&faultSlowRate=80"),
+      );
+    });
+
+    test("adds slowMs to slow pages", () => {
+      const plan = planFaults(url("faultSlowRate=100&faultSlowMs=1234"))!;
+      expect(plan.delay).toBe(1234);
+      expect(plan.description).toContain("slow");
+    });
+
+    test("keeps jitter within bounds for every distribution", () => {
+      for (const dist of ["uniform", "normal", "exponential"]) {
+        const delays = plansOver(
+          `faultJitter=1000&faultJitterDist=${dist}`,
+        ).map((plan) => plan!.delay);
+        expect(Math.min(...delays)).toBeGreaterThanOrEqual(0);
+        expect(Math.max(...delays)).toBeLessThanOrEqual(1000);
+      }
+    });
+
+    test("shapes jitter by distribution", () => {
+      const mean = (dist: string) => {
+        const delays = plansOver(
+          `faultJitter=1000&faultJitterDist=${dist}`,
+          500,
+        ).map((plan) => plan!.delay);
+        return delays.reduce((a, b) => a + b, 0) / delays.length;
+      };
+      expect(mean("exponential")).toBeLessThan(mean("uniform") - 100);
+      expect(Math.abs(mean("normal") - 500)).toBeLessThan(50);
+    });
+  });
+
+  describe("truncatePage", () => {
+    test("keeps a fraction of the items and the other fields", () => {
+      const page = { items: [1, 2, 3, 4], total: 100, hasMore: true };
+      expect(truncatePage(page, 0.5)).toEqual({
+        items: [1, 2],
+        total: 100,
+        hasMore: true,
+      });
+    });
+
+    test("cuts the feed's posts the same way", () => {
+      const feed = { posts: [1, 2, 3, 4], nextCursor: "t3_next", total: null };
+      expect(truncatePage(feed, 0.25)).toEqual({
+        posts: [1],
+        nextCursor: "t3_next",
+        total: null,
+      });
+    });
+
+    test("leaves bodies without items unchanged", () => {
+      const user = { id: 1, name: "Ada" };
+      expect(truncatePage(user, 0)).toBe(user);
+      expect(truncatePage(null, 0)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,176 @@
+// test/api/fts.test.ts
+import { describe, test, expect, beforeAll } from "bun:test";
+import { Database } from "bun:sqlite";
+import {
+  toMatchQuery,
+  hasFtsTable,
+  fetchRankedPage,
+  rankedScan,
+  renderHighlight,
+  attachHighlights,
+} from "../../src/api/fts";
+
+interface Song {
+  id: number;
+  title: string;
+  artist: string;
+  year: number;
+  highlight?: Record<string, string>;
+}
+
+// Small in-memory content table with an external-content FTS index
+let db: Database;
+
+beforeAll(() => {
+  db = new Database(":memory:");
+  db.run(
+    "CREATE TABLE songs (id INTEGER PRIMARY KEY, title TEXT NOT NULL, artist TEXT NOT NULL, year INTEGER)",
+  );
+  db.run(`
+    CREATE VIRTUAL TABLE songs_fts USING fts5(
+      title, artist,
+      content = 'songs', content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+  const insert = db.prepare(
+    "INSERT INTO songs (id, title, artist, year) VALUES (?, ?, ?, ?)",
+  );
+  insert.run(1, "Paris Blues", "Duke Ellington", 1961);
+  insert.run(2, "Sous le ciel de Paris", "Édith Piaf", 1954);
+  insert.run(3, "Paris Paris Paris", "Paris Trio", 1990);
+  insert.run(4, "Café <Noir> & Co", "Zoé", 2001);
+  insert.run(5, "Moonlight", "Parisa", 1975);
+  db.run("INSERT INTO songs_fts (songs_fts) VALUES ('rebuild')");
+});
+
+const ranked = (match: string, whereClause = "", whereParams: number[] = []) =>
+  fetchRankedPage<Song>(db, {
+    table: "songs",
+    ftsTable: "songs_fts",
+    columns: "id, title, artist, year",
+    match,
+    whereClause,
+    whereParams,
+    limit: 10,
+    offset: 0,
+  });
+
+describe("fts", () => {
+  describe("toMatchQuery", () => {
+    test("turns words into ANDed prefix terms", () => {
+      expect(toMatchQuery("par fr")).toBe('"par"* "fr"*');
+    });
+
+    test("drops FTS operators and punctuation", () => {
+      expect(toMatchQuery('a" OR NOT(b*')).toBe('"a"* "OR"* "NOT"* "b"*');
+    });
+
+    test("keeps non-ASCII letters", () => {
+      expect(toMatchQuery("Zürich")).toBe('"Zürich"*');
+    });
+
+    test("returns null when nothing is searchable", () => {
+      expect(toMatchQuery("")).toBeNull();
+      expect(toMatchQuery(" -*\"' ")).toBeNull();
+    });
+  });
+
+  describe("hasFtsTable", () => {
+    test("detects existing and missing tables", () => {
+      expect(hasFtsTable(db, "songs_fts")).toBe(true);
+      expect(hasFtsTable(db, "missing_fts")).toBe(false);
+    });
+  });
+
+  describe("fetchRankedPage", () => {
+    test("ranks rows with more matches first", () => {
+      const ids = ranked(toMatchQuery("paris")!).map((s) => s.id);
+      expect(ids[0]).toBe(3);
+      expect(ids.sort()).toEqual([1, 2, 3, 5]);
+    });
+
+    test("matches without diacritics", () => {
+      expect(ranked(toMatchQuery("edith")!).map((s) => s.id)).toEqual([2]);
+    });
+
+    test("applies content table filters", () => {
+      const ids = ranked(toMatchQuery("paris")!, " WHERE year < ?", [1970]);
+      expect(ids.map((s) => s.id).sort()).toEqual([1, 2]);
+    });
+
+    test("honours column weights", () => {
+      const page = fetchRankedPage<Song>(db, {
+        table: "songs",
+        ftsTable: "songs_fts",
+        columns: "id",
+        match: toMatchQuery("paris")!,
+        whereClause: " WHERE id IN (?, ?)",
+        whereParams: [1, 5],
+        weights: [1, 100],
+        limit: 10,
+        offset: 0,
+      });
+      expect(page.map((s) => s.id)).toEqual([5, 1]);
+    });
+  });
+
+  describe("rankedScan", () => {
+    test("selects every match in page order", () => {
+      const match = toMatchQuery("paris")!;
+      const [sql, params] = rankedScan({
+        table: "songs",
+        ftsTable: "songs_fts",
+        columns: "id, title, artist, year",
+        match,
+        whereClause: "",
+        whereParams: [],
+      });
+      const rows = db.prepare(sql).all(...params) as Song[];
+      expect(rows).toEqual(ranked(match));
+    });
+  });
+
+  describe("renderHighlight", () => {
+    test("escapes HTML before inserting marks", () => {
+      expect(renderHighlight("\u0002Caf\u0003é <Noir> & Co")).toBe(
+        "<mark>Caf</mark>é &lt;Noir&gt; &amp; Co",
+      );
+    });
+  });
+
+  describe("attachHighlights", () => {
+    test("adds one snippet per column", () => {
+      const items = ranked(toMatchQuery("café")!);
+      attachHighlights(
+        db,
+        "songs_fts",
+        ["title", "artist"],
+        toMatchQuery("café")!,
+        items,
+      );
+      expect(items[0].highlight).toEqual({
+        title: "<mark>Café</mark> &lt;Noir&gt; &amp; Co",
+        artist: "Zoé",
+      });
+    });
+
+    test("marks prefix matches", () => {
+      const items = ranked(toMatchQuery("moon")!);
+      attachHighlights(
+        db,
+        "songs_fts",
+        ["title"],
+        toMatchQuery("moon")!,
+        items,
+      );
+      expect(items[0].highlight!.title).toBe("<mark>Moonlight</mark>");
+    });
+
+    test("does nothing for an empty page", () => {
+      expect(() =>
+        attachHighlights(db, "songs_fts", ["title"], '"x"*', []),
+      ).not.toThrow();
+    });
+  });
+});
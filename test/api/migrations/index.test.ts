@@ -0,0 +1,127 @@
+// test/api/migrations/index.test.ts
+import { describe, test, expect, afterEach } from "bun:test";
+import { Database } from "bun:sqlite";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  DATABASES,
+  migrateAll,
+  migrateDatabase,
+  schemaVersion,
+  latestVersion,
+  type DatabaseName,
+} from "../../../src/api/migrations";
+
+const names = Object.keys(DATABASES) as DatabaseName[];
+
+const objectNames = (db: Database, type: string): string[] =>
+  (
+    db
+      .query("SELECT name FROM sqlite_master WHERE type = ? ORDER BY name")
+      .all(type) as { name: string }[]
+  ).map((row) => row.name);
+
+const savedPath = process.env.BENCHMARK_DB_PATH;
+let dir: string | null = null;
+
+afterEach(() => {
+  if (savedPath === undefined) delete process.env.BENCHMARK_DB_PATH;
+  else process.env.BENCHMARK_DB_PATH = savedPath;
+  if (dir) rmSync(dir, { recursive: true });
+  dir = null;
+});
+
+describe("migrations", () => {
+  test.each(names)("%s migrations build a fresh database", (name) => {
+    const db = new Database(":memory:");
+    const latest = latestVersion(DATABASES[name].migrations);
+    expect(migrateDatabase(name, db).to).toBe(latest);
+    expect(schemaVersion(db)).toBe(latest);
+    expect(migrateDatabase(name, db).applied).toEqual([]);
+  });
+
+  test.each(names)(
+    "%s migrations are no-ops on a fully seeded pre-migrations database",
+    (name) => {
+      // Apply everything, then forget the version — what a database
+      // seeded before migrations existed looks like
+      const db = new Database(":memory:");
+      migrateDatabase(name, db);
+      const tables = objectNames(db, "table");
+      const indexes = objectNames(db, "index");
+      const triggers = objectNames(db, "trigger");
+      db.run("PRAGMA user_version = 0");
+
+      migrateDatabase(name, db);
+      expect(objectNames(db, "table")).toEqual(tables);
+      expect(objectNames(db, "index")).toEqual(indexes);
+      expect(objectNames(db, "trigger")).toEqual(triggers);
+    },
+  );
+
+  test("tracks: an old seed without full-text search gets it, rows included", () => {
+    const db = new Database(":memory:");
+    DATABASES.tracks.migrations[0].up(db);
+    db.run(
+      "INSERT INTO tracks (mongo_id, title, artist) VALUES ('a', 'Blue Monday', 'New Order')",
+    );
+
+    const result = migrateDatabase("tracks", db);
+    expect(result.from).toBe(0);
+    expect(
+      db
+        .query("SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH 'monday'")
+        .all(),
+    ).toEqual([{ rowid: 1 }]);
+
+    // Sync and revision triggers fire from here on
+    db.run("UPDATE tracks SET title = 'Ceremony' WHERE id = 1");
+    expect(
+      db
+        .query("SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH 'ceremony'")
+        .all(),
+    ).toEqual([{ rowid: 1 }]);
+    expect(db.query("SELECT revision FROM tracks_revision").get()).toEqual({
+      revision: 1,
+    });
+  });
+
+  test("benchmarks: adds the quality columns to old runs", () => {
+    const db = new Database(":memory:");
+    DATABASES.benchmarks.migrations[0].up(db);
+    db.run(
+      "INSERT INTO comparison_runs (version, suite_id, item_count) VALUES ('1.0.0', 'virtua', 1000)",
+    );
+    migrateDatabase("benchmarks", db);
+    expect(
+      db.query("SELECT quality, fingerprint FROM comparison_runs").get(),
+    ).toEqual({ quality: 1, fingerprint: null });
+  });
+
+  test("migrateAll skips missing files and migrates existing ones", () => {
+    dir = mkdtempSync(join(tmpdir(), "migrations-"));
+    const path = join(dir, "benchmarks.db");
+    process.env.BENCHMARK_DB_PATH = path;
+
+    expect(migrateAll({ only: ["benchmarks"] })).toEqual([
+      { name: "benchmarks", path, result: null },
+    ]);
+
+    new Database(path).close();
+    const latest = latestVersion(DATABASES.benchmarks.migrations);
+    const [dry] = migrateAll({ only: ["benchmarks"], dryRun: true });
+    expect(dry.result?.applied).toHaveLength(latest);
+
+    const [applied] = migrateAll({ only: ["benchmarks"] });
+    expect(applied.result).toMatchObject({
+      from: 0,
+      to: latest,
+      dryRun: false,
+    });
+
+    const db = new Database(path);
+    expect(schemaVersion(db)).toBe(latest);
+    db.close();
+  });
+});
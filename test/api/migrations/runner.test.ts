@@ -0,0 +1,97 @@
+// test/api/migrations/runner.test.ts
+import { describe, test, expect } from "bun:test";
+import { Database } from "bun:sqlite";
+import {
+  migrate,
+  schemaVersion,
+  latestVersion,
+  type Migration,
+} from "../../../src/api/migrations/runner";
+
+const MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    name: "notes table",
+    up: (db) => db.run("CREATE TABLE IF NOT EXISTS notes (id INTEGER)"),
+  },
+  {
+    version: 2,
+    name: "notes body",
+    up: (db) => db.run("ALTER TABLE notes ADD COLUMN body TEXT"),
+  },
+];
+
+const columns = (db: Database): string[] =>
+  (db.query("PRAGMA table_info(notes)").all() as { name: string }[]).map(
+    (column) => column.name,
+  );
+
+describe("migrations runner", () => {
+  test("applies pending migrations in order and records the version", () => {
+    const db = new Database(":memory:");
+    expect(migrate(db, MIGRATIONS.slice(0, 1))).toEqual({
+      from: 0,
+      to: 1,
+      applied: [{ version: 1, name: "notes table" }],
+      dryRun: false,
+    });
+
+    const result = migrate(db, MIGRATIONS);
+    expect(result.from).toBe(1);
+    expect(result.applied.map((m) => m.version)).toEqual([2]);
+    expect(schemaVersion(db)).toBe(2);
+    expect(columns(db)).toEqual(["id", "body"]);
+
+    // Nothing left to do
+    expect(migrate(db, MIGRATIONS).applied).toEqual([]);
+  });
+
+  test("a dry run reports without changing anything", () => {
+    const db = new Database(":memory:");
+    const result = migrate(db, MIGRATIONS, { dryRun: true });
+    expect(result).toEqual({
+      from: 0,
+      to: 0,
+      applied: [
+        { version: 1, name: "notes table" },
+        { version: 2, name: "notes body" },
+      ],
+      dryRun: true,
+    });
+    expect(schemaVersion(db)).toBe(0);
+    expect(columns(db)).toEqual([]);
+  });
+
+  test("a failing migration rolls back the whole run", () => {
+    const db = new Database(":memory:");
+    const broken: Migration[] = [
+      ...MIGRATIONS,
+      { version: 3, name: "typo", up: (d) => d.run("ALTER TABLE nope") },
+    ];
+    expect(() => migrate(db, broken)).toThrow("Migration 3 (typo) failed");
+    expect(schemaVersion(db)).toBe(0);
+    expect(columns(db)).toEqual([]);
+    expect(db.inTransaction).toBe(false);
+
+    // A dry run catches the same failure
+    expect(() => migrate(db, broken, { dryRun: true })).toThrow("Migration 3");
+  });
+
+  test("refuses a database from a newer release", () => {
+    const db = new Database(":memory:");
+    db.run("PRAGMA user_version = 5");
+    expect(() => migrate(db, MIGRATIONS)).toThrow(
+      "Database schema version 5 is newer than this server's (2)",
+    );
+    expect(schemaVersion(db)).toBe(5);
+  });
+
+  test("migration lists must be numbered 1..n", () => {
+    expect(latestVersion(MIGRATIONS)).toBe(2);
+    expect(latestVersion([])).toBe(0);
+    expect(() => latestVersion([MIGRATIONS[1]])).toThrow("numbered 1..n");
+    expect(() => latestVersion([MIGRATIONS[0], MIGRATIONS[0]])).toThrow(
+      "found 1 at position 2",
+    );
+  });
+});
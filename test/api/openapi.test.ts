@@ -0,0 +1,157 @@
+// test/api/openapi.test.ts
+import { describe, test, expect } from "bun:test";
+import {
+  buildOpenApiDocument,
+  toOpenApiPath,
+  ref,
+  object,
+  page,
+  type OperationSpec,
+} from "../../src/api/openapi";
+
+const INFO = {
+  title: "Test API",
+  version: "1.0.0",
+  description: "Fixture",
+  server: "https://example.test",
+};
+
+const OPERATIONS: OperationSpec[] = [
+  {
+    method: "GET",
+    path: "/api/things",
+    operationId: "listThings",
+    summary: "List things",
+    tag: "Things",
+    query: {
+      limit: {
+        type: "integer",
+        description: "Page size",
+        default: 10,
+        minimum: 1,
+        maximum: 100,
+      },
+      order: {
+        type: "string",
+        description: "Order",
+        enum: ["asc", "desc"],
+        required: true,
+      },
+    },
+    responses: { 200: { description: "Page", schema: page(ref("Thing")) } },
+  },
+  {
+    method: "GET",
+    path: "/api/things/:id",
+    operationId: "getThing",
+    summary: "One thing",
+    tag: "Things",
+    pathParams: { id: { type: "integer", description: "ID", minimum: 1 } },
+    responses: {
+      200: { description: "Thing", schema: ref("Thing") },
+      404: { description: "Not found" },
+    },
+  },
+  {
+    method: "DELETE",
+    path: "/api/things/:id",
+    operationId: "deleteThing",
+    summary: "Delete a thing",
+    tag: "Admin",
+    requestBody: object({ reason: { type: "string" } }),
+    responses: {
+      200: {
+        description: "Stream",
+        schema: { type: "string" },
+        contentType: "text/event-stream",
+      },
+    },
+  },
+];
+
+const SCHEMAS = { Thing: object({ id: { type: "integer" } }) };
+
+const doc = buildOpenApiDocument(INFO, OPERATIONS, SCHEMAS) as any;
+
+describe("openapi", () => {
+  test("toOpenApiPath converts router params", () => {
+    expect(toOpenApiPath("/api/users/:id")).toBe("/api/users/{id}");
+    expect(toOpenApiPath("/api/a/:x/b/:y")).toBe("/api/a/{x}/b/{y}");
+  });
+
+  test("object marks all but optional properties as required", () => {
+    const schema = object({ a: {}, b: {} }, ["b"]);
+    expect(schema.required).toEqual(["a"]);
+  });
+
+  test("page wraps items in the pagination envelope", () => {
+    const schema = page(ref("Thing"), { nextCursor: { type: "string" } });
+    expect(schema.required).toEqual(["items", "total", "hasMore"]);
+    expect(schema.properties).toHaveProperty("nextCursor");
+  });
+
+  describe("buildOpenApiDocument", () => {
+    test("emits an OpenAPI 3.1 header", () => {
+      expect(doc.openapi).toBe("3.1.0");
+      expect(doc.info).toEqual({
+        title: "Test API",
+        version: "1.0.0",
+        description: "Fixture",
+      });
+      expect(doc.servers).toEqual([{ url: "https://example.test" }]);
+      expect(doc.components.schemas).toBe(SCHEMAS);
+    });
+
+    test("merges operations sharing a path", () => {
+      expect(Object.keys(doc.paths)).toEqual([
+        "/api/things",
+        "/api/things/{id}",
+      ]);
+      expect(Object.keys(doc.paths["/api/things/{id}"])).toEqual([
+        "get",
+        "delete",
+      ]);
+    });
+
+    test("collects tags in first-seen order", () => {
+      expect(doc.tags).toEqual([{ name: "Things" }, { name: "Admin" }]);
+    });
+
+    test("converts query params with bounds and enums", () => {
+      const [limit, order] = doc.paths["/api/things"].get.parameters;
+      expect(limit).toEqual({
+        name: "limit",
+        in: "query",
+        required: false,
+        description: "Page size",
+        schema: { type: "integer", default: 10, minimum: 1, maximum: 100 },
+      });
+      expect(order.required).toBe(true);
+      expect(order.schema).toEqual({ type: "string", enum: ["asc", "desc"] });
+    });
+
+    test("marks path params as required", () => {
+      const [id] = doc.paths["/api/things/{id}"].get.parameters;
+      expect(id.in).toBe("path");
+      expect(id.required).toBe(true);
+    });
+
+    test("describes responses with and without bodies", () => {
+      const { responses } = doc.paths["/api/things/{id}"].get;
+      expect(responses["200"].content["application/json"].schema).toEqual({
+        $ref: "#/components/schemas/Thing",
+      });
+      expect(responses["404"]).toEqual({ description: "Not found" });
+    });
+
+    test("honours custom content types and request bodies", () => {
+      const op = doc.paths["/api/things/{id}"].delete;
+      expect(op.requestBody.required).toBe(true);
+      expect(op.requestBody.content["application/json"].schema.type).toBe(
+        "object",
+      );
+      expect(op.responses["200"].content).toHaveProperty("text/event-stream");
+      expect(op.parameters).toBeUndefined();
+    });
+  });
+});
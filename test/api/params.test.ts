@@ -0,0 +1,53 @@
+// test/api/params.test.ts
+import { describe, test, expect } from "bun:test";
+import { intParam, DELAY_PARAM, type IntegerParam } from "../../src/api/params";
+
+const url = (query: string) => new URL(`https://vlist.dev/api/x?${query}`);
+
+const LIMIT: IntegerParam = {
+  type: "integer",
+  description: "Page size",
+  default: 50,
+  minimum: 1,
+  maximum: 200,
+};
+
+describe("params", () => {
+  describe("intParam", () => {
+    test("parses integers", () => {
+      expect(intParam(url("limit=25"), "limit", LIMIT)).toBe(25);
+    });
+
+    test("returns the default when missing or invalid", () => {
+      expect(intParam(url(""), "limit", LIMIT)).toBe(50);
+      expect(intParam(url("limit=abc"), "limit", LIMIT)).toBe(50);
+    });
+
+    test("clamps to the schema bounds", () => {
+      expect(intParam(url("limit=0"), "limit", LIMIT)).toBe(1);
+      expect(intParam(url("limit=9999"), "limit", LIMIT)).toBe(200);
+    });
+
+    test("falls back to 0 without a default", () => {
+      expect(
+        intParam(url(""), "decade", {
+          type: "integer",
+          description: "Decade",
+          minimum: 1900,
+        }),
+      ).toBe(0);
+    });
+
+    test("leaves unbounded schemas unclamped", () => {
+      expect(
+        intParam(url("n=-42"), "n", { type: "integer", description: "n" }),
+      ).toBe(-42);
+    });
+  });
+
+  describe("DELAY_PARAM", () => {
+    test("caps simulated latency at 5 seconds", () => {
+      expect(intParam(url("delay=60000"), "delay", DELAY_PARAM)).toBe(5000);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+// test/api/quality.test.ts
+import { describe, test, expect } from "bun:test";
+import {
+  impossibleValue,
+  isThrottled,
+  fingerprint,
+  scoreSubmission,
+  rejectOutliers,
+  weightedPercentile,
+  CLIENT_BURST_LIMIT,
+  type ScoredSubmission,
+} from "../../src/api/quality";
+
+const submission = (
+  overrides: Partial<ScoredSubmission> = {},
+): ScoredSubmission => ({
+  version: "1.0.0",
+  suiteId: "render",
+  itemCount: 10_000,
+  userAgent: "Mozilla/5.0 Test",
+  metrics: [
+    { label: "Render Time", value: 12.5, unit: "ms" },
+    { label: "Scroll FPS", value: 60, unit: "fps" },
+  ],
+  ...overrides,
+});
+
+const clean = { duplicate: false, recentFromClient: 0 };
+
+describe("quality", () => {
+  describe("checks", () => {
+    test("impossibleValue accepts a plausible run", () => {
+      expect(impossibleValue(submission())).toBeNull();
+    });
+
+    test("impossibleValue catches values no browser can produce", () => {
+      const metric = (value: number, unit: string) =>
+        submission({ metrics: [{ label: "X", value, unit }] });
+      expect(impossibleValue(metric(-1, "ms"))).toContain("out of range");
+      expect(impossibleValue(metric(5000, "fps"))).toContain("out of range");
+      expect(impossibleValue(metric(1e9, "MB"))).toContain("out of range");
+      // Units without bounds aren't judged
+      expect(impossibleValue(metric(1e9, "items"))).toBeNull();
+
+      expect(
+        impossibleValue(
+          submission({
+            metrics: [
+              { label: "Render Time", value: 1, unit: "ms" },
+              { label: "Render Time", value: 2, unit: "ms" },
+            ],
+          }),
+        ),
+      ).toContain("duplicate metric");
+      expect(impossibleValue(submission({ hardwareConcurrency: 0 }))).toBe(
+        "hardwareConcurrency out of range",
+      );
+      expect(impossibleValue(submission({ deviceMemory: 0 }))).toBe(
+        "deviceMemory out of range",
+      );
+    });
+
+    test("isThrottled looks for the rAF throttled metric", () => {
+      expect(isThrottled(submission())).toBe(false);
+      expect(
+        isThrottled(
+          submission({
+            metrics: [{ label: "⚠ rAF throttled", value: 30, unit: "fps" }],
+          }),
+        ),
+      ).toBe(true);
+    });
+
+    test("fingerprint ignores metric order but not values", () => {
+      const a = submission();
+      const b = submission({ metrics: [...a.metrics].reverse() });
+      const c = submission({
+        metrics: [{ ...a.metrics[0], value: 12.6 }, a.metrics[1]],
+      });
+      expect(fingerprint(a)).toMatch(/^[0-9a-f]{64}$/);
+      expect(fingerprint(b)).toBe(fingerprint(a));
+      expect(fingerprint(c)).not.toBe(fingerprint(a));
+      expect(fingerprint(submission({ userAgent: "Other" }))).not.toBe(
+        fingerprint(a),
+      );
+    });
+  });
+
+  describe("scoreSubmission", () => {
+    test("a clean run scores 1", () => {
+      expect(scoreSubmission(submission(), clean)).toEqual({
+        score: 1,
+        flags: [],
+      });
+    });
+
+    test("flags multiply their penalties", () => {
+      const throttled = submission({
+        metrics: [{ label: "rAF throttled", value: 20, unit: "fps" }],
+      });
+      expect(scoreSubmission(throttled, clean).score).toBe(0.3);
+      expect(
+        scoreSubmission(submission(), { ...clean, duplicate: true }).score,
+      ).toBe(0.1);
+      expect(
+        scoreSubmission(throttled, {
+          duplicate: false,
+          recentFromClient: CLIENT_BURST_LIMIT,
+        }),
+      ).toEqual({ score: 0.15, flags: ["throttled", "client-burst"] });
+    });
+
+    test("impossible values score 0", () => {
+      const result = scoreSubmission(submission({ deviceMemory: -2 }), clean);
+      expect(result).toEqual({ score: 0, flags: ["impossible-value"] });
+    });
+
+    test("bursts only count from the limit on", () => {
+      const score = (recentFromClient: number) =>
+        scoreSubmission(submission(), { duplicate: false, recentFromClient })
+          .flags;
+      expect(score(CLIENT_BURST_LIMIT - 1)).toEqual([]);
+      expect(score(CLIENT_BURST_LIMIT)).toEqual(["client-burst"]);
+    });
+  });
+
+  describe("rejectOutliers", () => {
+    test("drops values far from the median", () => {
+      expect(rejectOutliers([10, 11, 11, 12, 12, 13, 250])).toEqual([
+        10, 11, 11, 12, 12, 13,
+      ]);
+      expect(rejectOutliers([0.1, 10, 11, 11, 12, 12, 13])).toEqual([
+        10, 11, 11, 12, 12, 13,
+      ]);
+    });
+
+    test("keeps spread-out but honest data", () => {
+      const values = [8, 10, 12, 14, 16, 18, 20];
+      expect(rejectOutliers(values)).toEqual(values);
+    });
+
+    test("falls back to the mean deviation when most values are equal", () => {
+      expect(rejectOutliers([5, 5, 5, 5, 5, 5, 90])).toEqual([
+        5, 5, 5, 5, 5, 5,
+      ]);
+      expect(rejectOutliers([5, 5, 5, 5, 5])).toEqual([5, 5, 5, 5, 5]);
+    });
+
+    test("leaves small samples alone", () => {
+      expect(rejectOutliers([1, 2, 1000])).toEqual([1, 2, 1000]);
+    });
+  });
+
+  describe("weightedPercentile", () => {
+    test("equal weights match linear interpolation", () => {
+      const values = [1, 2, 3, 4, 10];
+      const ones = values.map(() => 1);
+      expect(weightedPercentile(values, ones, 50)).toBeCloseTo(3, 10);
+      expect(weightedPercentile(values, ones, 0)).toBe(1);
+      expect(weightedPercentile(values, ones, 100)).toBe(10);
+      expect(weightedPercentile(values, ones, 25)).toBeCloseTo(2, 10);
+      expect(weightedPercentile(values, ones, 95)).toBeCloseTo(8.8, 10);
+    });
+
+    test("low weights pull the percentile toward trusted values", () => {
+      const values = [10, 11, 12, 100, 110];
+      const unweighted = weightedPercentile(values, [1, 1, 1, 1, 1], 50);
+      const weighted = weightedPercentile(values, [1, 1, 1, 0.1, 0.1], 50);
+      expect(weighted).toBeLessThan(unweighted);
+      expect(weighted).toBeGreaterThanOrEqual(10);
+      expect(weighted).toBeLessThanOrEqual(12);
+    });
+
+    test("handles empty and single-value input", () => {
+      expect(weightedPercentile([], [], 50)).toBe(0);
+      expect(weightedPercentile([7], [0.3], 95)).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+// test/api/ratelimit.test.ts
+import { describe, test, expect, afterEach } from "bun:test";
+import { Database } from "bun:sqlite";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  clientIp,
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  createSqliteRateLimitStore,
+  rateLimitHeaders,
+  type RateLimitPolicy,
+  type RateLimitStore,
+} from "../../src/api/ratelimit";
+import { migrateDatabase } from "../../src/api/migrations";
+
+const POLICY: RateLimitPolicy = {
+  name: "test",
+  capacity: 3,
+  windowSeconds: 60,
+};
+
+/** 3 tokens per minute — one every 20 s */
+const TOKEN_MS = 20_000;
+
+const request = (ip = "10.1.0.1") =>
+  new Request("https://vlist.dev/api/x", {
+    method: "POST",
+    headers: { "X-Forwarded-For": ip },
+  });
+
+const memoryDb = (): Database => {
+  const db = new Database(":memory:");
+  migrateDatabase("benchmarks", db);
+  return db;
+};
+
+let dir: string | null = null;
+
+afterEach(() => {
+  if (dir) rmSync(dir, { recursive: true });
+  dir = null;
+});
+
+describe("ratelimit", () => {
+  describe.each([
+    ["memory", () => createMemoryRateLimitStore()],
+    [
+      "sqlite",
+      () => {
+        const db = memoryDb();
+        return createSqliteRateLimitStore(() => db);
+      },
+    ],
+  ] as [string, () => RateLimitStore][])("%s store", (_, createStore) => {
+    test("allows a burst up to the capacity, then refills over time", () => {
+      const store = createStore();
+      const take = (now: number) => store.take(POLICY, "a", now).allowed;
+
+      expect([take(0), take(0), take(0), take(0)]).toEqual([
+        true,
+        true,
+        true,
+        false,
+      ]);
+      expect(take(TOKEN_MS - 1)).toBe(false);
+      expect(take(TOKEN_MS)).toBe(true);
+      expect(take(TOKEN_MS)).toBe(false);
+
+      // A long pause refills to the capacity, never beyond
+      expect(store.take(POLICY, "a", 10 * 60_000).tokens).toBe(2);
+    });
+
+    test("keeps separate buckets per client and per policy", () => {
+      const store = createStore();
+      for (let i = 0; i < 3; i++) store.take(POLICY, "a", 0);
+      expect(store.take(POLICY, "a", 0).allowed).toBe(false);
+      expect(store.take(POLICY, "b", 0).allowed).toBe(true);
+      expect(store.take({ ...POLICY, name: "other" }, "a", 0).allowed).toBe(
+        true,
+      );
+    });
+  });
+
+  test("the sqlite store is shared by every connection to the file", () => {
+    dir = mkdtempSync(join(tmpdir(), "ratelimit-"));
+    const path = join(dir, "limits.db");
+    const open = () => {
+      const db = new Database(path);
+      db.run("PRAGMA busy_timeout = 5000");
+      migrateDatabase("benchmarks", db);
+      return db;
+    };
+    const [a, b] = [open(), open()];
+    const storeA = createSqliteRateLimitStore(() => a);
+    const storeB = createSqliteRateLimitStore(() => b);
+
+    expect(storeA.take(POLICY, "ip", 0).allowed).toBe(true);
+    expect(storeB.take(POLICY, "ip", 0).allowed).toBe(true);
+    expect(storeA.take(POLICY, "ip", 0).allowed).toBe(true);
+    expect(storeB.take(POLICY, "ip", 0).allowed).toBe(false);
+    a.close();
+    b.close();
+  });
+
+  describe("createRateLimiter", () => {
+    test("reports what's left and when to come back", () => {
+      const limiter = createRateLimiter(POLICY, createMemoryRateLimitStore());
+      const first = limiter.take(request())!;
+      expect(first).toMatchObject({ allowed: true, remaining: 2 });
+      expect(first.reset).toBe(20);
+      expect(first.retryAfter).toBe(0);
+
+      limiter.take(request());
+      limiter.take(request());
+      const refused = limiter.take(request())!;
+      expect(refused.allowed).toBe(false);
+      expect(refused.remaining).toBe(0);
+      expect(refused.retryAfter).toBeGreaterThan(0);
+      expect(refused.retryAfter).toBeLessThanOrEqual(20);
+
+      expect(limiter.take(request("10.1.0.2"))!.allowed).toBe(true);
+    });
+
+    test("lets requests through when the store fails", () => {
+      const broken: RateLimitStore = {
+        take: () => {
+          throw new Error("database is locked");
+        },
+      };
+      const errors: unknown[] = [];
+      const original = console.error;
+      console.error = (...args: unknown[]) => errors.push(args);
+      try {
+        expect(createRateLimiter(POLICY, broken).take(request())).toBeNull();
+      } finally {
+        console.error = original;
+      }
+      expect(errors).toHaveLength(1);
+    });
+  });
+
+  test("rateLimitHeaders adds Retry-After only when refused", () => {
+    const decision = {
+      allowed: true,
+      policy: POLICY,
+      remaining: 2,
+      reset: 20,
+      retryAfter: 0,
+    };
+    expect(rateLimitHeaders(decision)).toEqual({
+      "RateLimit-Policy": "3;w=60",
+      "RateLimit-Limit": "3",
+      "RateLimit-Remaining": "2",
+      "RateLimit-Reset": "20",
+    });
+    expect(
+      rateLimitHeaders({ ...decision, allowed: false, retryAfter: 7 })[
+        "Retry-After"
+      ],
+    ).toBe("7");
+  });
+
+  test("clientIp prefers Cloudflare's header, then the first forwarded hop", () => {
+    const req = (headers: Record<string, string>) =>
+      new Request("https://vlist.dev/", { headers });
+    expect(
+      clientIp(
+        req({ "CF-Connecting-IP": "1.1.1.1", "X-Forwarded-For": "2.2.2.2" }),
+      ),
+    ).toBe("1.1.1.1");
+    expect(clientIp(req({ "X-Forwarded-For": "2.2.2.2, 10.0.0.1" }))).toBe(
+      "2.2.2.2",
+    );
+    expect(clientIp(req({}))).toBe("unknown");
+  });
+});
@@ -1,6 +1,8 @@
 // test/api/router.test.ts
 import { describe, test, expect, afterAll } from "bun:test";
 import { routeApi } from "../../src/api/router";
+import { MAX_LIMIT as TRACKS_MAX_LIMIT } from "../../src/api/tracks";
+import { MAX_PROJECT_BYTES } from "../../src/api/bundle";
 
 // Helper to create a mock request
 const createRequest = (
@@ -43,6 +45,52 @@ describe("router", () => {
 
       expect(result).not.toBeNull();
       expect(result?.status).toBe(405);
+      expect(result?.headers.get("Allow")).toBe("GET, OPTIONS");
+    });
+
+    test("lists every method a path supports in Allow", async () => {
+      const { req, url } = createRequest("/api/tracks/1", "PATCH");
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(405);
+      expect(result?.headers.get("Allow")).toBe("GET, PUT, DELETE, OPTIONS");
+    });
+
+    test("prefers static paths over :id params", async () => {
+      const { req, url } = createRequest("/api/tracks/batch");
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(405);
+      expect(result?.headers.get("Allow")).toBe("POST, OPTIONS");
+    });
+
+    test("rejects malformed params with a structured 400", async () => {
+      const { req, url } = createRequest("/api/users?limit=abc&offset=1.5");
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(400);
+
+      const body = (await parseJson(result!)) as {
+        error: string;
+        details: { param: string; in: string; message: string }[];
+      };
+      expect(body.error).toContain("limit");
+      expect(body.details).toEqual([
+        { param: "offset", in: "query", message: "must be an integer" },
+        { param: "limit", in: "query", message: "must be an integer" },
+      ]);
+    });
+
+    test("rejects non-integer path IDs with 400", async () => {
+      const { req, url } = createRequest("/api/users/abc");
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(400);
+
+      const body = (await parseJson(result!)) as {
+        details: { param: string; in: string }[];
+      };
+      expect(body.details[0]).toMatchObject({ param: "id", in: "path" });
     });
 
     test("returns 404 for unknown API routes", async () => {
@@ -57,6 +105,40 @@ describe("router", () => {
     });
   });
 
+  describe("GET /api/:dataset/export", () => {
+    test("is matched before the :id route", async () => {
+      for (const dataset of ["cities", "tracks"]) {
+        const { req, url } = createRequest(`/api/${dataset}/export?format=pdf`);
+        const result = await routeApi(req, url);
+
+        expect(result?.status).toBe(400);
+        const body = (await parseJson(result!)) as {
+          details: { param: string; message: string }[];
+        };
+        expect(body.details).toEqual([
+          {
+            param: "format",
+            in: "query",
+            message: "must be one of: csv, ndjson, xlsx",
+          },
+        ]);
+      }
+    });
+
+    test("validates sort and direction like the list route", async () => {
+      const { req, url } = createRequest(
+        "/api/cities/export?sort=nonsense&direction=up",
+      );
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(400);
+      const body = (await parseJson(result!)) as {
+        details: { param: string }[];
+      };
+      expect(body.details.map((d) => d.param)).toEqual(["sort", "direction"]);
+    });
+  });
+
   describe("GET /api/users", () => {
     test("returns paginated users", async () => {
       const { req, url } = createRequest("/api/users?limit=10");
@@ -118,6 +200,112 @@ describe("router", () => {
     });
   });
 
+  describe("conditional requests", () => {
+    test("tags successful responses with an ETag", async () => {
+      const { req, url } = createRequest("/api/users?limit=5");
+      const result = await routeApi(req, url);
+
+      expect(result?.headers.get("ETag")).toMatch(/^W\/".+"$/);
+    });
+
+    test("the same data gets the same ETag", async () => {
+      const first = createRequest("/api/users?limit=5");
+      const second = createRequest("/api/users?limit=5");
+      const a = await routeApi(first.req, first.url);
+      const b = await routeApi(second.req, second.url);
+
+      expect(a?.headers.get("ETag")).toBe(b!.headers.get("ETag")!);
+    });
+
+    test("does not tag errors or injected faults", async () => {
+      const missing = createRequest("/api/users/0");
+      const faulty = createRequest("/api/users?faultTruncateRate=100");
+
+      expect(
+        (await routeApi(missing.req, missing.url))?.headers.get("ETag"),
+      ).toBeNull();
+      expect(
+        (await routeApi(faulty.req, faulty.url))?.headers.get("ETag"),
+      ).toBeNull();
+    });
+  });
+
+  describe("fault injection", () => {
+    test("injects the requested error status", async () => {
+      const { req, url } = createRequest(
+        "/api/users?faultErrorRate=100&faultStatus=503",
+      );
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(503);
+      expect(result?.headers.get("Retry-After")).toBe("1");
+      expect(result?.headers.get("X-Fault")).toContain("status=503");
+      expect(result?.headers.get("Cache-Control")).toBe("no-cache");
+    });
+
+    test("returns short pages with the original totals", async () => {
+      const { req, url } = createRequest(
+        "/api/users?limit=20&faultTruncateRate=100&faultSeed=3",
+      );
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(200);
+      expect(result?.headers.get("X-Fault")).toContain("truncated");
+
+      const body = (await parseJson(result!)) as {
+        items: unknown[];
+        total: number;
+        hasMore: boolean;
+      };
+      expect(body.items.length).toBeLessThan(20);
+      expect(body.total).toBe(1_000_000);
+      expect(body.hasMore).toBe(true);
+    });
+
+    test("leaves requests without fault params untouched", async () => {
+      const { req, url } = createRequest("/api/users?limit=5");
+      const result = await routeApi(req, url);
+
+      expect(result?.headers.get("X-Fault")).toBeNull();
+    });
+
+    test("rejects malformed fault params", async () => {
+      const { req, url } = createRequest("/api/posts?faultJitterDist=gamma");
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(400);
+    });
+  });
+
+  describe("GET /api/users sorting and search", () => {
+    test("sorts by a column", async () => {
+      const { req, url } = createRequest(
+        "/api/users?sort=joinedYear&direction=desc&limit=3&total=1000",
+      );
+      const result = await routeApi(req, url);
+      const body = (await parseJson(result!)) as {
+        items: { joinedYear: number }[];
+      };
+
+      expect(body.items.map((u) => u.joinedYear)).toEqual([2025, 2025, 2025]);
+    });
+
+    test("searches and returns the match count as total", async () => {
+      const { req, url } = createRequest("/api/users?search=zzzqqq");
+      const result = await routeApi(req, url);
+      const body = (await parseJson(result!)) as { total: number };
+
+      expect(body.total).toBe(0);
+    });
+
+    test("rejects unknown sort columns", async () => {
+      const { req, url } = createRequest("/api/users?sort=email");
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(400);
+    });
+  });
+
   describe("GET /api/users/:id", () => {
     test("returns single user by ID", async () => {
       const { req, url } = createRequest("/api/users/42");
@@ -271,6 +459,224 @@ describe("router", () => {
       expect(body.version).toBeDefined();
       expect(body.endpoints).toBeDefined();
     });
+
+    test("lists every route with the limits its handler enforces", async () => {
+      const { req, url } = createRequest("/api/info");
+      const body = (await parseJson((await routeApi(req, url))!)) as {
+        endpoints: Record<
+          string,
+          { params?: Record<string, Record<string, unknown>> }
+        >;
+      };
+
+      expect(body.endpoints["POST /api/tracks/batch"]).toBeDefined();
+      const { limit } = body.endpoints["GET /api/tracks"].params!;
+      expect(limit).toMatchObject({ min: 1, max: TRACKS_MAX_LIMIT });
+
+      // Clamped to the advertised max
+      const max = body.endpoints["GET /api/posts"].params!.limit.max as number;
+      const page = createRequest(`/api/posts?limit=${max + 10}`);
+      const posts = (await parseJson(
+        (await routeApi(page.req, page.url))!,
+      )) as {
+        items: unknown[];
+      };
+      expect(posts.items).toHaveLength(max);
+    });
+  });
+
+  describe("GET /api/openapi.json", () => {
+    interface Spec {
+      openapi: string;
+      paths: Record<
+        string,
+        Record<
+          string,
+          { parameters?: { name: string; schema: Record<string, unknown> }[] }
+        >
+      >;
+      components: { schemas: Record<string, unknown> };
+    }
+
+    const fetchSpec = async (): Promise<Spec> => {
+      const { req, url } = createRequest("/api/openapi.json");
+      const result = await routeApi(req, url);
+      expect(result?.status).toBe(200);
+      return (await parseJson(result!)) as Spec;
+    };
+
+    test("returns an OpenAPI 3.1 document", async () => {
+      const spec = await fetchSpec();
+      expect(spec.openapi).toBe("3.1.0");
+      expect(spec.paths["/api/users/{id}"].get).toBeDefined();
+      expect(spec.paths["/api/tracks/{id}"].put).toBeDefined();
+      expect(spec.paths["/api/tracks/batch"].post).toBeDefined();
+      expect(spec.paths["/api/benchmarks/history"].get).toBeDefined();
+    });
+
+    test("has no dangling schema references", async () => {
+      const spec = await fetchSpec();
+      const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g);
+      for (const ref of new Set(refs)) {
+        expect(spec.components.schemas[ref.split("/").pop()!]).toBeDefined();
+      }
+    });
+
+    test("documents the rate limit on every limited endpoint", async () => {
+      const spec = (await fetchSpec()) as unknown as {
+        paths: Record<
+          string,
+          Record<
+            string,
+            { responses: Record<string, { headers?: Record<string, unknown> }> }
+          >
+        >;
+      };
+      for (const [path, method] of [
+        ["/api/tracks", "post"],
+        ["/api/tracks/{id}", "put"],
+        ["/api/tracks/{id}", "delete"],
+        ["/api/tracks/batch", "post"],
+        ["/api/benchmarks", "post"],
+        ["/api/bundle", "post"],
+        ["/api/users", "get"],
+      ]) {
+        const refused = spec.paths[path][method].responses["429"];
+        expect(refused?.headers?.["Retry-After"]).toBeDefined();
+      }
+    });
+
+    test("advertises the bounds the handlers enforce", async () => {
+      const spec = await fetchSpec();
+      const limit = spec.paths["/api/users"].get.parameters!.find(
+        (p) => p.name === "limit",
+      )!.schema;
+
+      const { req, url } = createRequest(
+        `/api/users?limit=${(limit.maximum as number) + 100}`,
+      );
+      const body = (await parseJson((await routeApi(req, url))!)) as {
+        items: unknown[];
+      };
+      expect(body.items).toHaveLength(limit.maximum as number);
+    });
+
+    test("documents every path the router answers", async () => {
+      const spec = await fetchSpec();
+      for (const path of Object.keys(spec.paths)) {
+        if (path.includes("{") || path === "/api/feed") continue;
+        if (path === "/api/tracks/events") continue;
+        for (const method of Object.keys(spec.paths[path])) {
+          if (method !== "get") continue;
+          const { req, url } = createRequest(path);
+          const result = await routeApi(req, url);
+          expect(result?.status).not.toBe(404);
+        }
+      }
+    });
+  });
+
+  describe("GET /api/search", () => {
+    test("returns sections linking to their heading", async () => {
+      const { req, url } = createRequest("/api/search?q=scrollToIndex&limit=5");
+      const result = await routeApi(req, url);
+      expect(result?.status).toBe(200);
+
+      const body = (await parseJson(result!)) as {
+        items: { url: string; highlight: { body: string } }[];
+        total: number;
+      };
+      expect(body.items.length).toBeGreaterThan(0);
+      expect(body.items.length).toBeLessThanOrEqual(5);
+      expect(body.total).toBeGreaterThanOrEqual(body.items.length);
+      expect(body.items.some((item) => item.url.includes("#"))).toBe(true);
+    });
+
+    test("filters by kind", async () => {
+      const { req, url } = createRequest("/api/search?q=list&kind=examples");
+      const body = (await parseJson((await routeApi(req, url))!)) as {
+        items: { kind: string; url: string }[];
+      };
+      expect(body.items.length).toBeGreaterThan(0);
+      for (const item of body.items) {
+        expect(item.kind).toBe("examples");
+        expect(item.url.startsWith("/examples/")).toBe(true);
+      }
+    });
+
+    test("requires q", async () => {
+      const { req, url } = createRequest("/api/search");
+      const result = await routeApi(req, url);
+      expect(result?.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/bundle", () => {
+    const post = (body: string) => {
+      const url = new URL("https://vlist.dev/api/bundle");
+      return routeApi(new Request(url, { method: "POST", body }), url);
+    };
+
+    test("returns the bundled JS and CSS", async () => {
+      const result = await post(
+        JSON.stringify({
+          files: {
+            "script.js": 'import { n } from "./n.js";\nconsole.log(n * 2);',
+            "n.js": "export const n = 21;",
+            "styles.css": "body { margin: 0; }",
+          },
+        }),
+      );
+      expect(result?.status).toBe(200);
+      expect(result?.headers.get("RateLimit-Limit")).toBe("20");
+
+      const body = (await parseJson(result!)) as { js: string; css: string };
+      expect(body.js).toContain("21");
+      expect(body.css).toBe("body{margin:0}");
+    });
+
+    test("rejects invalid JSON and projects with 400", async () => {
+      expect((await post("{"))?.status).toBe(400);
+      const result = await post(JSON.stringify({ files: { "../x.js": "" } }));
+      expect(result?.status).toBe(400);
+    });
+
+    test("rejects oversized bodies with 413 before reading them", async () => {
+      const url = new URL("https://vlist.dev/api/bundle");
+      const declared = await routeApi(
+        new Request(url, {
+          method: "POST",
+          body: "{}",
+          headers: { "Content-Length": String(MAX_PROJECT_BYTES * 2 + 1) },
+        }),
+        url,
+      );
+      expect(declared?.status).toBe(413);
+
+      // No Content-Length and no end — only a capped read returns
+      const chunk = new Uint8Array(64 * 1024).fill(32);
+      const endless = new ReadableStream<Uint8Array>({
+        pull: (controller) => controller.enqueue(chunk),
+      });
+      const streamed = await routeApi(
+        new Request(url, { method: "POST", body: endless }),
+        url,
+      );
+      expect(streamed?.status).toBe(413);
+    });
+
+    test("returns build errors with 422", async () => {
+      const result = await post(
+        JSON.stringify({ files: { "script.js": 'import "left-pad";' } }),
+      );
+      expect(result?.status).toBe(422);
+      const body = (await parseJson(result!)) as {
+        error: string;
+        logs: { message: string; file: string }[];
+      };
+      expect(body.error).toBe("Build failed");
+      expect(body.logs[0].file).toBe("script.js");
+    });
   });
 
   describe("GET /api/feed/presets", () => {
@@ -364,8 +770,54 @@ describe("router", () => {
 
       expect(result?.status).toBe(400);
 
-      const body = (await parseJson(result!)) as { error: string };
-      expect(body.error).toContain("Unknown source");
+      const body = (await parseJson(result!)) as {
+        error: string;
+        details: { param: string }[];
+      };
+      expect(body.error).toContain("source must be one of");
+      expect(body.details.map((d) => d.param)).toEqual(["source"]);
+    });
+
+    test("truncates feed pages under fault injection", async () => {
+      const children = [1, 2, 3, 4].map((n) => ({
+        kind: "t3",
+        data: {
+          id: `post${n}`,
+          name: `t3_post${n}`,
+          title: `Post ${n}`,
+          selftext: "",
+          author: "testuser",
+          subreddit: "faults",
+          score: n,
+          num_comments: 0,
+          created_utc: Math.floor(Date.now() / 1000) - 3600,
+          url: "https://example.com",
+          permalink: `/r/faults/comments/post${n}/test`,
+          is_self: false,
+          link_flair_text: null,
+        },
+      }));
+      globalThis.fetch = (() =>
+        Promise.resolve(
+          new Response(
+            JSON.stringify({ data: { after: "t3_next", children, dist: 4 } }),
+          ),
+        )) as typeof fetch;
+
+      const { req, url } = createRequest(
+        "/api/feed?source=reddit&target=faults&limit=4&faultTruncateRate=100&faultSeed=3",
+      );
+      const result = await routeApi(req, url);
+
+      expect(result?.status).toBe(200);
+      expect(result?.headers.get("X-Fault")).toContain("truncated");
+
+      const body = (await parseJson(result!)) as {
+        posts: unknown[];
+        nextCursor: string | null;
+      };
+      expect(body.posts.length).toBeLessThan(4);
+      expect(body.nextCursor).toBe("t3_next");
     });
 
     test("returns 503 on feed fetch failure", async () => {
@@ -0,0 +1,141 @@
+// test/api/routes.test.ts
+import { describe, test, expect } from "bun:test";
+import {
+  createRouteTable,
+  validateParams,
+  describeParamErrors,
+  type Route,
+} from "../../src/api/routes";
+
+const route = (
+  method: Route["method"],
+  path: string,
+  extra: Partial<Route> = {},
+): Route => ({
+  method,
+  path,
+  operationId: `${method} ${path}`,
+  summary: path,
+  tag: "Test",
+  responses: {},
+  handler: () => new Response(`${method} ${path}`),
+  ...extra,
+});
+
+const table = createRouteTable([
+  route("GET", "/api/items/:id", {
+    pathParams: { id: { type: "integer", description: "ID" } },
+  }),
+  route("PUT", "/api/items/:id"),
+  route("GET", "/api/items/stats"),
+  route("POST", "/api/items"),
+]);
+
+const url = (path: string) => new URL(`https://vlist.dev${path}`);
+
+describe("routes", () => {
+  describe("createRouteTable", () => {
+    test("matches method and pattern, returning raw params", () => {
+      const match = table.match("PUT", "/api/items/7");
+      expect(match.status).toBe("matched");
+      if (match.status !== "matched") return;
+      expect(match.route.method).toBe("PUT");
+      expect(match.rawParams).toEqual({ id: "7" });
+    });
+
+    test("prefers static segments over params", () => {
+      const match = table.match("GET", "/api/items/stats");
+      expect(match.status).toBe("matched");
+      if (match.status !== "matched") return;
+      expect(match.route.path).toBe("/api/items/stats");
+    });
+
+    test("reports allowed methods when only the method differs", () => {
+      expect(table.match("DELETE", "/api/items/7")).toEqual({
+        status: "method-not-allowed",
+        allow: ["GET", "PUT"],
+      });
+      expect(table.match("PUT", "/api/items/stats")).toEqual({
+        status: "method-not-allowed",
+        allow: ["GET"],
+      });
+    });
+
+    test("ignores a trailing slash", () => {
+      expect(table.match("POST", "/api/items/").status).toBe("matched");
+    });
+
+    test("returns not-found for unknown paths", () => {
+      expect(table.match("GET", "/api/items/7/extra").status).toBe("not-found");
+      expect(table.match("GET", "/api/items/%E0%A4%A").status).toBe(
+        "not-found",
+      );
+    });
+  });
+
+  describe("validateParams", () => {
+    const listRoute = route("GET", "/api/list", {
+      query: {
+        limit: { type: "integer", description: "Page size", maximum: 10 },
+        sort: { type: "string", description: "Sort", enum: ["a", "b"] },
+        q: { type: "string", description: "Query", required: true },
+      },
+    });
+
+    test("converts integer path params", () => {
+      const [item] = table.routes;
+      expect(validateParams(item, { id: "42" }, url("/"))).toEqual({
+        params: { id: 42 },
+        errors: [],
+      });
+    });
+
+    test("rejects malformed path params", () => {
+      const [item] = table.routes;
+      const { errors } = validateParams(item, { id: "abc" }, url("/"));
+      expect(errors).toEqual([
+        { param: "id", in: "path", message: "must be an integer" },
+      ]);
+    });
+
+    test("collects every query param error", () => {
+      const { errors } = validateParams(
+        listRoute,
+        {},
+        url("/api/list?limit=ten&sort=c"),
+      );
+      expect(errors.map((e) => e.param)).toEqual(["limit", "sort", "q"]);
+      expect(errors[1].message).toBe("must be one of: a, b");
+      expect(errors[2].message).toBe("is required");
+    });
+
+    test("leaves out-of-range integers to the handler", () => {
+      const { errors } = validateParams(
+        listRoute,
+        {},
+        url("/api/list?limit=500&q=x"),
+      );
+      expect(errors).toEqual([]);
+    });
+
+    test("treats empty values as absent", () => {
+      const { errors } = validateParams(
+        listRoute,
+        {},
+        url("/api/list?limit=&sort=&q="),
+      );
+      expect(errors.map((e) => e.param)).toEqual(["q"]);
+    });
+  });
+
+  describe("describeParamErrors", () => {
+    test("joins errors into one message", () => {
+      expect(
+        describeParamErrors([
+          { param: "limit", in: "query", message: "must be an integer" },
+          { param: "q", in: "query", message: "is required" },
+        ]),
+      ).toBe("Invalid parameters: limit must be an integer; q is required");
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// test/api/search.test.ts
+import { describe, test, expect } from "bun:test";
+import {
+  buildSearchIndex,
+  collectSections,
+  splitPage,
+  type SearchSection,
+} from "../../src/api/search";
+
+const SECTIONS: SearchSection[] = [
+  {
+    kind: "docs",
+    url: "/docs/api/reference#scrolltoindex",
+    page: "API Reference",
+    heading: "scrollToIndex",
+    body: "Scroll so that the item at index is visible.",
+  },
+  {
+    kind: "docs",
+    url: "/docs/features/groups#sticky-headers",
+    page: "Groups",
+    heading: "Sticky Headers",
+    body: "Headers stay pinned while their group scrolls.",
+  },
+  {
+    kind: "examples",
+    url: "/examples/contact-list",
+    page: "Contact List",
+    heading: null,
+    body: "A–Z grouped contacts with sticky headers and selection",
+  },
+];
+
+describe("search", () => {
+  describe("splitPage", () => {
+    const page = {
+      slug: "features/groups",
+      url: "/docs/features/groups",
+      title: "Groups",
+      description: "",
+      html: [
+        '<h1 id="groups">Groups <a class="anchor" href="#groups">#</a></h1>',
+        "<p>Sectioned lists &amp; headers.</p>",
+        '<h2 id="sticky-headers">Sticky <code>Headers</code> <a class="anchor" href="#sticky-headers">#</a></h2>',
+        "<p>Pinned while scrolling.</p>",
+        '<h3 id="install-react">Install <span class="toc-context">React</span> <a class="anchor" href="#install-react">#</a></h3>',
+        "<pre><code>bun add vlist</code></pre>",
+      ].join("\n"),
+    };
+
+    test("splits at h2/h3 headings and deep-links to them", () => {
+      expect(splitPage("docs", page)).toEqual([
+        {
+          kind: "docs",
+          url: "/docs/features/groups",
+          page: "Groups",
+          heading: null,
+          body: "Sectioned lists & headers.",
+        },
+        {
+          kind: "docs",
+          url: "/docs/features/groups#sticky-headers",
+          page: "Groups",
+          heading: "Sticky Headers",
+          body: "Pinned while scrolling.",
+        },
+        {
+          kind: "docs",
+          url: "/docs/features/groups#install-react",
+          page: "Groups",
+          heading: "Install React",
+          body: "bun add vlist",
+        },
+      ]);
+    });
+  });
+
+  describe("buildSearchIndex", () => {
+    const index = buildSearchIndex(SECTIONS);
+
+    test("matches word prefixes, best match first", () => {
+      const result = index.search("stick head", { limit: 10 });
+      expect(result.total).toBe(2);
+      expect(result.items.map((item) => item.url)).toEqual([
+        "/docs/features/groups#sticky-headers",
+        "/examples/contact-list",
+      ]);
+    });
+
+    test("highlights matches in the heading and a body snippet", () => {
+      const [item] = index.search("scrolltoindex", { limit: 1 }).items;
+      expect(item.heading).toBe("scrollToIndex");
+      expect(item.highlight.heading).toBe("<mark>scrollToIndex</mark>");
+      expect(item.highlight.body).toContain("Scroll so that");
+    });
+
+    test("filters by kind and limits the page, not the total", () => {
+      expect(
+        index
+          .search("sticky", { kind: "examples", limit: 10 })
+          .items.map((item) => item.kind),
+      ).toEqual(["examples"]);
+
+      const limited = index.search("sticky", { limit: 1 });
+      expect(limited.items).toHaveLength(1);
+      expect(limited.total).toBe(2);
+    });
+
+    test("returns nothing for input without words", () => {
+      expect(index.search(" *** ", { limit: 10 })).toEqual({
+        query: " *** ",
+        items: [],
+        total: 0,
+      });
+    });
+  });
+
+  test("collectSections covers docs, tutorials, examples and benchmarks", () => {
+    const sections = collectSections();
+    const kinds = new Set(sections.map((section) => section.kind));
+    expect([...kinds].sort()).toEqual([
+      "benchmarks",
+      "docs",
+      "examples",
+      "tutorials",
+    ]);
+
+    const reference = sections.find(
+      (section) => section.url === "/docs/api/reference#scrolltoindex",
+    );
+    expect(reference?.heading).toBe("scrollToIndex");
+    expect(reference?.body).toContain("scrollToIndex(");
+  });
+});
@@ -0,0 +1,106 @@
+// test/api/significance.test.ts
+import { describe, test, expect } from "bun:test";
+import {
+  normalCdf,
+  mannWhitneyU,
+  stratifiedRankTest,
+  adjustPValues,
+  type Sample,
+} from "../../src/api/significance";
+
+const samples = (values: number[], stratum = "chrome"): Sample[] =>
+  values.map((value) => ({ value, stratum }));
+
+describe("significance", () => {
+  describe("normalCdf", () => {
+    test("matches known quantiles", () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+      expect(normalCdf(1.959964)).toBeCloseTo(0.975, 5);
+      expect(normalCdf(-1.959964)).toBeCloseTo(0.025, 5);
+      expect(normalCdf(8)).toBeCloseTo(1, 6);
+    });
+  });
+
+  describe("mannWhitneyU", () => {
+    test("counts pairs where head is larger, ties as half", () => {
+      expect(mannWhitneyU([1, 2, 3], [4, 5]).u).toBe(6);
+      expect(mannWhitneyU([4, 5], [1, 2, 3]).u).toBe(0);
+      expect(mannWhitneyU([1, 2], [2, 3]).u).toBe(3.5);
+    });
+
+    test("reports the tie term", () => {
+      expect(mannWhitneyU([1, 2, 3], [4, 5]).tieTerm).toBe(0);
+      // one pair of 2s and a triple of 5s: (8 - 2) + (27 - 3)
+      expect(mannWhitneyU([2, 5, 5], [2, 5, 7]).tieTerm).toBe(30);
+    });
+  });
+
+  describe("stratifiedRankTest", () => {
+    test("detects a clear shift with a large effect", () => {
+      const base = samples([10, 11, 12, 10.5, 11.5, 12.5, 10.2, 11.8]);
+      const head = samples([14, 15, 16, 14.5, 15.5, 16.5, 14.2, 15.8]);
+      const result = stratifiedRankTest(base, head)!;
+
+      expect(result.p).toBeLessThan(0.01);
+      expect(result.z).toBeGreaterThan(0);
+      expect(result.effectSize).toBe(1);
+      expect(result.baseCount).toBe(8);
+      expect(result.headCount).toBe(8);
+    });
+
+    test("finds nothing between identical samples", () => {
+      const values = [3, 1, 4, 1, 5, 9, 2, 6];
+      const result = stratifiedRankTest(samples(values), samples(values))!;
+
+      expect(result.z).toBe(0);
+      expect(result.p).toBeCloseTo(1, 6);
+      expect(result.effectSize).toBe(0);
+    });
+
+    test("only ranks samples within their stratum", () => {
+      // Firefox runs are slower overall, but head is slower within both
+      const base = [
+        ...samples([10, 11, 12, 13], "chrome"),
+        ...samples([30, 31, 32, 33], "firefox"),
+      ];
+      const head = [
+        ...samples([14, 15, 16, 17], "chrome"),
+        ...samples([34, 35, 36, 37], "firefox"),
+        ...samples([1, 2, 3], "safari"), // no base counterpart
+      ];
+      const result = stratifiedRankTest(base, head)!;
+
+      expect(result.strata).toBe(2);
+      expect(result.headCount).toBe(8);
+      expect(result.effectSize).toBe(1);
+      expect(result.p).toBeLessThan(0.05);
+    });
+
+    test("returns null without shared strata", () => {
+      expect(
+        stratifiedRankTest(samples([1, 2], "chrome"), samples([3], "safari")),
+      ).toBeNull();
+    });
+
+    test("handles all-tied strata without dividing by zero", () => {
+      const result = stratifiedRankTest(samples([5, 5, 5]), samples([5, 5]))!;
+      expect(result.p).toBeCloseTo(1, 6);
+      expect(result.effectSize).toBe(0);
+    });
+  });
+
+  describe("adjustPValues", () => {
+    test("applies Benjamini-Hochberg in input order", () => {
+      const adjusted = adjustPValues([0.01, 0.04, 0.03, 0.5]);
+      expect(adjusted[0]).toBeCloseTo(0.04, 10);
+      expect(adjusted[1]).toBeCloseTo(0.0533, 4);
+      expect(adjusted[2]).toBeCloseTo(0.0533, 4);
+      expect(adjusted[3]).toBeCloseTo(0.5, 10);
+    });
+
+    test("never exceeds 1", () => {
+      expect(adjustPValues([0.9, 0.95])).toEqual([0.95, 0.95]);
+      expect(adjustPValues([])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// test/api/sse.test.ts
+import { describe, test, expect } from "bun:test";
+import { formatEvent, createEventStream } from "../../src/api/sse";
+
+/** Read whatever the stream has buffered so far as text */
+const readChunk = async (
+  reader: ReadableStreamDefaultReader<Uint8Array>,
+): Promise<string> => {
+  const { value } = await reader.read();
+  return new TextDecoder().decode(value);
+};
+
+describe("sse", () => {
+  describe("formatEvent", () => {
+    test("serializes event name and JSON data", () => {
+      expect(formatEvent("created", { id: 1 })).toBe(
+        'event: created\ndata: {"id":1}\n\n',
+      );
+    });
+
+    test("includes the id line when given", () => {
+      expect(formatEvent("deleted", null, 7)).toBe(
+        "id: 7\nevent: deleted\ndata: null\n\n",
+      );
+    });
+
+    test("keeps multi-line strings on one data line", () => {
+      const out = formatEvent("updated", { title: "a\nb" });
+      expect(out.split("\n").filter((l) => l.startsWith("data:"))).toHaveLength(
+        1,
+      );
+    });
+  });
+
+  describe("createEventStream", () => {
+    test("starts with a retry preamble", async () => {
+      const controller = new AbortController();
+      const stream = createEventStream(controller.signal, () => () => {});
+      const reader = stream.getReader();
+
+      expect(await readChunk(reader)).toBe("retry: 3000\n\n");
+      controller.abort();
+    });
+
+    test("sends events with incrementing ids", async () => {
+      const controller = new AbortController();
+      const stream = createEventStream(controller.signal, (send) => {
+        send("created", { id: 1 });
+        send("updated", { id: 1 });
+        return () => {};
+      });
+      const reader = stream.getReader();
+
+      await readChunk(reader); // retry preamble
+      expect(await readChunk(reader)).toBe(
+        'id: 1\nevent: created\ndata: {"id":1}\n\n',
+      );
+      expect(await readChunk(reader)).toBe(
+        'id: 2\nevent: updated\ndata: {"id":1}\n\n',
+      );
+      controller.abort();
+    });
+
+    test("runs cleanup once when the client disconnects", async () => {
+      const controller = new AbortController();
+      let stopped = 0;
+      const stream = createEventStream(controller.signal, () => () => {
+        stopped++;
+      });
+      const reader = stream.getReader();
+      await readChunk(reader);
+
+      controller.abort();
+      await reader.cancel();
+
+      expect(stopped).toBe(1);
+    });
+
+    test("runs cleanup when the stream is cancelled", async () => {
+      const controller = new AbortController();
+      let stopped = 0;
+      const stream = createEventStream(controller.signal, () => () => {
+        stopped++;
+      });
+
+      await stream.cancel();
+      expect(stopped).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// test/api/storage.test.ts
+import { describe, test, expect, afterEach } from "bun:test";
+import { Database } from "bun:sqlite";
+import { mkdirSync, mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import {
+  BENCHMARK_TABLES,
+  createMemoryStorage,
+  createSqliteStorage,
+  createStorageFromEnv,
+  type BenchmarkStorage,
+} from "../../src/api/storage";
+
+const opened: BenchmarkStorage[] = [];
+const dirs: string[] = [];
+
+const open = (storage: BenchmarkStorage) => {
+  opened.push(storage);
+  return storage;
+};
+
+const tempPath = (): string => {
+  const dir = mkdtempSync(join(tmpdir(), "bench-storage-"));
+  dirs.push(dir);
+  return join(dir, "nested", "benchmarks.db");
+};
+
+const tableNames = (db: Database): string[] =>
+  (
+    db.query("SELECT name FROM sqlite_master WHERE type = 'table'").all() as {
+      name: string;
+    }[]
+  ).map((row) => row.name);
+
+const columnNames = (db: Database, table: string): string[] =>
+  (db.query(`PRAGMA table_info(${table})`).all() as { name: string }[]).map(
+    (column) => column.name,
+  );
+
+afterEach(() => {
+  for (const storage of opened.splice(0)) storage.close();
+  for (const dir of dirs.splice(0)) rmSync(dir, { recursive: true });
+});
+
+describe("storage", () => {
+  test("memory storage starts empty with the full schema", () => {
+    const { kind, db } = open(createMemoryStorage());
+    expect(kind).toBe("memory");
+    for (const { name } of BENCHMARK_TABLES) {
+      expect(tableNames(db)).toContain(name);
+      const { count } = db
+        .query(`SELECT COUNT(*) AS count FROM ${name}`)
+        .get() as { count: number };
+      expect(count).toBe(0);
+    }
+    expect(columnNames(db, "comparison_runs")).toContain("fingerprint");
+  });
+
+  test("memory storages don't share data", () => {
+    const a = open(createMemoryStorage());
+    const b = open(createMemoryStorage());
+    a.db.run(
+      "INSERT INTO benchmark_runs (version, suite_id, item_count) VALUES ('1.0.0', 'render', 1000)",
+    );
+    const count = (s: BenchmarkStorage) =>
+      (
+        s.db.query("SELECT COUNT(*) AS n FROM benchmark_runs").get() as {
+          n: number;
+        }
+      ).n;
+    expect(count(a)).toBe(1);
+    expect(count(b)).toBe(0);
+  });
+
+  test("sqlite storage creates the file, its directory and the schema", () => {
+    const path = tempPath();
+    const storage = open(createSqliteStorage(path));
+    expect(storage.location).toBe(path);
+    expect(Bun.file(path).size).toBeGreaterThan(0);
+    expect(
+      storage.db.query("PRAGMA journal_mode").get() as { journal_mode: string },
+    ).toEqual({ journal_mode: "wal" });
+    expect(tableNames(storage.db)).toContain("benchmark_metrics");
+  });
+
+  test("two connections to one file see each other's writes", () => {
+    const path = tempPath();
+    const a = open(createSqliteStorage(path));
+    const b = open(createSqliteStorage(path));
+    a.db.run(
+      "INSERT INTO comparison_runs (version, suite_id, item_count) VALUES ('1.0.0', 'virtua', 1000)",
+    );
+    expect(b.db.query("SELECT suite_id FROM comparison_runs").all()).toEqual([
+      { suite_id: "virtua" },
+    ]);
+  });
+
+  test("sqlite storage upgrades an older file and keeps its rows", () => {
+    const path = tempPath();
+    mkdirSync(dirname(path));
+    const db = new Database(path);
+    // The runs table as it was before the quality columns
+    db.run(`CREATE TABLE benchmark_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      version TEXT NOT NULL, suite_id TEXT NOT NULL, item_count INTEGER NOT NULL,
+      user_agent TEXT, hardware_concurrency INTEGER, device_memory REAL,
+      screen_width INTEGER, screen_height INTEGER,
+      duration_ms INTEGER, success INTEGER NOT NULL DEFAULT 1, error TEXT,
+      stress_ms INTEGER DEFAULT 0, scroll_speed INTEGER DEFAULT 0
+    )`);
+    db.run(
+      "INSERT INTO benchmark_runs (version, suite_id, item_count) VALUES ('0.9.0', 'scroll', 1000)",
+    );
+
+    db.close();
+
+    const storage = open(createSqliteStorage(path));
+    expect(columnNames(storage.db, "benchmark_runs")).toContain("quality");
+    expect(
+      storage.db.query("SELECT version, quality FROM benchmark_runs").all(),
+    ).toEqual([{ version: "0.9.0", quality: 1 }]);
+    expect(tableNames(storage.db)).toContain("comparison_metrics");
+  });
+
+  test("createStorageFromEnv picks the backend", () => {
+    expect(
+      open(createStorageFromEnv({ BENCHMARK_STORAGE: "memory" })).kind,
+    ).toBe("memory");
+
+    const path = tempPath();
+    const storage = open(createStorageFromEnv({ BENCHMARK_DB_PATH: path }));
+    expect(storage.kind).toBe("sqlite");
+    expect(storage.location).toBe(path);
+
+    expect(() => createStorageFromEnv({ BENCHMARK_STORAGE: "redis" })).toThrow(
+      'Unknown BENCHMARK_STORAGE "redis"',
+    );
+  });
+});
@@ -0,0 +1,392 @@
+// test/api/tracks.test.ts
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { Database } from "bun:sqlite";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { migrateDatabase } from "../../src/api/migrations";
+import {
+  validateTrackBatch,
+  validateTrackInput,
+  applyTrackBatch,
+  createTrack,
+  deleteTrack,
+  updateTrack,
+  getTrackById,
+  getTracks,
+  setTracksDatabase,
+  subscribeTrackChanges,
+  pollTrackChanges,
+  MAX_BATCH_OPERATIONS,
+  MAX_LOCATED_CHANGES,
+  type TrackEvent,
+} from "../../src/api/tracks";
+
+let dir: string;
+
+/** A fresh tracks.db with three rows, ids 1–3 */
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), "tracks-"));
+  const path = join(dir, "tracks.db");
+  const db = new Database(path);
+  migrateDatabase("tracks", db);
+  for (const [i, title] of ["Blue Monday", "Heroes", "Teardrop"].entries()) {
+    db.run(
+      "INSERT INTO tracks (mongo_id, title, artist, year) VALUES (?, ?, ?, ?)",
+      [`seed_${i}`, title, "Artist", 1980 + i],
+    );
+  }
+  db.close();
+  setTracksDatabase(path);
+});
+
+afterAll(() => {
+  setTracksDatabase(null);
+  rmSync(dir, { recursive: true });
+});
+
+const view = { sort: "id", direction: "asc", offset: 0, limit: 50 };
+
+describe("tracks", () => {
+  describe("validateTrackBatch", () => {
+    test("accepts a mixed batch", () => {
+      const result = validateTrackBatch({
+        operations: [
+          { op: "create", data: { title: "Song", artist: "Band" } },
+          { op: "update", id: 3, data: { year: 1971 } },
+          { op: "delete", id: 4 },
+        ],
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.operations).toHaveLength(3);
+    });
+
+    test("rejects a non-object body", () => {
+      expect(validateTrackBatch(null).valid).toBe(false);
+      expect(validateTrackBatch("delete all").valid).toBe(false);
+    });
+
+    test("rejects missing or empty operations", () => {
+      expect(validateTrackBatch({}).error).toContain("non-empty array");
+      expect(validateTrackBatch({ operations: [] }).error).toContain(
+        "non-empty array",
+      );
+    });
+
+    test("rejects batches over the limit", () => {
+      const operations = Array.from(
+        { length: MAX_BATCH_OPERATIONS + 1 },
+        (_, i) => ({ op: "delete", id: i + 1 }),
+      );
+      expect(validateTrackBatch({ operations }).error).toContain(
+        `${MAX_BATCH_OPERATIONS}`,
+      );
+    });
+
+    test("rejects unknown op types", () => {
+      const result = validateTrackBatch({
+        operations: [{ op: "upsert", id: 1 }],
+      });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain("operations[0].op");
+    });
+
+    test("requires a positive integer id for update and delete", () => {
+      for (const id of [undefined, 0, -1, 1.5, "7"]) {
+        const result = validateTrackBatch({
+          operations: [{ op: "delete", id }],
+        });
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain("operations[0].id");
+      }
+    });
+
+    test("requires data for create and update", () => {
+      const result = validateTrackBatch({
+        operations: [
+          { op: "delete", id: 1 },
+          { op: "update", id: 2 },
+        ],
+      });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain("operations[1].data");
+    });
+
+    test("requires title and artist for create", () => {
+      const result = validateTrackBatch({
+        operations: [{ op: "create", data: { title: "No artist" } }],
+      });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain("title and artist");
+    });
+
+    test("validates field types like the single-track endpoints", () => {
+      for (const data of [
+        { title: 42, artist: "Band" },
+        { title: "Song", artist: ["Band"] },
+        { title: "Song", artist: "Band", year: "1971" },
+        { title: "Song", artist: "Band", duration: 1.5 },
+        { title: "Song", artist: "Band", country: 1 },
+      ]) {
+        const result = validateTrackBatch({
+          operations: [{ op: "create", data }],
+        });
+        expect(result.valid).toBe(false);
+        expect(result.error).toStartWith("operations[0].data: ");
+        expect(result.error).toBe(
+          `operations[0].data: ${validateTrackInput(data).error}`,
+        );
+      }
+
+      const update = validateTrackBatch({
+        operations: [{ op: "update", id: 1, data: { title: "" } }],
+      });
+      expect(update.error).toBe(
+        "operations[0].data: title must be a non-empty string",
+      );
+    });
+
+    test("drops unknown fields", () => {
+      const result = validateTrackBatch({
+        operations: [
+          { op: "update", id: 1, data: { year: null, mongo_id: "x", id: 9 } },
+        ],
+      });
+      expect(result.operations).toEqual([
+        { op: "update", id: 1, data: { year: null } },
+      ]);
+    });
+  });
+
+  describe("validateTrackInput", () => {
+    test("requires title and artist unless partial", () => {
+      expect(validateTrackInput({ title: "Song" }).error).toBe(
+        "title and artist are required",
+      );
+      expect(validateTrackInput({ year: 1999 }, true)).toEqual({
+        valid: true,
+        input: { year: 1999 },
+      });
+    });
+
+    test("rejects non-objects", () => {
+      for (const body of [null, "x", [1]]) {
+        expect(validateTrackInput(body).valid).toBe(false);
+      }
+    });
+  });
+
+  describe("getTracks", () => {
+    test("counts see writes from other connections", () => {
+      const total = getTracks(view).total;
+
+      // Another server instance — its writes move tracks_revision
+      const other = new Database(join(dir, "tracks.db"));
+      other.run(
+        "INSERT INTO tracks (mongo_id, title, artist) VALUES ('other', 'Elsewhere', 'Band')",
+      );
+      expect(getTracks(view).total).toBe(total + 1);
+
+      other.run("DELETE FROM tracks WHERE mongo_id = 'other'");
+      other.close();
+      expect(getTracks(view).total).toBe(total);
+    });
+  });
+
+  describe("applyTrackBatch", () => {
+    test("applies every operation", () => {
+      const result = applyTrackBatch([
+        { op: "create", data: { title: "New", artist: "Band" } },
+        { op: "update", id: 1, data: { year: 1983 } },
+      ]);
+      expect(result.success).toBe(true);
+      if (!result.success) return;
+      expect(result.results.map((r) => [r.op, r.status])).toEqual([
+        ["create", 201],
+        ["update", 200],
+      ]);
+      expect(getTrackById(1)?.year).toBe(1983);
+
+      applyTrackBatch([{ op: "delete", id: result.results[0].id }]);
+    });
+
+    test("rolls back every operation when one targets a missing id", () => {
+      const before = getTracks(view);
+
+      const result = applyTrackBatch([
+        { op: "create", data: { title: "Rolled back", artist: "Band" } },
+        { op: "update", id: 2, data: { title: "Changed" } },
+        { op: "delete", id: 3 },
+        { op: "delete", id: 999 },
+        { op: "delete", id: 1 },
+      ]);
+
+      expect(result).toEqual({
+        success: false,
+        index: 3,
+        error: "Track 999 not found",
+      });
+      expect(getTracks(view)).toEqual(before);
+      expect(getTrackById(2)?.title).toBe("Heroes");
+      expect(getTrackById(3)).not.toBeNull();
+    });
+
+    test("reports the index of a failing update", () => {
+      const result = applyTrackBatch([
+        { op: "delete", id: 2 },
+        { op: "update", id: 404, data: { year: 2000 } },
+      ]);
+      expect(result).toMatchObject({ success: false, index: 1 });
+      expect(getTrackById(2)).not.toBeNull();
+    });
+  });
+
+  describe("change feed", () => {
+    /** Collect the events a subscriber to the id-ordered view receives */
+    const subscribe = () => {
+      const events: TrackEvent[] = [];
+      const unsubscribe = subscribeTrackChanges(
+        { sort: "id", direction: "asc" },
+        (event) => events.push(event),
+      );
+      return { events, unsubscribe };
+    };
+
+    test("delivers this instance's changes located in the view", () => {
+      const { events, unsubscribe } = subscribe();
+      const track = createTrack({ title: "Live", artist: "Band" });
+      deleteTrack(track.id);
+      pollTrackChanges();
+      unsubscribe();
+
+      expect(events.map((e) => e.type)).toEqual(["created", "deleted"]);
+      expect(events[0]).toMatchObject({
+        track: { id: track.id, title: "Live" },
+      });
+      // Located after both commits — the deleted row is where it was
+      const total = getTracks(view).total;
+      expect(events[1]).toMatchObject({ index: total, total });
+    });
+
+    test("delivers changes made by another server instance", () => {
+      const { events, unsubscribe } = subscribe();
+
+      // What createTrack on the other instance writes, in one transaction
+      const other = new Database(join(dir, "tracks.db"));
+      other.transaction(() => {
+        other.run(
+          "INSERT INTO tracks (mongo_id, title, artist) VALUES ('remote', 'Remote', 'Band')",
+        );
+        const row = other
+          .query("SELECT * FROM tracks WHERE mongo_id = 'remote'")
+          .get();
+        other.run("INSERT INTO track_changes (type, track) VALUES (?, ?)", [
+          "created",
+          JSON.stringify(row),
+        ]);
+      })();
+      other.close();
+
+      pollTrackChanges();
+      unsubscribe();
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        type: "created",
+        track: { title: "Remote" },
+        index: getTracks(view).total - 1,
+      });
+      deleteTrack((events[0] as { track: { id: number } }).track.id);
+    });
+
+    test("locates each change of one poll as of just after it", () => {
+      const [a, b, c, d] = ["A", "B", "C", "D"].map((title) =>
+        createTrack({ title: `Poll ${title}`, artist: "Band" }),
+      );
+      const titleView = { sort: "title", direction: "asc" };
+      const ids = (v: typeof titleView) =>
+        getTracks({ ...v, offset: 0, limit: 200 }).items.map((t) => t.id);
+
+      // Clients apply the events one at a time, by index
+      const clients = [
+        { view: { sort: "id", direction: "asc" }, list: [] as number[] },
+        { view: titleView, list: [] as number[] },
+      ].map((client) => {
+        client.list = ids(client.view);
+        const events: TrackEvent[] = [];
+        const unsubscribe = subscribeTrackChanges(client.view, (event) =>
+          events.push(event),
+        );
+        return { ...client, events, unsubscribe };
+      });
+
+      deleteTrack(c.id);
+      deleteTrack(a.id);
+      updateTrack(b.id, { title: "Poll Z" });
+      const e = createTrack({ title: "Poll E", artist: "Band" });
+      pollTrackChanges();
+
+      for (const { view: v, list, events, unsubscribe } of clients) {
+        unsubscribe();
+        expect(events).toHaveLength(4);
+        for (const event of events) {
+          if (event.type === "reset") throw new Error("unexpected reset");
+          const at = list.indexOf(event.track.id);
+          if (event.type === "deleted") {
+            expect(event.index).toBe(at);
+          } else if (event.type === "updated" && at !== -1) {
+            list.splice(at, 1);
+          }
+          if (event.type === "deleted") list.splice(at, 1);
+          else if (event.index !== null) {
+            list.splice(event.index, 0, event.track.id);
+          }
+          expect(event.total).toBe(list.length);
+        }
+        expect(list).toEqual(ids(v));
+      }
+
+      // By id, [.., a, b, c, d] became [.., b, d, e]: c's index still counts
+      // a and b, the same as e's now
+      const [byId] = clients;
+      expect(byId.events[0]).toMatchObject({
+        type: "deleted",
+        track: { id: c.id },
+        index: byId.list.length - 1,
+      });
+      for (const track of [b, d, e]) deleteTrack(track.id);
+    });
+
+    test("never reports a rolled-back batch", () => {
+      const { events, unsubscribe } = subscribe();
+      applyTrackBatch([
+        { op: "create", data: { title: "Ghost", artist: "Band" } },
+        { op: "delete", id: 999 },
+      ]);
+      pollTrackChanges();
+      unsubscribe();
+      expect(events).toEqual([]);
+    });
+
+    test("sends one reset for a burst too big to locate", () => {
+      const { events, unsubscribe } = subscribe();
+      const result = applyTrackBatch(
+        Array.from({ length: MAX_LOCATED_CHANGES + 1 }, (_, i) => ({
+          op: "create" as const,
+          data: { title: `Bulk ${i}`, artist: "Band" },
+        })),
+      );
+      pollTrackChanges();
+      pollTrackChanges();
+      unsubscribe();
+      expect(events).toEqual([{ type: "reset" }]);
+
+      if (result.success) {
+        applyTrackBatch(
+          result.results.map(({ id }) => ({ op: "delete" as const, id })),
+        );
+      }
+    });
+  });
+});
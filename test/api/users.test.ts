@@ -6,9 +6,29 @@ import {
   getUserById,
   TOTAL,
   MAX_LIMIT,
+  MAX_VIEW_TOTAL,
+  USER_SORT_COLUMNS,
   type User,
 } from "../../src/api/users";
 
+/** Every user in a small dataset, in view order */
+const allUsers = (
+  total: number,
+  query: Parameters<typeof getUsers>[3],
+): User[] => {
+  const users: User[] = [];
+  for (let offset = 0; ; offset += MAX_LIMIT) {
+    const page = getUsers(offset, MAX_LIMIT, total, query);
+    users.push(...page.items);
+    if (!page.hasMore) return users;
+  }
+};
+
+const compare = (a: string | number, b: string | number): number =>
+  typeof a === "number" && typeof b === "number"
+    ? a - b
+    : String(a).localeCompare(String(b), "en");
+
 describe("users", () => {
   describe("generateUser", () => {
     test("returns a user with all required fields", () => {
@@ -151,6 +171,86 @@ describe("users", () => {
     });
   });
 
+  describe("getUsers sort and search", () => {
+    test("sorts every column, ties by ID", () => {
+      for (const column of USER_SORT_COLUMNS) {
+        const users = allUsers(1000, { sort: column });
+        expect(users).toHaveLength(1000);
+        for (let i = 1; i < users.length; i++) {
+          const order =
+            compare(users[i - 1][column], users[i][column]) ||
+            users[i - 1].id - users[i].id;
+          expect(order).toBeLessThan(0);
+        }
+      }
+    });
+
+    test("reverses the view for direction=desc", () => {
+      const asc = allUsers(500, { sort: "lastName" });
+      const desc = allUsers(500, { sort: "lastName", direction: "desc" });
+      expect(desc.map((u) => u.id)).toEqual(asc.map((u) => u.id).reverse());
+    });
+
+    test("defaults to ID order", () => {
+      expect(getUsers(0, 3, 100, {}).items.map((u) => u.id)).toEqual([1, 2, 3]);
+      expect(
+        getUsers(0, 3, 100, { direction: "desc" }).items.map((u) => u.id),
+      ).toEqual([100, 99, 98]);
+    });
+
+    test("filters by word prefixes and reports the filtered total", () => {
+      const target = generateUser(7);
+      const search = `${target.firstName.slice(0, 3)} ${target.city}`;
+      const result = getUsers(0, MAX_LIMIT, 2000, { search });
+
+      expect(result.items.map((u) => u.id)).toContain(7);
+      expect(result.total).toBe(result.items.length);
+      expect(result.total).toBeLessThan(2000);
+      for (const user of result.items) {
+        const text = Object.values(user).join(" ").toLowerCase();
+        expect(text).toContain(target.firstName.slice(0, 3).toLowerCase());
+        expect(text).toContain(target.city.toLowerCase());
+      }
+    });
+
+    test("combines search with sorting", () => {
+      const search = generateUser(1).country;
+      const unsorted = allUsers(3000, { search });
+      const sorted = allUsers(3000, { search, sort: "company" });
+
+      expect(sorted.map((u) => u.id).sort((a, b) => a - b)).toEqual(
+        unsorted.map((u) => u.id),
+      );
+      for (let i = 1; i < sorted.length; i++) {
+        expect(
+          compare(sorted[i - 1].company, sorted[i].company),
+        ).toBeLessThanOrEqual(0);
+      }
+    });
+
+    test("returns an empty view when nothing matches", () => {
+      expect(getUsers(0, 10, 1000, { search: "zzzqqq" })).toEqual({
+        items: [],
+        total: 0,
+        hasMore: false,
+      });
+    });
+
+    test("ignores searches without words", () => {
+      expect(getUsers(0, 5, 100, { search: " -- " }).total).toBe(100);
+    });
+
+    test("caps sorted views at MAX_VIEW_TOTAL users", () => {
+      const total = MAX_VIEW_TOTAL * 10;
+      const result = getUsers(0, 5, total, { sort: "lastName" });
+      expect(result.total).toBe(MAX_VIEW_TOTAL);
+      for (const user of result.items) {
+        expect(user.id).toBeLessThanOrEqual(MAX_VIEW_TOTAL);
+      }
+      expect(getUsers(0, 5, total, {}).total).toBe(total);
+    });
+  });
+
   describe("getUserById", () => {
     test("returns user for valid ID", () => {
       const user = getUserById(1);
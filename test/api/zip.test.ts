@@ -0,0 +1,60 @@
+// test/api/zip.test.ts
+import { describe, test, expect } from "bun:test";
+import { createZipWriter, readZip } from "../../src/api/zip";
+
+const text = new TextEncoder();
+const decode = (bytes: Uint8Array | undefined) =>
+  new TextDecoder().decode(bytes);
+
+/** A finished archive of the given entries, each written in several chunks */
+const archive = (entries: Record<string, string[]>): Uint8Array => {
+  const zip = createZipWriter();
+  const parts: Uint8Array[] = [];
+  for (const [name, chunks] of Object.entries(entries)) {
+    parts.push(zip.open(name));
+    for (const chunk of chunks) parts.push(zip.write(text.encode(chunk)));
+    parts.push(zip.close());
+  }
+  parts.push(zip.finish());
+  return new Uint8Array(Buffer.concat(parts));
+};
+
+describe("zip", () => {
+  test("reads back what the writer wrote", () => {
+    const files = readZip(
+      archive({
+        "manifest.json": ['{"schemaVersion":1}'],
+        "runs.ndjson": ['{"a":1}\n', '{"a":2}\n', ""],
+        "empty.txt": [],
+      }),
+    );
+    expect([...files.keys()]).toEqual([
+      "manifest.json",
+      "runs.ndjson",
+      "empty.txt",
+    ]);
+    expect(decode(files.get("manifest.json"))).toBe('{"schemaVersion":1}');
+    expect(decode(files.get("runs.ndjson"))).toBe('{"a":1}\n{"a":2}\n');
+    expect(files.get("empty.txt")!.length).toBe(0);
+  });
+
+  test("keeps UTF-8 names and content", () => {
+    const files = readZip(archive({ "café/ünïcode.txt": ["naïve ✓"] }));
+    expect(decode(files.get("café/ünïcode.txt"))).toBe("naïve ✓");
+  });
+
+  test("rejects bytes that aren't a zip", () => {
+    expect(() => readZip(text.encode("PK not really"))).toThrow(
+      "Not a zip archive",
+    );
+    expect(() => readZip(new Uint8Array(0))).toThrow("Not a zip archive");
+  });
+
+  test("detects corrupted entries", () => {
+    const bytes = archive({ "data.txt": ["x".repeat(1000)] });
+    // Flip a bit of the compressed data, just past the 30-byte local header
+    // and the 8-byte name
+    bytes[40] ^= 0xff;
+    expect(() => readZip(bytes)).toThrow();
+  });
+});
@@ -0,0 +1,193 @@
+// test/benchmarks/cli.test.ts
+import { describe, test, expect } from "bun:test";
+import {
+  parseCount,
+  parseCliArgs,
+  selectSuites,
+  formatTable,
+  toPayload,
+} from "../../benchmarks/cli";
+
+const SUITES = [
+  "render-vanilla",
+  "render-react",
+  "scroll-vanilla",
+  "scroll-react",
+  "react-window",
+  "virtua",
+];
+
+describe("benchmarks CLI", () => {
+  describe("parseCount", () => {
+    test("reads plain numbers and k/m suffixes", () => {
+      expect(parseCount("10000")).toBe(10_000);
+      expect(parseCount("10_000")).toBe(10_000);
+      expect(parseCount("100k")).toBe(100_000);
+      expect(parseCount("1M")).toBe(1_000_000);
+      expect(parseCount("2.5k")).toBe(2_500);
+    });
+
+    test("rejects anything else", () => {
+      expect(() => parseCount("lots")).toThrow('Invalid item count "lots"');
+      expect(() => parseCount("-5")).toThrow();
+    });
+  });
+
+  describe("parseCliArgs", () => {
+    test("defaults", () => {
+      const options = parseCliArgs([]);
+      expect(options.suites).toEqual([]);
+      expect(options.itemCounts).toEqual([10_000]);
+      expect(options.stressMs).toBe(0);
+      expect(options.scrollSpeed).toBe(7200);
+      expect(options.post).toBeUndefined();
+      expect(options.list).toBe(false);
+    });
+
+    test("splits lists and resolves named levels", () => {
+      const options = parseCliArgs([
+        "--suite",
+        "render,scroll",
+        "--suite",
+        "virtua",
+        "--items",
+        "10k,1m",
+        "--stress",
+        "heavy",
+        "--scroll-speed",
+        "fast",
+      ]);
+      expect(options.suites).toEqual(["render", "scroll", "virtua"]);
+      expect(options.itemCounts).toEqual([10_000, 1_000_000]);
+      expect(options.stressMs).toBe(7);
+      expect(options.scrollSpeed).toBe(14_400);
+    });
+
+    test("numbers work in place of named levels", () => {
+      const options = parseCliArgs(["--stress", "4", "--scroll-speed", "3000"]);
+      expect(options.stressMs).toBe(4);
+      expect(options.scrollSpeed).toBe(3000);
+      expect(() => parseCliArgs(["--stress", "extreme"])).toThrow(
+        'Invalid stress "extreme"',
+      );
+    });
+
+    test("--api implies --post", () => {
+      expect(parseCliArgs(["--post"]).post).toBe("http://localhost:3338");
+      expect(parseCliArgs(["--api", "https://staging.vlist.dev"]).post).toBe(
+        "https://staging.vlist.dev",
+      );
+    });
+
+    test("rejects unknown flags", () => {
+      expect(() => parseCliArgs(["--suites", "render"])).toThrow();
+    });
+  });
+
+  describe("selectSuites", () => {
+    test("everything when nothing is selected", () => {
+      expect(selectSuites(SUITES, [])).toEqual(SUITES);
+    });
+
+    test("a benchmark name selects all its variants", () => {
+      expect(selectSuites(SUITES, ["render", "virtua"])).toEqual([
+        "render-vanilla",
+        "render-react",
+        "virtua",
+      ]);
+    });
+
+    test("variants narrow the selection", () => {
+      expect(selectSuites(SUITES, ["render", "scroll"], ["react"])).toEqual([
+        "render-react",
+        "scroll-react",
+      ]);
+      // Comparison suites have no variant
+      expect(selectSuites(SUITES, [], ["vanilla"])).toEqual([
+        "render-vanilla",
+        "scroll-vanilla",
+      ]);
+    });
+
+    test("an unknown suite is an error", () => {
+      expect(() => selectSuites(SUITES, ["render", "paint"])).toThrow(
+        'No suite matches "paint"',
+      );
+    });
+  });
+
+  describe("output", () => {
+    const results = [
+      {
+        suiteId: "render-vanilla",
+        itemCount: 10_000,
+        metrics: [
+          {
+            label: "Median",
+            value: 4.2,
+            unit: "ms",
+            better: "lower",
+            rating: "good",
+          },
+          { label: "P95", value: 6.8, unit: "ms", better: "lower" },
+        ],
+        duration: 1234,
+        success: true,
+      },
+      {
+        suiteId: "scroll-vanilla",
+        itemCount: 1_000_000,
+        metrics: [],
+        duration: 10,
+        success: false,
+        error: "Container has no height",
+      },
+    ];
+
+    test("formatTable aligns one row per metric", () => {
+      const lines = formatTable(results).split("\n");
+      expect(lines[0]).toMatch(/^Suite\s+Items\s+Metric\s+Value\s+Rating$/);
+      expect(lines[1]).toMatch(/^─+/);
+      expect(lines[2]).toMatch(
+        /^render-vanilla\s+10,000\s+Median\s+4.2 ms\s+good$/,
+      );
+      expect(lines[3]).toMatch(/^render-vanilla\s+10,000\s+P95\s+6.8 ms$/);
+      expect(lines[4]).toContain("✗ failed");
+      expect(lines[4]).toContain("Container has no height");
+      // Columns line up
+      expect(lines[2].indexOf("Median")).toBe(lines[0].indexOf("Metric"));
+    });
+
+    test("toPayload matches what the dashboard posts", () => {
+      const payload = toPayload(results[0], {
+        version: "1.4.0",
+        environment: {
+          userAgent: "HeadlessChrome/130",
+          hardwareConcurrency: 8,
+          deviceMemory: 8,
+          screenWidth: 1280,
+          screenHeight: 900,
+        },
+        stressMs: 0,
+        scrollSpeed: 7200,
+      });
+      expect(payload).toMatchObject({
+        version: "1.4.0",
+        suiteId: "render-vanilla",
+        itemCount: 10_000,
+        duration: 1234,
+        success: true,
+        userAgent: "HeadlessChrome/130",
+        hardwareConcurrency: 8,
+        scrollSpeed: 7200,
+      });
+      expect(payload.metrics[1]).toEqual({
+        label: "P95",
+        value: 6.8,
+        unit: "ms",
+        better: "lower",
+        rating: null,
+      });
+    });
+  });
+});
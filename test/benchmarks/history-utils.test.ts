@@ -5,11 +5,19 @@ import {
   deriveRating,
   deriveMeta,
   confidenceLabel,
+  verdictLabel,
+  formatChange,
   formatMetricValue,
   round,
   niceScale,
   niceDateTicks,
   formatTickValue,
+  compareVersionStrings,
+  comparisonMeasurements,
+  versionGroups,
+  libraryGroups,
+  overallChange,
+  groupBounds,
 } from "../../benchmarks/history-utils.js";
 
 // =============================================================================
@@ -391,6 +399,42 @@ describe("confidenceLabel", () => {
   });
 });
 
+// =============================================================================
+// verdictLabel / formatChange
+// =============================================================================
+
+describe("verdictLabel", () => {
+  test("maps each verdict to its own class", () => {
+    expect(verdictLabel("regression")).toEqual({
+      text: "Regression",
+      cls: "regression",
+    });
+    expect(verdictLabel("improvement").cls).toBe("improvement");
+    expect(verdictLabel("changed").cls).toBe("changed");
+    expect(verdictLabel("unchanged").text).toBe("No significant change");
+  });
+
+  test("treats unknown verdicts as insufficient data", () => {
+    expect(verdictLabel("insufficient")).toEqual({
+      text: "Not enough data",
+      cls: "insufficient",
+    });
+    expect(verdictLabel(undefined).cls).toBe("insufficient");
+  });
+});
+
+describe("formatChange", () => {
+  test("adds an explicit sign", () => {
+    expect(formatChange(12.34)).toBe("+12.3%");
+    expect(formatChange(-4)).toBe("−4%");
+    expect(formatChange(0)).toBe("0%");
+  });
+
+  test("returns em dash for null", () => {
+    expect(formatChange(null)).toBe("—");
+  });
+});
+
 // =============================================================================
 // formatMetricValue
 // =============================================================================
@@ -797,3 +841,187 @@ describe("deriveRating and deriveMeta integration", () => {
     });
   }
 });
+
+// =============================================================================
+// Side-by-side Comparison
+// =============================================================================
+
+describe("compareVersionStrings", () => {
+  test("orders numerically, prereleases before their release", () => {
+    const versions = [
+      "1.10.0",
+      "1.9.2",
+      "1.4.0",
+      "1.4.0-beta.2",
+      "1.4.0-beta.10",
+      "1.4",
+    ];
+    expect([...versions].sort(compareVersionStrings)).toEqual([
+      "1.4.0-beta.2",
+      "1.4.0-beta.10",
+      "1.4.0",
+      "1.4",
+      "1.9.2",
+      "1.10.0",
+    ]);
+  });
+});
+
+const stat = (median: number, extra: Record<string, unknown> = {}) => ({
+  unit: "ms",
+  better: "lower",
+  median,
+  ciLow: median - 1,
+  ciHigh: median + 1,
+  p5: median - 3,
+  p95: median + 5,
+  sampleCount: 20,
+  ...extra,
+});
+
+describe("versionGroups", () => {
+  const items = [
+    { version: "1.10.0", metrics: [{ label: "Render Time", ...stat(8) }] },
+    { version: "1.9.0", metrics: [{ label: "Render Time", ...stat(10) }] },
+    { version: "1.8.0", metrics: [{ label: "Scroll FPS", ...stat(60) }] },
+  ];
+
+  test("a group per version, oldest first", () => {
+    const groups = versionGroups(items, ["1.10.0", "1.9.0"], "Render Time");
+    expect(groups.map((g: { label: string }) => g.label)).toEqual([
+      "1.9.0",
+      "1.10.0",
+    ]);
+    expect(groups[0].bars).toEqual([
+      {
+        label: "1.9.0",
+        series: 0,
+        median: 10,
+        ciLow: 9,
+        ciHigh: 11,
+        p5: 7,
+        p95: 15,
+        sampleCount: 20,
+        unit: "ms",
+        better: "lower",
+      },
+    ]);
+    expect(groups[1].bars[0].series).toBe(1);
+  });
+
+  test("leaves out versions without the metric", () => {
+    const groups = versionGroups(
+      items,
+      ["1.8.0", "1.9.0", "2.0.0"],
+      "Render Time",
+    );
+    expect(groups.map((g: { label: string }) => g.label)).toEqual(["1.9.0"]);
+  });
+
+  test("falls back to the median without a CI", () => {
+    const groups = versionGroups(
+      [
+        {
+          version: "1.0.0",
+          metrics: [
+            { label: "X", ...stat(5), ciLow: undefined, ciHigh: undefined },
+          ],
+        },
+      ],
+      ["1.0.0"],
+      "X",
+    );
+    expect(groups[0].bars[0].ciLow).toBe(5);
+    expect(groups[0].bars[0].ciHigh).toBe(5);
+  });
+});
+
+describe("comparisonMeasurements", () => {
+  test("lists what vlist reports, once each", () => {
+    const metrics = [
+      { label: "vlist Render Time" },
+      { label: "react-window Render Time" },
+      { label: "Render Time Difference" },
+      { label: "vlist Memory Usage" },
+      { label: "vlist Render Time" },
+      { label: "Execution Order" },
+    ];
+    expect(comparisonMeasurements(metrics)).toEqual([
+      "Render Time",
+      "Memory Usage",
+    ]);
+  });
+});
+
+describe("libraryGroups", () => {
+  const items = [
+    {
+      suiteId: "react-window",
+      metrics: [
+        { label: "vlist Render Time", ...stat(8) },
+        { label: "react-window Render Time", ...stat(14) },
+        { label: "Render Time Difference", ...stat(-6) },
+      ],
+    },
+    {
+      suiteId: "virtua",
+      metrics: [{ label: "Virtua Memory Usage", ...stat(3) }],
+    },
+  ];
+
+  test("puts vlist next to each library", () => {
+    const groups = libraryGroups(
+      items,
+      ["react-window", "virtua", "clusterize"],
+      "Render Time",
+    );
+    expect(groups).toHaveLength(1);
+    expect(groups[0].label).toBe("react-window");
+    expect(
+      groups[0].bars.map(
+        (b: { label: string; series: number; median: number }) => [
+          b.label,
+          b.series,
+          b.median,
+        ],
+      ),
+    ).toEqual([
+      ["vlist", 0, 8],
+      ["react-window", 1, 14],
+    ]);
+  });
+
+  test("keeps a library whose vlist side is missing", () => {
+    const groups = libraryGroups(items, ["virtua"], "Memory Usage");
+    expect(groups[0].label).toBe("Virtua");
+    expect(groups[0].bars).toHaveLength(1);
+    expect(groups[0].bars[0].series).toBe(1);
+  });
+});
+
+describe("overallChange", () => {
+  const group = (median: number) => ({ bars: [{ median }] });
+
+  test("change from the first group to the last, in percent", () => {
+    expect(overallChange([group(10), group(12), group(8)])).toBe(-20);
+    expect(overallChange([group(40), group(50)])).toBe(25);
+  });
+
+  test("null without a baseline", () => {
+    expect(overallChange([group(10)])).toBeNull();
+    expect(overallChange([group(0), group(5)])).toBeNull();
+  });
+});
+
+describe("groupBounds", () => {
+  const groups = [{ bars: [stat(10), stat(20)] }];
+
+  test("starts at zero with headroom above the highest interval", () => {
+    expect(groupBounds(groups, "bars")).toEqual([0, 21 * 1.1]);
+    expect(groupBounds(groups, "box")).toEqual([0, 25 * 1.1]);
+  });
+
+  test("never collapses to an empty range", () => {
+    expect(groupBounds([], "bars")).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,306 @@
+// test/server/api-reference.test.ts
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  extractApi,
+  renderApiPages,
+  resolveTypesEntry,
+  writeApiDocs,
+  checkApiDocs,
+  findUndocumented,
+  type ApiModel,
+} from "../../src/server/api-reference";
+import { createContentRenderer } from "../../src/server/renderers/content";
+
+// A miniature @floor/vlist — the entry re-exports from several files
+const DECLARATIONS: Record<string, string> = {
+  "index.d.ts": `
+export { vlist } from "./builder";
+export { withGrid } from "./features/grid";
+export type { VList, VListItem, BuilderConfig, VListEvents, GridConfig, Align } from "./types";
+`,
+  "types.d.ts": `
+/** An item — needs a unique \`id\`. */
+export interface VListItem {
+    id: string | number;
+    [key: string]: unknown;
+}
+/** Where an item lands after scrolling. */
+export type Align = "start" | "center" | "end";
+/** Configuration passed to {@link vlist}. */
+export interface BuilderConfig<T extends VListItem = VListItem> {
+    /** The container element or a CSS selector. */
+    container: HTMLElement | string;
+    /**
+     * Static items.
+     * @default []
+     */
+    items?: T[];
+}
+/** The list returned by \`.build()\`. */
+export interface VList<T extends VListItem = VListItem> {
+    /** The root element. */
+    readonly element: HTMLElement;
+    /**
+     * Scroll so the item at \`index\` is visible.
+     * @param index - Position in the list
+     * @param align - Where the item lands, see {@link Align}
+     */
+    scrollToIndex: (index: number, align?: Align) => void;
+    select?: (...ids: Array<string | number>) => void;
+}
+/** Events and their payloads. */
+export interface VListEvents<T extends VListItem = VListItem> {
+    /** An item was clicked. */
+    "item:click": {
+        item: T;
+        index: number;
+    };
+    /** The list was destroyed. */
+    destroy: undefined;
+}
+/** Grid layout options. */
+export interface GridConfig {
+    /** Number of columns. */
+    columns: number;
+    /**
+     * Space between cells, in px.
+     * @default 0
+     */
+    gap?: number;
+}
+`,
+  "builder.d.ts": `
+import type { BuilderConfig, VList, VListItem } from "./types";
+/** Not exported from the entry — never linked. */
+export interface VListBuilder<T extends VListItem> {
+    build(): VList<T>;
+}
+/**
+ * Create a list builder.
+ * @param config - List configuration
+ * @returns The builder — call \`.build()\` to render
+ * @example
+ * vlist({ container: "#app" }).build()
+ */
+export declare function vlist<T extends VListItem = VListItem>(config: BuilderConfig<T>): VListBuilder<T>;
+`,
+  "features/grid.d.ts": `
+import type { GridConfig } from "../types";
+/** Lay items out in a 2D grid. */
+export declare const withGrid: (config: GridConfig) => unknown;
+`,
+};
+
+const NAVIGATION = JSON.stringify([
+  {
+    label: "API Reference",
+    items: [
+      { slug: "api/reference", name: "Reference", desc: "" },
+      { slug: "api/types", name: "Types", desc: "" },
+      { slug: "api/events", name: "Events", desc: "" },
+    ],
+  },
+]);
+
+let root: string;
+let model: ApiModel;
+
+beforeAll(() => {
+  root = mkdtempSync(join(tmpdir(), "api-reference-"));
+  const pkg = join(root, "vlist");
+  mkdirSync(join(pkg, "dist/features"), { recursive: true });
+  writeFileSync(
+    join(pkg, "package.json"),
+    JSON.stringify({ name: "@floor/vlist", types: "dist/index.d.ts" }),
+  );
+  for (const [file, source] of Object.entries(DECLARATIONS)) {
+    writeFileSync(join(pkg, "dist", file), source);
+  }
+  model = extractApi(resolveTypesEntry(pkg));
+});
+
+afterAll(() => {
+  rmSync(root, { recursive: true });
+});
+
+/** A docs directory with hand-written API pages around the markers */
+const createDocs = (name: string, markers: boolean): string => {
+  const dir = join(root, name);
+  mkdirSync(join(dir, "api"), { recursive: true });
+  writeFileSync(join(dir, "navigation.json"), NAVIGATION);
+  for (const id of ["reference", "types", "events"]) {
+    const section = markers
+      ? `<!-- api-docs:${id} start -->\n\nOld.\n\n<!-- api-docs:${id} end -->\n\n`
+      : "";
+    writeFileSync(
+      join(dir, `api/${id}.md`),
+      `# ${id}\n\nIntro.\n\n${section}## Related\n\nGuides.\n`,
+    );
+  }
+  return dir;
+};
+
+describe("api reference", () => {
+  test("resolves the declaration entry from package.json", () => {
+    const pkg = join(root, "untyped");
+    mkdirSync(pkg);
+    writeFileSync(join(pkg, "package.json"), "{}");
+    expect(() => resolveTypesEntry(pkg)).toThrow("Type declarations not found");
+  });
+
+  test("collects functions, features and types through re-exports", () => {
+    expect(model.functions.map((e) => e.name)).toEqual(["vlist"]);
+    expect(model.features.map((e) => e.name)).toEqual(["withGrid"]);
+    expect(model.types.map((e) => e.name).sort()).toEqual([
+      "Align",
+      "BuilderConfig",
+      "GridConfig",
+      "VList",
+      "VListEvents",
+      "VListItem",
+    ]);
+
+    const [vlist] = model.functions;
+    expect(vlist.signatures).toEqual([
+      "function vlist<T extends VListItem = VListItem>(config: BuilderConfig<T>): VListBuilder<T>",
+    ]);
+    expect(vlist.params[0].description).toBe("List configuration");
+    expect(vlist.returns?.description).toBe(
+      "The builder — call `.build()` to render",
+    );
+    expect(vlist.examples).toEqual(['vlist({ container: "#app" }).build()']);
+  });
+
+  test("reads options, instance members and events with their JSDoc", () => {
+    expect(
+      model.options.map((m) => [m.name, m.optional, m.defaultValue]),
+    ).toEqual([
+      ["container", false, null],
+      ["items", true, "[]"],
+    ]);
+
+    const scroll = model.instance.find((m) => m.name === "scrollToIndex")!;
+    expect(scroll.method).toBe(true);
+    expect(scroll.params.map((p) => [p.name, p.description])).toEqual([
+      ["index", "Position in the list"],
+      ["align", "Where the item lands, see {@link Align}"],
+    ]);
+    expect(model.instance.find((m) => m.name === "element")?.method).toBe(
+      false,
+    );
+
+    expect(model.events.map((e) => e.name)).toEqual(["item:click", "destroy"]);
+    expect(model.features[0].optionsType).toBe("GridConfig");
+    expect(model.features[0].members.map((m) => m.name)).toEqual([
+      "columns",
+      "gap",
+    ]);
+  });
+
+  test("cross-links exported type names, not internal ones", () => {
+    const pages = renderApiPages(model, { pages: ["features/grid"] });
+    expect(pages.reference).toContain(
+      "| `config` | [`BuilderConfig`](./types.md#builderconfig)`<T>` | List configuration |",
+    );
+    expect(pages.reference).toContain("**Returns** `VListBuilder<T>`");
+    expect(pages.reference).toContain("Guide: [withGrid](../features/grid.md)");
+    expect(pages.reference).toContain(
+      "| `container` | `HTMLElement \\| string` | — | The container element or a CSS selector. |",
+    );
+    expect(pages.reference).toContain(
+      "Where the item lands, see [`Align`](./types.md#align)",
+    );
+    expect(pages.types).toContain(
+      "Configuration passed to [`vlist`](./reference.md#vlist).",
+    );
+    expect(pages.events).toContain(
+      "| [`item:click`](#itemclick) | `{ item: T; index: number; }` | An item was clicked. |",
+    );
+    expect(renderApiPages(model).reference).not.toContain("Guide:");
+  });
+
+  test("renders through the content renderer with working anchors", async () => {
+    const docs = createDocs("rendered", true);
+    writeApiDocs(docs, renderApiPages(model));
+    const renderer = createContentRenderer({
+      contentDir: docs,
+      urlPrefix: "/docs",
+      sectionName: "Docs",
+      titleSuffix: "VList docs",
+      defaultTitle: "VList — Docs",
+      defaultDescription: "",
+      overviewTitle: "Docs",
+      overviewTagline: "",
+    });
+
+    const reference = await renderer.render("api/reference")!.text();
+    expect(reference).toContain(
+      '<a href="/docs/api/types#builderconfig"><code>BuilderConfig</code></a>',
+    );
+    const types = await renderer.render("api/types")!.text();
+    expect(types).toContain('id="builderconfig"');
+    expect(types).toContain('id="align"');
+    const events = await renderer.render("api/events")!.text();
+    expect(events).toContain('id="itemclick"');
+  });
+
+  test("rewrites only the generated section", () => {
+    const docs = createDocs("written", true);
+    const sections = renderApiPages(model);
+    expect(writeApiDocs(docs, sections)).toEqual([
+      "api/reference.md",
+      "api/types.md",
+      "api/events.md",
+    ]);
+
+    const page = readFileSync(join(docs, "api/types.md"), "utf-8");
+    expect(page).toStartWith("# types\n\nIntro.\n\n<!-- api-docs:types start");
+    expect(page).toEndWith(
+      "<!-- api-docs:types end -->\n\n## Related\n\nGuides.\n",
+    );
+    expect(page).not.toContain("Old.");
+    expect(writeApiDocs(docs, sections)).toEqual([]);
+  });
+
+  test("reports missing and stale sections", () => {
+    const sections = renderApiPages(model);
+    expect(checkApiDocs(createDocs("unmarked", false), sections)).toEqual([
+      {
+        kind: "missing",
+        message: "api/reference.md has no generated API section",
+      },
+      { kind: "missing", message: "api/types.md has no generated API section" },
+      {
+        kind: "missing",
+        message: "api/events.md has no generated API section",
+      },
+    ]);
+
+    const docs = createDocs("checked", true);
+    expect(checkApiDocs(docs, sections).map((p) => p.kind)).toEqual([
+      "stale",
+      "stale",
+      "stale",
+    ]);
+    writeApiDocs(docs, sections);
+    expect(checkApiDocs(docs, sections)).toEqual([]);
+  });
+
+  test("reports exports without a description", () => {
+    expect(findUndocumented(model)).toEqual([
+      {
+        kind: "undocumented",
+        message: "member VList.select has no description",
+      },
+    ]);
+  });
+});
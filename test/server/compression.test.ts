@@ -273,6 +273,7 @@ describe("compression", () => {
       "video/mp4",
       "application/octet-stream",
       "font/woff2",
+      "text/event-stream",
     ];
 
     for (const contentType of compressibleTypes) {
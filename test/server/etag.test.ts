@@ -0,0 +1,150 @@
+// test/server/etag.test.ts
+import { describe, test, expect } from "bun:test";
+import {
+  hashETag,
+  fileETag,
+  versionETag,
+  httpDate,
+  isNotModified,
+  notModified,
+  conditional,
+} from "../../src/server/etag";
+
+const request = (headers: Record<string, string>, method: string = "GET") =>
+  new Request("https://vlist.dev/docs", { method, headers });
+
+describe("etag", () => {
+  describe("validators", () => {
+    test("hashETag is weak and stable per body", () => {
+      expect(hashETag("hello")).toMatch(/^W\/".+"$/);
+      expect(hashETag("hello")).toBe(hashETag("hello"));
+      expect(hashETag("hello")).not.toBe(hashETag("hello!"));
+    });
+
+    test("fileETag changes with size or mtime", () => {
+      const tag = fileETag(100, 1_700_000_000_000);
+      expect(fileETag(101, 1_700_000_000_000)).not.toBe(tag);
+      expect(fileETag(100, 1_700_000_001_000)).not.toBe(tag);
+    });
+
+    test("versionETag changes with the revision", () => {
+      const tag = versionETag("tracks", 1, 1_700_000_000);
+      expect(versionETag("tracks", 2, 1_700_000_000)).not.toBe(tag);
+      expect(versionETag("cities", 1, 1_700_000_000)).not.toBe(tag);
+      // A reseeded database starts counting again
+      expect(versionETag("tracks", 1, 1_700_000_500)).not.toBe(tag);
+    });
+
+    test("versionETag depends only on what the database stores", () => {
+      // Nothing per process — every instance and restart agrees
+      expect(versionETag("tracks", 7, 1_700_000_000)).toBe(
+        `W/"tracks-${(1_700_000_000).toString(36)}-7"`,
+      );
+    });
+  });
+
+  describe("isNotModified", () => {
+    const etag = hashETag("page");
+
+    test("matches If-None-Match with weak comparison", () => {
+      expect(isNotModified(request({ "If-None-Match": etag }), etag)).toBe(
+        true,
+      );
+      const strong = etag.replace(/^W\//, "");
+      expect(isNotModified(request({ "If-None-Match": strong }), etag)).toBe(
+        true,
+      );
+    });
+
+    test("matches any tag in a list, or *", () => {
+      const list = `W/"other", ${etag}`;
+      expect(isNotModified(request({ "If-None-Match": list }), etag)).toBe(
+        true,
+      );
+      expect(isNotModified(request({ "If-None-Match": "*" }), etag)).toBe(true);
+      expect(isNotModified(request({ "If-None-Match": 'W/"x"' }), etag)).toBe(
+        false,
+      );
+    });
+
+    test("falls back to If-Modified-Since", () => {
+      const modified = httpDate(Date.UTC(2026, 0, 1));
+      const later = httpDate(Date.UTC(2026, 0, 2));
+      const earlier = httpDate(Date.UTC(2025, 11, 31));
+
+      expect(
+        isNotModified(request({ "If-Modified-Since": later }), null, modified),
+      ).toBe(true);
+      expect(
+        isNotModified(
+          request({ "If-Modified-Since": earlier }),
+          null,
+          modified,
+        ),
+      ).toBe(false);
+    });
+
+    test("If-None-Match wins over If-Modified-Since", () => {
+      const modified = httpDate(Date.UTC(2026, 0, 1));
+      const req = request({
+        "If-None-Match": 'W/"stale"',
+        "If-Modified-Since": httpDate(Date.UTC(2026, 0, 2)),
+      });
+      expect(isNotModified(req, etag, modified)).toBe(false);
+    });
+
+    test("only applies to GET and HEAD", () => {
+      const headers = { "If-None-Match": etag };
+      expect(isNotModified(request(headers, "HEAD"), etag)).toBe(true);
+      expect(isNotModified(request(headers, "POST"), etag)).toBe(false);
+    });
+  });
+
+  describe("conditional", () => {
+    const page = () =>
+      new Response("<p>hi</p>", {
+        headers: {
+          "Content-Type": "text/html",
+          "Cache-Control": "no-cache",
+          ETag: hashETag("<p>hi</p>"),
+        },
+      });
+
+    test("answers a matching request with an empty 304", async () => {
+      const result = conditional(
+        request({ "If-None-Match": hashETag("<p>hi</p>") }),
+        page(),
+      );
+
+      expect(result.status).toBe(304);
+      expect(await result.text()).toBe("");
+      expect(result.headers.get("ETag")).toBe(hashETag("<p>hi</p>"));
+      expect(result.headers.get("Cache-Control")).toBe("no-cache");
+      expect(result.headers.get("Content-Type")).toBeNull();
+    });
+
+    test("passes through stale validators, errors and untagged responses", () => {
+      const stale = request({ "If-None-Match": 'W/"old"' });
+      expect(conditional(stale, page()).status).toBe(200);
+
+      const star = request({ "If-None-Match": "*" });
+      expect(conditional(star, new Response("x", { status: 404 })).status).toBe(
+        404,
+      );
+      expect(conditional(star, new Response("x")).status).toBe(200);
+    });
+  });
+
+  describe("notModified", () => {
+    test("drops body headers", () => {
+      const result = notModified({
+        "Content-Length": "10",
+        "Content-Encoding": "gzip",
+        ETag: 'W/"a"',
+      });
+      expect(result.headers.get("Content-Length")).toBeNull();
+      expect(result.headers.get("Content-Encoding")).toBeNull();
+      expect(result.headers.get("ETag")).toBe('W/"a"');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+// test/server/renderers/content.test.ts
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { execFileSync } from "child_process";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  loadDocVersions,
+  docVersionLinks,
+  gitSource,
+  type DocVersion,
+} from "../../../src/server/renderers/content";
+
+const NAVIGATION = JSON.stringify([
+  {
+    label: "Start",
+    items: [
+      { slug: "", name: "Overview", desc: "" },
+      { slug: "getting-started", name: "Getting Started", desc: "Install" },
+      { slug: "api/height", name: "Item Height", desc: "Sizing items" },
+    ],
+  },
+]);
+
+// The tag predates the height page
+const TAG_NAVIGATION = JSON.stringify([
+  {
+    label: "Start",
+    items: [
+      { slug: "", name: "Overview", desc: "" },
+      { slug: "getting-started", name: "Getting Started", desc: "Install" },
+    ],
+  },
+]);
+
+let root: string;
+let versions: DocVersion[];
+
+const git = (...args: string[]) =>
+  execFileSync("git", args, {
+    cwd: join(root, "repo"),
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+
+beforeAll(() => {
+  root = mkdtempSync(join(tmpdir(), "doc-versions-"));
+
+  // 0.8 — a doc directory
+  const dir = join(root, "0.8");
+  mkdirSync(join(dir, "api"), { recursive: true });
+  writeFileSync(join(dir, "navigation.json"), NAVIGATION);
+  writeFileSync(join(dir, "README.md"), "# Docs\n\nOld docs.\n");
+  writeFileSync(
+    join(dir, "getting-started.md"),
+    "# Getting Started\n\n## Install\n\nPinned to 0.8 releases.\n",
+  );
+  writeFileSync(
+    join(dir, "api/height.md"),
+    "# Item Height\n\nUse `item.height`.\n",
+  );
+
+  // 0.7 — a release tag
+  mkdirSync(join(root, "repo/docs"), { recursive: true });
+  writeFileSync(join(root, "repo/docs/navigation.json"), TAG_NAVIGATION);
+  writeFileSync(
+    join(root, "repo/docs/getting-started.md"),
+    "# Getting Started\n\nTagged docs.\n",
+  );
+  git("init", "-q");
+  git("add", "-A");
+  git(
+    "-c",
+    "user.name=test",
+    "-c",
+    "user.email=test@example.com",
+    "commit",
+    "-q",
+    "-m",
+    "docs",
+  );
+  git("tag", "v0.7.0");
+  // Later edits aren't part of the tag
+  writeFileSync(
+    join(root, "repo/docs/getting-started.md"),
+    "# Getting Started\n\nUntagged.\n",
+  );
+
+  const configPath = join(root, "versions.json");
+  writeFileSync(
+    configPath,
+    JSON.stringify([
+      { version: "0.8", label: "v0.8", dir },
+      { version: "0.7", ref: "v0.7.0", repo: join(root, "repo") },
+    ]),
+  );
+  versions = loadDocVersions(configPath);
+});
+
+afterAll(() => {
+  rmSync(root, { recursive: true });
+});
+
+const render = async (version: string, slug: string | null) => {
+  const entry = versions.find((v) => v.version === version)!;
+  const response = entry.renderer.render(slug);
+  return response ? response.text() : null;
+};
+
+describe("versioned docs", () => {
+  test("renders a version's pages under /docs/v/<version>", async () => {
+    const html = (await render("0.8", "getting-started"))!;
+    expect(html).toContain("Pinned to 0.8 releases.");
+    expect(html).toContain(
+      '<meta property="og:url" content="https://vlist.dev/docs/v/0.8/getting-started" />',
+    );
+    expect(html).toContain('href="/docs/v/0.8/api/height"');
+  });
+
+  test("points canonical links at the latest page", async () => {
+    expect(await render("0.8", "getting-started")).toContain(
+      '<link rel="canonical" href="https://vlist.dev/docs/getting-started" />',
+    );
+    expect(await render("0.8", null)).toContain(
+      '<link rel="canonical" href="https://vlist.dev/docs/" />',
+    );
+  });
+
+  test("pages removed from the latest docs are their own canonical", async () => {
+    expect(await render("0.8", "api/height")).toContain(
+      '<link rel="canonical" href="https://vlist.dev/docs/v/0.8/api/height" />',
+    );
+  });
+
+  test("shows a banner linking to the latest docs", async () => {
+    const html = (await render("0.8", "getting-started"))!;
+    expect(html).toContain('class="version-banner"');
+    expect(html).toContain(
+      'You\'re reading the docs for vlist v0.8. <a href="/docs/getting-started">',
+    );
+  });
+
+  test("shows the version switcher with the current version selected", async () => {
+    const html = (await render("0.8", "getting-started"))!;
+    expect(html).toContain('id="version-switch"');
+    expect(html).toContain(
+      '<option value="/docs/v/0.8/getting-started" selected>v0.8</option>',
+    );
+  });
+
+  test("reads docs from a git tag, not the working tree", async () => {
+    const html = (await render("0.7", "getting-started"))!;
+    expect(html).toContain("Tagged docs.");
+    expect(html).not.toContain("Untagged.");
+    expect(await render("0.7", "api/height")).toBeNull();
+    expect(await render("0.8", "missing")).toBeNull();
+  });
+
+  test("switcher links keep the page where a version has it", () => {
+    expect(docVersionLinks("0.7", "api/height", versions)).toEqual([
+      { label: expect.any(String), href: "/docs/", current: false },
+      { label: "v0.8", href: "/docs/v/0.8/api/height", current: false },
+      { label: "0.7", href: "/docs/v/0.7/", current: true },
+    ]);
+    expect(docVersionLinks(null, "getting-started", [])).toEqual([]);
+  });
+
+  test("gitSource returns null for files outside the ref", () => {
+    const source = gitSource("v0.7.0", "docs", join(root, "repo"));
+    expect(source.read("navigation.json")).toBe(TAG_NAVIGATION);
+    expect(source.read("missing.md")).toBeNull();
+    expect(gitSource("v9.9.9", "docs", join(root, "repo")).read("x")).toBe(
+      null,
+    );
+  });
+
+  test("rejects invalid versions.json entries", () => {
+    const configPath = join(root, "invalid.json");
+    const load = (entries: unknown) => {
+      writeFileSync(configPath, JSON.stringify(entries));
+      return () => loadDocVersions(configPath);
+    };
+
+    expect(load([{ version: "../x", dir: "x" }])).toThrow("invalid version");
+    expect(load([{ version: "1.0" }])).toThrow('one of "dir" or "ref"');
+    expect(
+      load([
+        { version: "1.0", dir: "a" },
+        { version: "1.0", dir: "b" },
+      ]),
+    ).toThrow("duplicate version");
+    expect(loadDocVersions(join(root, "absent.json"))).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+// test/server/renderers/examples.test.ts
+import { describe, test, expect } from "bun:test";
+import { renderExamplesPage } from "../../../src/server/renderers/examples";
+
+const page = async (slug: string, query: string = "") =>
+  renderExamplesPage(
+    slug,
+    new URL(`https://vlist.dev/examples/${slug}${query}`),
+  )!.text();
+
+const playgroundData = (html: string) => {
+  const match = html.match(
+    /<script type="application\/json" id="playground-data">(.*?)<\/script>/,
+  );
+  return match ? JSON.parse(match[1]) : null;
+};
+
+describe("examples playground", () => {
+  test("embeds a vanilla variant's sources, paths relative to its script", async () => {
+    const html = await page("basic", "?variant=vanilla");
+    expect(html).toContain('id="playground-open"');
+
+    const data = playgroundData(html);
+    expect(data.base).toBe("/examples/basic/vanilla/");
+    expect(data.imports).toEqual({
+      vlist: "/dist/index.js",
+      "vlist/": "/dist/",
+    });
+    expect(data.files.map((f: { path: string }) => f.path)).toEqual([
+      "script.js",
+      "content.html",
+      "../shared.js",
+      "../styles.css",
+    ]);
+    expect(data.files[0].code).toContain('from "../shared.js"');
+  });
+
+  test("examples without variants run from their own directory", async () => {
+    const data = playgroundData(await page("accessibility"));
+    expect(data.base).toBe("/examples/accessibility/");
+    expect(data.files.map((f: { label: string }) => f.label)).toContain(
+      "script.js",
+    );
+  });
+
+  test("escapes markup in the embedded sources", async () => {
+    const html = await page("basic", "?variant=vanilla");
+    const json = html.match(/id="playground-data">(.*?)<\/script>/)![1];
+    expect(json).not.toContain("<");
+    expect(playgroundData(html).files[1].code).toContain(
+      '<div class="container">',
+    );
+  });
+
+  test("framework variants stay read-only", async () => {
+    const html = await page("basic", "?variant=react");
+    expect(html).not.toContain('id="playground-open"');
+    expect(playgroundData(html)).toBeNull();
+  });
+});
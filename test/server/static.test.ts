@@ -0,0 +1,41 @@
+// test/server/static.test.ts
+import { describe, test, expect } from "bun:test";
+import { isPlaygroundAsset, resolveStatic } from "../../src/server/static";
+
+describe("static", () => {
+  describe("isPlaygroundAsset", () => {
+    test("covers the scripts and styles the playground iframe imports", () => {
+      expect(isPlaygroundAsset("/dist/index.js")).toBe(true);
+      expect(isPlaygroundAsset("/dist/vlist.css")).toBe(true);
+      expect(isPlaygroundAsset("/dist/examples/styles.css")).toBe(true);
+      expect(isPlaygroundAsset("/examples/basic/shared.js")).toBe(true);
+      expect(isPlaygroundAsset("/examples/basic/vanilla/script.js")).toBe(true);
+    });
+
+    test("leaves everything else same-origin", () => {
+      expect(isPlaygroundAsset("/README.md")).toBe(false);
+      expect(isPlaygroundAsset("/styles/ui.css")).toBe(false);
+      expect(isPlaygroundAsset("/examples/basic/content.html")).toBe(false);
+      expect(isPlaygroundAsset("/dist/index.js.map")).toBe(false);
+      expect(isPlaygroundAsset("/data/benchmarks.db")).toBe(false);
+    });
+  });
+
+  describe("resolveStatic", () => {
+    test("allows any origin on example modules", () => {
+      const res = resolveStatic("/examples/basic/shared.js");
+
+      expect(res?.status).toBe(200);
+      expect(res?.headers.get("Access-Control-Allow-Origin")).toBe("*");
+    });
+
+    test("sends no CORS header on other files", () => {
+      for (const pathname of ["/README.md", "/styles/ui.css"]) {
+        const res = resolveStatic(pathname);
+
+        expect(res?.status).toBe(200);
+        expect(res?.headers.get("Access-Control-Allow-Origin")).toBeNull();
+      }
+    });
+  });
+});